@@ -23,10 +23,77 @@ const config = {
     output: resolvePathOrDefault('OUTPUT_PATH', './output'),
     idmc: resolvePathOrDefault('IDMC_PATH', './idmc'),
     logs: resolvePathOrDefault('LOG_FILE_PATH', './logs'),
+    // Per-file conversion checkpoints used by POST /api/jobs/:jobId/retry
+    checkpoints: resolvePathOrDefault('CHECKPOINT_PATH', './checkpoints'),
   },
   logging: {
     level: process.env.LOG_LEVEL || 'info',
     prettyConsole: getBool(process.env.LOG_PRETTY_CONSOLE, true),
+  },
+  database: {
+    mongoUri: process.env.MONGODB_URI || '',
+    serverSelectionTimeoutMs: Number(process.env.MONGODB_TIMEOUT_MS || 5000),
+  },
+  jobs: {
+    // In-memory cache eviction only; persisted job history is kept
+    cacheTtlMinutes: Number(process.env.JOB_CACHE_TTL_MINUTES || 60),
+    // Checkpoints of jobs that never completed cleanly are kept this long for POST /api/jobs/:jobId/retry
+    checkpointTtlHours: Number(process.env.CHECKPOINT_TTL_HOURS || 168),
+  },
+  cache: {
+    // Content-hash cache of LLM conversions, shared by all worker threads
+    enabled: getBool(process.env.CONVERSION_CACHE_ENABLED, true),
+    path: resolvePathOrDefault('CONVERSION_CACHE_PATH', './cache/conversions'),
+  },
+  validation: {
+    // Default for the `repair` request option: one LLM pass over Snowflake output that fails validation
+    repairEnabled: getBool(process.env.SNOWFLAKE_REPAIR_ENABLED, false),
+  },
+  snowflake: {
+    // Default for the `procedureStyle` request option: javascript (JavaScript procedures) | sql (Snowflake Scripting)
+    procedureStyle: process.env.SNOWFLAKE_PROCEDURE_STYLE === 'sql' ? 'sql' : 'javascript',
+    // Warehouse and schedule of the tasks generated for Oracle triggers
+    taskWarehouse: process.env.SNOWFLAKE_TASK_WAREHOUSE || 'COMPUTE_WH',
+    taskSchedule: process.env.SNOWFLAKE_TASK_SCHEDULE || '1 MINUTE',
+  },
+  chunking: {
+    // Files estimated above maxChunkTokens (input tokens, ~4 chars each) are converted in statement-level chunks
+    enabled: getBool(process.env.CHUNKING_ENABLED, true),
+    maxChunkTokens: Number(process.env.CHUNK_MAX_TOKENS || 2000),
+  },
+  review: {
+    // Default for the `reviewReport` request option: add review_report.html (source next to output) to conversion zips
+    reportEnabled: getBool(process.env.REVIEW_REPORT_ENABLED, false),
+  },
+  assessment: {
+    // Used by POST /api/assess to turn token estimates into LLM time and cost (USD per 1K tokens)
+    tokensPerSecond: Number(process.env.ASSESS_TOKENS_PER_SECOND || 60),
+    requestLatencySeconds: Number(process.env.ASSESS_REQUEST_LATENCY_SECONDS || 2),
+    inputCostPer1k: Number(process.env.ASSESS_INPUT_COST_PER_1K || 0.00015),
+    outputCostPer1k: Number(process.env.ASSESS_OUTPUT_COST_PER_1K || 0.0006),
+  },
+  llm: {
+    // openai | azure | openai-compatible | fixture
+    provider: process.env.LLM_PROVIDER || 'openai',
+    model: process.env.LLM_MODEL || 'gpt-4o-mini',
+    apiKey: process.env.LLM_API_KEY || process.env.OPENAI_API_KEY,
+    // Used by the openai-compatible provider (e.g. http://localhost:11434/v1) or to proxy openai
+    baseURL: process.env.LLM_BASE_URL || '',
+    timeoutMs: Number(process.env.LLM_TIMEOUT_MS || 600000),
+    maxRetries: Number(process.env.LLM_MAX_RETRIES || 2),
+    azure: {
+      apiKey: process.env.AZURE_OPENAI_API_KEY,
+      endpoint: process.env.AZURE_OPENAI_ENDPOINT || '',
+      deployment: process.env.AZURE_OPENAI_DEPLOYMENT || '',
+      apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-06-01',
+    },
+    fixtures: {
+      path: resolvePathOrDefault('LLM_FIXTURES_PATH', './fixtures/llm'),
+      // When set, real provider responses are written to fixtures.path for later replay
+      record: getBool(process.env.LLM_FIXTURES_RECORD, false),
+      // Optional response replayed when no fixture matches a prompt
+      fallbackFile: process.env.LLM_FIXTURE_FALLBACK ? path.resolve(process.env.LLM_FIXTURE_FALLBACK) : '',
+    },
   }
 };
 
@@ -0,0 +1,47 @@
+const conversionCacheService = require('../services/conversionCacheService');
+const { createModuleLogger } = require('../utils/logger');
+const log = createModuleLogger('controllers/adminController');
+
+// Conversion cache entry counts, prompt versions and lookup counters
+const getCacheStats = async (req, res) => {
+  try {
+    const stats = await conversionCacheService.getStats();
+    res.status(200).json({
+      success: true,
+      cache: stats
+    });
+  } catch (error) {
+    log.error('Error getting cache stats', { error: error.message });
+    res.status(500).json({
+      error: 'Error getting cache stats',
+      details: error.message
+    });
+  }
+};
+
+// Purge cached conversions for one target (?target=snowflake|idmc|summary-json) or all of them
+const purgeCache = async (req, res) => {
+  try {
+    const target = req.query.target || null;
+    const removed = await conversionCacheService.purge(target);
+
+    log.info(`🧹 Conversion cache purged by ${req.user.email || 'admin'}`, { target: target || 'all', removed });
+    res.status(200).json({
+      success: true,
+      message: 'Conversion cache purged',
+      target: target || 'all',
+      removed: removed
+    });
+  } catch (error) {
+    log.error('Error purging cache', { error: error.message });
+    res.status(500).json({
+      error: 'Error purging cache',
+      details: error.message
+    });
+  }
+};
+
+module.exports = {
+  getCacheStats,
+  purgeCache
+};
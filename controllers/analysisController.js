@@ -0,0 +1,54 @@
+const progressService = require('../services/progressService');
+const dependencyGraphService = require('../services/dependencyGraphService');
+const { createModuleLogger } = require('../utils/logger');
+const log = createModuleLogger('controllers/analysisController');
+
+// Dependency graph built by the analysis step of an Oracle → Snowflake job (?format=json|dot)
+const getDependencyGraph = async (req, res) => {
+  try {
+    const jobId = req.params.jobId;
+    const job = await progressService.findJob(jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found',
+        jobId: jobId
+      });
+    }
+    if (!progressService.canUserManageJob(job, req.user)) {
+      return res.status(403).json({
+        error: 'Not allowed to view this job',
+        jobId: jobId
+      });
+    }
+    if (!job.dependencyGraph) {
+      return res.status(404).json({
+        error: 'Dependency graph not available',
+        details: 'Graphs are built for Oracle → Snowflake zip jobs once the analysis step has finished',
+        jobId: jobId
+      });
+    }
+
+    if (req.query.format === 'dot') {
+      res.type('text/vnd.graphviz');
+      res.set('Content-Disposition', `inline; filename="${jobId}_dependencies.dot"`);
+      return res.status(200).send(dependencyGraphService.toDot(job.dependencyGraph));
+    }
+
+    res.status(200).json({
+      success: true,
+      jobId: jobId,
+      graph: job.dependencyGraph
+    });
+  } catch (error) {
+    log.error('Error getting dependency graph', { error: error.message });
+    res.status(500).json({
+      error: 'Error getting dependency graph',
+      details: error.message
+    });
+  }
+};
+
+module.exports = {
+  getDependencyGraph
+};
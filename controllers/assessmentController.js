@@ -0,0 +1,83 @@
+const assessmentService = require('../services/assessmentService');
+const oracleConversionService = require('../services/oracleConversionService');
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config');
+const { findFilesByExtension } = require('../utils/zipUtils');
+const { resolveSourceType, readSourceInput } = require('../utils/sourceInput');
+const { createModuleLogger } = require('../utils/logger');
+const log = createModuleLogger('controllers/assessmentController');
+
+// Same file selection as the IDMC zip flow of /api/convert-unified
+const IDMC_EXTENSIONS = ['.sql', '.pls', '.pkg', '.prc', '.fnc', '.rs', '.redshift'];
+
+// Write the requested report formats to the output directory
+async function writeReportFiles(report, format, baseName) {
+  const formats = format === 'all' ? ['json', 'html', 'docx'] : [format];
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  await fs.ensureDir(config.paths.output);
+
+  const outputFiles = [];
+  for (const fmt of formats) {
+    const name = `${baseName}_assessment_${timestamp}.${fmt}`;
+    const outPath = path.join(config.paths.output, name);
+    if (fmt === 'json') {
+      await fs.writeJson(outPath, report, { spaces: 2 });
+      outputFiles.push({ name, path: outPath, mime: 'application/json', kind: 'assessment' });
+    } else if (fmt === 'html') {
+      await fs.writeFile(outPath, assessmentService.toHtml(report), 'utf8');
+      outputFiles.push({ name, path: outPath, mime: 'text/html', kind: 'assessment' });
+    } else {
+      await fs.writeFile(outPath, await assessmentService.toDocx(report));
+      outputFiles.push({ name, path: outPath, mime: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', kind: 'assessment' });
+    }
+  }
+  return outputFiles;
+}
+
+// Pre-conversion assessment for a single file or a zip (same inputs as /api/convert-unified)
+const handleAssess = async (req, res) => {
+  let extractedPath = null;
+  try {
+    const { sourceType = 'auto', target = 'snowflake' } = req.body;
+    const format = req.body.format || 'json';
+
+    const input = await readSourceInput(req.body, {
+      tempPrefix: 'assess',
+      findFiles: dir => (target === 'idmc'
+        ? findFilesByExtension(dir, IDMC_EXTENSIONS)
+        : oracleConversionService.findOracleFiles(dir))
+    });
+    extractedPath = input.extractedPath;
+    const baseName = input.baseName;
+    if (extractedPath) {
+      log.info(`📋 Assessing ${input.files.length} files from ${baseName}.zip (target: ${target})`);
+    }
+
+    const files = [];
+    for (const { name, content } of input.files) {
+      files.push(await assessmentService.assessFile(content, name, { sourceType: resolveSourceType(sourceType, name, content), target }));
+    }
+
+    const report = assessmentService.buildReport(files, { name: baseName, target });
+    const outputFiles = await writeReportFiles(report, format, baseName);
+    return res.status(200).json({ success: true, ...report, outputFiles });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, providedPath: error.providedPath });
+    }
+    log.error('Error assessing source files', { error: error.message, stack: error.stack });
+    return res.status(500).json({
+      error: 'Assessment failed',
+      details: error.message
+    });
+  } finally {
+    if (extractedPath && await fs.pathExists(extractedPath)) {
+      await fs.remove(extractedPath);
+    }
+  }
+};
+
+module.exports = {
+  handleAssess
+};
@@ -11,6 +11,7 @@ const execAsync = promisify(exec);
 const archiver = require('archiver');
 const config = require('../config');
 const { assertPathUnder } = require('../utils/pathUtils');
+const { acceptAsyncJob } = require('../utils/asyncJob');
 const { createModuleLogger } = require('../utils/logger');
 const log = createModuleLogger('controllers/batchScriptController');
 
@@ -113,6 +114,15 @@ async function processBatchScriptsWithWorkers(extractedPath, jobId, conversionTy
     });
   }
   
+  // Cancellation: drain the queue and stop in-flight workers; finished results are kept
+  let cancelled = false;
+  const unsubscribeCancel = progressService.onCancel(jobId, () => {
+    cancelled = true;
+    fileQueue.length = 0;
+    workers.forEach(worker => worker.terminate());
+    log.warn(`🛑 Job ${jobId} cancelled - stopped workers after ${results.length}/${totalFiles} files`);
+  });
+  
   // Start processing files
   log.info(`🚀 Starting ${Math.min(maxWorkers, fileQueue.length)} workers with initial files...`);
   for (let i = 0; i < Math.min(maxWorkers, fileQueue.length); i++) {
@@ -136,7 +146,10 @@ async function processBatchScriptsWithWorkers(extractedPath, jobId, conversionTy
     }, 600000); // 10 minute timeout
     
     const checkCompletion = () => {
-      if (results.length === totalFiles) {
+      if (cancelled) {
+        clearTimeout(timeout);
+        resolve();
+      } else if (results.length === totalFiles) {
         clearTimeout(timeout);
         const endTime = Date.now();
         const duration = (endTime - startTime) / 1000;
@@ -152,7 +165,7 @@ async function processBatchScriptsWithWorkers(extractedPath, jobId, conversionTy
     log.error('❌ Worker processing failed', { error: error.message });
     workers.forEach(worker => worker.terminate());
     throw error;
-  });
+  }).finally(unsubscribeCancel);
   
   // Sort results by original filename to maintain consistent order
   results.sort((a, b) => {
@@ -167,7 +180,8 @@ async function processBatchScriptsWithWorkers(extractedPath, jobId, conversionTy
     totalFiles: totalFiles,
     processedFiles: results.filter(r => r.success !== false).length,
     failedFiles: results.filter(r => r.success === false).length,
-    results: results
+    results: results,
+    cancelled
   };
 }
 
@@ -230,10 +244,10 @@ const handleProcessBatchScripts = async (req, res) => {
     
     // Create job ID
     const fileName = path.basename(zipFilePath, path.extname(zipFilePath));
-    jobId = `batch_scripts_${fileName}`;
+    jobId = progressService.createJobId(`batch_scripts_${fileName}`);
     
     // Create progress tracking job
-    const job = progressService.createJob(jobId);
+    const job = progressService.createJob(jobId, { type: 'batch', user: req.user });
     log.info(`🚀 Starting batch script processing job: ${jobId}`);
     
     // Set WebSocket job context and emit job created
@@ -244,6 +258,7 @@ const handleProcessBatchScripts = async (req, res) => {
     } catch (err) {
       log.warn('WebSocket setup failed, continuing without WebSocket updates', { error: err.message });
     }
+    res = acceptAsyncJob(req, res, jobId);
     
     // Extract the zip file
     log.info('📦 Extracting zip file...');
@@ -411,8 +426,8 @@ const handleProcessSingleBatchScript = async (req, res) => {
       });
     }
     
-    const jobId = `single_batch_${Date.now()}`;
-    const job = progressService.createJob(jobId);
+    const jobId = progressService.createJobId('single_batch');
+    progressService.createJob(jobId, { type: 'batch', user: req.user });
     
     log.info(`🚀 Starting single batch script processing: ${actualFileName}`);
     progressService.updateProgress(jobId, 0, 50, 'Processing batch script...');
@@ -565,7 +580,7 @@ const handleProcessBatchUnified = async (req, res) => {
   const { inputType, zipFilePath, script, fileName, scriptType, filePath } = req.body;
   if (inputType === 'zip') {
     // Delegate to existing ZIP flow
-    req.body = { zipFilePath };
+    req.body = { zipFilePath, async: req.body.async };
     return handleProcessBatchScripts(req, res);
   }
 
@@ -802,10 +817,10 @@ const handleGenerateHumanReadableSummaryZip = async (req, res) => {
     
     // Create job ID
     const fileName = path.basename(zipFilePath, path.extname(zipFilePath));
-    jobId = `human_readable_${fileName}`;
+    jobId = progressService.createJobId(`human_readable_${fileName}`);
     
     // Create progress tracking job
-    const job = progressService.createJob(jobId);
+    const job = progressService.createJob(jobId, { type: 'human-readable', user: req.user });
     log.info(`🚀 Starting human-readable summary generation job: ${jobId}`);
     
     // Set WebSocket job context and emit job created
@@ -816,6 +831,7 @@ const handleGenerateHumanReadableSummaryZip = async (req, res) => {
     } catch (err) {
       log.warn('WebSocket setup failed, continuing without WebSocket updates', { error: err.message });
     }
+    res = acceptAsyncJob(req, res, jobId);
     
     // Extract the zip file
     log.info('📦 Extracting zip file...');
@@ -952,7 +968,7 @@ const handleGenerateHumanReadableSummary = async (req, res) => {
   const { inputType, zipFilePath, script, fileName, filePath } = req.body;
   if (inputType === 'zip' || zipFilePath) {
     // Delegate to ZIP flow
-    req.body = { zipFilePath: zipFilePath || req.body.zipFilePath };
+    req.body = { zipFilePath: zipFilePath || req.body.zipFilePath, async: req.body.async };
     return handleGenerateHumanReadableSummaryZip(req, res);
   }
 
@@ -1019,7 +1035,7 @@ const handleBatchToIdmcSummary = async (req, res) => {
   
   if (inputType === 'zip') {
     // Process ZIP file (or single file if filePath is provided)
-    req.body = { zipFilePath: actualZipPath, outputFormat };
+    req.body = { zipFilePath: actualZipPath, outputFormat, async: req.body.async };
     return handleProcessBatchScripts(req, res);
   } else {
     // Process single file
@@ -1035,7 +1051,7 @@ const handleBatchToHumanLanguage = async (req, res) => {
   
   if (inputType === 'zip') {
     // Process ZIP file (or single file if filePath is provided)
-    req.body = { zipFilePath: actualZipPath, outputFormat };
+    req.body = { zipFilePath: actualZipPath, outputFormat, async: req.body.async };
     return handleGenerateHumanReadableSummaryZip(req, res);
   } else {
     // Process single file
@@ -1,4 +1,5 @@
 const idmcConversionService = require('../services/idmcConversionService');
+const reviewReportService = require('../services/reviewReportService');
 const progressService = require('../services/progressService');
 const jwtUtils = require('../utils/jwtUtils');
 const fs = require('fs-extra');
@@ -281,7 +282,7 @@ const handleConvertOracleToIDMC = async (req, res) => {
   let jobId = null;
   
   try {
-    const { zipFilePath, sourceCode, fileName, customFileName } = req.body;
+    const { zipFilePath, sourceCode, fileName, customFileName, reviewReport = config.review.reportEnabled } = req.body;
     
     // Handle direct code input if provided
     if (sourceCode) {
@@ -342,10 +343,10 @@ const handleConvertOracleToIDMC = async (req, res) => {
     
     // Create job ID
     const baseZipName = path.basename(zipFilePath, path.extname(zipFilePath));
-    jobId = `oracle_idmc_${baseZipName}`;
+    jobId = progressService.createJobId(`oracle_idmc_${baseZipName}`);
     
     // Create progress tracking job
-    const job = progressService.createJob(jobId);
+    progressService.createJob(jobId, { type: 'idmc', user: req.user });
     log.info(`🚀 Starting Oracle → IDMC conversion job: ${jobId}`);
     
     // Extract the zip file
@@ -395,7 +396,9 @@ const handleConvertOracleToIDMC = async (req, res) => {
     const zipPath = path.join(outputPath, zipFileName);
     
     // Create zip file with IDMC summaries
-    await createIDMCZipFile(conversionResult.idmcFiles, zipPath);
+    await createIDMCZipFile(conversionResult.idmcFiles, zipPath, {
+      reviewFiles: reviewReport ? reviewReportService.fromConvertedFiles(conversionResult.convertedFiles, 'idmc') : null
+    });
     progressService.updateProgress(jobId, 2, 100, 'Final package created');
     
     // Complete the job
@@ -444,7 +447,7 @@ const handleConvertRedshiftToIDMC = async (req, res) => {
   let jobId = null;
   
   try {
-    const { zipFilePath, sourceCode, fileName, customFileName } = req.body;
+    const { zipFilePath, sourceCode, fileName, customFileName, reviewReport = config.review.reportEnabled } = req.body;
     
     // Handle direct code input if provided
     if (sourceCode) {
@@ -504,10 +507,10 @@ const handleConvertRedshiftToIDMC = async (req, res) => {
     
     // Create job ID
     const baseZipName = path.basename(zipFilePath, path.extname(zipFilePath));
-    jobId = `redshift_idmc_${baseZipName}`;
+    jobId = progressService.createJobId(`redshift_idmc_${baseZipName}`);
     
     // Create progress tracking job
-    const job = progressService.createJob(jobId);
+    progressService.createJob(jobId, { type: 'idmc', user: req.user });
     log.info(`🚀 Starting Redshift → IDMC conversion job: ${jobId}`);
     
     // Extract the zip file
@@ -557,7 +560,9 @@ const handleConvertRedshiftToIDMC = async (req, res) => {
     const zipPath = path.join(outputPath, zipFileName);
     
     // Create zip file with IDMC summaries
-    await createIDMCZipFile(conversionResult.idmcFiles, zipPath);
+    await createIDMCZipFile(conversionResult.idmcFiles, zipPath, {
+      reviewFiles: reviewReport ? reviewReportService.fromConvertedFiles(conversionResult.convertedFiles, 'idmc') : null
+    });
     progressService.updateProgress(jobId, 2, 100, 'Final package created');
     
     // Complete the job
@@ -611,13 +616,13 @@ const handleConvertSingleScriptToIDMC = async (req, res) => {
         example: { 
           script: 'SELECT * FROM users WHERE id = 1;',
           fileName: 'query.sql',
-          scriptType: 'oracle' // or 'redshift'
+          scriptType: 'oracle' // or 'redshift', 'tsql', 'teradata'
         }
       });
     }
     
-    const jobId = `single_script_${Date.now()}`;
-    const job = progressService.createJob(jobId);
+    const jobId = progressService.createJobId('single_script');
+    progressService.createJob(jobId, { type: 'idmc', user: req.user });
     
     log.info(`🚀 Starting single script → IDMC conversion: ${fileName}`);
     progressService.updateProgress(jobId, 0, 50, 'Converting script to IDMC...');
@@ -628,11 +633,7 @@ const handleConvertSingleScriptToIDMC = async (req, res) => {
       detected = idmcConversionService.analyzeSqlContent(script);
     }
     const fileType = detected || 'sql';
-    if (detected === 'redshift') {
-      idmcSummary = await idmcConversionService.convertRedshiftToIDMC(script, fileName, fileType);
-    } else {
-      idmcSummary = await idmcConversionService.convertOracleToIDMC(script, fileName, fileType);
-    }
+    idmcSummary = await idmcConversionService.convertSourceToIDMC(script, fileName, detected, fileType);
     
     progressService.updateProgress(jobId, 0, 100, 'Conversion complete');
     
@@ -661,7 +662,8 @@ const handleConvertSingleScriptToIDMC = async (req, res) => {
 };
 
 // Function to create zip file with IDMC summaries
-async function createIDMCZipFile(idmcFiles, zipPath) {
+// options.reviewFiles: reviewReportService.fromConvertedFiles(...) entries; adds review_report.html
+async function createIDMCZipFile(idmcFiles, zipPath, options = {}) {
   return new Promise((resolve, reject) => {
     const output = fs.createWriteStream(zipPath);
     const archive = archiver('zip', { zlib: { level: 9 } });
@@ -685,6 +687,12 @@ async function createIDMCZipFile(idmcFiles, zipPath) {
         console.log(`📄 Added to IDMC zip: ${file.name}`);
       }
     }
+
+    if (options.reviewFiles) {
+      const review = reviewReportService.buildZipEntry(options.reviewFiles);
+      archive.append(review.content, { name: review.name });
+      log.info(`📄 Added to IDMC zip: ${review.name}`);
+    }
     
     archive.finalize();
   });
@@ -702,7 +710,7 @@ async function findSqlLikeFiles(directory) {
       } else if (entry.isFile()) {
         const ext = path.extname(entry.name).toLowerCase();
         // Only SQL files - batch scripts use different endpoint
-        if ([".sql", ".pls", ".pkg", ".prc", ".fnc", ".rs", ".redshift"].includes(ext)) {
+        if ([".sql", ".pls", ".pkg", ".prc", ".fnc", ".rs", ".redshift", ".tsql", ".btq", ".bteq", ".tdsql"].includes(ext)) {
           files.push(fullPath);
         }
       }
@@ -717,15 +725,13 @@ const handleConvertAutoToIDMC = async (req, res) => {
   let extractedPath = null;
   let jobId = null;
   try {
-    const { zipFilePath, sourceCode, fileName } = req.body;
+    const { zipFilePath, sourceCode, fileName, reviewReport = config.review.reportEnabled } = req.body;
 
     // If direct code provided, detect SQL type and use appropriate method
     if (sourceCode) {
       const detected = idmcConversionService.analyzeSqlContent(sourceCode);
       const inputFileName = fileName || 'input.sql';
-      const idmcSummary = detected === 'redshift'
-        ? await idmcConversionService.convertRedshiftToIDMC(sourceCode, inputFileName, 'sql')
-        : await idmcConversionService.convertOracleToIDMC(sourceCode, inputFileName, 'sql');
+      const idmcSummary = await idmcConversionService.convertSourceToIDMC(sourceCode, inputFileName, detected, 'sql');
       return res.status(200).json({ success: true, scriptType: detected, fileName: inputFileName, idmcSummary });
     }
 
@@ -738,8 +744,8 @@ const handleConvertAutoToIDMC = async (req, res) => {
     }
 
     const base = path.basename(zipFilePath, path.extname(zipFilePath));
-    jobId = `auto_idmc_${base}`;
-    progressService.createJob(jobId);
+    jobId = progressService.createJobId(`auto_idmc_${base}`);
+    progressService.createJob(jobId, { type: 'idmc', user: req.user });
     progressService.updateProgress(jobId, 0, 10, 'Extracting zip file...');
 
     const uploadPath = process.env.UPLOAD_PATH || './uploads';
@@ -769,9 +775,7 @@ const handleConvertAutoToIDMC = async (req, res) => {
         progressService.updateProgress(jobId, 1, Math.round(((i + 1) / total) * 90), `Converting ${path.basename(f)}`);
         const code = await fs.readFile(f, 'utf8');
         const detected = idmcConversionService.analyzeSqlContent(code);
-        const idmcSummary = detected === 'redshift'
-          ? await idmcConversionService.convertRedshiftToIDMC(code, path.basename(f), 'sql')
-          : await idmcConversionService.convertOracleToIDMC(code, path.basename(f), 'sql');
+        const idmcSummary = await idmcConversionService.convertSourceToIDMC(code, path.basename(f), detected, 'sql');
         const outName = idmcConversionService.getIDMCFileName(path.relative(extractedPath, f), 'sql');
       const idmcPath = config.paths.idmc || path.resolve('./idmc_output');
         const outPath = path.join(idmcPath, outName);
@@ -791,7 +795,9 @@ const handleConvertAutoToIDMC = async (req, res) => {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
     const zipFileName = `auto_idmc_summaries_${timestamp}.zip`;
     const zipPath = path.join(outputPath, zipFileName);
-    await createIDMCZipFile(idmcFiles, zipPath);
+    await createIDMCZipFile(idmcFiles, zipPath, {
+      reviewFiles: reviewReport ? reviewReportService.fromConvertedFiles(convertedFiles, 'idmc') : null
+    });
     progressService.updateProgress(jobId, 2, 100, 'Final package created');
 
     const result = {
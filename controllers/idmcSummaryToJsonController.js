@@ -1,5 +1,10 @@
 const idmcConversionService = require('../services/idmcConversionService');
 const progressService = require('../services/progressService');
+const checkpointService = require('../services/checkpointService');
+const conversionCacheService = require('../services/conversionCacheService');
+const idmcMappingValidationService = require('../services/idmcMappingValidationService');
+const idmcMappingTemplateService = require('../services/idmcMappingTemplateService');
+const idmcSummaryModelService = require('../services/idmcSummaryModelService');
 const fs = require('fs-extra');
 const path = require('path');
 const unzipper = require('unzipper');
@@ -10,6 +15,7 @@ const archiver = require('archiver');
 const { Worker } = require('worker_threads');
 const config = require('../config');
 const { assertPathUnder } = require('../utils/pathUtils');
+const { acceptAsyncJob } = require('../utils/asyncJob');
 const { createModuleLogger } = require('../utils/logger');
 const log = createModuleLogger('controllers/idmcSummaryToJsonController');
 
@@ -51,15 +57,34 @@ async function findIdmcSummaryFiles(directory) {
 }
 
 // Convert IDMC summary files to JSON using worker threads (for ZIP)
-async function convertIdmcSummaryFilesWithWorkers(extractedPath, files, jobId) {
-  const maxWorkers = Math.min(8, files.length || 0);
-  if (maxWorkers === 0) {
+// options.checkpoints: Map of relativePath -> worker result from an earlier attempt (those files are skipped)
+async function convertIdmcSummaryFilesWithWorkers(extractedPath, files, jobId, options = {}) {
+  if (files.length === 0) {
     return { idmcJsonFiles: [], convertedFiles: [] };
   }
 
+  // Files converted by an earlier attempt are reused from their checkpoints
+  const checkpoints = options.checkpoints || new Map();
+  const resumedResults = [];
+  const pendingFiles = files.filter(file => {
+    const checkpoint = checkpoints.get(path.relative(extractedPath, file));
+    if (checkpoint) {
+      resumedResults.push({ success: true, ...checkpoint });
+      return false;
+    }
+    return true;
+  });
+  if (resumedResults.length > 0) {
+    log.info(`♻️ Reusing ${resumedResults.length} checkpointed files, converting ${pendingFiles.length}`);
+  }
+
+  const maxWorkers = Math.min(8, pendingFiles.length);
   const workers = [];
-  const fileQueue = [...files];
-  const results = [];
+  const fileQueue = [...pendingFiles];
+  const results = [...resumedResults];
+  const checkpointWrites = [];
+  let cancelled = false;
+  let unsubscribeCancel = () => {};
 
   const startNext = (worker) => {
     if (fileQueue.length === 0) {
@@ -67,10 +92,14 @@ async function convertIdmcSummaryFilesWithWorkers(extractedPath, files, jobId) {
       return;
     }
     const nextFile = fileQueue.shift();
+    worker.currentFile = nextFile;
     worker.postMessage({ filePath: nextFile, extractedPath });
   };
 
   await new Promise((resolve, reject) => {
+    if (maxWorkers === 0) {
+      return resolve();
+    }
     let active = 0;
     for (let i = 0; i < maxWorkers; i++) {
       const worker = new Worker(path.join(__dirname, '..', 'workers', 'idmcSummaryToJsonWorker.js'));
@@ -78,11 +107,15 @@ async function convertIdmcSummaryFilesWithWorkers(extractedPath, files, jobId) {
       active++;
 
       worker.on('message', (msg) => {
+        const relativePath = path.relative(extractedPath, worker.currentFile);
         if (msg && msg.success) {
           const r = msg.result;
           results.push({ success: true, ...r });
+          checkpointWrites.push(progressService.checkpointFile(jobId, relativePath, r));
         } else {
-          results.push({ success: false, error: msg && msg.error ? msg.error : 'Unknown worker error' });
+          const failed = { success: false, original: relativePath, error: msg && msg.error ? msg.error : 'Unknown worker error' };
+          results.push(failed);
+          checkpointWrites.push(progressService.checkpointFile(jobId, relativePath, failed));
         }
 
         // Progress update: based on results length vs total files
@@ -99,7 +132,7 @@ async function convertIdmcSummaryFilesWithWorkers(extractedPath, files, jobId) {
       });
 
       worker.on('error', (err) => {
-        results.push({ success: false, error: err.message });
+        results.push({ success: false, original: path.relative(extractedPath, worker.currentFile), error: err.message });
         if (fileQueue.length > 0) {
           startNext(worker);
         } else {
@@ -111,7 +144,18 @@ async function convertIdmcSummaryFilesWithWorkers(extractedPath, files, jobId) {
 
       startNext(worker);
     }
+
+    // Cancellation: drain the queue and stop in-flight workers; finished results are kept
+    unsubscribeCancel = progressService.onCancel(jobId, () => {
+      cancelled = true;
+      fileQueue.length = 0;
+      workers.forEach(worker => worker.terminate());
+      log.warn(`🛑 Job ${jobId} cancelled - stopped workers after ${results.length}/${files.length} files`);
+      resolve();
+    });
   });
+  unsubscribeCancel();
+  await Promise.all(checkpointWrites);
 
   // Build outputs
   const idmcJsonFiles = [];
@@ -132,11 +176,13 @@ async function convertIdmcSummaryFilesWithWorkers(extractedPath, files, jobId) {
         converted: r.converted,
         jsonContent: r.jsonContent,
         originalContent: r.originalContent,
+        validation: r.validation,
+        conversionMethod: r.conversionMethod,
         success: true
       });
     } else {
       convertedFiles.push({
-        original: null,
+        original: r.original || null,
         converted: null,
         jsonContent: null,
         success: false,
@@ -149,7 +195,10 @@ async function convertIdmcSummaryFilesWithWorkers(extractedPath, files, jobId) {
   idmcJsonFiles.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' }));
   convertedFiles.sort((a, b) => (a.original || '').localeCompare(b.original || '', undefined, { numeric: true, sensitivity: 'base' }));
 
-  return { idmcJsonFiles, convertedFiles };
+  const cache = conversionCacheService.summarize(results.slice(resumedResults.length).map(r => r.cache));
+  const validation = idmcMappingValidationService.summarize(convertedFiles.map(f => f.validation));
+
+  return { idmcJsonFiles, convertedFiles, cache, validation, cancelled };
 }
 
 // Function to create zip file with IDMC JSON files
@@ -237,7 +286,15 @@ const handleConvertIdmcSummaryToJson = async (req, res) => {
       const inputFileName = actualFileName || 'input.md';
       
       // Convert the IDMC summary to JSON
-      const jsonContent = await idmcConversionService.convertIdmcSummaryToJson(actualSourceCode, inputFileName);
+      const cacheStats = { hits: 0, misses: 0 };
+      // Summaries in the standard layout (or summary model JSON) are converted by template; free-form text goes to the LLM
+      const summary = idmcSummaryModelService.toSummaryMarkdown(actualSourceCode);
+      const templated = idmcMappingTemplateService.generate(summary, inputFileName);
+      const generated = templated
+        ? templated.content
+        : await idmcConversionService.convertIdmcSummaryToJson(summary, inputFileName, { cacheStats });
+      // Structural check plus deterministic repair; the repaired mapping is what gets written
+      const { content: jsonContent, report: validation } = idmcMappingValidationService.check(generated, inputFileName);
       
       // Persist output artifacts
       const outputsRoot = config.paths.output;
@@ -307,7 +364,11 @@ const handleConvertIdmcSummaryToJson = async (req, res) => {
         fileName: inputFileName,
         originalContent: actualSourceCode,
         convertedContent: jsonContent,
-        outputFiles: outputFiles
+        outputFiles: outputFiles,
+        conversionMethod: templated ? 'template' : 'llm',
+        importReady: validation.importReady,
+        validation,
+        cache: conversionCacheService.summarize([cacheStats])
       });
     }
     
@@ -378,12 +439,20 @@ const handleConvertIdmcSummaryToJson = async (req, res) => {
       return res.status(400).json({ error: e.message });
     }
     
-    // Create job ID
+    // Create job ID; retries (POST /api/jobs/:jobId/retry) resume their job and reuse its checkpointed files
     const baseZipName = path.basename(actualZipFilePath, path.extname(actualZipFilePath));
-    jobId = `idmc_summary_json_${baseZipName}`;
+    const resume = Boolean(req.resumeJobId);
+    jobId = resume ? req.resumeJobId : progressService.createJobId(`idmc_summary_json_${baseZipName}`);
     
     // Create progress tracking job
-    const job = progressService.createJob(jobId);
+    const job = progressService.createJob(jobId, { type: 'idmc-summary-json', user: req.user });
+    res = acceptAsyncJob(req, res, jobId);
+    await checkpointService.startJob(jobId, {
+      kind: 'idmc-summary-json',
+      request: { zipFilePath: actualZipFilePath, outputFormat: req.body.outputFormat, customFileName: req.body.customFileName },
+      submittedBy: job.submittedBy
+    }, { resume });
+    const checkpoints = resume ? await checkpointService.loadFiles(jobId) : new Map();
     log.info(`🚀 Starting IDMC Summary → JSON conversion job: ${jobId}`);
     log.info(`📁 Processing zip file: ${actualZipFilePath}`);
     
@@ -441,7 +510,7 @@ const handleConvertIdmcSummaryToJson = async (req, res) => {
     log.info('🔄 Starting IDMC Summary → JSON conversion...');
     progressService.updateProgress(jobId, 1, 10, 'Starting IDMC Summary → JSON conversion...');
     
-    const conversionResult = await convertIdmcSummaryFilesWithWorkers(extractedPath, sortedFiles, jobId);
+    const conversionResult = await convertIdmcSummaryFilesWithWorkers(extractedPath, sortedFiles, jobId, { checkpoints });
     progressService.updateProgress(jobId, 1, 100, 'Conversion complete');
     log.info(`✅ Conversion complete: ${conversionResult.convertedFiles.filter(f => f.success).length}/${totalFiles} files converted`);
     
@@ -495,14 +564,21 @@ const handleConvertIdmcSummaryToJson = async (req, res) => {
         fileName: f.original || f.converted || 'unknown',
         originalContent: f.originalContent || '',
         convertedContent: f.jsonContent || '',
-        success: f.success !== false
+        success: f.success !== false,
+        conversionMethod: f.success !== false ? f.conversionMethod : undefined,
+        importReady: f.validation ? f.validation.importReady : false,
+        validation: f.validation
       })),
       processing: {
         totalFiles: totalFiles,
         processedFiles: conversionResult.convertedFiles.filter(f => f.success).length,
         failedFiles: conversionResult.convertedFiles.filter(f => !f.success).length,
-        successRate: totalFiles > 0 ? Math.round((conversionResult.convertedFiles.filter(f => f.success).length / totalFiles) * 100) : 0
-      }
+        successRate: totalFiles > 0 ? Math.round((conversionResult.convertedFiles.filter(f => f.success).length / totalFiles) * 100) : 0,
+        convertedByTemplate: conversionResult.convertedFiles.filter(f => f.success && f.conversionMethod === 'template').length,
+        convertedByLlm: conversionResult.convertedFiles.filter(f => f.success && f.conversionMethod !== 'template').length
+      },
+      validation: conversionResult.validation,
+      cache: conversionResult.cache
     };
     
     progressService.completeJob(jobId, result);
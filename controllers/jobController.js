@@ -0,0 +1,194 @@
+const fs = require('fs-extra');
+const progressService = require('../services/progressService');
+const checkpointService = require('../services/checkpointService');
+const { handleUnifiedConvert } = require('./oracleConversionController');
+const { handleConvertIdmcSummaryToJson } = require('./idmcSummaryToJsonController');
+const { createModuleLogger } = require('../utils/logger');
+const log = createModuleLogger('controllers/jobController');
+
+// List jobs with optional filters (status, type, userId, from, to) and pagination
+const listJobs = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = parseInt(req.query.limit, 10) || 20;
+    const filters = {
+      status: req.query.status,
+      type: req.query.type,
+      userId: req.query.userId,
+      from: req.query.from,
+      to: req.query.to
+    };
+
+    // Non-admin users only see their own jobs
+    if (req.user && req.user.role !== 'admin') {
+      filters.userId = req.user.id ? String(req.user.id) : '__none__';
+    }
+
+    const { jobs, total } = await progressService.listJobs(filters, { page, limit });
+
+    res.status(200).json({
+      success: true,
+      jobs: jobs,
+      pagination: {
+        page: page,
+        limit: limit,
+        total: total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    log.error('Error listing jobs', { error: error.message });
+    res.status(500).json({
+      error: 'Error listing jobs',
+      details: error.message
+    });
+  }
+};
+
+// Get a single job, including jobs persisted before the last restart
+const getJob = async (req, res) => {
+  try {
+    const jobId = req.params.jobId;
+    const job = await progressService.findJob(jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found',
+        jobId: jobId
+      });
+    }
+
+    if (!progressService.canUserManageJob(job, req.user)) {
+      return res.status(403).json({
+        error: 'Not allowed to view this job',
+        jobId: jobId
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      job: job
+    });
+  } catch (error) {
+    log.error('Error getting job', { error: error.message });
+    res.status(500).json({
+      error: 'Error getting job',
+      details: error.message
+    });
+  }
+};
+
+// Cancel a running job: drains the file queue, terminates workers and packages partial outputs
+const cancelJob = async (req, res) => {
+  try {
+    const jobId = req.params.jobId;
+    const job = await progressService.findJob(jobId);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found',
+        jobId: jobId
+      });
+    }
+
+    if (!progressService.canUserManageJob(job, req.user)) {
+      return res.status(403).json({
+        error: 'Not allowed to cancel this job',
+        jobId: jobId
+      });
+    }
+
+    const cancelled = progressService.cancelJob(jobId, `Cancelled by ${req.user.email || 'user'}`);
+    if (!cancelled) {
+      return res.status(409).json({
+        error: 'Job is not running',
+        jobId: jobId,
+        status: job.status
+      });
+    }
+
+    log.info(`🛑 Job ${jobId} cancelled via API`);
+    res.status(200).json({
+      success: true,
+      message: 'Job cancellation requested; partial outputs will still be packaged',
+      job: cancelled
+    });
+  } catch (error) {
+    log.error('Error cancelling job', { error: error.message });
+    res.status(500).json({
+      error: 'Error cancelling job',
+      details: error.message
+    });
+  }
+};
+
+// Handlers that re-run a checkpointed zip job, by checkpoint manifest kind
+const RETRY_HANDLERS = {
+  unified: handleUnifiedConvert,
+  'idmc-summary-json': handleConvertIdmcSummaryToJson
+};
+
+// Re-run only the failed or missing files of a zip job and re-package its output zip
+const retryJob = async (req, res) => {
+  try {
+    const jobId = req.params.jobId;
+    const manifest = await checkpointService.loadManifest(jobId);
+
+    if (!manifest) {
+      return res.status(404).json({
+        error: 'No checkpoint found for job',
+        jobId: jobId
+      });
+    }
+
+    const job = await progressService.findJob(jobId);
+    if (!progressService.canUserManageJob(job || { submittedBy: manifest.submittedBy }, req.user)) {
+      return res.status(403).json({
+        error: 'Not allowed to retry this job',
+        jobId: jobId
+      });
+    }
+
+    if (job && ['pending', 'running'].includes(job.status)) {
+      return res.status(409).json({
+        error: 'Job is still running',
+        jobId: jobId,
+        status: job.status
+      });
+    }
+
+    const handler = RETRY_HANDLERS[manifest.kind];
+    if (!handler) {
+      return res.status(400).json({
+        error: `Retry is not supported for ${manifest.kind} jobs`,
+        jobId: jobId
+      });
+    }
+
+    if (!await fs.pathExists(manifest.request.zipFilePath)) {
+      return res.status(410).json({
+        error: 'Original zip file no longer exists',
+        jobId: jobId,
+        zipFilePath: manifest.request.zipFilePath
+      });
+    }
+
+    log.info(`🔁 Retrying job ${jobId} from checkpoints`);
+    req.body = { ...manifest.request, async: req.body && req.body.async };
+    req.resumeJobId = jobId;
+    return handler(req, res);
+  } catch (error) {
+    log.error('Error retrying job', { error: error.message });
+    res.status(500).json({
+      error: 'Error retrying job',
+      details: error.message
+    });
+  }
+};
+
+module.exports = {
+  listJobs,
+  getJob,
+  cancelJob,
+  retryJob
+};
@@ -0,0 +1,62 @@
+const lineageService = require('../services/lineageService');
+const fs = require('fs-extra');
+const { findFilesByExtension } = require('../utils/zipUtils');
+const { resolveSourceType, readSourceInput } = require('../utils/sourceInput');
+const { createModuleLogger } = require('../utils/logger');
+const log = createModuleLogger('controllers/lineageController');
+
+const SQL_EXTENSIONS = ['.sql', '.pls', '.pkg', '.prc', '.fnc', '.rs', '.redshift', '.sh', '.bat', '.ksh'];
+
+function sendReport(res, report, format, baseName) {
+  if (format === 'csv') {
+    res.type('text/csv');
+    res.set('Content-Disposition', `attachment; filename="${baseName}_lineage.csv"`);
+    return res.status(200).send(lineageService.toCsv(report.lineage));
+  }
+  return res.status(200).json({ success: true, ...report });
+}
+
+// Column-level lineage for a single SQL file or a zip of SQL files (?format / body.format = json|csv)
+const handleLineage = async (req, res) => {
+  let extractedPath = null;
+  try {
+    const { sourceType } = req.body;
+    const format = req.body.format || 'json';
+
+    const input = await readSourceInput(req.body, {
+      tempPrefix: 'lineage',
+      findFiles: dir => findFilesByExtension(dir, SQL_EXTENSIONS)
+    });
+    extractedPath = input.extractedPath;
+    if (extractedPath) {
+      log.info(`🧬 Deriving lineage for ${input.files.length} files from ${input.baseName}.zip`);
+    }
+
+    const results = [];
+    for (const { name, content } of input.files) {
+      const resolvedType = resolveSourceType(sourceType, name, content);
+      const lineage = await lineageService.extractLineage(content, name, { sourceType: resolvedType });
+      results.push({ fileName: name, sourceType: resolvedType, lineage });
+    }
+
+    const report = lineageService.buildReport(results);
+    return sendReport(res, report, format, input.baseName);
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ error: error.message, providedPath: error.providedPath });
+    }
+    log.error('Error deriving column lineage', { error: error.message, stack: error.stack });
+    return res.status(500).json({
+      error: 'Lineage extraction failed',
+      details: error.message
+    });
+  } finally {
+    if (extractedPath && await fs.pathExists(extractedPath)) {
+      await fs.remove(extractedPath);
+    }
+  }
+};
+
+module.exports = {
+  handleLineage
+};
@@ -1,6 +1,21 @@
 const oracleFileAnalysisService = require('../services/oracleFileAnalysisService');
 const oracleConversionService = require('../services/oracleConversionService');
+const redshiftConversionService = require('../services/redshiftConversionService');
+const dialectConversionService = require('../services/dialectConversionService');
 const progressService = require('../services/progressService');
+const checkpointService = require('../services/checkpointService');
+const conversionCacheService = require('../services/conversionCacheService');
+const dependencyGraphService = require('../services/dependencyGraphService');
+const snowflakeValidationService = require('../services/snowflakeValidationService');
+const idmcSummaryModelService = require('../services/idmcSummaryModelService');
+const lineageService = require('../services/lineageService');
+const reviewReportService = require('../services/reviewReportService');
+const dbtProjectService = require('../services/dbtProjectService');
+const oraclePackageService = require('../services/oraclePackageService');
+const oracleTriggerService = require('../services/oracleTriggerService');
+const oracleSequenceService = require('../services/oracleSequenceService');
+const oracleBuiltinCatalogService = require('../services/oracleBuiltinCatalogService');
+const chunkedConversionService = require('../services/chunkedConversionService');
 const jwtUtils = require('../utils/jwtUtils');
 const fs = require('fs-extra');
 const path = require('path');
@@ -13,6 +28,8 @@ const { Worker } = require('worker_threads');
 const progressEmitter = require('../websocket/progressEmitter');
 const config = require('../config');
 const { assertPathUnder } = require('../utils/pathUtils');
+const { findFilesByExtension } = require('../utils/zipUtils');
+const { acceptAsyncJob } = require('../utils/asyncJob');
 const { createModuleLogger } = require('../utils/logger');
 const log = createModuleLogger('controllers/oracleConversionController');
 
@@ -29,13 +46,52 @@ async function getFileSize(filePath) {
   }
 }
 
+// deploy_order.sql for the Snowflake zip: converted files in dependency order
+function buildDeployOrderFile(analysis, conversionResult, setupFiles = []) {
+  return {
+    name: 'deploy_order.sql',
+    content: dependencyGraphService.buildDeployOrderScript(analysis.graph, conversionResult.convertedFiles, setupFiles)
+  };
+}
+
+// Source dialect of a Snowflake conversion; only an explicit sourceType leaves the Oracle path
+function resolveSnowflakeSource(sourceType) {
+  return sourceType === 'redshift' || dialectConversionService.isSupported(sourceType) ? sourceType : 'oracle';
+}
+
+// Whether to run the LLM repair pass: an explicit boolean from the request, else the configured default
+function resolveRepair(repair) {
+  return repair !== undefined ? repair === true : config.validation.repairEnabled;
+}
+
+// Build a dbt project from Oracle files and package it as dbt_<project>_<timestamp>.zip in the output folder
+async function writeDbtProjectZip(files, analysis, projectName, options = {}) {
+  const project = await dbtProjectService.buildProject(files, analysis, { ...options, projectName });
+  const outputPath = config.paths.output;
+  await fs.ensureDir(outputPath);
+  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const zipFilename = `dbt_${projectName}_${timestamp}.zip`;
+  const zipFilePath = path.join(outputPath, zipFilename);
+  await createSnowflakeZipFile(project.files, zipFilePath);
+  return { zipFilename, zipFilePath: path.resolve(zipFilePath), project };
+}
+
 // Oracle to Snowflake conversion function using worker threads
-async function convertOracleFilesWithWorkers(extractedPath, analysis, jobId) {
+// options.checkpoints: Map of relativePath -> worker result from an earlier attempt (those files are skipped)
+// options.repair: run one LLM repair pass on output that fails validation (defaults to config)
+// options.sourceType: 'oracle' (default), 'redshift', 'tsql' or 'teradata'; picks the files and the conversion path in the worker
+// options.procedureStyle: 'javascript' or 'sql' (Snowflake Scripting) procedures for Oracle sources (defaults to config)
+async function convertOracleFilesWithWorkers(extractedPath, analysis, jobId, options = {}) {
   const convertedFiles = [];
+  const repair = resolveRepair(options.repair);
+  const sourceType = resolveSnowflakeSource(options.sourceType);
+  const procedureStyle = options.procedureStyle || config.snowflake.procedureStyle;
   const snowflakeFiles = [];
   
-  // Find all Oracle files and sort them by name for consistent ordering
-  const oracleFiles = await oracleConversionService.findOracleFiles(extractedPath);
+  // Find all source files and sort them by name for consistent ordering
+  const oracleFiles = sourceType === 'oracle'
+    ? await oracleConversionService.findOracleFiles(extractedPath)
+    : await findFilesByExtension(extractedPath, oracleFileAnalysisService.getFileExtensions(sourceType));
   const sortedOracleFiles = oracleFiles.sort((a, b) => {
     const nameA = path.basename(a);
     const nameB = path.basename(b);
@@ -59,18 +115,34 @@ async function convertOracleFilesWithWorkers(extractedPath, analysis, jobId) {
     };
   }
   
+  // Files converted by an earlier attempt are reused from their checkpoints
+  const checkpoints = options.checkpoints || new Map();
+  const resumedResults = [];
+  const pendingFiles = sortedOracleFiles.filter(file => {
+    const checkpoint = checkpoints.get(path.relative(extractedPath, file));
+    if (checkpoint) {
+      resumedResults.push(checkpoint);
+      return false;
+    }
+    return true;
+  });
+  if (resumedResults.length > 0) {
+    log.info(`♻️ Reusing ${resumedResults.length} checkpointed files, converting ${pendingFiles.length}`);
+  }
+  
   // Use workers for all file counts - they're more efficient
-  log.info(`📝 Processing ${totalFiles} files using worker threads`);
+  log.info(`📝 Processing ${pendingFiles.length} files using worker threads`);
   
   // Create converted directory
   const convertedPath = config.paths.output || './converted';
   await fs.ensureDir(convertedPath);
   
   // Process files in parallel using worker threads
-  const maxWorkers = Math.min(8, totalFiles); // Use up to 8 workers
+  const maxWorkers = Math.min(8, pendingFiles.length); // Use up to 8 workers
   const workers = [];
-  const fileQueue = [...sortedOracleFiles];
-  const results = [];
+  const fileQueue = [...pendingFiles];
+  const results = [...resumedResults];
+  const checkpointWrites = [];
   
   log.info(`Starting ${maxWorkers} worker threads for parallel processing`);
   
@@ -83,9 +155,11 @@ async function convertOracleFilesWithWorkers(extractedPath, analysis, jobId) {
     log.info(`🔧 Created Worker ${worker.workerId}`);
     
     worker.on('message', (result) => {
+      const relativePath = path.relative(extractedPath, worker.currentFile);
       if (result.success) {
         log.info(`✅ Worker ${worker.workerId} completed: ${result.result.converted} (${results.length + 1}/${totalFiles})`);
         results.push(result.result);
+        checkpointWrites.push(progressService.checkpointFile(jobId, relativePath, result.result));
         
         // Update progress
         const progress = Math.round((results.length / totalFiles) * 90);
@@ -95,10 +169,14 @@ async function convertOracleFilesWithWorkers(extractedPath, analysis, jobId) {
         if (fileQueue.length > 0) {
           const nextFile = fileQueue.shift();
           log.info(`🔄 Worker ${worker.workerId} processing next file: ${path.basename(nextFile)}`);
+          worker.currentFile = nextFile;
           worker.postMessage({
             filePath: nextFile,
             extractedPath: extractedPath,
-            convertedPath: convertedPath
+            convertedPath: convertedPath,
+            repair,
+            procedureStyle,
+            sourceType
           });
         } else {
           log.info(`🏁 Worker ${worker.workerId} finished all assigned files`);
@@ -106,21 +184,27 @@ async function convertOracleFilesWithWorkers(extractedPath, analysis, jobId) {
         }
       } else {
         log.error(`❌ Worker ${worker.workerId} error: ${result.error}`);
-        results.push({
-          original: 'unknown',
+        const failed = {
+          original: relativePath,
           converted: null,
           success: false,
           error: result.error
-        });
+        };
+        results.push(failed);
+        checkpointWrites.push(progressService.checkpointFile(jobId, relativePath, failed));
         
         // Process next file if available
         if (fileQueue.length > 0) {
           const nextFile = fileQueue.shift();
           log.info(`🔄 Worker ${worker.workerId} retrying with next file: ${path.basename(nextFile)}`);
+          worker.currentFile = nextFile;
           worker.postMessage({
             filePath: nextFile,
             extractedPath: extractedPath,
-            convertedPath: convertedPath
+            convertedPath: convertedPath,
+            repair,
+            procedureStyle,
+            sourceType
           });
         } else {
           log.info(`🏁 Worker ${worker.workerId} finished all assigned files`);
@@ -138,16 +222,29 @@ async function convertOracleFilesWithWorkers(extractedPath, analysis, jobId) {
     });
   }
   
+  // Cancellation: drain the queue and stop in-flight workers; finished results are kept
+  let cancelled = false;
+  const unsubscribeCancel = progressService.onCancel(jobId, () => {
+    cancelled = true;
+    fileQueue.length = 0;
+    workers.forEach(worker => worker.terminate());
+    log.warn(`🛑 Job ${jobId} cancelled - stopped workers after ${results.length}/${totalFiles} files`);
+  });
+  
   // Start processing files
   log.info(`🚀 Starting ${Math.min(maxWorkers, fileQueue.length)} workers with initial files...`);
   log.info(`📊 Queue status: ${fileQueue.length} files remaining`);
   for (let i = 0; i < Math.min(maxWorkers, fileQueue.length); i++) {
     const file = fileQueue.shift();
     log.info(`🔄 Worker ${i + 1} starting with: ${path.basename(file)}`);
+    workers[i].currentFile = file;
     workers[i].postMessage({
       filePath: file,
       extractedPath: extractedPath,
-      convertedPath: convertedPath
+      convertedPath: convertedPath,
+      repair,
+      procedureStyle,
+      sourceType
     });
   }
   
@@ -162,7 +259,10 @@ async function convertOracleFilesWithWorkers(extractedPath, analysis, jobId) {
     }, 600000); // 10 minute timeout
     
     const checkCompletion = () => {
-      if (results.length === totalFiles) {
+      if (cancelled) {
+        clearTimeout(timeout);
+        resolve();
+      } else if (results.length === totalFiles) {
         clearTimeout(timeout);
         const endTime = Date.now();
         const duration = (endTime - startTime) / 1000;
@@ -178,7 +278,8 @@ async function convertOracleFilesWithWorkers(extractedPath, analysis, jobId) {
     log.error('❌ Worker processing failed', { error: error.message });
     workers.forEach(worker => worker.terminate());
     throw error; // Re-throw the error instead of falling back
-  });
+  }).finally(unsubscribeCancel);
+  await Promise.all(checkpointWrites);
   
   // Process results
   for (const result of results) {
@@ -224,7 +325,13 @@ async function convertOracleFilesWithWorkers(extractedPath, analysis, jobId) {
     snowflakeFiles,
     totalConverted: convertedFiles.filter(f => f.success).length,
     totalFiles: totalFiles,
-    errors: convertedFiles.filter(f => !f.success)
+    errors: convertedFiles.filter(f => !f.success),
+    convertedByRules: convertedFiles.filter(f => f.success && f.conversionMethod === 'rules').length,
+    convertedByLlm: convertedFiles.filter(f => f.success && f.conversionMethod !== 'rules').length,
+    // Checkpointed files made no cache lookups in this run
+    cache: conversionCacheService.summarize(results.slice(resumedResults.length).map(r => r.cache)),
+    validation: snowflakeValidationService.summarize(convertedFiles),
+    cancelled
   };
 }
 
@@ -380,11 +487,12 @@ async function convertOracleFilesWithProgress(extractedPath, analysis, jobId) {
 // Test function that uses a sample Oracle zip file
 const handleTestConversion = async (req, res) => {
   let extractedPath = null;
-  const jobId = `test_oracle_migration`;
+  const jobId = progressService.createJobId('test_oracle_migration');
+  const reviewReport = config.review.reportEnabled;
   
   try {
     // Create progress tracking job
-    const job = progressService.createJob(jobId);
+    progressService.createJob(jobId, { type: 'oracle-snowflake', user: req.user });
     log.info(`🚀 Starting test Oracle → Snowflake migration job: ${jobId}`);
     
     // Use the sample Oracle zip file we created
@@ -431,6 +539,7 @@ const handleTestConversion = async (req, res) => {
     log.info('🔍 Analyzing Oracle project...');
     progressService.updateProgress(jobId, 0, 50, 'Analyzing Oracle project...');
     const analysis = await oracleFileAnalysisService.analyzeOracleProjectFromDirectory(extractedPath);
+    progressService.updateJob(jobId, { dependencyGraph: analysis.graph });
     progressService.updateProgress(jobId, 0, 100, 'Analysis complete');
     log.info(`✅ Analysis complete: ${analysis.totalFiles} Oracle files found`);
     
@@ -466,7 +575,13 @@ const handleTestConversion = async (req, res) => {
     const zipPath = path.join(outputPath, zipFileName);
     
     // Create zip file with converted Snowflake files
-    await createSnowflakeZipFile(conversionResult.snowflakeFiles, zipPath);
+    await createSnowflakeZipFile([
+      ...conversionResult.snowflakeFiles,
+      buildDeployOrderFile(analysis, conversionResult),
+      snowflakeValidationService.buildReport(conversionResult.convertedFiles)
+    ], zipPath, {
+      reviewFiles: reviewReport ? reviewReportService.fromConvertedFiles(conversionResult.convertedFiles, 'snowflake') : null
+    });
     progressService.updateProgress(jobId, 2, 100, 'Final package created');
     
     // Verify the zip file was created
@@ -515,9 +630,13 @@ const handleTestConversion = async (req, res) => {
         totalConverted: conversionResult.totalConverted,
         totalFiles: conversionResult.totalFiles,
         successRate: Math.round((conversionResult.totalConverted / conversionResult.totalFiles) * 100),
+        convertedByRules: conversionResult.convertedByRules || 0,
+        convertedByLlm: conversionResult.convertedByLlm || 0,
         convertedFiles: conversionResult.convertedFiles,
         errors: conversionResult.errors
       },
+      cache: conversionResult.cache,
+      validation: conversionResult.validation,
       zipFilename: zipFileName
     };
     
@@ -557,7 +676,7 @@ const handleConvert = async (req, res) => {
   let jobId = null;
   
   try {
-    const { zipFilePath, sourceCode, fileName } = req.body;
+    const { zipFilePath, sourceCode, fileName, reviewReport = config.review.reportEnabled } = req.body;
     
     // Handle direct code input if provided
     if (sourceCode) {
@@ -633,10 +752,10 @@ const handleConvert = async (req, res) => {
     
     // Create job ID based on zip base name
     const zipBaseName = path.basename(zipFilePath, path.extname(zipFilePath));
-    jobId = `convert_${zipBaseName}`;
+    jobId = progressService.createJobId(`convert_${zipBaseName}`);
     
     // Create progress tracking job
-    const job = progressService.createJob(jobId);
+    progressService.createJob(jobId, { type: 'oracle-snowflake', user: req.user });
     log.info(`🚀 Starting Oracle → Snowflake conversion job: ${jobId}`);
     log.info(`📁 Processing zip file: ${zipFilePath}`);
     
@@ -673,6 +792,7 @@ const handleConvert = async (req, res) => {
     log.info('🔍 Analyzing Oracle project...');
     progressService.updateProgress(jobId, 0, 50, 'Analyzing Oracle project...');
     const analysis = await oracleFileAnalysisService.analyzeOracleProjectFromDirectory(extractedPath);
+    progressService.updateJob(jobId, { dependencyGraph: analysis.graph });
     progressService.updateProgress(jobId, 0, 100, 'Analysis complete');
     log.info(`✅ Analysis complete: ${analysis.totalFiles} Oracle files found`);
     
@@ -708,7 +828,13 @@ const handleConvert = async (req, res) => {
     const zipPath = path.join(outputPath, zipFileName);
     
     // Create zip file with converted Snowflake files
-    await createSnowflakeZipFile(conversionResult.snowflakeFiles, zipPath);
+    await createSnowflakeZipFile([
+      ...conversionResult.snowflakeFiles,
+      buildDeployOrderFile(analysis, conversionResult),
+      snowflakeValidationService.buildReport(conversionResult.convertedFiles)
+    ], zipPath, {
+      reviewFiles: reviewReport ? reviewReportService.fromConvertedFiles(conversionResult.convertedFiles, 'snowflake') : null
+    });
     progressService.updateProgress(jobId, 2, 100, 'Final package created');
     
     // Verify the zip file was created
@@ -744,14 +870,19 @@ const handleConvert = async (req, res) => {
         fileName: f.original || f.converted || 'unknown',
         originalContent: f.oracleContent || '',
         convertedContent: f.snowflakeContent || '',
-        success: f.success !== false
+        success: f.success !== false,
+        valid: f.validation ? f.validation.valid : undefined,
+        diagnostics: f.validation ? f.validation.diagnostics : []
       })),
       processing: {
         totalFiles: conversionResult.totalFiles,
         processedFiles: conversionResult.totalConverted,
         failedFiles: conversionResult.errors ? conversionResult.errors.length : 0,
-        successRate: conversionResult.totalFiles > 0 ? Math.round((conversionResult.totalConverted / conversionResult.totalFiles) * 100) : 0
+        successRate: conversionResult.totalFiles > 0 ? Math.round((conversionResult.totalConverted / conversionResult.totalFiles) * 100) : 0,
+        convertedByRules: conversionResult.convertedByRules || 0,
+        convertedByLlm: conversionResult.convertedByLlm || 0
       },
+      validation: conversionResult.validation,
       analysis: {
         totalFiles: analysis.totalFiles,
         sqlFiles: analysis.sqlFiles,
@@ -767,7 +898,8 @@ const handleConvert = async (req, res) => {
         sequences: analysis.sequences.length,
         dependencies: analysis.dependencies.length,
         plsqlFilesList: analysis.plsqlFilesList
-      }
+      },
+      cache: conversionResult.cache
     };
     
     progressService.completeJob(jobId, result);
@@ -802,7 +934,8 @@ const handleConvert = async (req, res) => {
 };
 
 // Function to create zip file with Snowflake converted files
-async function createSnowflakeZipFile(snowflakeFiles, zipPath) {
+// options.reviewFiles: reviewReportService.fromConvertedFiles(...) entries; adds review_report.html
+async function createSnowflakeZipFile(snowflakeFiles, zipPath, options = {}) {
   return new Promise((resolve, reject) => {
     const output = fs.createWriteStream(zipPath);
     const archive = archiver('zip', { zlib: { level: 9 } });
@@ -826,6 +959,12 @@ async function createSnowflakeZipFile(snowflakeFiles, zipPath) {
         console.log(`📄 Added to zip: ${file.name}`);
       }
     }
+
+    if (options.reviewFiles) {
+      const review = reviewReportService.buildZipEntry(options.reviewFiles);
+      archive.append(review.content, { name: review.name });
+      log.info(`📄 Added to zip: ${review.name}`);
+    }
     
     archive.finalize();
   });
@@ -835,7 +974,7 @@ async function createSnowflakeZipFile(snowflakeFiles, zipPath) {
 const getProgress = async (req, res) => {
   try {
     const jobId = req.params.jobId;
-    const job = progressService.getJob(jobId);
+    const job = await progressService.findJob(jobId);
     
     if (!job) {
       return res.status(404).json({ 
@@ -843,6 +982,13 @@ const getProgress = async (req, res) => {
         jobId: jobId
       });
     }
+
+    if (!progressService.canUserManageJob(job, req.user)) {
+      return res.status(403).json({
+        error: 'Not allowed to view this job',
+        jobId: jobId
+      });
+    }
     
     res.status(200).json({
       success: true,
@@ -1038,7 +1184,7 @@ async function findSqlLikeFiles(directory) {
         await scanDir(fullPath);
       } else if (entry.isFile()) {
         const ext = path.extname(entry.name).toLowerCase();
-        if ([".sql", ".pls", ".pkg", ".prc", ".fnc", ".rs", ".redshift"].includes(ext)) {
+        if ([".sql", ".pls", ".pkg", ".prc", ".fnc", ".rs", ".redshift", ".tsql", ".btq", ".bteq", ".tdsql"].includes(ext)) {
           files.push(fullPath);
         }
       }
@@ -1049,15 +1195,34 @@ async function findSqlLikeFiles(directory) {
 }
 
 // IDMC conversion using worker threads (for ZIP unified flow)
-async function convertIDMCFilesWithWorkers(extractedPath, files, jobId) {
-  const maxWorkers = Math.min(8, files.length || 0);
-  if (maxWorkers === 0) {
+// options.checkpoints: Map of relativePath -> worker result from an earlier attempt (those files are skipped)
+async function convertIDMCFilesWithWorkers(extractedPath, files, jobId, options = {}) {
+  if (files.length === 0) {
     return { idmcFiles: [], convertedFiles: [] };
   }
 
+  // Files converted by an earlier attempt are reused from their checkpoints
+  const checkpoints = options.checkpoints || new Map();
+  const resumedResults = [];
+  const pendingFiles = files.filter(file => {
+    const checkpoint = checkpoints.get(path.relative(extractedPath, file));
+    if (checkpoint) {
+      resumedResults.push({ success: true, ...checkpoint });
+      return false;
+    }
+    return true;
+  });
+  if (resumedResults.length > 0) {
+    log.info(`♻️ Reusing ${resumedResults.length} checkpointed files, converting ${pendingFiles.length}`);
+  }
+
+  const maxWorkers = Math.min(8, pendingFiles.length);
   const workers = [];
-  const fileQueue = [...files];
-  const results = [];
+  const fileQueue = [...pendingFiles];
+  const results = [...resumedResults];
+  const checkpointWrites = [];
+  let cancelled = false;
+  let unsubscribeCancel = () => {};
 
   const startNext = (worker) => {
     if (fileQueue.length === 0) {
@@ -1065,10 +1230,14 @@ async function convertIDMCFilesWithWorkers(extractedPath, files, jobId) {
       return;
     }
     const nextFile = fileQueue.shift();
+    worker.currentFile = nextFile;
     worker.postMessage({ filePath: nextFile, extractedPath });
   };
 
   await new Promise((resolve, reject) => {
+    if (maxWorkers === 0) {
+      return resolve();
+    }
     let active = 0;
     for (let i = 0; i < maxWorkers; i++) {
       const worker = new Worker(path.join(__dirname, '..', 'workers', 'idmcConversionWorker.js'));
@@ -1076,11 +1245,15 @@ async function convertIDMCFilesWithWorkers(extractedPath, files, jobId) {
       active++;
 
       worker.on('message', (msg) => {
+        const relativePath = path.relative(extractedPath, worker.currentFile);
         if (msg && msg.success) {
           const r = msg.result;
           results.push({ success: true, ...r });
+          checkpointWrites.push(progressService.checkpointFile(jobId, relativePath, r));
         } else {
-          results.push({ success: false, error: msg && msg.error ? msg.error : 'Unknown worker error' });
+          const failed = { success: false, original: relativePath, error: msg && msg.error ? msg.error : 'Unknown worker error' };
+          results.push(failed);
+          checkpointWrites.push(progressService.checkpointFile(jobId, relativePath, failed));
         }
 
         // Progress update: based on results length vs total files
@@ -1097,7 +1270,7 @@ async function convertIDMCFilesWithWorkers(extractedPath, files, jobId) {
       });
 
       worker.on('error', (err) => {
-        results.push({ success: false, error: err.message });
+        results.push({ success: false, original: path.relative(extractedPath, worker.currentFile), error: err.message });
         if (fileQueue.length > 0) {
           startNext(worker);
         } else {
@@ -1109,7 +1282,18 @@ async function convertIDMCFilesWithWorkers(extractedPath, files, jobId) {
 
       startNext(worker);
     }
+
+    // Cancellation: drain the queue and stop in-flight workers; finished results are kept
+    unsubscribeCancel = progressService.onCancel(jobId, () => {
+      cancelled = true;
+      fileQueue.length = 0;
+      workers.forEach(worker => worker.terminate());
+      log.warn(`🛑 Job ${jobId} cancelled - stopped workers after ${results.length}/${files.length} files`);
+      resolve();
+    });
   });
+  unsubscribeCancel();
+  await Promise.all(checkpointWrites);
 
   // Build outputs
   const idmcFiles = [];
@@ -1121,13 +1305,15 @@ async function convertIDMCFilesWithWorkers(extractedPath, files, jobId) {
 
   for (const r of results) {
     if (r.success) {
+      // Checkpoints written before the summary model existed only carry the markdown
+      const summaryModel = r.summaryModel || idmcSummaryModelService.fromMarkdown(r.idmcContent, { fileName: path.basename(r.original), sourceType: r.detectedType });
       const outPath = path.join(idmcOutRoot, r.converted);
       await fs.ensureDir(path.dirname(outPath));
       await fs.writeFile(outPath, r.idmcContent, 'utf8');
-      idmcFiles.push({ name: r.converted, content: r.idmcContent, fileType: r.detectedType });
-      convertedFiles.push({ original: r.original, converted: r.converted, idmcContent: r.idmcContent, detectedType: r.detectedType, originalContent: r.originalContent, success: true });
+      idmcFiles.push({ name: r.converted, content: r.idmcContent, summaryModel, fileType: r.detectedType });
+      convertedFiles.push({ original: r.original, converted: r.converted, idmcContent: r.idmcContent, summaryModel, detectedType: r.detectedType, originalContent: r.originalContent, chunks: r.chunks, truncated: r.truncated, success: true });
     } else {
-      convertedFiles.push({ original: null, converted: null, idmcContent: null, detectedType: null, success: false, error: r.error });
+      convertedFiles.push({ original: r.original || null, converted: null, idmcContent: null, detectedType: null, success: false, error: r.error });
     }
   }
 
@@ -1135,15 +1321,24 @@ async function convertIDMCFilesWithWorkers(extractedPath, files, jobId) {
   idmcFiles.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true, sensitivity: 'base' }));
   convertedFiles.sort((a, b) => (a.original || '').localeCompare(b.original || '', undefined, { numeric: true, sensitivity: 'base' }));
 
-  return { idmcFiles, convertedFiles };
+  // Checkpointed files made no cache lookups in this run
+  const cache = conversionCacheService.summarize(results.slice(resumedResults.length).map(r => r.cache));
+
+  return { idmcFiles, convertedFiles, cache, cancelled };
 }
 
-// Heuristic: detect Oracle vs Redshift using both file name and content
+// Heuristic: detect Oracle, Redshift, SQL Server or Teradata using both file name and content
 function detectSourceTypeFromNameAndContent(fileName, content, fallback = 'sql') {
   try {
     const name = (fileName || '').toLowerCase();
     const upper = (content || '').toUpperCase();
 
+    // SQL Server / Teradata first: their name hints and content cues are the most distinctive
+    const dialect = dialectConversionService.detectSourceType(fileName, content);
+    if (dialect) {
+      return dialect;
+    }
+
     // Strong filename hints
     if (/(redshift|rs_\b|\brs_|_rs\b|\bredshift\b)/i.test(fileName || '')) return 'redshift';
     if (/(oracle|plsql|pkg|pks|pkb)/i.test(fileName || '')) return 'oracle';
@@ -1179,12 +1374,18 @@ function detectSourceTypeFromNameAndContent(fileName, content, fallback = 'sql')
   }
 }
 
-// Unified convert handler: supports { inputType: 'zip'|'single', target: 'snowflake'|'idmc', sourceType?: 'oracle'|'redshift'|'auto' }
+// Unified convert handler: supports { inputType: 'zip'|'single', target: 'snowflake'|'idmc'|'dbt', sourceType?: 'oracle'|'redshift'|'tsql'|'teradata'|'auto' }
 const handleUnifiedConvert = async (req, res) => {
   let extractedPath = null;
   let jobId = null;
   try {
-    const { inputType, target, sourceType = 'auto', zipFilePath, filePath, sourceCode, fileName, outputFormat = 'json', customFileName } = req.body;
+    const { inputType, target, sourceType = 'auto', zipFilePath, filePath, sourceCode, fileName, outputFormat = 'json', customFileName,
+      repair, reviewReport = config.review.reportEnabled,
+      procedureStyle = config.snowflake.procedureStyle, sequenceValues } = req.body;
+
+    if (target === 'dbt' && !['oracle', 'auto'].includes(sourceType)) {
+      return res.status(400).json({ error: 'target dbt supports Oracle sources only', details: `sourceType ${sourceType} is not supported for dbt` });
+    }
 
     // Single-file conversions
     if (inputType === 'single') {
@@ -1224,25 +1425,94 @@ const handleUnifiedConvert = async (req, res) => {
         progressEmitter.emitJobCreated(jobIdSingle, { steps: [], createdAt: new Date() });
       } catch (_) {}
 
+      const cacheStats = { hits: 0, misses: 0 };
       if (target === 'snowflake') {
-        const convertedCode = await oracleConversionService.convertOracleCodeToSnowflake(actualSourceCode, baseName);
+        const snowflakeSource = resolveSnowflakeSource(sourceType);
+        const conversionInfo = {};
+        let rawCode;
+        if (snowflakeSource === 'redshift') {
+          rawCode = await redshiftConversionService.convertRedshiftToSnowflake(actualSourceCode, baseName, { cacheStats, conversionInfo });
+        } else if (snowflakeSource === 'oracle') {
+          rawCode = await oracleConversionService.convertOracleCodeToSnowflake(actualSourceCode, baseName, { cacheStats, conversionInfo, procedureStyle });
+        } else {
+          rawCode = await dialectConversionService.convertToSnowflake(actualSourceCode, baseName, snowflakeSource, { cacheStats, conversionInfo });
+        }
+        const { code: validatedCode, validation, repaired } = await snowflakeValidationService.validateAndRepair(rawCode, baseName, { repair: resolveRepair(repair), cacheStats });
+        const convertedCode = chunkedConversionService.markTruncated(validatedCode, conversionInfo.truncated);
         // Save .sql output - use customFileName if provided, otherwise use standard naming
         const outFileName = customFileName 
           ? (customFileName.endsWith('.sql') ? customFileName : `${customFileName}.sql`)
           : (baseName.endsWith('.sql') ? baseName.replace(/\.sql$/i, `_snowflake_${timestamp}.sql`) : `${baseName}_snowflake_${timestamp}.sql`);
         const outPath = path.join(outputsRoot, outFileName);
         await fs.writeFile(outPath, convertedCode, 'utf8');
+        const outputFiles = [{ name: outFileName, path: path.resolve(outPath), mime: 'text/sql', kind: 'single' }];
+        // Oracle sequences and identity columns also get the start-value sync script
+        const sequenceSync = snowflakeSource === 'oracle'
+          ? oracleSequenceService.buildSyncScript([{ file: actualFileName || baseName, code: actualSourceCode }], oracleSequenceService.parseValues(sequenceValues))
+          : null;
+        if (sequenceSync) {
+          const syncFileName = `${outFileName.replace(/\.sql$/i, '')}_sync_sequences.sql`;
+          await fs.writeFile(path.join(outputsRoot, syncFileName), sequenceSync.content, 'utf8');
+          outputFiles.push({ name: syncFileName, path: path.resolve(outputsRoot, syncFileName), mime: 'text/sql', kind: 'sync-sequences' });
+        }
+        const shimScript = snowflakeSource === 'oracle' ? oracleBuiltinCatalogService.buildShimScript([convertedCode]) : null;
+        if (shimScript) {
+          const shimFileName = `${outFileName.replace(/\.sql$/i, '')}_shims.sql`;
+          await fs.writeFile(path.join(outputsRoot, shimFileName), shimScript.content, 'utf8');
+          outputFiles.push({ name: shimFileName, path: path.resolve(outputsRoot, shimFileName), mime: 'text/sql', kind: 'shims' });
+        }
         try { progressEmitter.emitStepUpdate(jobIdSingle, 1, 90, 'Saving converted output'); } catch (_) {}
-        try { progressEmitter.emitJobCompleted(jobIdSingle, { outputFiles: [{ name: outFileName, path: path.resolve(outPath) }] }); } catch (_) {}
+        try {
+          progressEmitter.emitJobCompleted(jobIdSingle, { outputFiles: outputFiles.map(({ name, path: filePath }) => ({ name, path: filePath })) });
+        } catch (_) {
+          // Progress events are best-effort
+        }
         return res.status(200).json({
           success: true,
-          conversionType: 'oracle-to-snowflake',
+          conversionType: `${snowflakeSource}-to-snowflake`,
           fileName: customFileName || baseName,
           jsonContent: convertedCode,
           jobId: jobIdSingle,
+          outputFiles,
+          conversionMethod: conversionInfo.method,
+          rulesApplied: conversionInfo.rules,
+          procedureStyle: snowflakeSource === 'oracle' ? procedureStyle : undefined,
+          scriptingFixes: conversionInfo.scriptingFixes,
+          scriptingUnresolved: conversionInfo.scriptingUnresolved,
+          packages: conversionInfo.packages,
+          triggers: conversionInfo.triggers,
+          chunks: conversionInfo.chunks,
+          truncated: conversionInfo.truncated,
+          builtinCalls: conversionInfo.builtinCalls,
+          sequenceSync: sequenceSync ? sequenceSync.summary : undefined,
+          shims: shimScript ? shimScript.shims : undefined,
+          valid: validation.valid,
+          repaired,
+          diagnostics: validation.diagnostics,
+          cache: conversionCacheService.summarize([cacheStats])
+        });
+      }
+
+      if (target === 'dbt') {
+        const analysis = await oracleFileAnalysisService.analyzeOracleContent(actualSourceCode, baseName);
+        const projectName = dbtProjectService.getProjectName(customFileName || baseName);
+        const { zipFilename, zipFilePath, project } = await writeDbtProjectZip(
+          [{ path: baseName, content: actualSourceCode }], analysis, projectName, { cacheStats });
+        try { progressEmitter.emitJobCompleted(jobIdSingle, { outputFiles: [{ name: zipFilename, path: zipFilePath }] }); } catch (_) { /* progress events are best-effort */ }
+        return res.status(200).json({
+          success: true,
+          conversionType: 'oracle-to-dbt',
+          fileName: customFileName || baseName,
+          jobId: jobIdSingle,
+          zipFilename,
+          zipFilePath,
           outputFiles: [
-            { name: outFileName, path: path.resolve(outPath), mime: 'text/sql', kind: 'single' }
-          ]
+            { name: zipFilename, path: zipFilePath, mime: 'application/zip', kind: 'single' }
+          ],
+          models: project.models,
+          sources: project.sources,
+          unconverted: project.unconverted,
+          cache: conversionCacheService.summarize([cacheStats])
         });
       }
 
@@ -1258,9 +1528,13 @@ const handleUnifiedConvert = async (req, res) => {
         }
       }
 
-      const idmcSummary = resolvedType === 'redshift'
-        ? await idmcService.convertRedshiftToIDMC(actualSourceCode, name, 'sql')
-        : await idmcService.convertOracleToIDMC(actualSourceCode, name, 'sql');
+      const conversionInfo = {};
+      const rawSummary = await idmcService.convertSourceToIDMC(actualSourceCode, name, resolvedType, 'sql', { cacheStats, conversionInfo });
+      const summaryModel = idmcSummaryModelService.fromMarkdown(rawSummary, { fileName: name, sourceType: resolvedType });
+      if (conversionInfo.truncated) {
+        summaryModel.notes.unshift(chunkedConversionService.truncationNote(conversionInfo.truncated));
+      }
+      const idmcSummary = idmcSummaryModelService.toMarkdown(summaryModel);
 
       // Persist outputs per requested format
       const wantJson = outputFormat === 'json' || outputFormat === 'all';
@@ -1273,13 +1547,12 @@ const handleUnifiedConvert = async (req, res) => {
           ? (customFileName.endsWith('.json') ? customFileName : `${customFileName}.json`)
           : name.replace(/\.[^.]+$/g, `_IDMC_Summary_${timestamp}.json`);
         const jsonPath = path.join(outputsRoot, jsonName);
-        await fs.writeFile(jsonPath, idmcSummary, 'utf8');
+        await fs.writeFile(jsonPath, idmcSummaryModelService.toJson(summaryModel), 'utf8');
         outputFiles.push({ name: jsonName, path: path.resolve(jsonPath), mime: 'application/json', kind: 'single' });
       }
 
       if (wantDocx) {
-        const documentService = require('../services/documentService');
-        const docxBuf = await documentService.markdownToDocxBuffer(idmcSummary, name);
+        const docxBuf = await idmcSummaryModelService.toDocx(summaryModel);
         const docxName = customFileName 
           ? (customFileName.endsWith('.docx') ? customFileName : `${customFileName}.docx`)
           : name.replace(/\.[^.]+$/g, `_IDMC_Summary_${timestamp}.docx`);
@@ -1305,9 +1578,13 @@ const handleUnifiedConvert = async (req, res) => {
         conversionType: `${resolvedType}-to-idmc`,
         fileName: customFileName || name,
         jsonContent: idmcSummary,
+        summaryModel,
         originalContent: actualSourceCode,
         jobId: jobIdSingle,
-        outputFiles
+        outputFiles,
+        chunks: conversionInfo.chunks,
+        truncated: conversionInfo.truncated,
+        cache: conversionCacheService.summarize([cacheStats])
       });
     }
 
@@ -1340,7 +1617,10 @@ const handleUnifiedConvert = async (req, res) => {
         sourceCode: singleFileContent,
         fileName: singleFileName,
         outputFormat,
-        customFileName
+        customFileName,
+        repair,
+        procedureStyle,
+        sequenceValues
       };
       return handleUnifiedConvert(req, res);
     }
@@ -1353,13 +1633,24 @@ const handleUnifiedConvert = async (req, res) => {
     }
 
     const baseName = path.basename(actualZipFilePath, path.extname(actualZipFilePath));
-    jobId = `unified_${target}_${baseName}`;
-    const job = progressService.createJob(jobId);
+    // Retries (POST /api/jobs/:jobId/retry) resume their job and reuse its checkpointed files
+    const resume = Boolean(req.resumeJobId);
+    jobId = resume ? req.resumeJobId : progressService.createJobId(`unified_${target}_${baseName}`);
+    const job = progressService.createJob(jobId, { type: 'unified', user: req.user });
     try {
       const apiCtx = { method: req.method, path: req.originalUrl || req.url, endpoint: 'unified-convert' };
       require('../websocket').setJobContext(jobId, apiCtx);
     } catch (_) {}
     progressEmitter.emitJobCreated(jobId, job);
+    res = acceptAsyncJob(req, res, jobId);
+
+    await checkpointService.startJob(jobId, {
+      kind: 'unified',
+      request: { inputType: 'zip', target, sourceType, zipFilePath: actualZipFilePath, outputFormat: req.body.outputFormat, repair: req.body.repair, reviewReport: req.body.reviewReport, procedureStyle: req.body.procedureStyle, sequenceValues: req.body.sequenceValues },
+      submittedBy: job.submittedBy
+    }, { resume });
+    const checkpoints = resume ? await checkpointService.loadFiles(jobId) : new Map();
+
     progressService.updateProgress(jobId, 0, 5, 'Initializing conversion...');
     progressEmitter.emitStepUpdate(jobId, 0, 5, 'Initializing conversion...');
 
@@ -1381,14 +1672,57 @@ const handleUnifiedConvert = async (req, res) => {
       });
     }
 
-    if (target === 'snowflake') {
-      // Reuse existing Oracle->Snowflake flow
+    if (target === 'dbt') {
       progressService.updateProgress(jobId, 0, 30, 'Analyzing project...');
       progressEmitter.emitStepUpdate(jobId, 0, 30, 'Analyzing project...');
       const analysis = await oracleFileAnalysisService.analyzeOracleProjectFromDirectory(extractedPath);
+      const files = [];
+      for (const relativePath of analysis.analyzedFiles) {
+        files.push({ path: relativePath, content: await fs.readFile(path.join(extractedPath, relativePath), 'utf8') });
+      }
+
+      progressService.updateProgress(jobId, 1, 10, 'Building dbt models...');
+      progressEmitter.emitStepUpdate(jobId, 1, 10, 'Building dbt models...');
+      const cacheStats = { hits: 0, misses: 0 };
+      const { zipFilename, zipFilePath, project } = await writeDbtProjectZip(files, analysis, dbtProjectService.getProjectName(baseName), {
+        cacheStats,
+        onProgress: (done, total, modelName) => {
+          const percent = Math.round((done / total) * 100);
+          progressService.updateProgress(jobId, 1, percent, `Converted model ${modelName}`);
+          progressEmitter.emitStepUpdate(jobId, 1, percent, `Converted model ${modelName}`);
+        }
+      });
+      progressService.updateProgress(jobId, 2, 100, 'Completed');
+      progressEmitter.emitJobCompleted(jobId, { zipFilename });
+
+      const result = {
+        zipFilename,
+        zipFilePath,
+        models: project.models,
+        sources: project.sources,
+        unconverted: project.unconverted,
+        processing: {
+          totalFiles: files.length,
+          models: project.models.length,
+          sources: project.sources.length,
+          unconvertedStatements: project.unconverted.length
+        },
+        cache: conversionCacheService.summarize([cacheStats])
+      };
+      progressService.completeJob(jobId, result);
+      return res.status(200).json({ success: true, target, jobId, ...result });
+    }
+
+    if (target === 'snowflake') {
+      // Reuse existing Oracle->Snowflake flow; another sourceType switches the parser dialect and prompt
+      const snowflakeSource = resolveSnowflakeSource(sourceType);
+      progressService.updateProgress(jobId, 0, 30, 'Analyzing project...');
+      progressEmitter.emitStepUpdate(jobId, 0, 30, 'Analyzing project...');
+      const analysis = await oracleFileAnalysisService.analyzeOracleProjectFromDirectory(extractedPath, { dialect: snowflakeSource });
+      progressService.updateJob(jobId, { dependencyGraph: analysis.graph });
       progressService.updateProgress(jobId, 1, 10, 'Converting to Snowflake...');
       progressEmitter.emitStepUpdate(jobId, 1, 10, 'Converting to Snowflake...');
-      const conversionResult = await convertOracleFilesWithWorkers(extractedPath, analysis, jobId);
+      const conversionResult = await convertOracleFilesWithWorkers(extractedPath, analysis, jobId, { checkpoints, repair, procedureStyle, sourceType: snowflakeSource });
       progressService.updateProgress(jobId, 2, 10, 'Packaging results...');
       progressEmitter.emitStepUpdate(jobId, 2, 10, 'Packaging results...');
 
@@ -1399,7 +1733,7 @@ const handleUnifiedConvert = async (req, res) => {
       const wantSql = outFmt === 'sql' || outFmt === 'all';
       const wantJson = outFmt === 'json' || outFmt === 'all';
       const wantDocx = outFmt === 'docx' || outFmt === 'all';
-      const outZipName = `converted_oracle_snowflake_${(wantDocx&&wantJson&&wantSql)?'all':(wantDocx?'docx':(wantJson?'json':'sql'))}_${timestamp}.zip`;
+      const outZipName = `converted_${snowflakeSource}_snowflake_${(wantDocx&&wantJson&&wantSql)?'all':(wantDocx?'docx':(wantJson?'json':'sql'))}_${timestamp}.zip`;
       const outZipPath = path.join(outputPath, outZipName);
 
       // Build files for zip per requested formats
@@ -1419,7 +1753,35 @@ const handleUnifiedConvert = async (req, res) => {
         }
       }
 
-      await createSnowflakeZipFile(filesForZip, outZipPath);
+      // Helper UDFs for Oracle built-in calls; deploy_order.sql creates them first
+      const shimScript = snowflakeSource === 'oracle'
+        ? oracleBuiltinCatalogService.buildShimScript(conversionResult.snowflakeFiles.map(f => f.content))
+        : null;
+      if (shimScript) {
+        filesForZip.push(shimScript);
+      }
+      if (wantSql) {
+        filesForZip.push(buildDeployOrderFile(analysis, conversionResult, shimScript ? [shimScript.name] : []));
+      }
+      filesForZip.push(snowflakeValidationService.buildReport(conversionResult.convertedFiles));
+      if (conversionResult.convertedFiles.some(f => f.packages && f.packages.length > 0)) {
+        filesForZip.push(oraclePackageService.buildManifest(conversionResult.convertedFiles));
+      }
+      if (conversionResult.convertedFiles.some(f => f.triggers && f.triggers.length > 0)) {
+        filesForZip.push(oracleTriggerService.buildReport(conversionResult.convertedFiles));
+      }
+      const sequenceSync = snowflakeSource === 'oracle'
+        ? oracleSequenceService.buildSyncScript(
+          conversionResult.convertedFiles.filter(f => f.oracleContent).map(f => ({ file: f.original, code: f.oracleContent })),
+          oracleSequenceService.parseValues(sequenceValues))
+        : null;
+      if (sequenceSync) {
+        filesForZip.push(sequenceSync);
+      }
+
+      await createSnowflakeZipFile(filesForZip, outZipPath, {
+        reviewFiles: reviewReport ? reviewReportService.fromConvertedFiles(conversionResult.convertedFiles, 'snowflake') : null
+      });
       progressService.updateProgress(jobId, 2, 100, 'Completed');
       progressEmitter.emitJobCompleted(jobId, { conversion: conversionResult, zipFilename: outZipName });
 
@@ -1431,14 +1793,32 @@ const handleUnifiedConvert = async (req, res) => {
           fileName: f.original || f.converted || 'unknown',
           originalContent: f.oracleContent || '',
           convertedContent: f.snowflakeContent || '',
-          success: f.success !== false
+          success: f.success !== false,
+          conversionMethod: f.success !== false ? f.conversionMethod || 'llm' : undefined,
+          rulesApplied: f.rulesApplied || [],
+          scriptingFixes: f.scriptingFixes,
+          scriptingUnresolved: f.scriptingUnresolved,
+          packages: f.packages,
+          triggers: f.triggers,
+          chunks: f.chunks,
+          truncated: f.truncated,
+          builtinCalls: f.builtinCalls,
+          valid: f.validation ? f.validation.valid : undefined,
+          repaired: f.repaired === true,
+          diagnostics: f.validation ? f.validation.diagnostics : []
         })),
         processing: {
           totalFiles: conversionResult.totalFiles,
           processedFiles: conversionResult.totalConverted,
           failedFiles: conversionResult.errors ? conversionResult.errors.length : 0,
-          successRate: conversionResult.totalFiles > 0 ? Math.round((conversionResult.totalConverted / conversionResult.totalFiles) * 100) : 0
-        }
+          successRate: conversionResult.totalFiles > 0 ? Math.round((conversionResult.totalConverted / conversionResult.totalFiles) * 100) : 0,
+          convertedByRules: conversionResult.convertedByRules || 0,
+          convertedByLlm: conversionResult.convertedByLlm || 0
+        },
+        validation: conversionResult.validation,
+        sequenceSync: sequenceSync ? sequenceSync.summary : undefined,
+        shims: shimScript ? shimScript.shims : undefined,
+        cache: conversionResult.cache
       };
       progressService.completeJob(jobId, result);
       return res.status(200).json({ success: true, target, jobId, ...result });
@@ -1450,7 +1830,7 @@ const handleUnifiedConvert = async (req, res) => {
     const allFiles = await findSqlLikeFiles(extractedPath);
     const sorted = allFiles.sort((a, b) => path.basename(a).localeCompare(path.basename(b), undefined, { numeric: true, sensitivity: 'base' }));
     const total = sorted.length;
-    const { idmcFiles, convertedFiles } = await convertIDMCFilesWithWorkers(extractedPath, sorted, jobId);
+    const { idmcFiles, convertedFiles, cache } = await convertIDMCFilesWithWorkers(extractedPath, sorted, jobId, { checkpoints });
 
     // Optionally render DOCX/PDF variants of the IDMC summaries
     const filesForZip = [];
@@ -1465,11 +1845,10 @@ const handleUnifiedConvert = async (req, res) => {
 
     // CRITICAL: Never add .md files to zip - only add files in the requested format
     // Convert to requested format (docx, json, etc.) - NEVER use .md extension
-    const documentService = require('../services/documentService');
     for (const f of idmcFiles) {
       if (wantDocx) {
         log.info(`📄 Converting ${f.name} to DOCX format`);
-        const docxBuf = await documentService.markdownToDocxBuffer(f.content, f.name);
+        const docxBuf = await idmcSummaryModelService.toDocx(f.summaryModel);
         // Replace .md extension with .docx - use path module for reliable extension handling
         const ext = path.extname(f.name);
         const baseName = f.name.substring(0, f.name.length - ext.length);
@@ -1478,17 +1857,26 @@ const handleUnifiedConvert = async (req, res) => {
         filesForZip.push({ name: docxName, content: docxBuf });
       }
       if (wantJson) {
-        // For JSON format, save as .json file (not .md)
+        // For JSON format, save the structured summary model as a .json file (not .md)
         const ext = path.extname(f.name);
         const baseName = f.name.substring(0, f.name.length - ext.length);
         const jsonName = baseName + '.json';
-        const jsonContent = JSON.stringify({ content: f.content }, null, 2);
+        const jsonContent = idmcSummaryModelService.toJson(f.summaryModel);
         log.info(`📄 Adding ${jsonName} to zip`);
         filesForZip.push({ name: jsonName, content: jsonContent });
       }
       // PDF generation not implemented to avoid heavy deps; reserved for future
     }
 
+    // Column lineage: parsed from the source SQL, with the summaries' "Columns Mapped" filling the gaps
+    const lineageFiles = [];
+    for (const f of convertedFiles.filter(file => file.success)) {
+      const sqlLineage = await lineageService.extractLineage(f.originalContent || '', f.original, { sourceType: f.detectedType });
+      const summaryLineage = lineageService.fromSummaryModel({ ...f.summaryModel, sourceFile: f.original });
+      lineageFiles.push({ fileName: f.original, sourceType: f.detectedType, lineage: lineageService.mergeLineage(sqlLineage, summaryLineage) });
+    }
+    filesForZip.push(...lineageService.buildZipEntries(lineageFiles));
+
     log.info(`📦 Total files to add to zip: ${filesForZip.length}`);
     filesForZip.forEach((f, i) => log.info(`  ${i + 1}. ${f.name}`));
     
@@ -1510,7 +1898,10 @@ const handleUnifiedConvert = async (req, res) => {
     const suffix = normalizedOutputFormat === 'json' ? 'json' : (normalizedOutputFormat === 'docx' ? 'docx' : (normalizedOutputFormat === 'pdf' ? 'pdf' : 'all'));
     const outZipName = `idmc_summaries_${suffix}_${timestamp}.zip`;
     const outZipPath = path.join(outputPath, outZipName);
-    await createSnowflakeZipFile(filesForZip, outZipPath); // same zip helper works with {name,content}
+    // same zip helper works with {name,content}
+    await createSnowflakeZipFile(filesForZip, outZipPath, {
+      reviewFiles: reviewReport ? reviewReportService.fromConvertedFiles(convertedFiles, 'idmc') : null
+    });
     progressService.updateProgress(jobId, 2, 100, 'Completed');
 
     // Cleanup IDMC output folder after packaging
@@ -1532,6 +1923,9 @@ const handleUnifiedConvert = async (req, res) => {
         fileName: f.original || f.converted || 'unknown',
         originalContent: f.originalContent || '',
         convertedContent: f.idmcContent || f.convertedContent || '',
+        summaryModel: f.summaryModel || null,
+        chunks: f.chunks,
+        truncated: f.truncated,
         success: f.success !== false
       })),
       processing: {
@@ -1539,7 +1933,8 @@ const handleUnifiedConvert = async (req, res) => {
         processedFiles: convertedFiles.filter(f => f.success).length,
         failedFiles: convertedFiles.filter(f => !f.success).length,
         successRate: total ? Math.round((convertedFiles.filter(f => f.success).length / total) * 100) : 0
-      }
+      },
+      cache
     };
     progressService.completeJob(jobId, result);
     return res.status(200).json({ success: true, target, jobId, ...result });
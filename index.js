@@ -11,6 +11,9 @@ const server = createServer(app);
 const { errorHandler, notFound } = require('./middleware/errorHandler');
 const { securityHeaders, generalLimiter, requestSizeLimiter } = require('./middleware/security');
 const { logger } = require('./utils/logger');
+const { connectDatabase } = require('./utils/database');
+const jobRepository = require('./services/jobRepository');
+const checkpointService = require('./services/checkpointService');
 
 // Import WebSocket services
 const websocket = require('./websocket');
@@ -37,6 +40,11 @@ const conversionRoutes = require('./routes/conversion');
 const idmcRoutes = require('./routes/idmc');
 const loginRoute = require('./routes/loginRoute');
 const websocketRoutes = require('./routes/websocket');
+const jobRoutes = require('./routes/jobs');
+const adminRoutes = require('./routes/admin');
+const analysisRoutes = require('./routes/analysis');
+const lineageRoutes = require('./routes/lineage');
+const assessmentRoutes = require('./routes/assessment');
 
 // API End Points
 app.use('/api', uploadRoutes);
@@ -46,6 +54,11 @@ app.use('/api', conversionRoutes);
 app.use('/api/idmc', idmcRoutes);
 app.use('/api/auth', loginRoute);
 app.use('/api/websocket', websocketRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/analysis', analysisRoutes);
+app.use('/api/lineage', lineageRoutes);
+app.use('/api/assess', assessmentRoutes);
 
 app.get('/', (req, res) => {
   res.json({ 
@@ -80,7 +93,7 @@ app.get('/', (req, res) => {
         method: 'POST',
         url: '/api/convert-unified',
         description: 'Unified convert: inputType (zip|single), target (snowflake|idmc)',
-        body: { inputType: 'zip|single', target: 'snowflake|idmc', sourceType: 'oracle|redshift|auto', zipFilePath: '/abs/path.zip', sourceCode: '...', fileName: 'input.sql' }
+        body: { inputType: 'zip|single', target: 'snowflake|idmc|dbt', sourceType: 'oracle|redshift|tsql|teradata|auto', procedureStyle: 'javascript|sql', zipFilePath: '/abs/path.zip', sourceCode: '...', fileName: 'input.sql', async: 'true → 202 with jobId (zip only)' }
       },
       progress: {
         method: 'GET',
@@ -88,12 +101,42 @@ app.get('/', (req, res) => {
         description: 'Get real-time progress status',
         note: 'Job ID format: convert_[filename]'
       },
+      jobs: {
+        method: 'GET',
+        url: '/api/jobs',
+        description: 'List conversion jobs (requires JWT token)',
+        query: { status: 'pending|running|completed|failed|cancelled', type: 'unified|batch|idmc', userId: '...', from: 'ISO date', to: 'ISO date', page: 1, limit: 20 }
+      },
+      dependencyGraph: {
+        method: 'GET',
+        url: '/api/analysis/:jobId/graph',
+        description: 'Cross-file dependency graph of an Oracle → Snowflake job (requires JWT token)',
+        query: { format: 'json|dot' }
+      },
+      lineage: {
+        method: 'POST',
+        url: '/api/lineage',
+        description: 'Column-level lineage from INSERT ... SELECT, MERGE, CREATE TABLE AS and views (requires JWT token)',
+        body: { inputType: 'single|zip', sourceCode: '...', filePath: '...', zipFilePath: '...', sourceType: 'oracle|redshift|tsql|teradata|auto', format: 'json|csv' }
+      },
+      assess: {
+        method: 'POST',
+        url: '/api/assess',
+        description: 'Pre-conversion assessment: complexity, token/time/cost estimate and constructs with no Snowflake equivalent (requires JWT token)',
+        body: { inputType: 'single|zip', target: 'snowflake|idmc', sourceType: 'oracle|redshift|tsql|teradata|auto', zipFilePath: '/abs/path.zip', sourceCode: '...', fileName: 'input.sql', format: 'json|html|docx|all' }
+      },
+      conversionCache: {
+        method: 'GET|DELETE',
+        url: '/api/admin/cache',
+        description: 'Conversion cache statistics / purge (admin JWT required)',
+        query: { target: 'snowflake|idmc|summary-json (DELETE only, omit to purge all)' }
+      },
       // IDMC Conversion Routes
       idmcBatch: {
         method: 'POST',
         url: '/api/idmc/batch',
         description: 'Unified batch processing: inputType zip|single',
-        body: { inputType: 'zip|single', zipFilePath: '/abs/path.zip', script: '...', fileName: 'run_script.bat', scriptType: 'oracle|redshift' }
+        body: { inputType: 'zip|single', zipFilePath: '/abs/path.zip', script: '...', fileName: 'run_script.bat', scriptType: 'oracle|redshift|tsql|teradata' }
       },
       // WebSocket Routes
       websocketStats: {
@@ -133,6 +176,14 @@ app.use(errorHandler);
 
 const start = async()=>{
   try {
+    if (await connectDatabase()) {
+      await jobRepository.markInterruptedJobs();
+    }
+    // Checkpoints of failed or cancelled jobs are kept for a retry, then expire
+    const removeExpiredCheckpoints = () => checkpointService.removeExpired(config.jobs.checkpointTtlHours * 60 * 60 * 1000)
+      .catch(error => logger.warn('Failed to remove expired checkpoints', { error: error.message }));
+    await removeExpiredCheckpoints();
+    setInterval(removeExpiredCheckpoints, 60 * 60 * 1000).unref();
     server.listen(PORT, () => {
       logger.info(`🚀 Server listening on port ${PORT}`, {
         port: PORT,
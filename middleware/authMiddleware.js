@@ -19,4 +19,11 @@ function authenticateToken(req, res, next) {
     })
 }
 
-module.exports = { authenticateToken }
\ No newline at end of file
+function requireAdmin(req, res, next){
+    if(!req.user || req.user.role !== "admin"){
+        return res.status(403).json({message: "Forbidden: Admin access required"});
+    }
+    next();
+}
+
+module.exports = { authenticateToken, requireAdmin }
\ No newline at end of file
@@ -1,5 +1,6 @@
 const { body, param, query, validationResult } = require('express-validator');
 const { ValidationError } = require('./errorHandler');
+const oracleSequenceService = require('../services/oracleSequenceService');
 
 // Validation result handler
 const handleValidationErrors = (req, res, next) => {
@@ -128,16 +129,21 @@ const validateUnifiedConvert = [
     .isIn(['zip', 'single'])
     .withMessage('inputType must be one of: zip, single'),
 
+  body('async')
+    .optional()
+    .isBoolean()
+    .withMessage('async must be a boolean'),
+
   body('target')
     .isString()
     .withMessage('target is required')
-    .isIn(['snowflake', 'idmc'])
-    .withMessage('target must be one of: snowflake, idmc'),
+    .isIn(['snowflake', 'idmc', 'dbt'])
+    .withMessage('target must be one of: snowflake, idmc, dbt'),
 
   body('sourceType')
     .optional()
-    .isIn(['oracle', 'redshift', 'auto'])
-    .withMessage('sourceType must be one of: oracle, redshift, auto'),
+    .isIn(['oracle', 'redshift', 'tsql', 'teradata', 'auto'])
+    .withMessage('sourceType must be one of: oracle, redshift, tsql, teradata, auto'),
 
   body('zipFilePath')
     .optional()
@@ -164,6 +170,31 @@ const validateUnifiedConvert = [
     .isIn(['json', 'docx', 'pdf', 'all'])
     .withMessage('outputFormat must be one of: json, docx, pdf, all'),
 
+  body('repair')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('repair must be a boolean'),
+
+  body('reviewReport')
+    .optional()
+    .isBoolean()
+    .toBoolean()
+    .withMessage('reviewReport must be a boolean'),
+
+  body('procedureStyle')
+    .optional()
+    .isIn(['javascript', 'sql'])
+    .withMessage('procedureStyle must be one of: javascript, sql'),
+
+  // Current Oracle sequence values for sync_sequences.sql, e.g. { "CUSTOMER_SEQ": 1234 }
+  body('sequenceValues')
+    .optional()
+    .custom(value => {
+      oracleSequenceService.parseValues(value);
+      return true;
+    }),
+
   // Conditional validation: require zipFilePath or filePath for zip inputType, sourceCode or filePath for single inputType
   body().custom((value, { req }) => {
     const { inputType, zipFilePath, filePath, sourceCode } = req.body;
@@ -217,8 +248,8 @@ const validateUnifiedBatch = [
 
   body('scriptType')
     .optional()
-    .isIn(['oracle', 'redshift'])
-    .withMessage('scriptType must be one of: oracle, redshift'),
+    .isIn(['oracle', 'redshift', 'tsql', 'teradata'])
+    .withMessage('scriptType must be one of: oracle, redshift, tsql, teradata'),
 
   handleValidationErrors
 ];
@@ -231,6 +262,11 @@ const validateBatchProcessing = [
     .isIn(['zip', 'single'])
     .withMessage('inputType must be one of: zip, single'),
 
+  body('async')
+    .optional()
+    .isBoolean()
+    .withMessage('async must be a boolean'),
+
   body('outputFormat')
     .optional()
     .isIn(['doc', 'txt'])
@@ -321,6 +357,11 @@ const validateIdmcSummaryToJson = [
     .isString()
     .withMessage('zipFilePath must be a string'),
   
+  body('async')
+    .optional()
+    .isBoolean()
+    .withMessage('async must be a boolean'),
+  
   body('filePath')
     .optional()
     .isString()
@@ -368,6 +409,175 @@ const validatePagination = [
   handleValidationErrors
 ];
 
+// Job list filters (used together with validatePagination)
+const validateJobFilters = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'running', 'completed', 'failed', 'cancelled'])
+    .withMessage('Status must be one of: pending, running, completed, failed, cancelled'),
+  
+  query('type')
+    .optional()
+    .matches(/^[a-zA-Z0-9_-]+$/)
+    .withMessage('Type can only contain letters, numbers, underscores, and hyphens'),
+  
+  query('userId')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('User ID must be a string'),
+  
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be an ISO 8601 date'),
+  
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be an ISO 8601 date'),
+  
+  handleValidationErrors
+];
+
+// Job retry options
+const validateJobRetry = [
+  body('async')
+    .optional()
+    .isBoolean()
+    .withMessage('async must be a boolean'),
+  
+  handleValidationErrors
+];
+
+// Conversion cache purge target
+const validateCachePurge = [
+  query('target')
+    .optional()
+    .isIn(['snowflake', 'idmc', 'summary-json'])
+    .withMessage('Target must be one of: snowflake, idmc, summary-json'),
+  
+  handleValidationErrors
+];
+
+// Dependency graph output format
+const validateGraphFormat = [
+  query('format')
+    .optional()
+    .isIn(['json', 'dot'])
+    .withMessage('Format must be one of: json, dot'),
+  
+  handleValidationErrors
+];
+
+// Column lineage request
+const validateLineage = [
+  body('inputType')
+    .isString()
+    .withMessage('inputType is required')
+    .isIn(['zip', 'single'])
+    .withMessage('inputType must be one of: zip, single'),
+
+  body('sourceType')
+    .optional()
+    .isIn(['oracle', 'redshift', 'tsql', 'teradata', 'auto'])
+    .withMessage('sourceType must be one of: oracle, redshift, tsql, teradata, auto'),
+
+  body('format')
+    .optional()
+    .isIn(['json', 'csv'])
+    .withMessage('format must be one of: json, csv'),
+
+  body('zipFilePath')
+    .optional()
+    .isString()
+    .withMessage('zipFilePath must be a string'),
+
+  body('filePath')
+    .optional()
+    .isString()
+    .withMessage('filePath must be a string'),
+
+  body('sourceCode')
+    .optional()
+    .isString()
+    .withMessage('sourceCode must be a string'),
+
+  body('fileName')
+    .optional()
+    .isString()
+    .withMessage('fileName must be a string'),
+
+  body().custom((value, { req }) => {
+    const { inputType, zipFilePath, filePath, sourceCode } = req.body;
+    if (inputType === 'zip' && !zipFilePath && !filePath) {
+      throw new Error('zipFilePath or filePath is required when inputType is "zip"');
+    }
+    if (inputType === 'single' && !sourceCode && !filePath) {
+      throw new Error('sourceCode or filePath is required when inputType is "single"');
+    }
+    return true;
+  }),
+
+  handleValidationErrors
+];
+
+const validateAssess = [
+  body('inputType')
+    .isString()
+    .withMessage('inputType is required')
+    .isIn(['zip', 'single'])
+    .withMessage('inputType must be one of: zip, single'),
+
+  body('target')
+    .optional()
+    .isIn(['snowflake', 'idmc'])
+    .withMessage('target must be one of: snowflake, idmc'),
+
+  body('sourceType')
+    .optional()
+    .isIn(['oracle', 'redshift', 'tsql', 'teradata', 'auto'])
+    .withMessage('sourceType must be one of: oracle, redshift, tsql, teradata, auto'),
+
+  body('format')
+    .optional()
+    .isIn(['json', 'html', 'docx', 'all'])
+    .withMessage('format must be one of: json, html, docx, all'),
+
+  body('zipFilePath')
+    .optional()
+    .isString()
+    .withMessage('zipFilePath must be a string'),
+
+  body('filePath')
+    .optional()
+    .isString()
+    .withMessage('filePath must be a string'),
+
+  body('sourceCode')
+    .optional()
+    .isString()
+    .withMessage('sourceCode must be a string'),
+
+  body('fileName')
+    .optional()
+    .isString()
+    .withMessage('fileName must be a string'),
+
+  body().custom((value, { req }) => {
+    const { inputType, zipFilePath, filePath, sourceCode } = req.body;
+    if (inputType === 'zip' && !zipFilePath && !filePath) {
+      throw new Error('zipFilePath or filePath is required when inputType is "zip"');
+    }
+    if (inputType === 'single' && !sourceCode && !filePath) {
+      throw new Error('sourceCode or filePath is required when inputType is "single"');
+    }
+    return true;
+  }),
+
+  handleValidationErrors
+];
+
 // Sanitization middleware
 const sanitizeInput = (req, res, next) => {
   // Remove any potentially dangerous characters
@@ -409,6 +619,12 @@ module.exports = {
   validateDownloadRequest,
   validateWebSocketNotification,
   validatePagination,
+  validateJobFilters,
+  validateJobRetry,
+  validateCachePurge,
+  validateGraphFormat,
+  validateLineage,
+  validateAssess,
   sanitizeInput,
   handleValidationErrors
 };
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const JobStepSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true
+  },
+  progress: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const JobFileSchema = new mongoose.Schema({
+  fileName: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed', 'skipped'],
+    default: 'pending'
+  },
+  outputPath: String,
+  error: String
+}, { _id: false });
+
+const JobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true
+  },
+  type: {
+    type: String,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'running', 'completed', 'failed', 'cancelled'],
+    default: 'pending',
+    index: true
+  },
+  progress: {
+    type: Number,
+    default: 0
+  },
+  currentStep: String,
+  steps: [JobStepSchema],
+  files: [JobFileSchema],
+  outputFiles: [String],
+  result: mongoose.Schema.Types.Mixed,
+  dependencyGraph: mongoose.Schema.Types.Mixed,
+  error: String,
+  submittedBy: {
+    id: { type: String, index: true },
+    email: String,
+    name: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  updatedAt: Date,
+  completedAt: Date,
+  failedAt: Date,
+  cancelledAt: Date
+}, { minimize: false });
+
+module.exports = mongoose.model('Job', JobSchema);
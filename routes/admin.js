@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { validateCachePurge } = require('../middleware/validation');
+const { getCacheStats, purgeCache } = require('../controllers/adminController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+router.get('/cache', authMiddleware.authenticateToken, authMiddleware.requireAdmin, getCacheStats);
+router.delete('/cache', authMiddleware.authenticateToken, authMiddleware.requireAdmin, validateCachePurge, purgeCache);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const { validateJobId, validateGraphFormat } = require('../middleware/validation');
+const { getDependencyGraph } = require('../controllers/analysisController');
+const authMiddleware = require('../middleware/authMiddleware');
+
+router.get('/:jobId/graph', authMiddleware.authenticateToken, validateJobId, validateGraphFormat, getDependencyGraph);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { handleAssess } = require('../controllers/assessmentController');
+const { validateAssess } = require('../middleware/validation');
+const authMiddleware = require('../middleware/authMiddleware');
+
+// Pre-conversion complexity, cost and unsupported-construct report (JSON, HTML and/or DOCX)
+router.post('/', authMiddleware.authenticateToken, validateAssess, handleAssess);
+
+module.exports = router;
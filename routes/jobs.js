@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const { validateJobId, validatePagination, validateJobFilters, validateJobRetry } = require('../middleware/validation');
+const { listJobs, getJob, cancelJob, retryJob } = require('../controllers/jobController');
+const { conversionLimiter } = require('../middleware/security');
+const authMiddleware = require('../middleware/authMiddleware');
+
+router.get('/', authMiddleware.authenticateToken, validatePagination, validateJobFilters, listJobs);
+router.get('/:jobId', authMiddleware.authenticateToken, validateJobId, getJob);
+router.delete('/:jobId', authMiddleware.authenticateToken, validateJobId, cancelJob);
+router.post('/:jobId/retry', authMiddleware.authenticateToken, conversionLimiter, validateJobId, validateJobRetry, retryJob);
+
+module.exports = router;
@@ -0,0 +1,10 @@
+const express = require('express');
+const router = express.Router();
+const { handleLineage } = require('../controllers/lineageController');
+const { validateLineage } = require('../middleware/validation');
+const authMiddleware = require('../middleware/authMiddleware');
+
+// Column-level lineage (INSERT ... SELECT, MERGE, CREATE TABLE AS, views) as JSON or CSV
+router.post('/', authMiddleware.authenticateToken, validateLineage, handleLineage);
+
+module.exports = router;
@@ -0,0 +1,584 @@
+const path = require('path');
+const config = require('../config');
+const { tokenize, parseStatements } = require('../utils/sqlParser');
+const oracleRuleConversionService = require('./oracleRuleConversionService');
+const redshiftRuleConversionService = require('./redshiftRuleConversionService');
+const oracleBuiltinCatalogService = require('./oracleBuiltinCatalogService');
+const conversionCacheService = require('./conversionCacheService');
+const documentService = require('./documentService');
+const { createModuleLogger } = require('../utils/logger');
+const log = createModuleLogger('services/assessmentService');
+
+// Approximate size of the system prompt + instructions sent with each file, in tokens
+const PROMPT_OVERHEAD_TOKENS = { snowflake: 3100, idmc: 2100 };
+// max_tokens of the conversion request; a response cannot be longer than this
+const MAX_OUTPUT_TOKENS = 4000;
+const CHARS_PER_TOKEN = 4;
+
+const SOURCE_TYPES = ['oracle', 'redshift', 'tsql', 'teradata'];
+
+const SEVERITY_WEIGHTS = { high: 8, medium: 4, low: 1 };
+
+const COMPLEXITY_WEIGHTS = {
+  cursors: 2,
+  refCursors: 3,
+  executeImmediate: 4,
+  dynamicSql: 5,
+  autonomousTransactions: 6,
+  packageCalls: 3,
+  exceptionHandlers: 1,
+  raises: 0.5,
+  collections: 2,
+  plsqlUnits: 2
+};
+
+const COMPLEXITY_BANDS = [
+  { max: 15, level: 'low' },
+  { max: 40, level: 'medium' },
+  { max: 80, level: 'high' },
+  { max: Infinity, level: 'very_high' }
+];
+
+function upperWord(token) {
+  return token && token.type === 'word' ? token.value.toUpperCase() : null;
+}
+
+function isPunct(token, value) {
+  return Boolean(token) && token.type === 'punctuation' && token.value === value;
+}
+
+// Package call such as DBMS_OUTPUT.PUT_LINE or UTL_FILE.FOPEN; returns the package name
+function builtinPackageAt(tokens, i) {
+  const word = upperWord(tokens[i]);
+  if (!word || !/^(DBMS|UTL)_\w+$/.test(word) || !isPunct(tokens[i + 1], '.')) {
+    return null;
+  }
+  return word;
+}
+
+function packageRule(id, packages, title, severity, recommendation) {
+  return {
+    id,
+    title,
+    severity,
+    recommendation,
+    dialects: ['oracle'],
+    test: (tokens, i) => packages.includes(builtinPackageAt(tokens, i))
+  };
+}
+
+/**
+ * Constructs that have no direct Snowflake equivalent. `test` is called for every
+ * non-comment token and reports an occurrence at that token's line.
+ */
+const UNSUPPORTED_CONSTRUCTS = [
+  {
+    id: 'AUTONOMOUS_TRANSACTION',
+    title: 'PRAGMA AUTONOMOUS_TRANSACTION',
+    severity: 'high',
+    recommendation: 'Snowflake has no autonomous transactions; work commits or rolls back with the caller. Move independent logging into a separate procedure call or task.',
+    dialects: ['oracle'],
+    test: (tokens, i) => upperWord(tokens[i]) === 'PRAGMA' && upperWord(tokens[i + 1]) === 'AUTONOMOUS_TRANSACTION'
+  },
+  packageRule('DBMS_SQL', ['DBMS_SQL'], 'DBMS_SQL dynamic cursors', 'high',
+    'Rewrite as EXECUTE IMMEDIATE (Snowflake Scripting) or snowflake.execute() with bind variables.'),
+  packageRule('UTL_FILE', ['UTL_FILE'], 'UTL_FILE server file I/O', 'high',
+    'There is no server file system; read and write files through stages (PUT/GET, COPY INTO).'),
+  packageRule('UTL_NETWORK', ['UTL_HTTP', 'UTL_TCP', 'UTL_SMTP', 'UTL_MAIL'], 'UTL_HTTP / UTL_TCP / UTL_SMTP / UTL_MAIL network calls', 'high',
+    'Use external network access or external functions for HTTP, and SYSTEM$SEND_EMAIL with a notification integration for mail.'),
+  packageRule('JOB_SCHEDULING', ['DBMS_JOB', 'DBMS_SCHEDULER'], 'DBMS_JOB / DBMS_SCHEDULER', 'medium',
+    'Recreate schedules as Snowflake tasks.'),
+  packageRule('SESSION_MESSAGING', ['DBMS_PIPE', 'DBMS_ALERT', 'DBMS_LOCK', 'DBMS_AQ', 'DBMS_AQADM'], 'DBMS_PIPE / DBMS_ALERT / DBMS_LOCK / DBMS_AQ', 'high',
+    'No inter-session messaging, queues or user locks; redesign around tables, streams and tasks.'),
+  {
+    id: 'DATABASE_LINK',
+    title: 'Database link (@dblink)',
+    severity: 'high',
+    recommendation: 'Replicate or share the remote data into Snowflake (data sharing, external tables or ingestion).',
+    dialects: ['oracle'],
+    test: (tokens, i) => tokens[i].type === 'operator' && tokens[i].value === '@' &&
+      Boolean(tokens[i - 1]) && ['word', 'quoted_identifier'].includes(tokens[i - 1].type) &&
+      Boolean(tokens[i + 1]) && tokens[i + 1].type === 'word' && tokens[i - 1].line === tokens[i].line
+  },
+  {
+    id: 'ROWID',
+    title: 'ROWID / UROWID',
+    severity: 'medium',
+    recommendation: 'Snowflake has no physical row address; use a primary or surrogate key.',
+    dialects: ['oracle'],
+    test: (tokens, i) => ['ROWID', 'UROWID'].includes(upperWord(tokens[i]))
+  },
+  {
+    id: 'REF_CURSOR',
+    title: 'REF CURSOR / SYS_REFCURSOR',
+    severity: 'medium',
+    recommendation: 'Return a RESULTSET or a table from the procedure instead of an open cursor.',
+    dialects: ['oracle'],
+    test: (tokens, i) => upperWord(tokens[i]) === 'SYS_REFCURSOR' ||
+      (upperWord(tokens[i]) === 'REF' && upperWord(tokens[i + 1]) === 'CURSOR')
+  },
+  {
+    id: 'BULK_BINDS',
+    title: 'BULK COLLECT / FORALL',
+    severity: 'medium',
+    recommendation: 'No bulk binds; rewrite the loop as a set-based INSERT/UPDATE/MERGE.',
+    dialects: ['oracle'],
+    test: (tokens, i) => upperWord(tokens[i]) === 'FORALL' ||
+      (upperWord(tokens[i]) === 'BULK' && upperWord(tokens[i + 1]) === 'COLLECT')
+  },
+  {
+    id: 'SAVEPOINT',
+    title: 'SAVEPOINT / ROLLBACK TO',
+    severity: 'medium',
+    recommendation: 'Snowflake does not support savepoints; split the work into separate transactions.',
+    dialects: ['oracle', 'redshift'],
+    test: (tokens, i) => upperWord(tokens[i]) === 'SAVEPOINT' && !isPunct(tokens[i - 1], '.')
+  },
+  {
+    id: 'ANCHORED_TYPES',
+    title: '%TYPE / %ROWTYPE anchored declarations',
+    severity: 'low',
+    recommendation: 'Declare explicit types, or use OBJECT/VARIANT for whole-row records.',
+    dialects: ['oracle'],
+    test: (tokens, i) => tokens[i].type === 'operator' && tokens[i].value === '%' &&
+      ['TYPE', 'ROWTYPE'].includes(upperWord(tokens[i + 1]))
+  },
+  {
+    id: 'GOTO',
+    title: 'GOTO',
+    severity: 'low',
+    recommendation: 'Snowflake Scripting has no GOTO; restructure with loops and BREAK/CONTINUE.',
+    dialects: ['oracle'],
+    test: (tokens, i) => upperWord(tokens[i]) === 'GOTO'
+  },
+  {
+    id: 'REDSHIFT_SYSTEM_TABLES',
+    title: 'Redshift system tables (STL_/SVL_/STV_/SVV_)',
+    severity: 'medium',
+    recommendation: 'Query SNOWFLAKE.ACCOUNT_USAGE or INFORMATION_SCHEMA views instead.',
+    dialects: ['redshift'],
+    test: (tokens, i) => /^(STL|SVL|STV|SVV)_\w+$/.test(upperWord(tokens[i]) || '')
+  },
+  {
+    id: 'PLPYTHON_UDF',
+    title: 'LANGUAGE plpythonu UDF',
+    severity: 'medium',
+    recommendation: 'Port to a Snowflake Python UDF (LANGUAGE PYTHON with a RUNTIME_VERSION).',
+    dialects: ['redshift'],
+    test: (tokens, i) => upperWord(tokens[i]) === 'LANGUAGE' && upperWord(tokens[i + 1]) === 'PLPYTHONU'
+  },
+  {
+    id: 'CREATE_LIBRARY',
+    title: 'CREATE LIBRARY',
+    severity: 'medium',
+    recommendation: 'Package the Python library and attach it to the UDF through a stage (IMPORTS).',
+    dialects: ['redshift'],
+    test: (tokens, i) => upperWord(tokens[i]) === 'CREATE' && upperWord(tokens[i + 1]) === 'LIBRARY'
+  },
+  {
+    id: 'UNLOAD',
+    title: 'UNLOAD',
+    severity: 'low',
+    recommendation: 'Rewrite as COPY INTO @stage.',
+    dialects: ['redshift'],
+    test: (tokens, i) => upperWord(tokens[i]) === 'UNLOAD' && (i === 0 || isPunct(tokens[i - 1], ';'))
+  },
+  {
+    id: 'DISTRIBUTION_KEYS',
+    title: 'DISTKEY / SORTKEY / DISTSTYLE',
+    severity: 'low',
+    recommendation: 'Dropped during conversion; consider a clustering key for large tables.',
+    dialects: ['redshift'],
+    test: (tokens, i) => ['DISTKEY', 'SORTKEY', 'DISTSTYLE'].includes(upperWord(tokens[i]))
+  }
+];
+
+// Statement-level constructs found through the shared parser
+const UNSUPPORTED_OBJECTS = {
+  TRIGGER: {
+    id: 'TRIGGER',
+    title: 'Triggers',
+    severity: 'high',
+    recommendation: 'Snowflake has no triggers; implement as a stream on the table plus a task.'
+  },
+  PACKAGE: {
+    id: 'PACKAGE',
+    title: 'Packages',
+    severity: 'medium',
+    recommendation: 'Members become standalone procedures/functions; package variables and initialization blocks have no equivalent.'
+  },
+  TYPE: {
+    id: 'OBJECT_TYPE',
+    title: 'Object / collection types',
+    severity: 'medium',
+    recommendation: 'Use OBJECT, ARRAY or VARIANT columns instead of user-defined types.'
+  }
+};
+
+/**
+ * Pre-conversion assessment: per-file complexity, token/time/cost estimate for the
+ * LLM conversion and constructs that need manual work in Snowflake.
+ */
+class AssessmentService {
+  /**
+   * @param {string} content - source file content
+   * @param {string} fileName
+   * @param {Object} [options]
+   * @param {string} [options.sourceType] - oracle | redshift | tsql | teradata
+   * @param {string} [options.target] - snowflake | idmc
+   */
+  async assessFile(content, fileName, options = {}) {
+    const sourceType = SOURCE_TYPES.includes(options.sourceType) ? options.sourceType : 'oracle';
+    const target = options.target === 'idmc' ? 'idmc' : 'snowflake';
+    const text = content || '';
+
+    const tokens = tokenize(text, { dialect: sourceType }).filter(token => token.type !== 'comment');
+    const statements = parseStatements(text, { dialect: sourceType });
+    const metrics = this.collectMetrics(text, tokens, statements);
+    const unsupported = this.findUnsupported(tokens, statements, sourceType);
+    const complexity = this.scoreComplexity(metrics, unsupported);
+    const estimate = await this.estimateConversion(text, sourceType, target, fileName);
+
+    return {
+      fileName,
+      sourceType,
+      target,
+      metrics,
+      complexity,
+      estimate,
+      unsupported
+    };
+  }
+
+  collectMetrics(text, tokens, statements) {
+    const lines = text.split(/\r?\n/);
+    const metrics = {
+      linesOfCode: 0,
+      totalLines: text ? lines.length : 0,
+      statements: statements.length,
+      plsqlUnits: 0,
+      cursors: 0,
+      refCursors: 0,
+      executeImmediate: 0,
+      dynamicSql: 0,
+      autonomousTransactions: 0,
+      packageCalls: 0,
+      packagesUsed: [],
+      exceptionHandlers: 0,
+      raises: 0,
+      collections: 0
+    };
+
+    // Lines carrying at least one non-comment token
+    const codeLines = new Set();
+    for (const token of tokens) {
+      const span = (token.value.match(/\n/g) || []).length;
+      for (let line = token.line; line <= token.line + span; line++) {
+        codeLines.add(line);
+      }
+    }
+    metrics.linesOfCode = codeLines.size;
+    metrics.plsqlUnits = statements.filter(statement => statement.procedural).length;
+
+    const packages = new Map();
+    for (let i = 0; i < tokens.length; i++) {
+      const word = upperWord(tokens[i]);
+      if (!word) {
+        continue;
+      }
+      const next = upperWord(tokens[i + 1]);
+
+      if (word === 'CURSOR' && upperWord(tokens[i - 1]) !== 'REF' && tokens[i + 1] && tokens[i + 1].type === 'word') {
+        metrics.cursors++;
+      } else if (word === 'SYS_REFCURSOR' || (word === 'REF' && next === 'CURSOR')) {
+        metrics.refCursors++;
+      } else if (word === 'EXECUTE' && next === 'IMMEDIATE') {
+        metrics.executeImmediate++;
+        metrics.dynamicSql++;
+      } else if (word === 'OPEN' && tokens[i + 2] && upperWord(tokens[i + 2]) === 'FOR' &&
+        tokens[i + 3] && upperWord(tokens[i + 3]) !== 'SELECT' && upperWord(tokens[i + 3]) !== 'WITH') {
+        // OPEN c FOR <string or variable> is a dynamic query
+        metrics.dynamicSql++;
+      } else if (word === 'PRAGMA' && next === 'AUTONOMOUS_TRANSACTION') {
+        metrics.autonomousTransactions++;
+      } else if (word === 'EXCEPTION' && next === 'WHEN') {
+        metrics.exceptionHandlers++;
+      } else if (word === 'RAISE' || word === 'RAISE_APPLICATION_ERROR') {
+        metrics.raises++;
+      } else if ((word === 'TABLE' && next === 'OF') || word === 'VARRAY' || (word === 'VARYING' && next === 'ARRAY') ||
+        (word === 'BULK' && next === 'COLLECT') || word === 'FORALL' || (word === 'INDEX' && next === 'BY')) {
+        metrics.collections++;
+      }
+
+      const pkg = builtinPackageAt(tokens, i);
+      if (pkg) {
+        metrics.packageCalls++;
+        packages.set(pkg, (packages.get(pkg) || 0) + 1);
+        if (pkg === 'DBMS_SQL') {
+          metrics.dynamicSql++;
+        }
+      }
+    }
+
+    metrics.packagesUsed = [...packages.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .map(([name, calls]) => ({ name, calls }));
+    return metrics;
+  }
+
+  findUnsupported(tokens, statements, sourceType) {
+    const found = new Map();
+    const record = (rule, line) => {
+      if (!found.has(rule.id)) {
+        found.set(rule.id, {
+          id: rule.id,
+          construct: rule.title,
+          severity: rule.severity,
+          recommendation: rule.recommendation,
+          occurrences: 0,
+          lines: []
+        });
+      }
+      const entry = found.get(rule.id);
+      entry.occurrences++;
+      if (!entry.lines.includes(line)) {
+        entry.lines.push(line);
+      }
+    };
+
+    const rules = UNSUPPORTED_CONSTRUCTS.filter(rule => rule.dialects.includes(sourceType));
+    for (let i = 0; i < tokens.length; i++) {
+      for (const rule of rules) {
+        if (rule.test(tokens, i)) {
+          record(rule, tokens[i].line);
+        }
+      }
+    }
+
+    if (sourceType === 'oracle') {
+      for (const statement of statements) {
+        if (statement.verb !== 'CREATE' || !statement.objectType) {
+          continue;
+        }
+        // PACKAGE BODY / TYPE BODY are reported with their specification
+        const objectType = statement.objectType.replace(/ BODY$/, '');
+        if (UNSUPPORTED_OBJECTS[objectType]) {
+          record(UNSUPPORTED_OBJECTS[objectType], statement.startLine);
+        }
+      }
+    }
+
+    const order = ['high', 'medium', 'low'];
+    return [...found.values()].sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity) || a.id.localeCompare(b.id));
+  }
+
+  scoreComplexity(metrics, unsupported) {
+    const factors = {
+      size: Number((metrics.linesOfCode / 50).toFixed(1)),
+      cursors: metrics.cursors * COMPLEXITY_WEIGHTS.cursors,
+      refCursors: metrics.refCursors * COMPLEXITY_WEIGHTS.refCursors,
+      executeImmediate: metrics.executeImmediate * COMPLEXITY_WEIGHTS.executeImmediate,
+      dynamicSql: (metrics.dynamicSql - metrics.executeImmediate) * COMPLEXITY_WEIGHTS.dynamicSql,
+      autonomousTransactions: metrics.autonomousTransactions * COMPLEXITY_WEIGHTS.autonomousTransactions,
+      packageCalls: metrics.packagesUsed.length * COMPLEXITY_WEIGHTS.packageCalls,
+      exceptionHandlers: metrics.exceptionHandlers * COMPLEXITY_WEIGHTS.exceptionHandlers,
+      raises: metrics.raises * COMPLEXITY_WEIGHTS.raises,
+      collections: metrics.collections * COMPLEXITY_WEIGHTS.collections,
+      plsqlUnits: metrics.plsqlUnits * COMPLEXITY_WEIGHTS.plsqlUnits,
+      unsupported: unsupported.reduce((sum, item) => sum + SEVERITY_WEIGHTS[item.severity], 0)
+    };
+    const score = Math.round(Object.values(factors).reduce((sum, value) => sum + value, 0));
+    const level = COMPLEXITY_BANDS.find(band => score < band.max).level;
+    return { score, level, factors };
+  }
+
+  /**
+   * Token, time and cost estimate for converting one file. Files the rule pre-pass converts
+   * completely, and files already in the conversion cache, need no LLM call.
+   */
+  async estimateConversion(text, sourceType, target, fileName) {
+    const { PROMPT_VERSIONS } = conversionCacheService;
+    const promptVersion = PROMPT_VERSIONS[`${sourceType}To${target === 'idmc' ? 'Idmc' : 'Snowflake'}`];
+    let method = 'llm';
+
+    // T-SQL and Teradata have no rule pre-pass
+    const ruleService = { oracle: oracleRuleConversionService, redshift: redshiftRuleConversionService }[sourceType];
+    if (target === 'snowflake' && ruleService && ruleService.convert(text).complete) {
+      method = 'rules';
+    } else if (await conversionCacheService.has(target, promptVersion, this.getCacheSource(text, sourceType, target, fileName))) {
+      method = 'cache';
+    }
+
+    const sourceTokens = Math.ceil(text.length / CHARS_PER_TOKEN);
+    if (method !== 'llm') {
+      return { method, sourceTokens, inputTokens: 0, outputTokens: 0, llmSeconds: 0, costUsd: 0, truncationRisk: false };
+    }
+
+    // Snowflake output is roughly the size of the source; an IDMC summary is much shorter
+    const expectedOutput = target === 'snowflake' ? Math.ceil(sourceTokens * 1.2) : Math.ceil(600 + sourceTokens * 0.3);
+    const outputTokens = Math.min(MAX_OUTPUT_TOKENS, expectedOutput);
+    const inputTokens = PROMPT_OVERHEAD_TOKENS[target] + sourceTokens;
+    const { tokensPerSecond, requestLatencySeconds, inputCostPer1k, outputCostPer1k } = config.assessment;
+
+    return {
+      method,
+      sourceTokens,
+      inputTokens,
+      outputTokens,
+      llmSeconds: Number((outputTokens / tokensPerSecond + requestLatencySeconds).toFixed(1)),
+      costUsd: Number(((inputTokens / 1000) * inputCostPer1k + (outputTokens / 1000) * outputCostPer1k).toFixed(5)),
+      // The expected output does not fit in a single response
+      truncationRisk: expectedOutput > MAX_OUTPUT_TOKENS
+    };
+  }
+
+  // The cache source the conversion of a whole file uses (files are converted under their base name)
+  getCacheSource(text, sourceType, target, fileName) {
+    const catalogContext = sourceType === 'oracle' && target === 'snowflake' ? oracleBuiltinCatalogService.buildPromptContext(text) : '';
+    return conversionCacheService.promptSource(path.basename(fileName || ''), catalogContext, text);
+  }
+
+  /**
+   * Combine per-file assessments into the report returned by POST /api/assess.
+   * @param {Array<Object>} files - results of assessFile
+   * @param {Object} [meta] - name/target/sourceType echoed in the report
+   */
+  buildReport(files, meta = {}) {
+    const levels = { low: 0, medium: 0, high: 0, very_high: 0 };
+    const methods = { llm: 0, rules: 0, cache: 0 };
+    const constructs = new Map();
+    const totals = { linesOfCode: 0, inputTokens: 0, outputTokens: 0, llmSeconds: 0, costUsd: 0 };
+
+    for (const file of files) {
+      levels[file.complexity.level]++;
+      methods[file.estimate.method]++;
+      totals.linesOfCode += file.metrics.linesOfCode;
+      totals.inputTokens += file.estimate.inputTokens;
+      totals.outputTokens += file.estimate.outputTokens;
+      totals.llmSeconds += file.estimate.llmSeconds;
+      totals.costUsd += file.estimate.costUsd;
+      for (const item of file.unsupported) {
+        if (!constructs.has(item.id)) {
+          constructs.set(item.id, { id: item.id, construct: item.construct, severity: item.severity, recommendation: item.recommendation, files: 0, occurrences: 0 });
+        }
+        const entry = constructs.get(item.id);
+        entry.files++;
+        entry.occurrences += item.occurrences;
+      }
+    }
+
+    const order = ['high', 'medium', 'low'];
+    const report = {
+      name: meta.name || 'assessment',
+      generatedAt: new Date().toISOString(),
+      target: meta.target || 'snowflake',
+      summary: {
+        files: files.length,
+        linesOfCode: totals.linesOfCode,
+        complexity: levels,
+        conversionMethods: methods,
+        estimatedInputTokens: totals.inputTokens,
+        estimatedOutputTokens: totals.outputTokens,
+        estimatedLlmSeconds: Number(totals.llmSeconds.toFixed(1)),
+        estimatedCostUsd: Number(totals.costUsd.toFixed(4)),
+        model: config.llm.model,
+        truncationRisk: files.filter(file => file.estimate.truncationRisk).map(file => file.fileName)
+      },
+      unsupported: [...constructs.values()].sort((a, b) => order.indexOf(a.severity) - order.indexOf(b.severity) || b.files - a.files),
+      files
+    };
+    log.info(`📋 Assessed ${files.length} files: ~${report.summary.estimatedInputTokens + report.summary.estimatedOutputTokens} tokens, $${report.summary.estimatedCostUsd}`);
+    return report;
+  }
+
+  toMarkdown(report) {
+    const { summary } = report;
+    const lines = [
+      `# Migration Assessment: ${report.name}`,
+      '',
+      `**Target:** ${report.target} &nbsp; **Generated:** ${report.generatedAt} &nbsp; **Model:** ${summary.model}`,
+      '',
+      '## 1. Summary',
+      '',
+      '| Metric | Value |',
+      '|---|---|',
+      `| Files | ${summary.files} |`,
+      `| Lines of code | ${summary.linesOfCode} |`,
+      `| Complexity (low / medium / high / very high) | ${summary.complexity.low} / ${summary.complexity.medium} / ${summary.complexity.high} / ${summary.complexity.very_high} |`,
+      `| Conversion (LLM / rules / cached) | ${summary.conversionMethods.llm} / ${summary.conversionMethods.rules} / ${summary.conversionMethods.cache} |`,
+      `| Estimated input tokens | ${summary.estimatedInputTokens} |`,
+      `| Estimated output tokens | ${summary.estimatedOutputTokens} |`,
+      `| Estimated LLM time | ${formatDuration(summary.estimatedLlmSeconds)} |`,
+      `| Estimated cost (USD) | ${summary.estimatedCostUsd.toFixed(4)} |`,
+      ''
+    ];
+    if (summary.truncationRisk.length > 0) {
+      lines.push(`> Output may exceed a single response for: ${summary.truncationRisk.join(', ')}`, '');
+    }
+
+    lines.push('## 2. Constructs without a Snowflake equivalent', '');
+    if (report.unsupported.length === 0) {
+      lines.push('None found.', '');
+    } else {
+      lines.push('| Construct | Severity | Files | Occurrences | Recommendation |', '|---|---|---|---|---|');
+      for (const item of report.unsupported) {
+        lines.push(`| ${item.construct} | ${item.severity} | ${item.files} | ${item.occurrences} | ${escapeCell(item.recommendation)} |`);
+      }
+      lines.push('');
+    }
+
+    lines.push('## 3. Files', '');
+    lines.push('| File | LOC | Complexity | Score | Method | Tokens (in/out) | LLM time | Cost (USD) |', '|---|---|---|---|---|---|---|---|');
+    for (const file of report.files) {
+      const { estimate } = file;
+      lines.push(`| ${escapeCell(file.fileName)} | ${file.metrics.linesOfCode} | ${file.complexity.level} | ${file.complexity.score} | ${estimate.method} | ${estimate.inputTokens} / ${estimate.outputTokens} | ${formatDuration(estimate.llmSeconds)} | ${estimate.costUsd.toFixed(4)} |`);
+    }
+    lines.push('');
+
+    lines.push('## 4. File details', '');
+    for (const file of report.files) {
+      const { metrics } = file;
+      lines.push(`### ${file.fileName}`, '');
+      lines.push(`- Source type: ${file.sourceType}`);
+      lines.push(`- Statements: ${metrics.statements}, PL/SQL units: ${metrics.plsqlUnits}`);
+      lines.push(`- Cursors: ${metrics.cursors}, ref cursors: ${metrics.refCursors}`);
+      lines.push(`- Dynamic SQL: ${metrics.dynamicSql} (EXECUTE IMMEDIATE: ${metrics.executeImmediate})`);
+      lines.push(`- Autonomous transactions: ${metrics.autonomousTransactions}`);
+      lines.push(`- Exception handlers: ${metrics.exceptionHandlers}, raises: ${metrics.raises}`);
+      lines.push(`- Collections / bulk operations: ${metrics.collections}`);
+      if (metrics.packagesUsed.length > 0) {
+        lines.push(`- Built-in packages: ${metrics.packagesUsed.map(pkg => `${pkg.name} (${pkg.calls})`).join(', ')}`);
+      }
+      for (const item of file.unsupported) {
+        lines.push(`- **${item.construct}** (${item.severity}) at line${item.lines.length > 1 ? 's' : ''} ${item.lines.join(', ')}`);
+      }
+      lines.push('');
+    }
+    return lines.join('\n');
+  }
+
+  toHtml(report) {
+    return documentService.markdownToHtml(this.toMarkdown(report), `Migration Assessment: ${report.name}`);
+  }
+
+  async toDocx(report) {
+    return documentService.markdownToDocxBuffer(this.toMarkdown(report), `Migration Assessment: ${report.name}`);
+  }
+}
+
+function escapeCell(value) {
+  return String(value).replace(/\|/g, '\\|');
+}
+
+function formatDuration(seconds) {
+  if (seconds < 60) {
+    return `${seconds}s`;
+  }
+  const minutes = Math.floor(seconds / 60);
+  if (minutes < 60) {
+    return `${minutes}m ${Math.round(seconds % 60)}s`;
+  }
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+}
+
+module.exports = new AssessmentService();
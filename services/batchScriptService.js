@@ -1,18 +1,13 @@
 const fs = require('fs-extra');
 const path = require('path');
-const OpenAI = require('openai');
+const llmService = require('./llmService');
 const idmcConversionService = require('./idmcConversionService');
+const { parseStatements, isClientCommand } = require('../utils/sqlParser');
 const { createModuleLogger } = require('../utils/logger');
 const log = createModuleLogger('services/batchScriptService');
 
 class BatchScriptService {
   constructor() {
-    this.apiKey = process.env.OPENAI_API_KEY;
-    if (this.apiKey) {
-      this.openai = new OpenAI({
-        apiKey: this.apiKey
-      });
-    }
     this.sqlPatterns = {
       // Oracle SQL patterns
       oracle: [
@@ -66,6 +61,48 @@ class BatchScriptService {
         /COMMIT\s*;?/gi,                          // COMMIT
         /ROLLBACK\s*;?/gi                         // ROLLBACK
       ],
+      // SQL Server T-SQL patterns
+      tsql: [
+        /(?:sqlcmd|osql)\b[^\n]*?-i\s+([^\s]+)/gi,  // sqlcmd -S server -d db -i script.sql
+        /^\s*:r\s+([^\s]+)/gim,                  // :r script.sql
+        /^\s*GO\s*$/gim,                          // GO batch separator
+        /bcp\s+([^\s]+)\s+(?:in|out|queryout)\s+([^\s]+)/gi, // bcp table in/out file
+        /EXEC(?:UTE)?\s+[\s\S]*?;?/gi,             // EXEC procedure
+        /BEGIN\s+TRAN(?:SACTION)?\s*;?/gi,         // BEGIN TRAN
+        /SELECT\s+[\s\S]*?;?/gi,                  // SELECT statements
+        /INSERT\s+[\s\S]*?;?/gi,                  // INSERT statements
+        /UPDATE\s+[\s\S]*?;?/gi,                  // UPDATE statements
+        /DELETE\s+[\s\S]*?;?/gi,                  // DELETE statements
+        /MERGE\s+[\s\S]*?;?/gi,                   // MERGE statements
+        /CREATE\s+[\s\S]*?;?/gi,                  // CREATE statements
+        /ALTER\s+[\s\S]*?;?/gi,                   // ALTER statements
+        /DROP\s+[\s\S]*?;?/gi,                    // DROP statements
+        /TRUNCATE\s+[\s\S]*?;?/gi,                // TRUNCATE statements
+        /GRANT\s+[\s\S]*?;?/gi,                   // GRANT statements
+        /COMMIT(?:\s+TRAN(?:SACTION)?)?\s*;?/gi,  // COMMIT
+        /ROLLBACK(?:\s+TRAN(?:SACTION)?)?\s*;?/gi // ROLLBACK
+      ],
+      // Teradata BTEQ patterns
+      teradata: [
+        /bteq\s*<\s*([^\s]+)/gi,                   // bteq < script.btq
+        /^\s*\.LOGON\s+[^\n]*/gim,                // .LOGON tdpid/user,password
+        /^\s*\.RUN\s+FILE\s*=?\s*([^\s;]+)/gim,   // .RUN FILE = script.btq
+        /^\s*\.(?:EXPORT|IMPORT)\s+[^\n]*/gim,     // .EXPORT / .IMPORT data files
+        /^\s*\.IF\s+ERRORCODE\s+[^\n]*/gim,       // .IF ERRORCODE <> 0 THEN .QUIT 8
+        /^\s*\.QUIT\b[^\n]*/gim,                  // .QUIT
+        /\b(?:fastload|mload|multiload|tbuild)\b[^\n]*/gi, // FastLoad / MultiLoad / TPT
+        /COLLECT\s+STAT(?:ISTIC)?S\s+[\s\S]*?;?/gi, // COLLECT STATISTICS
+        /\b(?:SEL|SELECT)\s+[\s\S]*?;?/gi,          // SELECT statements
+        /\b(?:INS|INSERT)\s+[\s\S]*?;?/gi,          // INSERT statements
+        /\b(?:UPD|UPDATE)\s+[\s\S]*?;?/gi,          // UPDATE statements
+        /\b(?:DEL|DELETE)\s+[\s\S]*?;?/gi,          // DELETE statements
+        /MERGE\s+[\s\S]*?;?/gi,                   // MERGE statements
+        /(?:CREATE|REPLACE)\s+[\s\S]*?;?/gi,      // CREATE / REPLACE statements
+        /ALTER\s+[\s\S]*?;?/gi,                   // ALTER statements
+        /DROP\s+[\s\S]*?;?/gi,                    // DROP statements
+        /GRANT\s+[\s\S]*?;?/gi,                   // GRANT statements
+        /\b(?:BT|ET)\s*;/gi                       // BT / ET transaction brackets
+      ],
       // General SQL patterns
       general: [
         /CREATE\s+DATABASE\s+[\s\S]*?;?/gi,        // CREATE DATABASE statements
@@ -176,21 +213,22 @@ class BatchScriptService {
 
   summarizePureSQLFile(content, fileName) {
     const upper = content.toUpperCase();
+    const dialect = upper.includes('DISTKEY') || upper.includes('SORTKEY') ? 'redshift' : 'oracle';
+    const statements = parseStatements(content, { dialect });
+    const hasKind = (kind) => statements.some(s => s.kind === kind);
     
-    // Extract table names from CREATE TABLE statements
-    const tableMatches = content.match(/CREATE\s+TABLE\s+(\w+)/gi) || [];
-    const tables = tableMatches.map(m => m.replace(/CREATE\s+TABLE\s+/i, '').trim()).filter(Boolean);
+    // Table names from CREATE TABLE statements
+    const tables = statements.filter(s => s.kind === 'CREATE_TABLE').map(s => s.qualifiedName);
     
-    // Extract database/schema name from CREATE DATABASE/USE statements
-    const dbMatch = content.match(/CREATE\s+DATABASE\s+(\w+)/i);
-    const useMatch = content.match(/USE\s+(\w+)/i);
-    const dbName = (dbMatch && dbMatch[1]) || (useMatch && useMatch[1]) || null;
+    // Database/schema name from CREATE DATABASE/USE statements
+    const dbStatement = statements.find(s => s.kind === 'CREATE_DATABASE') || statements.find(s => s.kind === 'USE');
+    const dbName = (dbStatement && dbStatement.qualifiedName) || null;
     
     // Detect statement types
-    const hasCreateTable = /CREATE\s+TABLE/i.test(content);
-    const hasInsert = /INSERT\s+INTO/i.test(content);
-    const hasSelect = /SELECT\s+.*\s+FROM/i.test(content);
-    const hasCreateDatabase = /CREATE\s+DATABASE/i.test(content);
+    const hasCreateTable = hasKind('CREATE_TABLE');
+    const hasInsert = hasKind('INSERT');
+    const hasSelect = hasKind('SELECT');
+    const hasCreateDatabase = hasKind('CREATE_DATABASE');
     
     // Detect target database type
     let targetDb = 'Database';
@@ -537,17 +575,20 @@ class BatchScriptService {
       
       if (isPureSQLFile) {
         log.info('Detected pure SQL file - using statement splitting approach');
-        const statements = this.extractSQLStatements(scriptContent);
+        const statements = this.extractSQLStatements(scriptContent, this.getDialect(scriptType));
         
-        for (let i = 0; i < statements.length; i++) {
-          const stmt = statements[i];
-          if (stmt.trim().length < 10) continue;
-          if (this.isNonSQLCommand(stmt)) continue;
+        for (const stmt of statements) {
+          if (stmt.text.length < 10 || this.isNonSQLCommand(stmt.text)) {
+            continue;
+          }
           
           extractedSQL.push({
-            statement: stmt.trim(),
-            type: this.classifySQLStatement(stmt),
-            lineNumber: this.getStatementLineNumber(scriptContent, stmt, i),
+            statement: stmt.text,
+            type: this.getStatementType(stmt),
+            lineNumber: stmt.startLine,
+            endLineNumber: stmt.endLine,
+            objectName: stmt.qualifiedName,
+            referencedTables: stmt.referencedTables,
             context: this.getStatementContext(scriptContent, stmt)
           });
         }
@@ -568,7 +609,7 @@ class BatchScriptService {
             
             extractedSQL.push({
               statement: sqlStatement,
-              type: this.classifySQLStatement(sqlStatement),
+              type: this.classifySQLStatement(sqlStatement, this.getDialect(scriptType)),
               lineNumber: this.getLineNumber(scriptContent, match.index),
               context: this.getContext(scriptContent, match.index)
             });
@@ -603,6 +644,10 @@ class BatchScriptService {
       upper.includes('SQL*LOADER') || 
       upper.includes('SQLLDR') ||
       upper.includes('PSQL') ||
+      upper.includes('SQLCMD') ||
+      upper.includes('BTEQ') ||
+      /^\s*\.(?:LOGON|LOGOFF|QUIT|RUN\s+FILE)\b/im.test(content) || // BTEQ dot commands
+      /^\s*:(?:r|connect|setvar)\s+/im.test(content) ||             // sqlcmd commands
       /^\s*@\s*\w+/.test(content) || // @script.sql pattern
       /^\s*SPOOL\s+/im.test(content) ||
       /^\s*SET\s+PAGES/im.test(content)
@@ -612,6 +657,7 @@ class BatchScriptService {
     const hasSQLStatements = (
       /CREATE\s+(DATABASE|SCHEMA|TABLE|VIEW|INDEX|SEQUENCE|PROCEDURE|FUNCTION|TRIGGER)/i.test(content) ||
       /INSERT\s+INTO/i.test(content) ||
+      /MERGE\s+INTO/i.test(content) ||
       /SELECT\s+.*\s+FROM/i.test(content) ||
       /UPDATE\s+.*\s+SET/i.test(content) ||
       /DELETE\s+FROM/i.test(content)
@@ -620,136 +666,21 @@ class BatchScriptService {
     return hasSQLStatements && !hasBatchIndicators;
   }
 
-  // Extract SQL statements by splitting on semicolons (handling multi-line)
-  extractSQLStatements(content) {
-    const statements = [];
-    let currentStatement = '';
-    let inString = false;
-    let stringChar = null;
-    let inComment = false;
-    let commentType = null; // '--' or '/*'
-    
-    const lines = content.split('\n');
-    
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i];
-      let i_char = 0;
-      
-      while (i_char < line.length) {
-        const char = line[i_char];
-        const nextChar = i_char < line.length - 1 ? line[i_char + 1] : '';
-        const twoChars = char + nextChar;
-        
-        // Handle comments
-        if (!inString && !inComment) {
-          if (twoChars === '--') {
-            // Single-line comment, skip rest of line
-            currentStatement += ' ';
-            break;
-          } else if (twoChars === '/*') {
-            inComment = true;
-            commentType = '/*';
-            currentStatement += ' ';
-            i_char += 2;
-            continue;
-          }
-        }
-        
-        // Handle comment end
-        if (inComment && commentType === '/*' && twoChars === '*/') {
-          inComment = false;
-          commentType = null;
-          currentStatement += ' ';
-          i_char += 2;
-          continue;
-        }
-        
-        // Skip characters inside comments
-        if (inComment) {
-          currentStatement += ' ';
-          i_char++;
-          continue;
-        }
-        
-        // Handle strings
-        if ((char === '"' || char === "'") && !inComment) {
-          if (!inString) {
-            inString = true;
-            stringChar = char;
-          } else if (char === stringChar) {
-            // Check for escaped quote
-            if (i_char > 0 && line[i_char - 1] === '\\') {
-              // Escaped quote, continue
-            } else {
-              inString = false;
-              stringChar = null;
-            }
-          }
-        }
-        
-        // Handle statement termination
-        if (!inString && char === ';') {
-          currentStatement += char;
-          const trimmed = currentStatement.trim();
-          if (trimmed.length > 0) {
-            statements.push(trimmed);
-          }
-          currentStatement = '';
-          i_char++;
-          continue;
-        }
-        
-        currentStatement += char;
-        i_char++;
-      }
-      
-      // Add newline unless we're at the end
-      if (i < lines.length - 1) {
-        currentStatement += '\n';
-      }
-    }
-    
-    // Add final statement if it exists (might not end with semicolon)
-    const trimmed = currentStatement.trim();
-    if (trimmed.length > 0) {
-      statements.push(trimmed);
-    }
-    
-    return statements.filter(s => s.length > 0);
+  getDialect(scriptType) {
+    return ['redshift', 'tsql', 'teradata'].includes(scriptType) ? scriptType : 'oracle';
   }
 
-  getStatementLineNumber(content, statement, index) {
-    // Find the first occurrence of the statement in the content
-    const normalizedContent = content.replace(/--[^\n]*/g, '').replace(/\/\*[\s\S]*?\*\//g, '');
-    const normalizedStatement = statement.replace(/--[^\n]*/g, '').replace(/\/\*[\s\S]*?\*\//g, '').trim();
-    const firstLine = normalizedStatement.split('\n')[0].trim();
-    
-    const lines = normalizedContent.split('\n');
-    for (let i = 0; i < lines.length; i++) {
-      if (lines[i].includes(firstLine.substring(0, Math.min(30, firstLine.length)))) {
-        return i + 1;
-      }
-    }
-    return index + 1;
+  // Split a SQL file into parsed statements (kind, object name, referenced tables, line range),
+  // leaving out client commands (SQL*Plus, psql, sqlcmd, BTEQ)
+  extractSQLStatements(content, dialect = 'oracle') {
+    return parseStatements(content, { dialect })
+      .filter(stmt => !isClientCommand(stmt));
   }
 
-  getStatementContext(content, statement) {
+  getStatementContext(content, statement, contextLines = 2) {
     const lines = content.split('\n');
-    const stmtLines = statement.split('\n');
-    const firstLineText = stmtLines[0].trim();
-    
-    // Find the line number where statement starts
-    let startLine = 0;
-    for (let i = 0; i < lines.length; i++) {
-      if (lines[i].includes(firstLineText.substring(0, Math.min(30, firstLineText.length)))) {
-        startLine = i;
-        break;
-      }
-    }
-    
-    const contextLines = 2;
-    const start = Math.max(0, startLine - contextLines);
-    const end = Math.min(lines.length, startLine + stmtLines.length + contextLines);
+    const start = Math.max(0, statement.startLine - 1 - contextLines);
+    const end = Math.min(lines.length, statement.endLine + contextLines);
     
     return lines.slice(start, end).join('\n');
   }
@@ -767,6 +698,10 @@ class BatchScriptService {
       '\\dt',
       '\\o',
       '\\i',
+      '.logon',
+      '.logoff',
+      '.quit',
+      ':setvar',
       'var ',
       'print '
     ];
@@ -775,36 +710,23 @@ class BatchScriptService {
     return nonSQLCommands.some(cmd => upperStatement.includes(cmd.toUpperCase()));
   }
 
-  classifySQLStatement(statement) {
-    const upperStatement = statement.toUpperCase().trim();
-    
-    if (upperStatement.startsWith('SELECT')) return 'SELECT';
-    if (upperStatement.startsWith('INSERT')) return 'INSERT';
-    if (upperStatement.startsWith('UPDATE')) return 'UPDATE';
-    if (upperStatement.startsWith('DELETE')) return 'DELETE';
-    if (upperStatement.startsWith('CREATE DATABASE')) return 'CREATE_DATABASE';
-    if (upperStatement.startsWith('CREATE TABLE')) return 'CREATE_TABLE';
-    if (upperStatement.startsWith('CREATE VIEW')) return 'CREATE_VIEW';
-    if (upperStatement.startsWith('CREATE INDEX')) return 'CREATE_INDEX';
-    if (upperStatement.startsWith('CREATE PROCEDURE')) return 'CREATE_PROCEDURE';
-    if (upperStatement.startsWith('CREATE FUNCTION')) return 'CREATE_FUNCTION';
-    if (upperStatement.startsWith('CREATE TRIGGER')) return 'CREATE_TRIGGER';
-    if (upperStatement.startsWith('CREATE SCHEMA')) return 'CREATE_SCHEMA';
-    if (upperStatement.startsWith('CREATE')) return 'CREATE';
-    if (upperStatement.startsWith('USE ')) return 'USE';
-    if (upperStatement.startsWith('ALTER')) return 'ALTER';
-    if (upperStatement.startsWith('DROP')) return 'DROP';
-    if (upperStatement.startsWith('GRANT')) return 'GRANT';
-    if (upperStatement.startsWith('REVOKE')) return 'REVOKE';
-    if (upperStatement.startsWith('COMMIT')) return 'COMMIT';
-    if (upperStatement.startsWith('ROLLBACK')) return 'ROLLBACK';
-    if (upperStatement.startsWith('SAVEPOINT')) return 'SAVEPOINT';
-    if (upperStatement.startsWith('BEGIN')) return 'PL/SQL_BLOCK';
-    if (upperStatement.startsWith('COPY')) return 'COPY';
-    if (upperStatement.startsWith('UNLOAD')) return 'UNLOAD';
-    if (upperStatement.startsWith('VACUUM')) return 'VACUUM';
-    if (upperStatement.startsWith('ANALYZE')) return 'ANALYZE';
-    
+  classifySQLStatement(statement, dialect = 'oracle') {
+    const [parsed] = parseStatements(statement, { dialect });
+    return parsed ? this.getStatementType(parsed) : 'UNKNOWN';
+  }
+
+  // Map a parsed statement to the statement types reported by the extraction API
+  getStatementType(statement) {
+    const knownVerbs = [
+      'SELECT', 'INSERT', 'UPDATE', 'DELETE', 'MERGE', 'CREATE', 'ALTER', 'DROP', 'TRUNCATE', 'USE', 'GRANT',
+      'REVOKE', 'COMMIT', 'ROLLBACK', 'SAVEPOINT', 'COPY', 'UNLOAD', 'VACUUM', 'ANALYZE', 'CALL'
+    ];
+    if (statement.kind === 'PLSQL_BLOCK') {
+      return 'PL/SQL_BLOCK';
+    }
+    if (statement.objectType || knownVerbs.includes(statement.kind)) {
+      return statement.kind;
+    }
     return 'UNKNOWN';
   }
 
@@ -860,7 +782,13 @@ class BatchScriptService {
       // Determine script type based on file extension and content
       let detectedScriptType = scriptType || 'general';
       if (!scriptType) {
-        if (fileExt === '.bat') {
+        if (/\b(?:sqlcmd|osql|bcp)\b/i.test(content)) {
+          // sqlcmd / osql / bcp drive SQL Server from any kind of script
+          detectedScriptType = 'tsql';
+        } else if (/\bbteq\b|^\s*\.LOGON\b|\b(?:fastload|mload)\b/im.test(content)) {
+          // BTEQ, FastLoad and MultiLoad are Teradata clients
+          detectedScriptType = 'teradata';
+        } else if (fileExt === '.bat') {
           // Windows batch scripts - often Oracle-related
           if (content.includes('sqlplus') || content.includes('@') || content.includes('spool')) {
             detectedScriptType = 'oracle';
@@ -997,7 +925,7 @@ class BatchScriptService {
   // Generate human-readable summary for batch scripts (separate from IDMC format)
   async generateHumanReadableSummary(content, fileName) {
     // Use OpenAI-based generic method for all file types
-    if (this.apiKey && this.openai) {
+    if (llmService.isConfigured()) {
       try {
         log.info(`Generating human-readable summary using OpenAI for: ${fileName}`);
         return await this.generateHumanReadableSummaryWithOpenAI(content, fileName);
@@ -1007,7 +935,7 @@ class BatchScriptService {
         return this.generateGenericHumanReadableSummary(content, fileName);
       }
     } else {
-      log.warn('OpenAI API key not configured, using basic summary');
+      log.warn('LLM provider not configured, using basic summary');
       // Fallback to basic summary if OpenAI not available
       return this.generateGenericHumanReadableSummary(content, fileName);
     }
@@ -1019,8 +947,8 @@ class BatchScriptService {
    */
   async generateHumanReadableSummaryWithOpenAI(content, fileName) {
     try {
-      if (!this.apiKey || !this.openai) {
-        throw new Error('OpenAI API key not configured');
+      if (!llmService.isConfigured()) {
+        throw new Error('LLM provider not configured');
       }
 
       // Determine file type from extension
@@ -1080,8 +1008,7 @@ ${content}
 
 Please provide a comprehensive summary that follows the exact format specified above. Analyze the entire code thoroughly and provide detailed information for all sections.`;
 
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4o-mini",
+      const response = await llmService.createChatCompletion({
         messages: [
           { role: "system", content: systemPrompt },
           { role: "user", content: userPrompt }
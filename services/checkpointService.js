@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config');
+const { createModuleLogger } = require('../utils/logger');
+const log = createModuleLogger('services/checkpointService');
+
+const MANIFEST_FILE = 'manifest.json';
+
+/**
+ * Per-file checkpoints for zip jobs. Each successfully converted file is written to
+ * `<checkpoints>/<jobId>/<hash>.json` as soon as its worker finishes, so a retry (or a
+ * run after a crash) only has to convert the files that failed or never ran.
+ * The manifest records the original request so the job can be re-run.
+ */
+class CheckpointService {
+  getJobDir(jobId) {
+    return path.join(config.paths.checkpoints, jobId);
+  }
+
+  getFileKey(relativePath) {
+    return crypto.createHash('sha1').update(relativePath).digest('hex');
+  }
+
+  /**
+   * Start (or resume) checkpointing for a job. A fresh start discards checkpoints
+   * left by an earlier run of the same jobId.
+   */
+  async startJob(jobId, manifest, { resume = false } = {}) {
+    const dir = this.getJobDir(jobId);
+    if (!resume) {
+      await fs.remove(dir);
+    }
+    await fs.ensureDir(dir);
+    await fs.writeJson(path.join(dir, MANIFEST_FILE), {
+      ...manifest,
+      jobId,
+      updatedAt: new Date().toISOString()
+    }, { spaces: 2 });
+  }
+
+  async loadManifest(jobId) {
+    const manifestPath = path.join(this.getJobDir(jobId), MANIFEST_FILE);
+    if (!(await fs.pathExists(manifestPath))) {
+      return null;
+    }
+    return fs.readJson(manifestPath);
+  }
+
+  async saveFile(jobId, relativePath, result) {
+    try {
+      const dir = this.getJobDir(jobId);
+      await fs.ensureDir(dir);
+      await fs.writeJson(path.join(dir, `${this.getFileKey(relativePath)}.json`), {
+        relativePath,
+        savedAt: new Date().toISOString(),
+        result
+      });
+    } catch (error) {
+      // A missing checkpoint only means the file is converted again on retry
+      log.warn(`⚠️ Failed to checkpoint ${relativePath} for job ${jobId}`, { error: error.message });
+    }
+  }
+
+  /**
+   * @returns {Promise<Map<string, Object>>} relativePath -> checkpointed worker result
+   */
+  async loadFiles(jobId) {
+    const checkpoints = new Map();
+    const dir = this.getJobDir(jobId);
+    if (!(await fs.pathExists(dir))) {
+      return checkpoints;
+    }
+
+    const entries = await fs.readdir(dir);
+    for (const entry of entries) {
+      if (entry === MANIFEST_FILE || !entry.endsWith('.json')) {
+        continue;
+      }
+      try {
+        const checkpoint = await fs.readJson(path.join(dir, entry));
+        checkpoints.set(checkpoint.relativePath, checkpoint.result);
+      } catch (error) {
+        log.warn(`⚠️ Ignoring unreadable checkpoint ${entry} for job ${jobId}`, { error: error.message });
+      }
+    }
+    return checkpoints;
+  }
+
+  async clearJob(jobId) {
+    await fs.remove(this.getJobDir(jobId));
+  }
+
+  /**
+   * Remove checkpoints not written to for `maxAgeMs` (jobs nobody retried)
+   * @returns {Promise<number>} number of jobs removed
+   */
+  async removeExpired(maxAgeMs) {
+    const root = config.paths.checkpoints;
+    if (!(await fs.pathExists(root))) {
+      return 0;
+    }
+    const cutoff = Date.now() - maxAgeMs;
+    let removed = 0;
+    for (const jobId of await fs.readdir(root)) {
+      const stats = await fs.stat(path.join(root, jobId));
+      // Every checkpoint write touches the job directory, so its mtime is the last activity
+      if (stats.isDirectory() && stats.mtimeMs < cutoff) {
+        await this.clearJob(jobId);
+        removed++;
+      }
+    }
+    if (removed > 0) {
+      log.info(`🧹 Removed checkpoints of ${removed} expired job(s)`);
+    }
+    return removed;
+  }
+}
+
+module.exports = new CheckpointService();
@@ -0,0 +1,146 @@
+const config = require('../config');
+const { parseStatements } = require('../utils/sqlParser');
+const oraclePackageService = require('./oraclePackageService');
+const { mergeConversionInfo } = require('../utils/conversionInfo');
+const { createModuleLogger } = require('../utils/logger');
+const log = createModuleLogger('services/chunkedConversionService');
+
+const CHARS_PER_TOKEN = 4;
+// Declarations longer than this are cut in the shared context header
+const MAX_DECLARATION_CHARS = 600;
+
+/**
+ * Statement-level chunking for files too large for one conversion prompt. A file is split with
+ * batchScriptService.extractSQLStatements into chunks of whole statements under
+ * `config.chunking.maxChunkTokens`; every chunk is converted with the same context header
+ * (declared types, package variables and constants) and the outputs are stitched back in order.
+ * LLM answers cut off at max_tokens (`finish_reason: length`) are reported as truncated.
+ */
+class ChunkedConversionService {
+  constructor(chunkingConfig = config.chunking) {
+    this.enabled = chunkingConfig.enabled;
+    this.maxChunkTokens = chunkingConfig.maxChunkTokens;
+  }
+
+  estimateTokens(code) {
+    return Math.ceil(String(code || '').length / CHARS_PER_TOKEN);
+  }
+
+  isTruncated(response) {
+    const choice = response && response.choices && response.choices[0];
+    return Boolean(choice && choice.finish_reason === 'length');
+  }
+
+  /**
+   * Split code into chunks of consecutive statements. A statement larger than the budget is a chunk of its own.
+   * Text between statements (comments, client commands such as `/`) goes with the statement that follows,
+   * so the chunks joined together are the whole file.
+   * @returns {Array<{text: string, startLine: number, endLine: number}>} chunks in source order; the
+   *   lines are those of the first and last statement
+   */
+  split(code, dialect = 'oracle') {
+    // Required here: batchScriptService depends on idmcConversionService, which uses this service
+    const batchScriptService = require('./batchScriptService');
+    const statements = batchScriptService.extractSQLStatements(code, dialect);
+    const chunks = [];
+    let current = null;
+    for (const statement of statements) {
+      if (current && this.estimateTokens(code.slice(current.start, statement.end)) > this.maxChunkTokens) {
+        chunks.push(current);
+        current = null;
+      }
+      current = current
+        ? { ...current, end: statement.end, endLine: statement.endLine }
+        : { start: chunks.length > 0 ? chunks[chunks.length - 1].end : 0, end: statement.end, startLine: statement.startLine, endLine: statement.endLine };
+    }
+    if (current) {
+      chunks.push({ ...current, end: code.length });
+    }
+    return chunks.map(chunk => ({ text: code.slice(chunk.start, chunk.end), startLine: chunk.startLine, endLine: chunk.endLine }));
+  }
+
+  /**
+   * @returns {Array<Object>|null} the chunks when code is over the budget and splits into more than one, else null
+   */
+  plan(code, dialect = 'oracle') {
+    if (!this.enabled || this.estimateTokens(code) <= this.maxChunkTokens) {
+      return null;
+    }
+    const chunks = this.split(code, dialect);
+    return chunks.length > 1 ? chunks : null;
+  }
+
+  // Declarations every chunk may reference: CREATE TYPE specs and package-level types, variables and constants
+  buildContextHeader(code, dialect = 'oracle') {
+    const clip = text => (text.length > MAX_DECLARATION_CHARS ? `${text.slice(0, MAX_DECLARATION_CHARS)} ...` : text);
+    const declarations = parseStatements(code, { dialect })
+      .filter(statement => statement.kind === 'CREATE_TYPE')
+      .map(statement => clip(statement.text.trim()));
+
+    if (dialect === 'oracle' && oraclePackageService.hasPackages(code)) {
+      for (const pkg of oraclePackageService.decompose(code).values()) {
+        pkg.members
+          .filter(member => ['type', 'variable', 'constant'].includes(member.kind))
+          .forEach(member => declarations.push(`${pkg.name}.${clip(member.declarationText.trim())}`));
+      }
+    }
+    return declarations.length > 0
+      ? `Declarations from elsewhere in the file that this part may reference:\n${declarations.map(d => `- ${d}`).join('\n')}`
+      : '';
+  }
+
+  chunkContext(header, chunk, index, total, fileName) {
+    return [
+      header,
+      `This is part ${index + 1} of ${total} of ${fileName} (lines ${chunk.startLine}-${chunk.endLine}). ` +
+        'Convert only this part; the other parts are converted separately and joined in order.'
+    ].filter(Boolean).join('\n');
+  }
+
+  /**
+   * Convert a file chunk by chunk.
+   * @param {string} code
+   * @param {string} fileName
+   * @param {Array<Object>} chunks - from plan()
+   * @param {(code: string, name: string, unitOptions: {conversionInfo: Object, promptContext: string}) => Promise<string>} convertChunk
+   * @param {Object} [options] - { dialect, promptContext (prepended to every chunk's context), conversionInfo }
+   * @returns {Promise<string[]>} converted chunks in source order
+   */
+  async convertChunks(code, fileName, chunks, convertChunk, options = {}) {
+    log.info(`✂️ Converting ${fileName} in ${chunks.length} chunks`, { tokens: this.estimateTokens(code), maxChunkTokens: this.maxChunkTokens });
+    const header = [options.promptContext, this.buildContextHeader(code, options.dialect)].filter(Boolean).join('\n');
+    const infos = [];
+    const outputs = [];
+    for (let i = 0; i < chunks.length; i++) {
+      const info = {};
+      infos.push(info);
+      const name = `${fileName} (part ${i + 1}/${chunks.length})`;
+      outputs.push(await convertChunk(chunks[i].text, name, {
+        conversionInfo: info,
+        promptContext: this.chunkContext(header, chunks[i], i, chunks.length, fileName)
+      }));
+    }
+
+    if (options.conversionInfo) {
+      Object.assign(options.conversionInfo, {
+        ...mergeConversionInfo(infos),
+        chunks: chunks.map((chunk, i) => ({ part: i + 1, startLine: chunk.startLine, endLine: chunk.endLine }))
+      });
+    }
+    return outputs;
+  }
+
+  truncationNote(truncated) {
+    return `INCOMPLETE OUTPUT: the LLM response hit its token limit for ${truncated.join(', ')}. Review and complete it before use.`;
+  }
+
+  // Converted SQL with a header naming the parts whose LLM answer was cut off, so it is not deployed as complete
+  markTruncated(code, truncated) {
+    if (!truncated || truncated.length === 0) {
+      return code;
+    }
+    return `-- WARNING: ${this.truncationNote(truncated)}\n${code}`;
+  }
+}
+
+module.exports = new ChunkedConversionService();
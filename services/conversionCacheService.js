@@ -0,0 +1,201 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config');
+const llmService = require('./llmService');
+const { createModuleLogger } = require('../utils/logger');
+const log = createModuleLogger('services/conversionCacheService');
+
+// Bump a version whenever the matching prompt changes so stale conversions are not reused
+const PROMPT_VERSIONS = {
+  oracleToSnowflake: 'oracle-snowflake-v3',
+  oracleToSnowflakeScripting: 'oracle-snowflake-scripting-v2',
+  redshiftToSnowflake: 'redshift-snowflake-v1',
+  tsqlToSnowflake: 'tsql-snowflake-v1',
+  teradataToSnowflake: 'teradata-snowflake-v1',
+  oracleToIdmc: 'oracle-idmc-v1',
+  redshiftToIdmc: 'redshift-idmc-v1',
+  tsqlToIdmc: 'tsql-idmc-v1',
+  teradataToIdmc: 'teradata-idmc-v1',
+  summaryToJson: 'summary-json-v1',
+  snowflakeRepair: 'snowflake-repair-v1'
+};
+
+const TARGETS = ['snowflake', 'idmc', 'summary-json'];
+
+/**
+ * Content-hash cache for LLM conversions. Entries live on disk under
+ * `<cache>/<target>/<key>.json` so they are shared between worker threads and
+ * survive restarts. The key covers the source hash, target, prompt version and model,
+ * so changing any of them results in a miss.
+ */
+class ConversionCacheService {
+  constructor() {
+    this.counters = { hits: 0, misses: 0, writes: 0 };
+  }
+
+  get enabled() {
+    return config.cache.enabled;
+  }
+
+  hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+
+  getKey(target, promptVersion, sourceHash) {
+    return this.hash([target, promptVersion, llmService.model, sourceHash].join('|'));
+  }
+
+  /**
+   * Cache source of a conversion whose prompt names the file: the file name shapes the output
+   * (the IDMC mapping name, comments), so the same code in two files is cached twice
+   */
+  promptSource(fileName, ...parts) {
+    return [`File: ${fileName || ''}`, ...parts.filter(Boolean)].join('\n');
+  }
+
+  getEntryPath(target, key) {
+    return path.join(config.cache.path, target, `${key}.json`);
+  }
+
+  /**
+   * Look up a cached conversion.
+   * @param {string} target - snowflake | idmc | summary-json
+   * @param {string} promptVersion - one of PROMPT_VERSIONS
+   * @param {string} source - source code (or summary) being converted
+   * @param {Object} [stats] - optional per-file counters; hits/misses are incremented in place
+   * @returns {Promise<string|null>} cached output, or null on a miss
+   */
+  async get(target, promptVersion, source, stats) {
+    if (!this.enabled) {
+      return null;
+    }
+
+    const key = this.getKey(target, promptVersion, this.hash(source || ''));
+    let output = null;
+    try {
+      const entryPath = this.getEntryPath(target, key);
+      if (await fs.pathExists(entryPath)) {
+        const entry = await fs.readJson(entryPath);
+        output = typeof entry.output === 'string' ? entry.output : null;
+      }
+    } catch (error) {
+      // A corrupt entry is treated as a miss and overwritten by the next set()
+      log.warn(`⚠️ Ignoring unreadable cache entry ${key}`, { error: error.message });
+    }
+
+    const counter = output !== null ? 'hits' : 'misses';
+    this.counters[counter]++;
+    if (stats) {
+      stats[counter] = (stats[counter] || 0) + 1;
+    }
+    if (output !== null) {
+      log.info(`♻️ Conversion cache hit (${target})`, { key });
+    }
+    return output;
+  }
+
+  /**
+   * Whether a conversion is cached, without counting a hit or miss (used by the assessment).
+   * @returns {Promise<boolean>}
+   */
+  async has(target, promptVersion, source) {
+    if (!this.enabled) {
+      return false;
+    }
+    const key = this.getKey(target, promptVersion, this.hash(source || ''));
+    return fs.pathExists(this.getEntryPath(target, key));
+  }
+
+  async set(target, promptVersion, source, output, fileName) {
+    if (!this.enabled || typeof output !== 'string') {
+      return;
+    }
+
+    const sourceHash = this.hash(source || '');
+    const key = this.getKey(target, promptVersion, sourceHash);
+    const entryPath = this.getEntryPath(target, key);
+    const tempPath = `${entryPath}.${process.pid}.${Date.now()}.tmp`;
+    try {
+      await fs.ensureDir(path.dirname(entryPath));
+      // Write then rename so a concurrent reader never sees a partial entry
+      await fs.writeJson(tempPath, {
+        key,
+        target,
+        promptVersion,
+        model: llmService.model,
+        sourceHash,
+        fileName,
+        createdAt: new Date().toISOString(),
+        output
+      });
+      await fs.move(tempPath, entryPath, { overwrite: true });
+      this.counters.writes++;
+    } catch (error) {
+      log.warn(`⚠️ Failed to write cache entry for ${fileName}`, { error: error.message });
+      await fs.remove(tempPath).catch(() => {});
+    }
+  }
+
+  /**
+   * Remove cached conversions for one target, or all of them.
+   * @returns {Promise<number>} number of entries removed
+   */
+  async purge(target) {
+    const targets = target ? [target] : TARGETS;
+    let removed = 0;
+    for (const t of targets) {
+      const dir = path.join(config.cache.path, t);
+      if (!(await fs.pathExists(dir))) {
+        continue;
+      }
+      const entries = await fs.readdir(dir);
+      removed += entries.filter(entry => entry.endsWith('.json')).length;
+      await fs.remove(dir);
+    }
+    log.info(`🧹 Purged ${removed} cached conversion(s)`, { target: target || 'all' });
+    return removed;
+  }
+
+  async getStats() {
+    const entries = {};
+    for (const t of TARGETS) {
+      const dir = path.join(config.cache.path, t);
+      entries[t] = (await fs.pathExists(dir))
+        ? (await fs.readdir(dir)).filter(entry => entry.endsWith('.json')).length
+        : 0;
+    }
+
+    // Counters only cover lookups made on the main thread; workers report theirs per job
+    return {
+      enabled: this.enabled,
+      path: config.cache.path,
+      model: llmService.model,
+      promptVersions: PROMPT_VERSIONS,
+      entries,
+      process: { ...this.counters }
+    };
+  }
+
+  /**
+   * Combine per-file cache stats into a job-level summary.
+   * @param {Array<{hits?: number, misses?: number}>} statsList
+   */
+  summarize(statsList) {
+    const hits = statsList.reduce((sum, s) => sum + ((s && s.hits) || 0), 0);
+    const misses = statsList.reduce((sum, s) => sum + ((s && s.misses) || 0), 0);
+    const lookups = hits + misses;
+    return {
+      enabled: this.enabled,
+      hits,
+      misses,
+      hitRate: lookups > 0 ? Number((hits / lookups).toFixed(3)) : 0
+    };
+  }
+}
+
+const conversionCacheService = new ConversionCacheService();
+conversionCacheService.PROMPT_VERSIONS = PROMPT_VERSIONS;
+conversionCacheService.TARGETS = TARGETS;
+
+module.exports = conversionCacheService;
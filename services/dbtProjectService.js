@@ -0,0 +1,435 @@
+const { tokenize, parseStatements, readQualifiedName, isClientCommand } = require('../utils/sqlParser');
+const oracleConversionService = require('./oracleConversionService');
+const lineageService = require('./lineageService');
+const { createModuleLogger } = require('../utils/logger');
+const log = createModuleLogger('services/dbtProjectService');
+
+const REPORT_NAME = 'dbt_conversion_report.json';
+
+// Objects whose logic lives in PL/SQL; they are reported instead of modelled
+const PROCEDURAL_TYPES = new Set(['PROCEDURE', 'FUNCTION', 'PACKAGE', 'PACKAGE BODY', 'TRIGGER', 'TYPE', 'TYPE BODY']);
+const MODEL_OBJECT_TYPES = { VIEW: 'view', 'MATERIALIZED VIEW': 'table', TABLE: 'table' };
+
+// Words after which the next name in a FROM list is a table reference
+const TABLE_INTRODUCERS = new Set(['FROM', 'JOIN']);
+// Words that end a FROM list at the current depth
+const FROM_TERMINATORS = new Set([
+  'WHERE', 'GROUP', 'HAVING', 'ORDER', 'QUALIFY', 'UNION', 'INTERSECT', 'MINUS', 'EXCEPT', 'CONNECT', 'START',
+  'ON', 'USING', 'LIMIT', 'FETCH', 'SELECT', 'WINDOW'
+]);
+
+const word = (token) => (token && token.type === 'word' ? token.value.toUpperCase() : null);
+const isOpen = (token) => token && token.type === 'punctuation' && token.value === '(';
+const isClose = (token) => token && token.type === 'punctuation' && token.value === ')';
+const shortName = (table) => table.split('.').pop();
+const yamlString = (value) => `'${String(value).replace(/'/g, "''")}'`;
+
+// Index of the first SELECT/WITH outside parentheses: the query of a view, CTAS or INSERT ... SELECT
+function findQueryStart(tokens) {
+  let depth = 0;
+  for (let k = 0; k < tokens.length; k++) {
+    if (isOpen(tokens[k])) {
+      depth++;
+    } else if (isClose(tokens[k])) {
+      depth = Math.max(0, depth - 1);
+    } else if (depth === 0 && (word(tokens[k]) === 'SELECT' || word(tokens[k]) === 'WITH') && k > 0) {
+      return k;
+    }
+  }
+  return -1;
+}
+
+// Column names in the header's `(a, b, c)` list, if the statement has one
+function readColumnList(tokens, queryStart) {
+  const open = tokens.findIndex((token, k) => k < queryStart && isOpen(token));
+  if (open === -1) {
+    return null;
+  }
+  const columns = [];
+  let depth = 0;
+  let expectName = true;
+  for (let k = open; k < queryStart; k++) {
+    if (isOpen(tokens[k])) {
+      depth++;
+    } else if (isClose(tokens[k])) {
+      if (--depth === 0) {
+        break;
+      }
+    } else if (depth === 1 && tokens[k].value === ',') {
+      expectName = true;
+    } else if (depth === 1 && expectName && (tokens[k].type === 'word' || tokens[k].type === 'quoted_identifier')) {
+      columns.push(tokens[k].value.replace(/"/g, '').toLowerCase());
+      expectName = false;
+    }
+  }
+  return columns.length > 0 ? columns : null;
+}
+
+/**
+ * Builds a dbt project skeleton from Oracle SQL: views, CREATE TABLE ... AS SELECT and
+ * INSERT ... SELECT become one model per target table (query converted to Snowflake by the
+ * regular rules/LLM path), referenced tables that no model produces become sources, and PL/SQL
+ * objects and other DML are listed in a report for manual work.
+ */
+class DbtProjectService {
+  /**
+   * Sanitized dbt project name (letters, digits and underscores, starting with a letter).
+   * @param {string} baseName - zip or file name
+   */
+  getProjectName(baseName) {
+    const name = String(baseName || 'converted').toLowerCase()
+      .replace(/\.[^.]+$/, '')
+      .replace(/[^a-z0-9_]+/g, '_')
+      .replace(/^_+|_+$/g, '');
+    return /^[a-z]/.test(name) ? name : `dbt_${name || 'project'}`;
+  }
+
+  /**
+   * @param {Array<{ path: string, content: string }>} files - Oracle source files (relative paths)
+   * @param {Object} analysis - OracleFileAnalysisService analysis of the same files
+   * @param {Object} [options] - { projectName, cacheStats, onProgress(done, total, fileName) }
+   * @returns {Promise<{ files: Array<{ name: string, content: string }>, models: Array, sources: Array, unconverted: Array }>}
+   */
+  async buildProject(files, analysis, options = {}) {
+    const projectName = options.projectName || 'converted';
+    const { targets, unconverted } = this.collectTargets(files);
+    const models = this.assignModelNames(targets);
+    const sources = this.collectSources(analysis, models);
+
+    let done = 0;
+    for (const model of models) {
+      try {
+        await this.convertModel(model, models, sources, options);
+      } catch (error) {
+        log.warn(`⚠️ ${model.name}: model conversion failed`, { error: error.message });
+        model.error = error.message;
+      }
+      done++;
+      if (options.onProgress) {
+        options.onProgress(done, models.length, model.name);
+      }
+    }
+
+    const failed = models.filter(model => model.error);
+    for (const model of failed) {
+      model.parts.forEach(part => unconverted.push({
+        file: part.file, line: part.line, object: model.table, kind: part.kind, reason: `Conversion failed: ${model.error}`
+      }));
+    }
+    const converted = models.filter(model => !model.error);
+
+    const projectFiles = [
+      { name: 'dbt_project.yml', content: this.renderProjectFile(projectName) },
+      ...converted.map(model => ({ name: `models/${model.name}.sql`, content: model.sql })),
+      { name: 'models/sources.yml', content: this.renderSources(sources) },
+      { name: 'models/schema.yml', content: this.renderSchema(converted) },
+      { name: REPORT_NAME, content: this.renderReport(projectName, converted, sources, unconverted) }
+    ];
+
+    log.info(`🧱 dbt project ${projectName}: ${converted.length} models, ${sources.length} sources, ${unconverted.length} unconverted statements`);
+    return {
+      files: projectFiles,
+      models: converted.map(model => ({
+        name: model.name,
+        table: model.table,
+        materialized: model.materialized,
+        conversionMethod: model.conversionMethod,
+        columns: model.columns
+      })),
+      sources: sources.map(source => source.table),
+      unconverted
+    };
+  }
+
+  // Sort every statement into a model part or an unconverted entry
+  collectTargets(files) {
+    const targets = new Map();
+    const unconverted = [];
+    const skip = (file, statement, reason) => unconverted.push({
+      file, line: statement.startLine, object: statement.qualifiedName, kind: statement.kind, reason
+    });
+
+    for (const file of files) {
+      for (const statement of parseStatements(file.content, { dialect: 'oracle' })) {
+        if (isClientCommand(statement)) {
+          continue;
+        }
+        if (PROCEDURAL_TYPES.has(statement.objectType) || statement.kind === 'PLSQL_BLOCK') {
+          skip(file.path, statement, `PL/SQL ${(statement.objectType || 'block').toLowerCase()} cannot be expressed as a dbt model`);
+          continue;
+        }
+
+        const tokens = tokenize(statement.text, { dialect: 'oracle' }).filter(token => token.type !== 'comment');
+        const modelType = statement.verb === 'CREATE' ? MODEL_OBJECT_TYPES[statement.objectType] : null;
+        const queryStart = modelType || statement.verb === 'INSERT' ? findQueryStart(tokens) : -1;
+
+        if (statement.verb === 'INSERT' && ['ALL', 'FIRST'].includes(word(tokens[1]))) {
+          skip(file.path, statement, 'Multi-table INSERT needs one model per target table');
+          continue;
+        }
+        if (queryStart === -1) {
+          if (statement.verb === 'INSERT') {
+            skip(file.path, statement, 'INSERT ... VALUES is seed data, not a model');
+          } else if (['UPDATE', 'DELETE', 'MERGE'].includes(statement.verb)) {
+            skip(file.path, statement, `${statement.verb} changes rows in place and cannot be expressed as a dbt model`);
+          }
+          // Plain DDL (tables, indexes, grants) describes sources, not models
+          continue;
+        }
+
+        const table = statement.qualifiedName;
+        if (!targets.has(table)) {
+          targets.set(table, { table, materialized: modelType || 'table', parts: [] });
+        }
+        targets.get(table).parts.push({
+          file: file.path,
+          line: statement.startLine,
+          kind: statement.kind,
+          text: statement.text,
+          columnList: readColumnList(tokens, queryStart)
+        });
+      }
+    }
+    return { targets: [...targets.values()], unconverted };
+  }
+
+  // Model names are the lower-cased table names; the schema is only added when two tables share a name
+  assignModelNames(targets) {
+    const counts = new Map();
+    targets.forEach(target => counts.set(shortName(target.table), (counts.get(shortName(target.table)) || 0) + 1));
+    return targets.map(target => ({
+      ...target,
+      name: (counts.get(shortName(target.table)) > 1 ? target.table.replace(/\./g, '__') : shortName(target.table)).toLowerCase()
+    }));
+  }
+
+  // Tables the analysis found references to that no model produces
+  collectSources(analysis, models) {
+    return (analysis.dependencies || [])
+      .filter(table => !this.findModel(table, models))
+      .sort()
+      .map(table => {
+        const parts = table.split('.');
+        const schema = parts.length > 1 ? parts[parts.length - 2].toLowerCase() : null;
+        return { table, name: parts[parts.length - 1].toLowerCase(), source: schema || 'default', schema };
+      });
+  }
+
+  findModel(table, models) {
+    return models.find(model => model.table === table) ||
+      (!table.includes('.') ? models.find(model => shortName(model.table) === table) : null);
+  }
+
+  async convertModel(model, models, sources, options) {
+    const bodies = [];
+    const methods = new Set();
+    for (const part of model.parts) {
+      const conversionInfo = {};
+      const converted = await oracleConversionService.convertOracleCodeToSnowflake(part.text, `${model.name}.sql`, {
+        cacheStats: options.cacheStats,
+        conversionInfo
+      });
+      methods.add(conversionInfo.method || 'llm');
+      const query = this.extractQuery(converted);
+      if (!query) {
+        throw new Error('converted statement has no SELECT');
+      }
+      bodies.push({ part, query: this.replaceTableReferences(query, model, models, sources) });
+    }
+
+    model.conversionMethod = methods.size === 1 ? [...methods][0] : 'mixed';
+    model.columns = this.collectColumns(model);
+    model.sql = this.renderModel(model, bodies);
+  }
+
+  // The SELECT of a converted view/CTAS/INSERT, without the DDL header or trailing view options
+  extractQuery(snowflakeCode) {
+    const [statement] = parseStatements(snowflakeCode || '', { dialect: 'snowflake' }).filter(s => !isClientCommand(s));
+    if (!statement) {
+      return null;
+    }
+    const tokens = tokenize(statement.text, { dialect: 'snowflake' }).filter(token => token.type !== 'comment');
+    const first = word(tokens[0]);
+    const start = first === 'SELECT' || first === 'WITH' ? 0 : findQueryStart(tokens);
+    if (start === -1) {
+      return null;
+    }
+    return statement.text.slice(tokens[start].start)
+      .replace(/;\s*$/, '')
+      .replace(/\s+WITH\s+(?:READ\s+ONLY|CHECK\s+OPTION)(?:\s+CONSTRAINT\s+\w+)?\s*$/i, '')
+      .trim();
+  }
+
+  // Swap table names in FROM/JOIN lists for {{ ref() }} (other models), {{ this }} or {{ source() }}
+  replaceTableReferences(query, current, models, sources) {
+    const tokens = tokenize(query, { dialect: 'snowflake' });
+    const significant = tokens.filter(token => token.type !== 'comment');
+    const fromList = [false];
+    const edits = [];
+
+    for (let k = 0; k < significant.length; k++) {
+      const token = significant[k];
+      const depth = fromList.length - 1;
+      if (isOpen(token)) {
+        fromList.push(false);
+        continue;
+      }
+      if (isClose(token)) {
+        if (fromList.length > 1) {
+          fromList.pop();
+        }
+        continue;
+      }
+      const upperWord = word(token);
+      if (FROM_TERMINATORS.has(upperWord)) {
+        fromList[depth] = false;
+      }
+      const previous = significant[k - 1];
+      const introduced = TABLE_INTRODUCERS.has(word(previous)) || (fromList[depth] && previous && previous.value === ',');
+      if (TABLE_INTRODUCERS.has(upperWord)) {
+        fromList[depth] = true;
+      }
+      if (!introduced || (token.type !== 'word' && token.type !== 'quoted_identifier')) {
+        continue;
+      }
+
+      const name = readQualifiedName(significant, k, 'snowflake');
+      if (!name || isOpen(significant[name.next])) {
+        continue;
+      }
+      const table = name.parts.join('.');
+      const model = this.findModel(table, models);
+      const source = model ? null : sources.find(s => s.table === table);
+      if (model || source) {
+        let text = `{{ source('${source && source.source}', '${source && source.name}') }}`;
+        if (model) {
+          // An INSERT reading its own target (e.g. NOT EXISTS checks) refers to the model itself
+          text = model === current ? '{{ this }}' : `{{ ref('${model.name}') }}`;
+        }
+        edits.push({ start: token.start, end: significant[name.next - 1].end, text });
+      }
+      k = name.next - 1;
+    }
+
+    return edits.reverse().reduce((text, edit) => text.slice(0, edit.start) + edit.text + text.slice(edit.end), query);
+  }
+
+  // Column names from the header list, otherwise from the lineage of the SELECT. A UNION takes
+  // its column names from the first branch, so only the first part counts.
+  collectColumns(model) {
+    const [part] = model.parts;
+    if (part.columnList) {
+      return part.columnList;
+    }
+    const columns = [];
+    lineageService.extractFromStatement(part.text, 'oracle', part.line, part.file)
+      .filter(entry => entry.targetColumn && entry.targetColumn !== '*')
+      .forEach(entry => {
+        const name = entry.targetColumn.toLowerCase();
+        if (!columns.includes(name)) {
+          columns.push(name);
+        }
+      });
+    return columns;
+  }
+
+  renderModel(model, bodies) {
+    const header = [
+      `{{ config(materialized='${model.materialized}') }}`,
+      '',
+      ...model.parts.map(part => `-- Converted from ${part.kind} ${model.table} (${part.file}:${part.line})`),
+      ''
+    ];
+
+    // A single query without a column list is the model as-is
+    if (bodies.length === 1 && !bodies[0].part.columnList) {
+      return [...header, bodies[0].query, ''].join('\n');
+    }
+
+    // Otherwise each INSERT becomes a CTE (named with its column list) and the model unions them
+    const ctes = bodies.map(({ part, query }, index) => {
+      const columns = part.columnList ? ` (${part.columnList.join(', ')})` : '';
+      return `part_${index + 1}${columns} as (\n${query}\n)`;
+    });
+    const selects = bodies.map((_, index) => `select * from part_${index + 1}`);
+    return [...header, `with ${ctes.join(',\n')}`, '', selects.join('\nunion all\n'), ''].join('\n');
+  }
+
+  renderProjectFile(projectName) {
+    return [
+      `name: ${yamlString(projectName)}`,
+      "version: '1.0.0'",
+      'config-version: 2',
+      '',
+      `profile: ${yamlString(projectName)}`,
+      '',
+      "model-paths: ['models']",
+      '',
+      'models:',
+      `  ${projectName}:`,
+      '    +materialized: view',
+      ''
+    ].join('\n');
+  }
+
+  renderSources(sources) {
+    const lines = ['version: 2', '', 'sources:'];
+    const groups = new Map();
+    sources.forEach(source => {
+      if (!groups.has(source.source)) {
+        groups.set(source.source, []);
+      }
+      groups.get(source.source).push(source);
+    });
+    if (groups.size === 0) {
+      return 'version: 2\n\nsources: []\n';
+    }
+    for (const [name, tables] of groups) {
+      lines.push(`  - name: ${yamlString(name)}`);
+      // Tables referenced without a schema are read from the target schema
+      lines.push(`    schema: ${tables[0].schema ? yamlString(tables[0].schema) : "\"{{ target.schema }}\""}`);
+      lines.push('    tables:');
+      tables.forEach(table => lines.push(`      - name: ${yamlString(table.name)}`));
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  renderSchema(models) {
+    if (models.length === 0) {
+      return 'version: 2\n\nmodels: []\n';
+    }
+    const lines = ['version: 2', '', 'models:'];
+    for (const model of models) {
+      const origins = model.parts.map(part => `${part.file}:${part.line}`).join(', ');
+      lines.push(`  - name: ${yamlString(model.name)}`);
+      lines.push(`    description: ${yamlString(`Converted from ${model.table} (${origins})`)}`);
+      if (model.columns.length > 0) {
+        lines.push('    columns:');
+        model.columns.forEach(column => lines.push(`      - name: ${yamlString(column)}`));
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  renderReport(projectName, models, sources, unconverted) {
+    return JSON.stringify({
+      generatedAt: new Date().toISOString(),
+      project: projectName,
+      summary: { models: models.length, sources: sources.length, unconverted: unconverted.length },
+      models: models.map(model => ({
+        name: model.name,
+        table: model.table,
+        materialized: model.materialized,
+        conversionMethod: model.conversionMethod,
+        origins: model.parts.map(part => ({ file: part.file, line: part.line, kind: part.kind }))
+      })),
+      sources: sources.map(source => ({ table: source.table, source: source.source, name: source.name })),
+      unconverted
+    }, null, 2);
+  }
+}
+
+const dbtProjectService = new DbtProjectService();
+dbtProjectService.REPORT_NAME = REPORT_NAME;
+
+module.exports = dbtProjectService;
@@ -0,0 +1,268 @@
+const { createModuleLogger } = require('../utils/logger');
+const log = createModuleLogger('services/dependencyGraphService');
+
+// Only these object types are matched against plain identifiers (calls, pkg.member, seq.NEXTVAL);
+// tables and views are linked through the parser's referenced tables
+const CALLABLE_TYPES = new Set(['PROCEDURE', 'FUNCTION', 'PACKAGE', 'SEQUENCE', 'TYPE', 'SYNONYM']);
+
+// Deploy rank used to break ties (and cycles): objects other objects usually depend on come first
+const DEPLOY_RANK = {
+  SEQUENCE: 0,
+  TYPE: 1,
+  TABLE: 2,
+  INDEX: 3,
+  SYNONYM: 4,
+  VIEW: 5,
+  'MATERIALIZED VIEW': 5,
+  PACKAGE: 6,
+  FUNCTION: 7,
+  PROCEDURE: 8,
+  TRIGGER: 9
+};
+const UNRANKED = 10;
+
+const DOT_SHAPES = {
+  TABLE: 'box',
+  VIEW: 'box, style=rounded',
+  'MATERIALIZED VIEW': 'box, style=rounded',
+  PACKAGE: 'component',
+  PROCEDURE: 'ellipse',
+  FUNCTION: 'ellipse',
+  TRIGGER: 'hexagon',
+  SEQUENCE: 'cds',
+  INDEX: 'box, style=dotted',
+  EXTERNAL: 'box, style=dashed'
+};
+
+const compareNames = (a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+
+/**
+ * Cross-file dependency graph for an Oracle project. Input objects come from the analysis
+ * step (one per parsed statement); output covers object-level edges, file-level dependencies
+ * and a deployment order for the converted files.
+ */
+class DependencyGraphService {
+  /**
+   * @param {Array<{ name: string|null, type: string|null, file: string, line: number,
+   *   references: string[], identifiers: string[] }>} objects - name is null for statements
+   *   that do not create an object (their references still count for the file)
+   * @param {string[]} [files] - every analyzed file, including ones without objects
+   * @returns {{ nodes: Array, edges: Array, files: Array, deployOrder: string[], cycles: string[][] }}
+   */
+  buildGraph(objects, files = []) {
+    const nodes = new Map();
+    for (const object of objects.filter(o => o.name)) {
+      const type = object.type.replace(/ BODY$/, '');
+      if (!nodes.has(object.name)) {
+        nodes.set(object.name, { id: object.name, type, definitions: [] });
+      }
+      nodes.get(object.name).definitions.push({ file: object.file, type: object.type, line: object.line });
+    }
+
+    // Unqualified lookup so `hr.customers` and `customers` resolve to the same node
+    const byShortName = new Map();
+    for (const node of nodes.values()) {
+      const shortName = node.id.split('.').pop();
+      if (!byShortName.has(shortName)) {
+        byShortName.set(shortName, node);
+      }
+    }
+    // `pkg.member` resolves to the package, schema-qualified or not
+    const resolve = (qualifiedName) => {
+      const parts = qualifiedName.split('.');
+      return nodes.get(qualifiedName) || byShortName.get(parts[parts.length - 1]) ||
+        (parts.length > 1 ? nodes.get(parts.slice(0, -1).join('.')) || byShortName.get(parts[parts.length - 2]) : undefined);
+    };
+
+    const edges = new Map();
+    const fileDeps = new Map();
+    const allFiles = [...new Set([...files, ...objects.map(o => o.file)])].sort(compareNames);
+    allFiles.forEach(file => fileDeps.set(file, new Set()));
+
+    const link = (object, target) => {
+      if (object.name && object.name !== target.id) {
+        edges.set(`${object.name}\u0000${target.id}`, { from: object.name, to: target.id });
+      }
+      for (const definition of target.definitions || []) {
+        // A package body depends on its own specification, but never on another body
+        const ownObject = object.name === target.id;
+        const specOnly = ownObject && !/ BODY$/.test(definition.type) && / BODY$/.test(object.type || '');
+        if (definition.file !== object.file && (!ownObject || specOnly)) {
+          fileDeps.get(object.file).add(definition.file);
+        }
+      }
+    };
+
+    for (const object of objects) {
+      for (const reference of object.references || []) {
+        let target = resolve(reference);
+        if (!target) {
+          // Referenced but not defined in this project (other schema, dictionary view, ...)
+          if (!nodes.has(reference)) {
+            nodes.set(reference, { id: reference, type: 'EXTERNAL', external: true });
+          }
+          target = nodes.get(reference);
+        }
+        link(object, target);
+      }
+      for (const identifier of object.identifiers || []) {
+        const target = resolve(identifier);
+        if (target && CALLABLE_TYPES.has(target.type)) {
+          link(object, target);
+        }
+      }
+      if (object.name && / BODY$/.test(object.type || '')) {
+        link(object, nodes.get(object.name));
+      }
+    }
+
+    const { deployOrder, cycles } = this.orderFiles(allFiles, fileDeps, nodes);
+    log.info(`🕸️ Dependency graph: ${nodes.size} objects, ${edges.size} edges, ${allFiles.length} files`, {
+      cycles: cycles.length
+    });
+
+    return {
+      nodes: [...nodes.values()].map(node => ({
+        id: node.id,
+        type: node.type,
+        files: node.definitions ? [...new Set(node.definitions.map(d => d.file))] : [],
+        external: node.external === true
+      })),
+      edges: [...edges.values()],
+      files: allFiles.map(file => ({
+        file,
+        objects: objects.filter(o => o.name && o.file === file).map(o => o.name),
+        dependsOn: [...fileDeps.get(file)].sort(compareNames)
+      })),
+      deployOrder,
+      cycles
+    };
+  }
+
+  // Topological sort of files (Kahn). Ready files are taken by deploy rank, then name; files caught
+  // in a cycle are released one at a time by the same rule and reported in `cycles`.
+  orderFiles(files, fileDeps, nodes) {
+    const rank = new Map(files.map(file => [file, UNRANKED]));
+    for (const node of nodes.values()) {
+      for (const definition of node.definitions || []) {
+        const objectRank = DEPLOY_RANK[node.type] !== undefined ? DEPLOY_RANK[node.type] : UNRANKED;
+        rank.set(definition.file, Math.min(rank.get(definition.file), objectRank));
+      }
+    }
+    const byPriority = (a, b) => (rank.get(a) - rank.get(b)) || compareNames(a, b);
+
+    const remaining = new Map(files.map(file => [file, new Set(fileDeps.get(file))]));
+    const deployOrder = [];
+    while (remaining.size > 0) {
+      const ready = [...remaining.keys()].filter(file => remaining.get(file).size === 0);
+      const next = (ready.length > 0 ? ready : [...remaining.keys()]).sort(byPriority)[0];
+      deployOrder.push(next);
+      remaining.delete(next);
+      remaining.forEach(deps => deps.delete(next));
+    }
+
+    return { deployOrder, cycles: this.findCycles(files, fileDeps) };
+  }
+
+  // Strongly connected components with more than one file (Tarjan)
+  findCycles(files, fileDeps) {
+    let index = 0;
+    const stack = [];
+    const state = new Map();
+    const cycles = [];
+
+    const visit = (file) => {
+      const entry = { index, lowLink: index, onStack: true };
+      state.set(file, entry);
+      index++;
+      stack.push(file);
+
+      for (const dep of fileDeps.get(file)) {
+        if (!state.has(dep)) {
+          visit(dep);
+          entry.lowLink = Math.min(entry.lowLink, state.get(dep).lowLink);
+        } else if (state.get(dep).onStack) {
+          entry.lowLink = Math.min(entry.lowLink, state.get(dep).index);
+        }
+      }
+
+      if (entry.lowLink === entry.index) {
+        const component = [];
+        let member;
+        do {
+          member = stack.pop();
+          state.get(member).onStack = false;
+          component.push(member);
+        } while (member !== file);
+        if (component.length > 1) {
+          cycles.push(component.sort(compareNames));
+        }
+      }
+    };
+
+    files.forEach(file => {
+      if (!state.has(file)) {
+        visit(file);
+      }
+    });
+    return cycles;
+  }
+
+  /**
+   * Render the object graph in Graphviz DOT. Edges point from an object to what it depends on.
+   */
+  toDot(graph) {
+    const escape = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"');
+    const lines = ['digraph dependencies {', '  rankdir=LR;', '  node [fontname="Helvetica", fontsize=10];'];
+    for (const node of graph.nodes) {
+      const shape = DOT_SHAPES[node.type] || 'box';
+      lines.push(`  "${escape(node.id)}" [label="${escape(node.id)}\\n${node.type}", shape=${shape}];`);
+    }
+    for (const edge of graph.edges) {
+      lines.push(`  "${escape(edge.from)}" -> "${escape(edge.to)}";`);
+    }
+    lines.push('}');
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Build deploy_order.sql: the converted files in dependency order, as SnowSQL `!source` lines.
+   * @param {Object} graph - result of buildGraph
+   * @param {Array<{ original: string, converted: string|null, success: boolean }>} convertedFiles
+   * @param {string[]} [setupFiles] - zip files sourced before every converted file (e.g. shims.sql)
+   */
+  buildDeployOrderScript(graph, convertedFiles, setupFiles = []) {
+    const outputs = new Map(convertedFiles.map(f => [f.original, f]));
+    const ordered = [
+      ...graph.deployOrder,
+      ...convertedFiles.map(f => f.original).filter(file => !graph.deployOrder.includes(file)).sort(compareNames)
+    ];
+    const cycleOf = new Map();
+    graph.cycles.forEach(cycle => cycle.forEach(file => cycleOf.set(file, cycle)));
+
+    const lines = [
+      '-- deploy_order.sql',
+      '-- Converted files in dependency order: every object is created before the objects that use it.',
+      '-- Run from the directory this zip was extracted to: snowsql -f deploy_order.sql',
+      ''
+    ];
+    setupFiles.forEach(name => lines.push(`!source ${name}`));
+    for (const file of ordered) {
+      const output = outputs.get(file);
+      if (!output) {
+        continue;
+      }
+      if (output.success === false || !output.converted) {
+        lines.push(`-- not converted: ${file}`);
+        continue;
+      }
+      if (cycleOf.has(file)) {
+        lines.push(`-- circular dependency with: ${cycleOf.get(file).filter(f => f !== file).join(', ')}`);
+      }
+      lines.push(`!source ${output.converted}`);
+    }
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = new DependencyGraphService();
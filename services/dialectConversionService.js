@@ -0,0 +1,268 @@
+const path = require('path');
+const llmService = require('./llmService');
+const conversionCacheService = require('./conversionCacheService');
+const oracleConversionService = require('./oracleConversionService');
+const chunkedConversionService = require('./chunkedConversionService');
+const { createModuleLogger } = require('../utils/logger');
+const log = createModuleLogger('services/dialectConversionService');
+
+const OUTPUT_RULES = `CRITICAL REQUIREMENTS - FOLLOW EXACTLY:
+1. Maintain logical flow and preserve all business logic
+2. Keep schema object names consistent
+3. Output ONLY clean, executable Snowflake code - NO comments about the conversion, headers, explanations or markdown fences
+4. Every statement ends with a semicolon`;
+
+/**
+ * Source dialects converted by prompt alone (no rule pre-pass): SQL Server T-SQL and Teradata.
+ * Each entry has the Snowflake system prompt, the IDMC conversion guidelines, the file
+ * extensions picked up from a zip, and the cues used to recognise the dialect.
+ */
+const DIALECTS = {
+  tsql: {
+    label: 'SQL Server T-SQL',
+    fileExtensions: ['.sql', '.tsql'],
+    nameHint: /(tsql|t-sql|mssql|sqlserver|sql_server|sqlcmd)/i,
+    cues: [
+      /^[ \t]*GO[ \t]*\r?$/im,
+      /\[dbo\]|\bdbo\.\w/i,
+      /@@(?:ROWCOUNT|ERROR|IDENTITY|TRANCOUNT|FETCH_STATUS)\b/i,
+      /\bSET\s+NOCOUNT\s+ON\b/i,
+      /\bBEGIN\s+(?:TRY|TRAN|TRANSACTION)\b/i,
+      /\bDECLARE\s+@\w+/i,
+      /\bCREATE\s+(?:OR\s+ALTER\s+)?PROC(?:EDURE)?\b/i,
+      /\bEXEC(?:UTE)?\s+(?:sp_\w+|dbo\.)/i
+    ],
+    snowflakePrompt: `You are a database migration specialist. Convert Microsoft SQL Server T-SQL (tables, views, procedures, functions and scripts) into Snowflake SQL and Snowflake Scripting.
+
+${OUTPUT_RULES}
+
+SCRIPT STRUCTURE:
+- Remove GO batch separators, USE statements and sqlcmd commands (:setvar, :r)
+- Remove SET NOCOUNT ON, SET ANSI_NULLS, SET QUOTED_IDENTIFIER and other session SET options
+- [bracketed] identifiers become unquoted names (double quotes only when the name needs them)
+- Keep the schema name (dbo stays dbo) and the object names
+
+DATA TYPES:
+- NVARCHAR/VARCHAR(MAX), NCHAR, NTEXT, TEXT -> VARCHAR; DATETIME, DATETIME2, SMALLDATETIME -> TIMESTAMP_NTZ; DATETIMEOFFSET -> TIMESTAMP_TZ
+- BIT -> BOOLEAN; MONEY -> NUMBER(19,4); SMALLMONEY -> NUMBER(10,4); UNIQUEIDENTIFIER -> VARCHAR(36); VARBINARY/IMAGE -> BINARY; XML -> VARIANT
+- IDENTITY(seed, step) stays IDENTITY(seed, step); ROWVERSION/TIMESTAMP columns are dropped
+- CLUSTERED/NONCLUSTERED keywords, indexes, filegroups (ON [PRIMARY]) and WITH (...) table options are removed
+
+FUNCTIONS AND QUERIES:
+- GETDATE(), SYSDATETIME(), CURRENT_TIMESTAMP -> CURRENT_TIMESTAMP(); GETUTCDATE() -> SYSDATE()
+- ISNULL -> COALESCE; LEN -> LENGTH; NEWID() -> UUID_STRING(); string concatenation with + -> ||
+- CONVERT(type, expr [, style]) -> CAST, TO_CHAR, TO_DATE or TO_TIMESTAMP with the matching format
+- SELECT TOP n -> SELECT ... LIMIT n; TOP n PERCENT -> SAMPLE (n)
+- SELECT ... INTO #tmp -> CREATE TEMPORARY TABLE tmp AS SELECT ...
+- #temp tables and table variables -> temporary tables; ##global temp tables -> transient tables
+- OUTPUT clauses are not supported: read the affected rows with a separate query
+- CROSS APPLY / OUTER APPLY -> LATERAL joins (LATERAL FLATTEN for split strings)
+
+STORED PROCEDURES AND FUNCTIONS:
+- Convert to Snowflake Scripting: CREATE OR REPLACE PROCEDURE name(param TYPE, ...) RETURNS VARCHAR LANGUAGE SQL AS $$ DECLARE ... BEGIN ... END; $$;
+- ALWAYS include complete parameter declarations and a RETURNS clause; drop the @ prefix from parameter and variable names
+- OUTPUT parameters become the return value (RETURNS TABLE or OBJECT for several)
+- DECLARE @x INT = 0 -> DECLARE x INT DEFAULT 0; SET @x = expr -> x := expr; SELECT @x = col FROM ... -> SELECT col INTO :x FROM ...
+- Variables are referenced with a colon prefix (:var) inside SQL statements
+- BEGIN TRY ... END TRY BEGIN CATCH ... END CATCH -> BEGIN ... EXCEPTION WHEN OTHER THEN ... END
+- RAISERROR/THROW -> a declared EXCEPTION that is RAISEd; ERROR_MESSAGE() -> SQLERRM
+- @@ROWCOUNT -> SQLROWCOUNT; PRINT -> SYSTEM$LOG('info', ...)
+- EXEC proc @a = 1 -> CALL proc(1); EXEC sp_executesql / EXEC(@sql) -> EXECUTE IMMEDIATE
+- BEGIN TRAN / COMMIT TRAN / ROLLBACK TRAN -> BEGIN TRANSACTION / COMMIT / ROLLBACK
+- WHILE loops stay WHILE ... DO ... END WHILE; cursors become Snowflake cursors (FOR rec IN cursor DO)
+- Scalar functions -> CREATE OR REPLACE FUNCTION ... RETURNS type AS 'expression'; inline table-valued functions -> RETURNS TABLE (...) AS 'query'`,
+    idmcGuidelines: [
+      'T-SQL CASE and IIF → IDMC IIF() functions',
+      'T-SQL ISNULL/COALESCE → IDMC ISNULL()/IIF() expressions',
+      'T-SQL SUBSTRING/CHARINDEX/LEN → IDMC SUBSTR()/INSTR()/LENGTH() functions',
+      'T-SQL CONVERT/CAST with styles → IDMC TO_CHAR()/TO_DATE() with explicit formats',
+      'T-SQL GETDATE()/SYSDATETIME() → IDMC SYSDATE',
+      'T-SQL #temp tables and table variables → intermediate transformations or staging targets',
+      'T-SQL SELECT ... INTO → IDMC target with create-table option',
+      'T-SQL MERGE and UPDATE ... FROM → IDMC Update Strategy with Lookup',
+      'T-SQL CROSS APPLY/OUTER APPLY → IDMC Joiner or Normalizer transformations',
+      'T-SQL stored procedure control flow (IF, WHILE, TRY/CATCH) → IDMC taskflow decisions and error handling',
+      'T-SQL @variables and parameters → IDMC mapping parameters/in-out parameters',
+      'T-SQL ROW_NUMBER()/RANK() → IDMC Rank transformation'
+    ]
+  },
+  teradata: {
+    label: 'Teradata',
+    fileExtensions: ['.sql', '.btq', '.bteq', '.tdsql'],
+    nameHint: /(teradata|bteq|\btd_|_td\b)/i,
+    cues: [
+      /^[ \t]*\.(?:LOGON|LOGOFF|QUIT|EXIT|IF\s+(?:ERRORCODE|ACTIVITYCOUNT)|EXPORT|IMPORT|RUN\s+FILE|SET\s+\w+)/im,
+      /\bCREATE\s+(?:MULTISET|SET|VOLATILE)\s+(?:VOLATILE\s+)?TABLE\b/i,
+      /\b(?:UNIQUE\s+)?PRIMARY\s+INDEX\s*\(/i,
+      /\bCOLLECT\s+STAT(?:ISTICS|S)?\b/i,
+      /\bLOCKING\s+(?:ROW|TABLE|DATABASE)\b/i,
+      /\bNO\s+FALLBACK\b/i,
+      /^[ \t]*SEL\s/im,
+      /\bREPLACE\s+(?:VIEW|PROCEDURE|MACRO)\b/i
+    ],
+    snowflakePrompt: `You are a database migration specialist. Convert Teradata SQL, BTEQ scripts, macros and stored procedures into Snowflake SQL and Snowflake Scripting.
+
+${OUTPUT_RULES}
+
+BTEQ SCRIPTS:
+- Remove session commands (.LOGON, .LOGOFF, .QUIT, .EXIT, .SET, .OS, DATABASE x;) - qualify object names instead
+- .EXPORT ... SELECT -> COPY INTO @<stage>/<file> FROM (SELECT ...); .IMPORT with USING ... INSERT -> COPY INTO <table> FROM @<stage>
+- When the script branches on ERRORCODE or ACTIVITYCOUNT (.IF ERRORCODE <> 0 THEN .QUIT n), wrap the statements in an anonymous block (EXECUTE IMMEDIATE $$ BEGIN ... EXCEPTION WHEN OTHER THEN RAISE; END; $$;) and use SQLROWCOUNT for ACTIVITYCOUNT
+- BT; / ET; -> BEGIN TRANSACTION; / COMMIT;
+
+TABLE DDL:
+- CREATE MULTISET TABLE / CREATE SET TABLE -> CREATE TABLE; CREATE VOLATILE TABLE ... ON COMMIT PRESERVE ROWS -> CREATE TEMPORARY TABLE
+- Remove FALLBACK, JOURNAL, CHECKSUM, MERGEBLOCKRATIO, DATABLOCKSIZE and FREESPACE options
+- PRIMARY INDEX / UNIQUE PRIMARY INDEX -> drop (add CLUSTER BY on the same columns only for large tables); PARTITION BY RANGE_N(...) -> CLUSTER BY on the partitioning column
+- Column attributes FORMAT '...', TITLE '...', CHARACTER SET LATIN/UNICODE, COMPRESS and (NOT) CASESPECIFIC are removed
+- COLLECT STATISTICS statements are dropped
+
+DATA TYPES:
+- BYTEINT stays BYTEINT; CLOB -> VARCHAR; BLOB, BYTE, VARBYTE -> BINARY; PERIOD(DATE) -> two DATE columns (_BEGIN/_END); INTERVAL columns -> NUMBER with the unit in the name
+- TIMESTAMP(n) WITH TIME ZONE -> TIMESTAMP_TZ(n)
+
+FUNCTIONS AND QUERIES:
+- SEL/INS/UPD/DEL -> SELECT/INSERT/UPDATE/DELETE; LOCKING ROW FOR ACCESS is removed
+- QUALIFY, TOP n, ZEROIFNULL, NULLIFZERO, ADD_MONTHS and STRTOK are supported as-is
+- CAST(x AS DATE FORMAT 'YYYYMMDD') -> TO_DATE(x, 'YYYYMMDD'); x (FORMAT 'YYYY-MM-DD') in a select list -> TO_CHAR(x, 'YYYY-MM-DD')
+- INDEX(s, t) -> POSITION(t IN s); CHARACTERS/CHARACTER_LENGTH -> LENGTH; OREPLACE -> REPLACE; OTRANSLATE -> TRANSLATE; x ** y -> POWER(x, y)
+- Date arithmetic DATE + n / DATE - n -> DATEADD(day, n, ...); date1 - date2 -> DATEDIFF(day, date2, date1)
+- SAMPLE n -> SAMPLE (n ROWS); DBC.* dictionary views -> INFORMATION_SCHEMA views
+- UPDATE t FROM a, b SET ... -> UPDATE t SET ... FROM a, b WHERE ...
+
+MACROS AND STORED PROCEDURES:
+- CREATE/REPLACE MACRO -> CREATE OR REPLACE PROCEDURE ... LANGUAGE SQL; EXEC macro(args) -> CALL macro(args); :param references stay :param
+- CREATE/REPLACE PROCEDURE -> CREATE OR REPLACE PROCEDURE name(param TYPE, ...) RETURNS VARCHAR LANGUAGE SQL AS $$ DECLARE ... BEGIN ... END; $$;
+- ALWAYS include complete parameter declarations and a RETURNS clause; OUT/INOUT parameters become the return value
+- SET x = expr -> x := expr; SELECT ... INTO x -> SELECT ... INTO :x; ACTIVITYCOUNT -> SQLROWCOUNT
+- DECLARE EXIT/CONTINUE HANDLER FOR SQLEXCEPTION -> EXCEPTION WHEN OTHER THEN; SIGNAL/RESIGNAL -> RAISE of a declared EXCEPTION
+- CALL DBC.SysExecSQL(...) and EXECUTE IMMEDIATE -> EXECUTE IMMEDIATE
+- FOR loops over cursors -> FOR rec IN cursor DO ... END FOR; WHILE ... DO ... END WHILE stays`,
+    idmcGuidelines: [
+      'Teradata BTEQ .IMPORT/.EXPORT → IDMC flat-file sources and targets',
+      'Teradata .IF ERRORCODE / ACTIVITYCOUNT checks → IDMC taskflow decisions',
+      'Teradata CASE and COALESCE → IDMC IIF()/ISNULL() functions',
+      'Teradata ZEROIFNULL/NULLIFZERO → IDMC IIF(ISNULL(x), 0, x) / IIF(x = 0, NULL, x)',
+      'Teradata CAST(... FORMAT ...) → IDMC TO_DATE()/TO_CHAR() with explicit formats',
+      'Teradata QUALIFY ROW_NUMBER() → IDMC Rank transformation followed by a Filter',
+      'Teradata volatile tables → intermediate transformations or staging targets',
+      'Teradata MERGE / UPDATE ... FROM → IDMC Update Strategy with Lookup',
+      'Teradata macros and stored procedures → IDMC mappings with parameters, orchestrated by a taskflow',
+      'Teradata PRIMARY INDEX / COLLECT STATISTICS → IDMC performance notes (no transformation)',
+      'Teradata SAMPLE → IDMC Filter or source row limit'
+    ]
+  }
+};
+
+/**
+ * Prompt-driven conversions for the SQL Server and Teradata source dialects, plus the
+ * heuristics that recognise them. Oracle and Redshift keep their own services.
+ */
+class DialectConversionService {
+  constructor() {
+    this.dialects = DIALECTS;
+  }
+
+  isSupported(sourceType) {
+    return Object.prototype.hasOwnProperty.call(DIALECTS, sourceType);
+  }
+
+  getLabel(sourceType) {
+    return this.isSupported(sourceType) ? DIALECTS[sourceType].label : sourceType;
+  }
+
+  getFileExtensions(sourceType) {
+    return DIALECTS[sourceType].fileExtensions;
+  }
+
+  getIdmcGuidelines(sourceType) {
+    return DIALECTS[sourceType].idmcGuidelines;
+  }
+
+  /**
+   * Recognise T-SQL or Teradata source from the file name, then from content cues.
+   * Two content cues are required so a stray `GO` or `SEL` line does not decide it.
+   * @returns {'tsql'|'teradata'|null}
+   */
+  detectSourceType(fileName, content) {
+    const ext = path.extname(fileName || '').toLowerCase();
+    for (const [sourceType, dialect] of Object.entries(DIALECTS)) {
+      if (dialect.nameHint.test(fileName || '') || (ext !== '.sql' && dialect.fileExtensions.includes(ext))) {
+        return sourceType;
+      }
+    }
+
+    let best = null;
+    let bestScore = 1;
+    for (const [sourceType, dialect] of Object.entries(DIALECTS)) {
+      const score = dialect.cues.filter(cue => cue.test(content || '')).length;
+      if (score > bestScore) {
+        best = sourceType;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * @param {string} sourceCode
+   * @param {string} fileName
+   * @param {string} sourceType - tsql | teradata
+   * @param {Object} [options]
+   * @param {Object} [options.cacheStats] - per-file cache counters, incremented in place
+   * @param {Object} [options.conversionInfo] - receives { method, rules, unresolved }
+   * @returns {Promise<string>} Snowflake code
+   */
+  async convertToSnowflake(sourceCode, fileName, sourceType, options = {}) {
+    if (!this.isSupported(sourceType)) {
+      throw new Error(`Unsupported source dialect: ${sourceType}`);
+    }
+    const dialect = DIALECTS[sourceType];
+    if (options.conversionInfo) {
+      Object.assign(options.conversionInfo, { method: 'llm', rules: [], unresolved: [] });
+    }
+
+    const promptVersion = conversionCacheService.PROMPT_VERSIONS[`${sourceType}ToSnowflake`];
+    const cacheSource = conversionCacheService.promptSource(fileName, sourceCode);
+    const cached = await conversionCacheService.get('snowflake', promptVersion, cacheSource, options.cacheStats);
+    if (cached !== null) {
+      return cached;
+    }
+
+    if (!llmService.isConfigured()) {
+      throw new Error('LLM provider not configured');
+    }
+
+    log.info(`🔄 Converting ${dialect.label} → Snowflake: ${fileName}`);
+    const response = await llmService.createChatCompletion({
+      messages: [
+        { role: 'system', content: dialect.snowflakePrompt },
+        {
+          role: 'user',
+          content: `Convert the following ${dialect.label} code to Snowflake. Keep schema object names consistent.
+
+Original File: ${fileName}
+
+${dialect.label} Code:
+${sourceCode}`
+        }
+      ],
+      max_tokens: 4000,
+      temperature: 0.1
+    });
+
+    const snowflakeCode = oracleConversionService.cleanSnowflakeCode(response.choices[0].message.content, fileName);
+    // An answer cut off at max_tokens is flagged on the file and never cached
+    if (chunkedConversionService.isTruncated(response)) {
+      log.warn(`⚠️ LLM response for ${fileName} was truncated at max_tokens`);
+      if (options.conversionInfo) {
+        options.conversionInfo.truncated = [fileName];
+      }
+      return snowflakeCode;
+    }
+    await conversionCacheService.set('snowflake', promptVersion, cacheSource, snowflakeCode, fileName);
+    return snowflakeCode;
+  }
+}
+
+module.exports = new DialectConversionService();
@@ -25,13 +25,13 @@ function wrapHtml(title, bodyHtml) {
 </html>`;
 }
 
-function markdownToHtml(markdown) {
+function markdownToHtml(markdown, title = 'IDMC Mapping Summary') {
   const htmlBody = marked.parse(markdown || '');
-  return wrapHtml('IDMC Mapping Summary', htmlBody);
+  return wrapHtml(title, htmlBody);
 }
 
 async function markdownToDocxBuffer(markdown, title) {
-  const html = markdownToHtml(markdown);
+  const html = markdownToHtml(markdown, title);
   const buffer = await htmlToDocx(html, null, {
     table: { row: { cantSplit: true } },
     footer: true,
@@ -1,19 +1,108 @@
-const OpenAI = require('openai');
+const llmService = require('./llmService');
+const conversionCacheService = require('./conversionCacheService');
+const dialectConversionService = require('./dialectConversionService');
+const chunkedConversionService = require('./chunkedConversionService');
+const idmcSummaryModelService = require('./idmcSummaryModelService');
 const fs = require('fs-extra');
 const path = require('path');
 
-class IDMCConversionService {
-  constructor() {
-    this.apiKey = process.env.OPENAI_API_KEY;
-    if (this.apiKey) {
-      this.openai = new OpenAI({
-        apiKey: this.apiKey
-      });
-    }
-  }
+// IDMC mapping summary prompt shared by the Redshift, T-SQL and Teradata conversions; only the guidelines differ
+function buildSummaryPrompt(sourceName, guidelines) {
+  return `You are an expert Informatica Data Management Cloud (IDMC) solution architect.
+
+Given an SQL statement, your task is to translate it into an **IDMC Mapping Summary** using the below standardized format.
+
+Follow this exact structure and table formatting in your response.
+
+---
+
+## 🧩 IDMC Mapping Summary
+
+### 1. Objective
+Provide a one-line description of what the SQL query achieves.
+
+### 2. Source Objects
+List the source tables involved and describe their purpose in a markdown table:
+
+| Source Name | Description | Key Columns Used |
+|--------------|--------------|------------------|
+
+### 3. Transformations
+Break down how each SQL clause or logic would be implemented in IDMC components.
+Use a table in this format:
+
+| Transformation | Type | Logic / Description |
+|----------------|------|----------------------|
+
+For transformations, use proper IDMC syntax:
+- CASE statements → IIF(condition, true_value, false_value)
+- DECODE → DECODE() functions
+- COALESCE → ISNULL() functions
+- SUBSTRING → SUBSTR() functions
+- Aggregations → SUM(), COUNT(), AVG(), MAX(), MIN()
+- Joins → JOINER transformation with proper join conditions
+
+### 4. Target Object
+Describe the final output or destination and list the mapped columns in a table:
+
+| Target | Description | Columns Mapped |
+|---------|--------------|----------------|
+
+### 5. Mapping Flow Diagram (Text Summary)
+Represent the data flow step-by-step in a visual-text format like this:
+Source1 --> Joiner --> Expression --> Aggregator --> Target
+
+### 6. Additional Notes
+Mention key join types, transformation order, error handling, reusability, or parameterization options.
+
+CRITICAL REQUIREMENTS:
+1. Use proper IDMC transformation types and syntax (IIF, DECODE, etc.)
+2. Include detailed field mappings and expressions
+3. Use proper IDMC data types and functions
+4. Output in markdown format with tables as shown above
+5. Be specific about transformation logic and expressions
+
+${sourceName.toUpperCase()} TO IDMC CONVERSION GUIDELINES:
+${guidelines.map(line => `- ${line}`).join('\n')}
 
+IDMC SYNTAX EXAMPLES:
+- Conditional: IIF(condition, true_value, false_value)
+- String functions: SUBSTR(string, start, length), UPPER(string), LOWER(string)
+- Date functions: TO_DATE(string, format), ADD_MONTHS(date, months)
+- Math functions: ROUND(number, decimals), TRUNC(number, decimals)
+- Aggregation: SUM(expression), COUNT(*), AVG(expression), MAX(expression), MIN(expression)
+
+OUTPUT FORMAT:
+- Output in markdown format with tables as specified above
+- Use proper IDMC transformation names and syntax
+- Include detailed field mappings and expressions
+- Provide implementation-ready specifications`;
+}
+
+const REDSHIFT_IDMC_GUIDELINES = [
+  'Redshift CASE statements → IDMC IIF() functions',
+  'Redshift COALESCE → IDMC ISNULL() functions',
+  'Redshift SUBSTRING → IDMC SUBSTR() functions',
+  'Redshift TO_CHAR → IDMC TO_CHAR() functions',
+  'Redshift TO_DATE → IDMC TO_DATE() functions',
+  'Redshift ROW_NUMBER() → IDMC ROW_NUMBER() window functions',
+  'Redshift window functions → IDMC aggregator transformations',
+  'Redshift CTEs → IDMC subquery transformations',
+  'Redshift COPY commands → IDMC bulk load operations',
+  'Redshift VACUUM/ANALYZE → IDMC post-session commands',
+  'Redshift DISTKEY/SORTKEY → IDMC performance optimizations',
+  'Redshift UDFs → IDMC expression transformations'
+];
+
+class IDMCConversionService {
   analyzeSqlContent(sqlText) {
     try {
+      // T-SQL and Teradata cues are distinctive enough to check first
+      const dialect = dialectConversionService.detectSourceType('', sqlText);
+      if (dialect) {
+        return dialect;
+      }
+
       const upper = (sqlText || '').toUpperCase();
       // Oracle indicators
       const isOracle = (
@@ -47,10 +136,28 @@ class IDMCConversionService {
     }
   }
 
-  async convertOracleToIDMC(oracleCode, fileName, fileType = 'sql') {
+  async convertOracleToIDMC(oracleCode, fileName, fileType = 'sql', options = {}) {
     try {
-      if (!this.apiKey || !this.openai) {
-        throw new Error('OpenAI API key not configured');
+      // Files over the chunk budget are summarised part by part and the part summaries merged into one mapping
+      const chunks = !options.chunk && chunkedConversionService.plan(oracleCode);
+      if (chunks) {
+        const summaries = await chunkedConversionService.convertChunks(oracleCode, fileName, chunks, (code, name, unitOptions) =>
+          this.convertOracleToIDMC(code, name, fileType, { ...options, ...unitOptions, chunk: true }),
+          { conversionInfo: options.conversionInfo });
+        const models = summaries.map(summary => idmcSummaryModelService.fromMarkdown(summary, { fileName, sourceType: 'oracle' }));
+        return idmcSummaryModelService.toMarkdown(idmcSummaryModelService.merge(models));
+      }
+
+      const { PROMPT_VERSIONS } = conversionCacheService;
+      // Chunks are cached together with their shared context, which is part of the prompt
+      const cacheSource = conversionCacheService.promptSource(fileName, options.promptContext, oracleCode);
+      const cached = await conversionCacheService.get('idmc', PROMPT_VERSIONS.oracleToIdmc, cacheSource, options.cacheStats);
+      if (cached !== null) {
+        return cached;
+      }
+
+      if (!llmService.isConfigured()) {
+        throw new Error('LLM provider not configured');
       }
 
 //       const systemPrompt = `You are an expert Informatica Data Management Cloud (IDMC) solution architect.
@@ -360,7 +467,7 @@ const userPrompt = `Convert the following Oracle SQL query into a comprehensive
 - File Name: ${fileName}
 - File Type: ${fileType}
 - Database: Oracle
-
+${options.promptContext ? `\n${options.promptContext}\n` : ''}
 **Oracle SQL Query:**
 \`\`\`sql
 ${oracleCode}
@@ -368,8 +475,7 @@ ${oracleCode}
 
 Now provide the complete IDMC Mapping Summary following the standardized format above.`;
 
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4o-mini",
+      const response = await llmService.createChatCompletion({
         messages: [
           { role: "system", content: systemPrompt },
           { role: "user", content: userPrompt }
@@ -379,6 +485,15 @@ Now provide the complete IDMC Mapping Summary following the standardized format
       });
 
       const idmcSummary = response.choices[0].message.content.trim();
+      // A summary cut off at max_tokens is flagged on the file and never cached
+      if (chunkedConversionService.isTruncated(response)) {
+        console.warn(`⚠️ LLM response for ${fileName} was truncated at max_tokens`);
+        if (options.conversionInfo) {
+          options.conversionInfo.truncated = [fileName];
+        }
+      } else {
+        await conversionCacheService.set('idmc', PROMPT_VERSIONS.oracleToIdmc, cacheSource, idmcSummary, fileName);
+      }
       
       // Return markdown format directly (no JSON parsing needed)
       return idmcSummary;
@@ -389,92 +504,20 @@ Now provide the complete IDMC Mapping Summary following the standardized format
     }
   }
 
-  async convertRedshiftToIDMC(redshiftCode, fileName, fileType = 'sql') {
+  async convertRedshiftToIDMC(redshiftCode, fileName, fileType = 'sql', options = {}) {
     try {
-      if (!this.apiKey || !this.openai) {
-        throw new Error('OpenAI API key not configured');
+      const { PROMPT_VERSIONS } = conversionCacheService;
+      const cacheSource = conversionCacheService.promptSource(fileName, redshiftCode);
+      const cached = await conversionCacheService.get('idmc', PROMPT_VERSIONS.redshiftToIdmc, cacheSource, options.cacheStats);
+      if (cached !== null) {
+        return cached;
       }
 
-      const systemPrompt = `You are an expert Informatica Data Management Cloud (IDMC) solution architect.
-
-Given an SQL statement, your task is to translate it into an **IDMC Mapping Summary** using the below standardized format.
-
-Follow this exact structure and table formatting in your response.
-
----
-
-## 🧩 IDMC Mapping Summary
-
-### 1. Objective
-Provide a one-line description of what the SQL query achieves.
-
-### 2. Source Objects
-List the source tables involved and describe their purpose in a markdown table:
-
-| Source Name | Description | Key Columns Used |
-|--------------|--------------|------------------|
-
-### 3. Transformations
-Break down how each SQL clause or logic would be implemented in IDMC components.
-Use a table in this format:
-
-| Transformation | Type | Logic / Description |
-|----------------|------|----------------------|
-
-For transformations, use proper IDMC syntax:
-- CASE statements → IIF(condition, true_value, false_value)
-- DECODE → DECODE() functions
-- COALESCE → ISNULL() functions
-- SUBSTRING → SUBSTR() functions
-- Aggregations → SUM(), COUNT(), AVG(), MAX(), MIN()
-- Joins → JOINER transformation with proper join conditions
-
-### 4. Target Object
-Describe the final output or destination and list the mapped columns in a table:
-
-| Target | Description | Columns Mapped |
-|---------|--------------|----------------|
-
-### 5. Mapping Flow Diagram (Text Summary)
-Represent the data flow step-by-step in a visual-text format like this:
-Source1 --> Joiner --> Expression --> Aggregator --> Target
-
-### 6. Additional Notes
-Mention key join types, transformation order, error handling, reusability, or parameterization options.
-
-CRITICAL REQUIREMENTS:
-1. Use proper IDMC transformation types and syntax (IIF, DECODE, etc.)
-2. Include detailed field mappings and expressions
-3. Use proper IDMC data types and functions
-4. Output in markdown format with tables as shown above
-5. Be specific about transformation logic and expressions
-
-REDSHIFT TO IDMC CONVERSION GUIDELINES:
-- Redshift CASE statements → IDMC IIF() functions
-- Redshift COALESCE → IDMC ISNULL() functions
-- Redshift SUBSTRING → IDMC SUBSTR() functions
-- Redshift TO_CHAR → IDMC TO_CHAR() functions
-- Redshift TO_DATE → IDMC TO_DATE() functions
-- Redshift ROW_NUMBER() → IDMC ROW_NUMBER() window functions
-- Redshift window functions → IDMC aggregator transformations
-- Redshift CTEs → IDMC subquery transformations
-- Redshift COPY commands → IDMC bulk load operations
-- Redshift VACUUM/ANALYZE → IDMC post-session commands
-- Redshift DISTKEY/SORTKEY → IDMC performance optimizations
-- Redshift UDFs → IDMC expression transformations
-
-IDMC SYNTAX EXAMPLES:
-- Conditional: IIF(condition, true_value, false_value)
-- String functions: SUBSTR(string, start, length), UPPER(string), LOWER(string)
-- Date functions: TO_DATE(string, format), ADD_MONTHS(date, months)
-- Math functions: ROUND(number, decimals), TRUNC(number, decimals)
-- Aggregation: SUM(expression), COUNT(*), AVG(expression), MAX(expression), MIN(expression)
+      if (!llmService.isConfigured()) {
+        throw new Error('LLM provider not configured');
+      }
 
-OUTPUT FORMAT:
-- Output in markdown format with tables as specified above
-- Use proper IDMC transformation names and syntax
-- Include detailed field mappings and expressions
-- Provide implementation-ready specifications`;
+      const systemPrompt = buildSummaryPrompt('Redshift', REDSHIFT_IDMC_GUIDELINES);
 
       const userPrompt = `Now, convert the following SQL query into an IDMC Mapping Summary using the above format:
 
@@ -486,8 +529,7 @@ ${redshiftCode}
 File: ${fileName}
 Type: ${fileType}`;
 
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4o-mini",
+      const response = await llmService.createChatCompletion({
         messages: [
           { role: "system", content: systemPrompt },
           { role: "user", content: userPrompt }
@@ -497,6 +539,7 @@ Type: ${fileType}`;
       });
 
       const idmcSummary = response.choices[0].message.content.trim();
+      await conversionCacheService.set('idmc', PROMPT_VERSIONS.redshiftToIdmc, cacheSource, idmcSummary, fileName);
       
       // Return markdown format directly (no JSON parsing needed)
       return idmcSummary;
@@ -507,6 +550,62 @@ Type: ${fileType}`;
     }
   }
 
+  // SQL Server T-SQL and Teradata share the Redshift summary format with their own guidelines
+  async convertDialectToIDMC(sourceCode, fileName, sourceType, fileType = 'sql', options = {}) {
+    const label = dialectConversionService.getLabel(sourceType);
+    try {
+      const promptVersion = conversionCacheService.PROMPT_VERSIONS[`${sourceType}ToIdmc`];
+      const cacheSource = conversionCacheService.promptSource(fileName, sourceCode);
+      const cached = await conversionCacheService.get('idmc', promptVersion, cacheSource, options.cacheStats);
+      if (cached !== null) {
+        return cached;
+      }
+
+      if (!llmService.isConfigured()) {
+        throw new Error('LLM provider not configured');
+      }
+
+      const response = await llmService.createChatCompletion({
+        messages: [
+          { role: "system", content: buildSummaryPrompt(sourceType === 'tsql' ? 'T-SQL' : label, dialectConversionService.getIdmcGuidelines(sourceType)) },
+          {
+            role: "user",
+            content: `Now, convert the following ${label} code into an IDMC Mapping Summary using the above format:
+
+SQL Query:
+${sourceCode}
+
+File: ${fileName}
+Type: ${fileType}`
+          }
+        ],
+        temperature: 0.1,
+        max_tokens: 4000
+      });
+
+      const idmcSummary = response.choices[0].message.content.trim();
+      await conversionCacheService.set('idmc', promptVersion, cacheSource, idmcSummary, fileName);
+      return idmcSummary;
+    } catch (error) {
+      console.error(`Error converting ${label} to IDMC:`, error);
+      throw new Error(`${label} to IDMC conversion failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Convert SQL to an IDMC mapping summary with the prompt for its source dialect.
+   * @param {string} sourceType - oracle | redshift | tsql | teradata (anything else uses the Oracle prompt)
+   */
+  async convertSourceToIDMC(sourceCode, fileName, sourceType, fileType = 'sql', options = {}) {
+    if (sourceType === 'redshift') {
+      return this.convertRedshiftToIDMC(sourceCode, fileName, fileType, options);
+    }
+    if (dialectConversionService.isSupported(sourceType)) {
+      return this.convertDialectToIDMC(sourceCode, fileName, sourceType, fileType, options);
+    }
+    return this.convertOracleToIDMC(sourceCode, fileName, fileType, options);
+  }
+
   createBasicIDMCStructure(fileName, code) {
     const baseName = path.basename(fileName, path.extname(fileName));
     
@@ -670,7 +769,7 @@ Type: ${fileType}`;
   }
 
   // Method to convert direct Oracle code input to IDMC mapping
-  async convertOracleCodeToIdmc(sourceCode, fileName) {
+  async convertOracleCodeToIdmc(sourceCode, fileName, options = {}) {
     try {
       console.log(`🔄 Converting direct Oracle code input to IDMC mapping for ${fileName}`);
       
@@ -678,7 +777,7 @@ Type: ${fileType}`;
       const fileType = path.extname(fileName).replace('.', '') || 'sql';
       
       // Use the existing conversion method
-      const mappingSummary = await this.convertOracleToIDMC(sourceCode, fileName, fileType);
+      const mappingSummary = await this.convertOracleToIDMC(sourceCode, fileName, fileType, options);
       
       return mappingSummary;
     } catch (error) {
@@ -688,7 +787,7 @@ Type: ${fileType}`;
   }
 
   // Method to convert direct Redshift code input to IDMC mapping
-  async convertRedshiftCodeToIdmc(sourceCode, fileName) {
+  async convertRedshiftCodeToIdmc(sourceCode, fileName, options = {}) {
     try {
       console.log(`🔄 Converting direct Redshift code input to IDMC mapping for ${fileName}`);
       
@@ -696,7 +795,7 @@ Type: ${fileType}`;
       const fileType = path.extname(fileName).replace('.', '') || 'sql';
       
       // Use the existing conversion method
-      const mappingSummary = await this.convertRedshiftToIDMC(sourceCode, fileName, fileType);
+      const mappingSummary = await this.convertRedshiftToIDMC(sourceCode, fileName, fileType, options);
       
       return mappingSummary;
     } catch (error) {
@@ -712,8 +811,8 @@ Type: ${fileType}`;
    */
   async convertToIDMC(fileContent, fileName, fileType = null) {
     try {
-      if (!this.apiKey || !this.openai) {
-        throw new Error('OpenAI API key not configured');
+      if (!llmService.isConfigured()) {
+        throw new Error('LLM provider not configured');
       }
 
       // Determine file type if not provided
@@ -798,8 +897,7 @@ ${fileContent}
 
 Please provide a comprehensive IDMC Mapping Summary that follows the exact format specified above. Analyze the entire file thoroughly and provide detailed information for all 8 sections.`;
 
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4o-mini",
+      const response = await llmService.createChatCompletion({
         messages: [
           { role: "system", content: systemPrompt },
           { role: "user", content: userPrompt }
@@ -822,12 +920,20 @@ Please provide a comprehensive IDMC Mapping Summary that follows the exact forma
    * Convert IDMC Mapping Summary (markdown/text) to fully compliant IDMC mapping JSON (.bat export structure)
    * @param {string} idmcSummary - The IDMC mapping summary in markdown/text format
    * @param {string} fileName - Original file name for naming the mapping
+   * @param {Object} [options] - { cacheStats } per-file conversion cache hit/miss counters
    * @returns {Promise<string>} - JSON string of the IDMC mapping (to be saved as .bat file)
    */
-  async convertIdmcSummaryToJson(idmcSummary, fileName) {
+  async convertIdmcSummaryToJson(idmcSummary, fileName, options = {}) {
     try {
-      if (!this.apiKey || !this.openai) {
-        throw new Error('OpenAI API key not configured');
+      const { PROMPT_VERSIONS } = conversionCacheService;
+      const cacheSource = conversionCacheService.promptSource(fileName, idmcSummary);
+      const cached = await conversionCacheService.get('summary-json', PROMPT_VERSIONS.summaryToJson, cacheSource, options.cacheStats);
+      if (cached !== null) {
+        return cached;
+      }
+
+      if (!llmService.isConfigured()) {
+        throw new Error('LLM provider not configured');
       }
 
       const systemPrompt = `You are an expert Informatica Data Management Cloud (IDMC) metadata generator.
@@ -1167,8 +1273,7 @@ Original File: ${fileName}
 
 Generate the complete JSON structure following all the requirements above. Output ONLY valid JSON, no markdown or code blocks.`;
 
-      const response = await this.openai.chat.completions.create({
-        model: "gpt-4o-mini",
+      const response = await llmService.createChatCompletion({
         messages: [
           { role: "system", content: systemPrompt },
           { role: "user", content: userPrompt }
@@ -1196,6 +1301,7 @@ Generate the complete JSON structure following all the requirements above. Outpu
           throw new Error('Could not extract valid JSON from response');
         }
       }
+      await conversionCacheService.set('summary-json', PROMPT_VERSIONS.summaryToJson, cacheSource, jsonContent, fileName);
       
       return jsonContent;
 
@@ -0,0 +1,286 @@
+const idmcMappingValidationService = require('./idmcMappingValidationService');
+const { parseIdmcSummary } = require('../utils/idmcSummaryParser');
+const { createModuleLogger } = require('../utils/logger');
+const log = createModuleLogger('services/idmcMappingTemplateService');
+
+// Transformation type keywords, checked in order against the "Type" column or a flow step name
+const TYPE_KEYWORDS = [
+  [/source\s*qualifier|^sq\b/i, 'TmplSource'],
+  [/update\s*strategy/i, 'TmplUpdateStrategy'],
+  [/sequence/i, 'TmplSequence'],
+  [/lookup/i, 'TmplLookup'],
+  [/join/i, 'TmplJoiner'],
+  [/aggregat/i, 'TmplAggregator'],
+  [/filter/i, 'TmplFilter'],
+  [/router/i, 'TmplRouter'],
+  [/sort/i, 'TmplSorter'],
+  [/union/i, 'TmplUnion'],
+  [/rank/i, 'TmplRank'],
+  [/normali[sz]er/i, 'TmplNormalizer'],
+  [/expression/i, 'TmplExpression']
+];
+
+// Name prefixes: the prompt's naming rules first, then the short forms used in summaries
+const CLASS_PREFIXES = {
+  TmplSource: ['src', 'sq'],
+  TmplTarget: ['tgt'],
+  TmplLookup: ['LKP'],
+  TmplAggregator: ['AGG'],
+  TmplRouter: ['RTR'],
+  TmplSequence: ['SEQ'],
+  TmplExpression: ['EXP'],
+  TmplUpdateStrategy: ['UPD'],
+  TmplFilter: ['FLT', 'FIL'],
+  TmplJoiner: ['JNR'],
+  TmplSorter: ['SRT'],
+  TmplUnion: ['UNI', 'UNT'],
+  TmplRank: ['RNK'],
+  TmplNormalizer: ['NRM']
+};
+
+const SQL_LOGIC = /\b(?:SELECT|INSERT|UPDATE|DELETE|MERGE)\b/i;
+
+const sanitize = (name) => String(name).replace(/[^\w$#]+/g, '_').replace(/^_+|_+$/g, '');
+const shortName = (name) => String(name).split('.').pop().toLowerCase();
+
+function classFromText(text) {
+  const match = TYPE_KEYWORDS.find(([pattern]) => pattern.test(text || ''));
+  return match ? match[1] : null;
+}
+
+function classFromPrefix(name) {
+  const prefix = String(name).split('_')[0].toUpperCase();
+  const entry = Object.entries(CLASS_PREFIXES).find(([, prefixes]) => prefixes.some(p => p.toUpperCase() === prefix));
+  return entry ? entry[0] : null;
+}
+
+function inferFieldType(name) {
+  if (/(?:^|_)(?:id|key|count|cnt|qty|quantity|num|no)$/i.test(name)) {
+    return 'INTEGER';
+  }
+  if (/amount|amt|price|total|salary|balance|rate|cost|sum|avg/i.test(name)) {
+    return 'DECIMAL';
+  }
+  if (/date|_dt$|time|timestamp|created|updated/i.test(name)) {
+    return 'DATE';
+  }
+  return 'STRING';
+}
+
+/**
+ * Template-based IDMC mapping JSON for summaries in the standard markdown layout. Produces the
+ * same node/link structure the summary-to-json prompt asks for, without an LLM call.
+ */
+class IdmcMappingTemplateService {
+  /**
+   * @param {string} summary - IDMC mapping summary (markdown)
+   * @param {string} fileName - used for the mapping name when the summary has none
+   * @returns {{ mapping: Object, content: string }|null} null when the summary is free-form or the
+   *   generated mapping would not validate; the caller then falls back to the LLM
+   */
+  generate(summary, fileName) {
+    const parsed = parseIdmcSummary(summary);
+    if (!parsed) {
+      log.info(`📝 ${fileName}: summary does not follow the standard layout; using the LLM`);
+      return null;
+    }
+
+    const mapping = this.buildMapping(parsed, fileName);
+    const validation = idmcMappingValidationService.validate(mapping);
+    if (!validation.importReady) {
+      log.info(`📝 ${fileName}: template mapping has ${validation.errorCount} error(s); using the LLM`, {
+        violations: validation.violations.filter(v => v.severity === 'error').map(v => v.message).slice(0, 5)
+      });
+      return null;
+    }
+
+    log.info(`🧩 ${fileName}: built mapping from template (${mapping.nodes.length} nodes, ${mapping.links.length} links)`);
+    return { mapping, content: JSON.stringify(mapping, null, 2) };
+  }
+
+  buildMapping(summary, fileName) {
+    const nodes = [];
+    const byStep = new Map();
+    let nextId = 1;
+
+    const addNode = (cls, name, extra = {}) => {
+      const id = String(nextId++);
+      const classInfo = { $$class: cls };
+      const node = {
+        $$class: cls,
+        $$ID: id,
+        '##SID': id,
+        name,
+        x: 0,
+        y: 0,
+        metadata: { $$classInfo: classInfo, ...(extra.metadata || {}) },
+        fields: extra.fields || []
+      };
+      if (extra.transformationType) {
+        classInfo.transformationType = extra.transformationType;
+      }
+      Object.assign(node, extra.properties || {});
+      nodes.push(node);
+      return node;
+    };
+    const toFields = (columns) => columns.map(column => ({ name: column.name, type: column.type || inferFieldType(column.name) }));
+
+    const sources = summary.sources.map(source => addNode('TmplSource', `src_${sanitize(shortName(source.name))}`, {
+      fields: toFields(source.columns),
+      metadata: { description: source.description },
+      properties: { connectionId: 'oracle_connection', object: { path: source.name } }
+    }));
+    const targets = summary.targets.map(target => addNode('TmplTarget', `tgt_${sanitize(shortName(target.name))}`, {
+      fields: toFields(target.columns),
+      metadata: { description: target.description },
+      properties: { connectionId: 'oracle_connection', object: { path: target.name } }
+    }));
+
+    const findObject = (step, objects, list, generic) => {
+      const key = shortName(step).replace(/^(?:sq|src|tgt)_/, '');
+      const index = list.findIndex(object => shortName(object.name) === key);
+      if (index !== -1) {
+        return objects[index];
+      }
+      const numbered = generic.exec(step);
+      if (numbered) {
+        return objects[Math.max(0, Number(numbered[1] || 1) - 1)] || null;
+      }
+      return null;
+    };
+
+    // Transformations from the table; Source Qualifier rows are just the source they read
+    const transformations = new Map();
+    for (const transformation of summary.transformations) {
+      const cls = classFromText(transformation.type) || classFromPrefix(transformation.name) || 'TmplExpression';
+      if (cls === 'TmplSource') {
+        // Otherwise the source whose table the logic names (compared as words: names may hold $ or #)
+        const words = new Set(String(transformation.logic || '').toLowerCase().match(/[\w$#]+/g) || []);
+        const source = findObject(transformation.name, sources, summary.sources, /^$/) ||
+          sources.find((node, i) => words.has(shortName(summary.sources[i].name))) ||
+          sources[0];
+        byStep.set(transformation.name.toLowerCase(), source);
+        continue;
+      }
+      transformations.set(transformation.name.toLowerCase(), this.addTransformation(addNode, cls, transformation.name, transformation.logic));
+    }
+
+    const resolve = (step) => {
+      const key = step.toLowerCase();
+      if (byStep.has(key)) {
+        return byStep.get(key);
+      }
+      let node = transformations.get(key) ||
+        findObject(step, sources, summary.sources, /^source(\d*)$/i) ||
+        findObject(step, targets, summary.targets, /^target(\d*)$/i);
+      if (!node) {
+        // A bare type word ("Joiner") means the only transformation of that type, if there is one
+        const cls = classFromPrefix(step) || classFromText(step);
+        const sameClass = [...transformations.values()].filter(t => t.$$class === cls);
+        node = sameClass.length === 1 && !classFromPrefix(step)
+          ? sameClass[0]
+          : this.addTransformation(addNode, cls && cls !== 'TmplSource' ? cls : 'TmplExpression', step, '');
+      }
+      byStep.set(key, node);
+      return node;
+    };
+
+    const links = [];
+    const linked = new Set();
+    for (const [fromStep, toStep] of summary.flow.edges) {
+      const from = resolve(fromStep);
+      const to = resolve(toStep);
+      const key = `${from.name}\u0000${to.name}`;
+      if (from !== to && !linked.has(key)) {
+        linked.add(key);
+        links.push({ fromNode: from.name, toNode: to.name });
+      }
+    }
+
+    this.propagateFields(nodes, links);
+    this.assignRouterGroups(nodes, links);
+    idmcMappingValidationService.layout(nodes, links);
+
+    const baseName = String(fileName || 'mapping').replace(/\.[^.]+$/, '');
+    return {
+      documentType: 'MAPPING',
+      name: summary.mappingName || `m_${sanitize(baseName)}`,
+      description: summary.objective,
+      metadata: { $$classInfo: { $$class: 'Mapping' }, generatedBy: 'template' },
+      nodes,
+      links,
+      groups: []
+    };
+  }
+
+  addTransformation(addNode, cls, name, logic) {
+    const prefixes = CLASS_PREFIXES[cls] || [];
+    const hasPrefix = prefixes.some(p => String(name).toUpperCase().startsWith(`${p.toUpperCase()}_`));
+    const nodeName = hasPrefix ? sanitize(name) : `${prefixes[0] || 'EXP'}_${sanitize(name)}`;
+    const metadata = {};
+    let transformationType;
+
+    if (cls === 'TmplExpression' && SQL_LOGIC.test(logic)) {
+      transformationType = 'SQL';
+      metadata.sqlDialect = 'Oracle';
+    }
+    if (logic) {
+      metadata.logic = logic;
+    }
+    if (cls === 'TmplFilter' && logic) {
+      metadata.condition = logic;
+    }
+    if (cls === 'TmplJoiner') {
+      const joinType = /full/i.test(logic) ? 'Full Outer' : /left/i.test(logic) ? 'Left Outer'
+        : /right/i.test(logic) ? 'Right Outer' : 'Normal';
+      metadata.joinType = joinType;
+    }
+    return addNode(cls, nodeName, { metadata, transformationType });
+  }
+
+  // Transformations without their own field list pass through everything from upstream
+  propagateFields(nodes, links) {
+    for (let pass = 0; pass < nodes.length; pass++) {
+      let changed = false;
+      for (const link of links) {
+        const from = nodes.find(node => node.name === link.fromNode);
+        const to = nodes.find(node => node.name === link.toNode);
+        if (to.$$class === 'TmplSource' || to.$$class === 'TmplTarget') {
+          continue;
+        }
+        for (const field of from.fields) {
+          if (!to.fields.some(existing => existing.name.toLowerCase() === field.name.toLowerCase())) {
+            to.fields.push({ ...field });
+            changed = true;
+          }
+        }
+      }
+      if (!changed) {
+        break;
+      }
+    }
+  }
+
+  // Router branches: INSERT/UPDATE groups when the branch leads to a sequence or update strategy
+  assignRouterGroups(nodes, links) {
+    for (const router of nodes.filter(node => node.$$class === 'TmplRouter')) {
+      const outgoing = links.filter(link => link.fromNode === router.name);
+      const groups = [];
+      outgoing.forEach((link, index) => {
+        const to = nodes.find(node => node.name === link.toNode);
+        let group = to.$$class === 'TmplSequence' ? 'INSERT_GROUP'
+          : to.$$class === 'TmplUpdateStrategy' ? 'UPDATE_GROUP' : `GROUP_${index + 1}`;
+        if (groups.some(g => g.name === group)) {
+          group = `${group}_${index + 1}`;
+        }
+        const condition = group.startsWith('INSERT_GROUP') ? 'COUNT_RECORDS = 0'
+          : group.startsWith('UPDATE_GROUP') ? 'COUNT_RECORDS > 0' : 'TRUE';
+        groups.push({ name: group, condition });
+        link.fromGroup = group;
+      });
+      router.groups = groups;
+    }
+  }
+}
+
+module.exports = new IdmcMappingTemplateService();
@@ -0,0 +1,445 @@
+const { createModuleLogger } = require('../utils/logger');
+const log = createModuleLogger('services/idmcMappingValidationService');
+
+// Transformation classes the summary-to-json prompt asks for, plus the other common IDMC templates
+const NODE_CLASSES = new Set([
+  'TmplSource', 'TmplTarget', 'TmplLookup', 'TmplExpression', 'TmplFilter', 'TmplRouter', 'TmplJoiner',
+  'TmplAggregator', 'TmplSequence', 'TmplUpdateStrategy', 'TmplSorter', 'TmplUnion', 'TmplRank',
+  'TmplNormalizer', 'TmplMapplet'
+]);
+
+// Naming prefixes from the prompt, used to recover a missing $$class
+const CLASS_PREFIXES = [
+  ['src_', 'TmplSource'],
+  ['tgt_', 'TmplTarget'],
+  ['lkp_', 'TmplLookup'],
+  ['exp_', 'TmplExpression'],
+  ['flt_', 'TmplFilter'],
+  ['rtr_', 'TmplRouter'],
+  ['jnr_', 'TmplJoiner'],
+  ['agg_', 'TmplAggregator'],
+  ['seq_', 'TmplSequence'],
+  ['upd_', 'TmplUpdateStrategy']
+];
+
+// Auto-layout from the prompt: columns 200 apart starting at x=100, rows 100 apart starting at y=100
+const LAYOUT = { x: 100, y: 100, columnWidth: 200, rowHeight: 100 };
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const describeNode = (node, index) => (node && node.name ? `node "${node.name}"` : `nodes[${index}]`);
+
+/**
+ * Structural checks for IDMC mapping JSON produced by summary-to-json, and a deterministic
+ * repair for the problems that do not need the summary to fix (IDs, layout, dangling links).
+ */
+class IdmcMappingValidationService {
+  /**
+   * @param {Object} mapping - parsed mapping JSON
+   * @returns {{ importReady: boolean, errorCount: number, warningCount: number,
+   *   violations: Array<{ code: string, severity: 'error'|'warning', path: string, message: string }> }}
+   */
+  validate(mapping) {
+    const violations = [];
+    const report = (severity, code, path, message) => violations.push({ code, severity, path, message });
+
+    if (!isObject(mapping)) {
+      report('error', 'STRUCTURE', '', 'Mapping must be a JSON object');
+      return this.toResult(violations);
+    }
+    if (mapping.documentType !== 'MAPPING') {
+      report('error', 'DOCUMENT_TYPE', 'documentType', `documentType must be "MAPPING" (found ${JSON.stringify(mapping.documentType)})`);
+    }
+    if (!Array.isArray(mapping.nodes)) {
+      report('error', 'STRUCTURE', 'nodes', 'nodes must be an array');
+      return this.toResult(violations);
+    }
+    if (!Array.isArray(mapping.links)) {
+      report('error', 'STRUCTURE', 'links', 'links must be an array');
+    }
+    if (!Array.isArray(mapping.groups)) {
+      report('warning', 'STRUCTURE', 'groups', 'groups should be an array');
+    }
+
+    this.checkNodes(mapping.nodes, report);
+    const links = Array.isArray(mapping.links) ? mapping.links : [];
+    this.checkLinks(mapping.nodes, links, report);
+    this.checkFlow(mapping.nodes, links, report);
+
+    return this.toResult(violations);
+  }
+
+  toResult(violations) {
+    const errorCount = violations.filter(v => v.severity === 'error').length;
+    return {
+      importReady: errorCount === 0,
+      errorCount,
+      warningCount: violations.length - errorCount,
+      violations
+    };
+  }
+
+  checkNodes(nodes, report) {
+    const seen = { $$ID: new Map(), '##SID': new Map(), name: new Map() };
+    const positions = new Map();
+
+    nodes.forEach((node, index) => {
+      const path = `nodes[${index}]`;
+      if (!node || typeof node !== 'object') {
+        report('error', 'STRUCTURE', path, 'Node must be an object');
+        return;
+      }
+      if (!node.$$class) {
+        report('error', 'NODE_CLASS', `${path}.$$class`, `${describeNode(node, index)} has no $$class`);
+      } else if (!NODE_CLASSES.has(node.$$class)) {
+        report('error', 'NODE_CLASS', `${path}.$$class`, `${describeNode(node, index)} has unknown $$class "${node.$$class}"`);
+      }
+      if (!node.name) {
+        report('error', 'NODE_NAME', `${path}.name`, `nodes[${index}] has no name`);
+      }
+      if (!node.metadata || !node.metadata.$$classInfo) {
+        report('warning', 'CLASS_INFO', `${path}.metadata.$$classInfo`, `${describeNode(node, index)} has no metadata.$$classInfo`);
+      }
+
+      for (const key of Object.keys(seen)) {
+        const value = node[key];
+        if (value === undefined || value === null || value === '') {
+          if (key !== 'name') {
+            report('error', 'MISSING_ID', `${path}.${key}`, `${describeNode(node, index)} has no ${key}`);
+          }
+          continue;
+        }
+        if (seen[key].has(String(value))) {
+          report('error', key === 'name' ? 'DUPLICATE_NAME' : 'DUPLICATE_ID', `${path}.${key}`,
+            `${key} ${JSON.stringify(value)} is also used by nodes[${seen[key].get(String(value))}]`);
+        } else {
+          seen[key].set(String(value), index);
+        }
+      }
+
+      if (!Number.isFinite(node.x) || !Number.isFinite(node.y)) {
+        report('warning', 'COORDINATES', path, `${describeNode(node, index)} has no numeric x/y coordinates`);
+      } else {
+        const position = `${node.x},${node.y}`;
+        if (positions.has(position)) {
+          report('warning', 'COORDINATES', path,
+            `${describeNode(node, index)} overlaps nodes[${positions.get(position)}] at (${node.x}, ${node.y})`);
+        } else {
+          positions.set(position, index);
+        }
+      }
+    });
+  }
+
+  checkLinks(nodes, links, report) {
+    links.forEach((link, index) => {
+      const path = `links[${index}]`;
+      if (!link || typeof link !== 'object') {
+        report('error', 'STRUCTURE', path, 'Link must be an object');
+        return;
+      }
+      const from = this.findNode(nodes, link.fromNode);
+      const to = this.findNode(nodes, link.toNode);
+      if (!from) {
+        report('error', 'LINK_NODE', `${path}.fromNode`, `Link source ${JSON.stringify(link.fromNode)} is not a node`);
+      }
+      if (!to) {
+        report('error', 'LINK_NODE', `${path}.toNode`, `Link target ${JSON.stringify(link.toNode)} is not a node`);
+      }
+      if (!from || !to) {
+        return;
+      }
+
+      if (link.fromField !== undefined && !this.hasField(from, link.fromField)) {
+        report('error', 'LINK_FIELD', `${path}.fromField`, `Field "${link.fromField}" does not exist on node "${from.name}"`);
+      }
+      // Fields propagate, so the target field may still be declared on the upstream node only
+      if (link.toField !== undefined && !this.hasField(to, link.toField) && !this.hasField(from, link.toField)) {
+        report('error', 'LINK_FIELD', `${path}.toField`, `Field "${link.toField}" does not exist on node "${to.name}"`);
+      }
+      if (from.$$class === 'TmplTarget') {
+        report('error', 'TARGET_OUTGOING', path, `Target "${from.name}" cannot feed other nodes`);
+      }
+      if (to.$$class === 'TmplSource') {
+        report('error', 'SOURCE_INCOMING', path, `Source "${to.name}" cannot receive links`);
+      }
+      if (from.$$class === 'TmplRouter' && !link.fromGroup) {
+        report('warning', 'ROUTER_GROUP', path, `Link from router "${from.name}" has no fromGroup`);
+      }
+    });
+  }
+
+  checkFlow(nodes, links, report) {
+    const valid = nodes.filter(node => node && typeof node === 'object');
+    if (!valid.some(node => node.$$class === 'TmplSource')) {
+      report('error', 'NO_SOURCE', 'nodes', 'Mapping has no TmplSource node');
+    }
+    if (!valid.some(node => node.$$class === 'TmplTarget')) {
+      report('error', 'NO_TARGET', 'nodes', 'Mapping has no TmplTarget node');
+    }
+
+    const { incoming, outgoing } = this.countLinks(nodes, links);
+    nodes.forEach((node, index) => {
+      if (!node || typeof node !== 'object') {
+        return;
+      }
+      const path = `nodes[${index}]`;
+      if (node.$$class === 'TmplSource') {
+        if (!outgoing.get(node)) {
+          report('warning', 'ORPHAN', path, `Source "${node.name}" is not linked to any transformation`);
+        }
+      } else if (node.$$class === 'TmplTarget') {
+        if (!incoming.get(node)) {
+          report('warning', 'ORPHAN', path, `Target "${node.name}" receives no links`);
+        }
+      } else if (!incoming.get(node) || !outgoing.get(node)) {
+        report('error', 'ORPHAN', path,
+          `Transformation "${node.name}" has no ${!incoming.get(node) ? 'incoming' : 'outgoing'} links`);
+      }
+    });
+  }
+
+  countLinks(nodes, links) {
+    const incoming = new Map();
+    const outgoing = new Map();
+    for (const link of links) {
+      const from = link && this.findNode(nodes, link.fromNode);
+      const to = link && this.findNode(nodes, link.toNode);
+      if (from && to) {
+        outgoing.set(from, (outgoing.get(from) || 0) + 1);
+        incoming.set(to, (incoming.get(to) || 0) + 1);
+      }
+    }
+    return { incoming, outgoing };
+  }
+
+  // Links may name a node by its name or its $$ID
+  findNode(nodes, reference) {
+    if (reference === undefined || reference === null) {
+      return null;
+    }
+    const key = String(reference);
+    return nodes.find(node => node && typeof node === 'object' && String(node.name) === key) ||
+      nodes.find(node => node && typeof node === 'object' && node.$$ID !== undefined && String(node.$$ID) === key) ||
+      null;
+  }
+
+  hasField(node, fieldName) {
+    // Nodes without a field list (routers, some SQL expressions) pass everything through
+    if (!Array.isArray(node.fields) || node.fields.length === 0) {
+      return true;
+    }
+    const wanted = String(fieldName).toLowerCase();
+    return node.fields.some(field => String(field && typeof field === 'object' ? field.name : field).toLowerCase() === wanted);
+  }
+
+  /**
+   * Deterministic repair: document type, missing classes, duplicate/missing IDs and names,
+   * layout, dangling links. Problems that need the summary (missing sources, orphans) are left alone.
+   * @param {Object} mapping - parsed mapping JSON (not modified)
+   * @returns {{ mapping: Object, repairs: string[] }}
+   */
+  repair(mapping) {
+    const fixed = JSON.parse(JSON.stringify(mapping));
+    const repairs = [];
+
+    if (fixed.documentType !== 'MAPPING') {
+      fixed.documentType = 'MAPPING';
+      repairs.push('Set documentType to "MAPPING"');
+    }
+    for (const key of ['nodes', 'links', 'groups']) {
+      if (!Array.isArray(fixed[key])) {
+        fixed[key] = [];
+        repairs.push(`Added empty ${key} array`);
+      }
+    }
+
+    const droppedNodes = fixed.nodes.length;
+    fixed.nodes = fixed.nodes.filter(node => node && typeof node === 'object' && !Array.isArray(node));
+    if (fixed.nodes.length < droppedNodes) {
+      repairs.push(`Removed ${droppedNodes - fixed.nodes.length} malformed node(s)`);
+    }
+
+    fixed.nodes.forEach(node => {
+      if (!node.$$class && node.name) {
+        const prefix = CLASS_PREFIXES.find(([p]) => String(node.name).toLowerCase().startsWith(p));
+        if (prefix) {
+          node.$$class = prefix[1];
+          repairs.push(`Set $$class of "${node.name}" to ${prefix[1]} from its name`);
+        }
+      }
+    });
+
+    this.dedupeKey(fixed.nodes, 'name', repairs);
+    this.dedupeKey(fixed.nodes, '$$ID', repairs);
+    this.dedupeKey(fixed.nodes, '##SID', repairs);
+
+    const keptLinks = fixed.links.filter(link => {
+      const from = link && this.findNode(fixed.nodes, link.fromNode);
+      const to = link && this.findNode(fixed.nodes, link.toNode);
+      const dangling = !from || !to ||
+        (link.fromField !== undefined && !this.hasField(from, link.fromField)) ||
+        (link.toField !== undefined && !this.hasField(to, link.toField) && !this.hasField(from, link.toField)) ||
+        from.$$class === 'TmplTarget' || to.$$class === 'TmplSource';
+      if (dangling) {
+        repairs.push(`Dropped link ${JSON.stringify((link && link.fromNode) || null)} -> ${JSON.stringify((link && link.toNode) || null)}`);
+      }
+      return !dangling;
+    });
+    fixed.links = keptLinks;
+
+    if (this.needsLayout(fixed.nodes)) {
+      this.layout(fixed.nodes, fixed.links);
+      repairs.push('Re-laid out node coordinates');
+    }
+
+    return { mapping: fixed, repairs };
+  }
+
+  // Give every node a unique value for key; numeric IDs continue from the highest one
+  dedupeKey(nodes, key, repairs) {
+    const values = nodes.map(node => node[key]).filter(v => v !== undefined && v !== null && v !== '');
+    const numeric = values.length > 0 && values.every(v => /^\d+$/.test(String(v)));
+    let next = numeric ? Math.max(...values.map(Number)) + 1 : values.length + 1;
+    const used = new Set(values.map(String));
+    const seen = new Set();
+
+    nodes.forEach((node, index) => {
+      const value = node[key];
+      const missing = value === undefined || value === null || value === '';
+      if (!missing && !seen.has(String(value))) {
+        seen.add(String(value));
+        return;
+      }
+
+      let replacement;
+      if (numeric || (missing && key !== 'name')) {
+        while (used.has(String(next))) {
+          next++;
+        }
+        replacement = typeof values[0] === 'number' ? next : String(next);
+      } else {
+        const base = missing ? `node_${index + 1}` : String(value);
+        let suffix = 2;
+        while (used.has(`${base}_${suffix}`)) {
+          suffix++;
+        }
+        replacement = `${base}_${suffix}`;
+      }
+      used.add(String(replacement));
+      seen.add(String(replacement));
+      node[key] = replacement;
+      repairs.push(missing
+        ? `Assigned ${key} ${JSON.stringify(replacement)} to ${describeNode(node, index)}`
+        : `Renamed duplicate ${key} ${JSON.stringify(value)} to ${JSON.stringify(replacement)}`);
+    });
+  }
+
+  needsLayout(nodes) {
+    const positions = new Set();
+    for (const node of nodes) {
+      if (!Number.isFinite(node.x) || !Number.isFinite(node.y)) {
+        return true;
+      }
+      const position = `${node.x},${node.y}`;
+      if (positions.has(position)) {
+        return true;
+      }
+      positions.add(position);
+    }
+    return false;
+  }
+
+  // Column = longest path from a node without incoming links; sources first within a column
+  layout(nodes, links) {
+    const column = new Map(nodes.map(node => [node, 0]));
+    for (let pass = 0; pass < nodes.length; pass++) {
+      let changed = false;
+      for (const link of links) {
+        const from = this.findNode(nodes, link.fromNode);
+        const to = this.findNode(nodes, link.toNode);
+        if (from && to && column.get(to) < column.get(from) + 1) {
+          column.set(to, column.get(from) + 1);
+          changed = true;
+        }
+      }
+      if (!changed) {
+        break;
+      }
+    }
+
+    const band = (node) => (node.$$class === 'TmplSource' ? 0 : node.$$class === 'TmplTarget' ? 2 : 1);
+    const rows = new Map();
+    nodes
+      .map((node, index) => ({ node, index }))
+      .sort((a, b) => (column.get(a.node) - column.get(b.node)) || (band(a.node) - band(b.node)) || (a.index - b.index))
+      .forEach(({ node }) => {
+        const col = column.get(node);
+        const row = rows.get(col) || 0;
+        rows.set(col, row + 1);
+        node.x = LAYOUT.x + col * LAYOUT.columnWidth;
+        node.y = LAYOUT.y + row * LAYOUT.rowHeight;
+      });
+  }
+
+  /**
+   * Validate generated mapping JSON, repair it when it has violations and re-validate.
+   * @param {string} jsonContent - mapping JSON as returned by the LLM
+   * @returns {{ content: string, report: { importReady: boolean, repaired: boolean,
+   *   violations: Array, repairs: string[], remainingViolations: Array } }}
+   */
+  check(jsonContent, fileName) {
+    let mapping;
+    try {
+      mapping = JSON.parse(jsonContent);
+    } catch (error) {
+      const violations = [{ code: 'PARSE', severity: 'error', path: '', message: `Invalid JSON: ${error.message}` }];
+      return {
+        content: jsonContent,
+        report: { importReady: false, repaired: false, violations, repairs: [], remainingViolations: violations }
+      };
+    }
+
+    const before = this.validate(mapping);
+    // Valid JSON that is not an object (null, a string, an array) has nothing to repair
+    if (before.violations.length === 0 || !isObject(mapping)) {
+      return {
+        content: jsonContent,
+        report: { importReady: before.importReady, repaired: false, violations: before.violations, repairs: [], remainingViolations: before.violations }
+      };
+    }
+
+    const { mapping: repairedMapping, repairs } = this.repair(mapping);
+    const after = repairs.length > 0 ? this.validate(repairedMapping) : before;
+    log.info(`🧩 Validated IDMC mapping ${fileName || ''}: ${before.errorCount} error(s) before repair, ${after.errorCount} after`, {
+      repairs: repairs.length,
+      importReady: after.importReady
+    });
+
+    return {
+      content: repairs.length > 0 ? JSON.stringify(repairedMapping, null, 2) : jsonContent,
+      report: {
+        importReady: after.importReady,
+        repaired: repairs.length > 0,
+        violations: before.violations,
+        repairs,
+        remainingViolations: after.violations
+      }
+    };
+  }
+
+  /**
+   * Job-level counts from per-file reports.
+   */
+  summarize(reports) {
+    const checked = reports.filter(Boolean);
+    return {
+      files: checked.length,
+      importReady: checked.filter(r => r.importReady).length,
+      notImportReady: checked.filter(r => !r.importReady).length,
+      repaired: checked.filter(r => r.repaired).length
+    };
+  }
+}
+
+module.exports = new IdmcMappingValidationService();
@@ -0,0 +1,225 @@
+const path = require('path');
+const { parseSummaryParts } = require('../utils/idmcSummaryParser');
+const documentService = require('./documentService');
+const { createModuleLogger } = require('../utils/logger');
+const log = createModuleLogger('services/idmcSummaryModelService');
+
+const SCHEMA_VERSION = 1;
+
+const cell = (value) => String(value === null || value === undefined ? '' : value).replace(/\r?\n/g, ' ').replace(/\|/g, '\\|').trim();
+const columnText = (column) => (column.type ? `${column.name} (${column.type})` : column.name);
+
+function table(headers, rows) {
+  return [
+    `| ${headers.join(' | ')} |`,
+    `|${headers.map(() => '---').join('|')}|`,
+    ...rows.map(row => `| ${row.map(cell).join(' | ')} |`)
+  ].join('\n');
+}
+
+// Consecutive edges (a→b, b→c) are drawn as one chain line: a → b → c
+function flowLines(flow) {
+  const chains = [];
+  for (const edge of flow) {
+    const chain = chains[chains.length - 1];
+    if (chain && chain[chain.length - 1] === edge.from) {
+      chain.push(edge.to);
+    } else {
+      chains.push([edge.from, edge.to]);
+    }
+  }
+  return chains.map(chain => chain.join(' → '));
+}
+
+/**
+ * Structured IDMC mapping summary. The LLM still answers in the markdown layout of the
+ * Oracle/Redshift → IDMC prompts; the answer is parsed into this model once and every output
+ * format (JSON, markdown, DOCX) is rendered from it.
+ *
+ * Model shape:
+ *   { schemaVersion, mappingName, sourceFile, sourceType, objective,
+ *     sources: [{ name, description, keyColumns: [{ name, type? }] }],
+ *     transformations: [{ name, type, expression }],
+ *     targets: [{ name, description, columnMappings: [{ target, type?, source }] }],
+ *     flow: [{ from, to }], notes: [string], otherSections: [{ title, content }] }
+ */
+class IdmcSummaryModelService {
+  /**
+   * @param {string} markdown - summary returned by convertOracleToIDMC / convertRedshiftToIDMC
+   * @param {Object} [info] - { fileName, sourceType }
+   * @returns {Object} summary model; parts missing from a free-form summary are left empty and
+   *   its text is kept in `otherSections`
+   */
+  fromMarkdown(markdown, info = {}) {
+    const parts = parseSummaryParts(markdown);
+    const baseName = path.basename(String(info.fileName || 'mapping')).replace(/\.[^.]+$/, '');
+
+    const model = {
+      schemaVersion: SCHEMA_VERSION,
+      mappingName: parts.mappingName || `m_${baseName.replace(/[^\w$#]+/g, '_')}`,
+      sourceFile: info.fileName || null,
+      sourceType: info.sourceType || null,
+      objective: parts.objective,
+      sources: parts.sources.map(source => ({
+        name: source.name,
+        description: source.description,
+        keyColumns: source.columns
+      })),
+      transformations: parts.transformations.map(transformation => ({
+        name: transformation.name,
+        type: transformation.type,
+        expression: transformation.logic
+      })),
+      targets: parts.targets.map(target => ({
+        name: target.name,
+        description: target.description,
+        columnMappings: target.columnMappings
+      })),
+      flow: parts.flow.edges.map(([from, to]) => ({ from, to })),
+      notes: parts.notes,
+      otherSections: parts.otherSections
+    };
+
+    if (model.sources.length === 0 && model.targets.length === 0) {
+      log.warn(`⚠️ ${info.fileName || 'summary'}: no source/target tables found; keeping the summary text as free-form sections`);
+    }
+    return model;
+  }
+
+  /**
+   * Merge the summaries of the parts of one file (chunked conversion) into a single model. Sources
+   * and targets with the same name are combined; transformations, flow and notes keep part order.
+   * @param {Object[]} models - part summaries in source order
+   * @returns {Object}
+   */
+  merge(models) {
+    const sameName = (a, b) => String(a || '').toLowerCase() === String(b || '').toLowerCase();
+    const union = (items, more, key) => items.concat(more.filter(item => !items.some(existing => sameName(existing[key], item[key]))));
+    const merged = {
+      ...models[0],
+      objective: [...new Set(models.map(model => model.objective).filter(Boolean))].join(' '),
+      sources: [],
+      transformations: [],
+      targets: [],
+      flow: [],
+      notes: [],
+      otherSections: []
+    };
+
+    for (const model of models) {
+      for (const source of model.sources) {
+        const existing = merged.sources.find(s => sameName(s.name, source.name));
+        if (existing) {
+          existing.keyColumns = union(existing.keyColumns, source.keyColumns, 'name');
+        } else {
+          merged.sources.push({ ...source, keyColumns: [...source.keyColumns] });
+        }
+      }
+      for (const target of model.targets) {
+        const existing = merged.targets.find(t => sameName(t.name, target.name));
+        if (existing) {
+          existing.columnMappings = union(existing.columnMappings, target.columnMappings, 'target');
+        } else {
+          merged.targets.push({ ...target, columnMappings: [...target.columnMappings] });
+        }
+      }
+      merged.transformations.push(...model.transformations);
+      merged.flow.push(...model.flow.filter(edge => !merged.flow.some(e => e.from === edge.from && e.to === edge.to)));
+      merged.notes.push(...model.notes.filter(note => !merged.notes.includes(note)));
+      merged.otherSections.push(...(model.otherSections || []));
+    }
+    return merged;
+  }
+
+  /**
+   * Render the model in the standard markdown layout (sections without content are left out).
+   * @param {Object} model
+   * @returns {string}
+   */
+  toMarkdown(model) {
+    const sections = [];
+    if (model.objective) {
+      sections.push(['Objective', model.objective]);
+    }
+    if (model.sources.length > 0) {
+      sections.push(['Source Objects', table(
+        ['Source Name', 'Description', 'Key Columns Used'],
+        model.sources.map(source => [source.name, source.description, source.keyColumns.map(columnText).join(', ')])
+      )]);
+    }
+    if (model.transformations.length > 0) {
+      sections.push(['Transformations', table(
+        ['Transformation Step', 'IDMC Component Type', 'Logic / Description'],
+        model.transformations.map(transformation => [transformation.name, transformation.type, transformation.expression])
+      )]);
+    }
+    if (model.targets.length > 0) {
+      sections.push(['Target Object', table(
+        ['Target Table', 'Description', 'Columns Mapped'],
+        model.targets.map(target => [target.name, target.description, target.columnMappings
+          .map(mapping => {
+            const column = columnText({ name: mapping.target, type: mapping.type });
+            return mapping.source && mapping.source !== mapping.target ? `${column} ← ${mapping.source}` : column;
+          })
+          .join(', ')])
+      )]);
+    }
+    if (model.flow.length > 0) {
+      sections.push(['Mapping Flow Diagram (Text Summary)', ['```', ...flowLines(model.flow), '```'].join('\n')]);
+    }
+    if (model.notes.length > 0) {
+      sections.push(['Additional Notes', model.notes.map(note => `- ${note}`).join('\n')]);
+    }
+
+    const lines = ['## 🧩 IDMC Mapping Summary', '', `**Mapping Name:** ${model.mappingName}`, ''];
+    sections.forEach(([title, body], index) => {
+      lines.push(`### ${index + 1}. ${title}`, '', body, '');
+    });
+    for (const section of model.otherSections || []) {
+      if (section.title) {
+        lines.push(`### ${section.title}`, '');
+      }
+      lines.push(section.content, '');
+    }
+    return lines.join('\n').trim() + '\n';
+  }
+
+  /**
+   * Summary input as markdown: a model saved by the `json` output (`_IDMC_Summary_*.json`) is
+   * rendered with toMarkdown, any other text is returned unchanged.
+   * @param {string} text
+   * @returns {string}
+   */
+  toSummaryMarkdown(text) {
+    if (!/^\s*\{/.test(text || '')) {
+      return text;
+    }
+    let model;
+    try {
+      model = JSON.parse(text);
+    } catch (_) {
+      return text;
+    }
+    const isModel = model && model.schemaVersion && typeof model.mappingName === 'string' &&
+      ['sources', 'transformations', 'targets', 'flow', 'notes'].every(key => Array.isArray(model[key]));
+    return isModel ? this.toMarkdown(model) : text;
+  }
+
+  /**
+   * @param {Object} model
+   * @returns {string} the model as the machine-readable `json` output
+   */
+  toJson(model) {
+    return JSON.stringify(model, null, 2);
+  }
+
+  /**
+   * @param {Object} model
+   * @returns {Promise<Buffer>}
+   */
+  async toDocx(model) {
+    return documentService.markdownToDocxBuffer(this.toMarkdown(model), model.mappingName);
+  }
+}
+
+module.exports = new IdmcSummaryModelService();
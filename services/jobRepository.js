@@ -0,0 +1,183 @@
+const Job = require('../models/job');
+const { isDatabaseConnected } = require('../utils/database');
+const { createModuleLogger } = require('../utils/logger');
+const log = createModuleLogger('services/jobRepository');
+
+/**
+ * Durable storage for conversion jobs (MongoDB via mongoose).
+ * All methods are no-ops when the database is not connected so the
+ * in-memory ProgressService keeps working on its own.
+ */
+class JobRepository {
+  constructor() {
+    // Serialise writes per job so rapid progress updates are persisted in order
+    this.writeQueues = new Map();
+  }
+
+  isEnabled() {
+    return isDatabaseConnected();
+  }
+
+  /**
+   * Map an in-memory job to its persisted form. File contents are dropped from
+   * `result.results` (they are already in the output zip) to keep documents small.
+   */
+  toDocument(job) {
+    let result = job.result;
+    if (result && Array.isArray(result.results)) {
+      result = {
+        ...result,
+        results: result.results.map(r => ({
+          fileName: r.fileName,
+          success: r.success !== false,
+          error: r.error,
+          diagnostics: r.diagnostics
+        }))
+      };
+    }
+
+    return {
+      jobId: job.id,
+      type: job.type,
+      status: job.status,
+      progress: job.progress,
+      currentStep: job.currentStep,
+      steps: job.steps,
+      files: job.files || [],
+      outputFiles: job.outputFiles || [],
+      result: result,
+      dependencyGraph: job.dependencyGraph,
+      error: job.error,
+      submittedBy: job.submittedBy,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      completedAt: job.completedAt,
+      failedAt: job.failedAt,
+      cancelledAt: job.cancelledAt
+    };
+  }
+
+  fromDocument(doc) {
+    if (!doc) {
+      return null;
+    }
+    return {
+      id: doc.jobId,
+      type: doc.type,
+      status: doc.status,
+      progress: doc.progress,
+      currentStep: doc.currentStep,
+      steps: doc.steps || [],
+      files: doc.files || [],
+      outputFiles: doc.outputFiles || [],
+      result: doc.result || null,
+      dependencyGraph: doc.dependencyGraph || null,
+      error: doc.error || null,
+      submittedBy: doc.submittedBy || null,
+      createdAt: doc.createdAt,
+      updatedAt: doc.updatedAt,
+      completedAt: doc.completedAt,
+      failedAt: doc.failedAt,
+      cancelledAt: doc.cancelledAt
+    };
+  }
+
+  save(job) {
+    if (!this.isEnabled() || !job) {
+      return Promise.resolve();
+    }
+
+    const jobId = job.id;
+    const doc = this.toDocument(job);
+    const previous = this.writeQueues.get(jobId) || Promise.resolve();
+    const next = previous
+      .then(() => Job.updateOne({ jobId }, { $set: doc }, { upsert: true }))
+      .catch(error => {
+        log.error(`❌ Failed to persist job ${jobId}`, { error: error.message });
+      })
+      .finally(() => {
+        if (this.writeQueues.get(jobId) === next) {
+          this.writeQueues.delete(jobId);
+        }
+      });
+
+    this.writeQueues.set(jobId, next);
+    return next;
+  }
+
+  async findById(jobId) {
+    if (!this.isEnabled()) {
+      return null;
+    }
+    const doc = await Job.findOne({ jobId }).lean();
+    return this.fromDocument(doc);
+  }
+
+  /**
+   * @param {Object} filters - { status, type, userId, from, to }
+   * @param {Object} pagination - { page, limit }
+   */
+  async list(filters = {}, pagination = {}) {
+    const page = pagination.page || 1;
+    const limit = pagination.limit || 20;
+    const query = {};
+
+    if (filters.status) {
+      query.status = filters.status;
+    }
+    if (filters.type) {
+      query.type = filters.type;
+    }
+    if (filters.userId) {
+      query['submittedBy.id'] = filters.userId;
+    }
+    if (filters.from || filters.to) {
+      query.createdAt = {};
+      if (filters.from) {
+        query.createdAt.$gte = new Date(filters.from);
+      }
+      if (filters.to) {
+        query.createdAt.$lte = new Date(filters.to);
+      }
+    }
+
+    const [docs, total] = await Promise.all([
+      Job.find(query, { result: 0, dependencyGraph: 0 })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Job.countDocuments(query)
+    ]);
+
+    return { jobs: docs.map(doc => this.fromDocument(doc)), total };
+  }
+
+  /**
+   * Jobs still pending/running at startup were interrupted by the previous shutdown
+   */
+  async markInterruptedJobs() {
+    if (!this.isEnabled()) {
+      return 0;
+    }
+    const now = new Date();
+    const res = await Job.updateMany(
+      { status: { $in: ['pending', 'running'] } },
+      { $set: { status: 'failed', error: 'Interrupted by server restart', failedAt: now, updatedAt: now } }
+    );
+    if (res.modifiedCount > 0) {
+      log.warn(`⚠️ Marked ${res.modifiedCount} interrupted job(s) as failed`);
+    }
+    return res.modifiedCount;
+  }
+
+  async delete(jobId) {
+    if (!this.isEnabled()) {
+      return false;
+    }
+    const res = await Job.deleteOne({ jobId });
+    return res.deletedCount > 0;
+  }
+}
+
+module.exports = new JobRepository();
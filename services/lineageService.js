@@ -0,0 +1,726 @@
+const { tokenize, readQualifiedName, normalizeIdentifier } = require('../utils/sqlParser');
+const batchScriptService = require('./batchScriptService');
+const { createModuleLogger } = require('../utils/logger');
+const log = createModuleLogger('services/lineageService');
+
+// Words that end the select list / FROM clause of a query block
+const CLAUSE_WORDS = new Set([
+  'FROM', 'WHERE', 'GROUP', 'HAVING', 'ORDER', 'CONNECT', 'START', 'QUALIFY', 'LIMIT', 'FETCH',
+  'WINDOW', 'INTO', 'RETURNING', 'MODEL', 'OFFSET', 'FOR'
+]);
+const SET_OPERATORS = new Set(['UNION', 'INTERSECT', 'MINUS', 'EXCEPT']);
+const JOIN_WORDS = new Set(['JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'NATURAL', 'ON', 'USING', 'APPLY']);
+
+// Words inside expressions that are never column references
+const EXPRESSION_KEYWORDS = new Set([
+  'CASE', 'WHEN', 'THEN', 'ELSE', 'END', 'AND', 'OR', 'NOT', 'NULL', 'IS', 'IN', 'LIKE', 'ILIKE', 'BETWEEN',
+  'AS', 'DISTINCT', 'ALL', 'ANY', 'SOME', 'EXISTS', 'TRUE', 'FALSE', 'OVER', 'PARTITION', 'BY', 'ORDER',
+  'ASC', 'DESC', 'NULLS', 'FIRST', 'LAST', 'ROWS', 'RANGE', 'UNBOUNDED', 'PRECEDING', 'FOLLOWING', 'CURRENT',
+  'ROW', 'FROM', 'FOR', 'WITHIN', 'GROUP', 'KEEP', 'DENSE_RANK', 'YEAR', 'MONTH', 'DAY', 'HOUR', 'MINUTE',
+  'SECOND', 'INTERVAL', 'DATE', 'TIMESTAMP', 'TIME', 'ZONE', 'AT', 'LOCAL', 'ESCAPE', 'SEPARATOR', 'IGNORE',
+  'RESPECT', 'BOTH', 'LEADING', 'TRAILING', 'SYSDATE', 'SYSTIMESTAMP', 'CURRENT_DATE', 'CURRENT_TIMESTAMP',
+  'LOCALTIMESTAMP', 'GETDATE', 'ROWNUM', 'ROWID', 'LEVEL', 'USER', 'UID', 'PRIOR', 'SELECT', 'WHERE', 'ON'
+]);
+const AGGREGATE_FUNCTIONS = /\b(?:SUM|COUNT|AVG|MIN|MAX|LISTAGG|STDDEV|VARIANCE|MEDIAN|STRING_AGG|ARRAY_AGG|APPROXIMATE)\s*\(/i;
+
+// Declared PL/SQL variables and parameters (`v_total NUMBER`, `p_id IN customers.id%TYPE`) are not columns
+const TYPE_WORDS = new Set([
+  'NUMBER', 'INTEGER', 'INT', 'PLS_INTEGER', 'BINARY_INTEGER', 'VARCHAR2', 'VARCHAR', 'NVARCHAR2', 'CHAR',
+  'NCHAR', 'DATE', 'TIMESTAMP', 'BOOLEAN', 'CLOB', 'BLOB', 'RAW', 'LONG', 'FLOAT', 'DECIMAL', 'NUMERIC',
+  'SYS_REFCURSOR', 'EXCEPTION', 'CURSOR', 'BIGINT', 'SMALLINT', 'REAL', 'TEXT', 'RECORD', 'SIMPLE_INTEGER'
+]);
+const PARAMETER_MODES = new Set(['IN', 'OUT', 'NOCOPY', 'CONSTANT']);
+
+const CSV_COLUMNS = [
+  ['file', 'fileName'], ['line', 'line'], ['statement_type', 'statementType'], ['target_table', 'targetTable'],
+  ['target_column', 'targetColumn'], ['source_table', 'sourceTable'], ['source_column', 'sourceColumn'],
+  ['transformation', 'transformation'], ['expression', 'expression'], ['origin', 'origin']
+];
+
+const word = (token) => (token && token.type === 'word' ? token.value.toUpperCase() : null);
+const isName = (token) => token && (token.type === 'word' || token.type === 'quoted_identifier');
+const isOpen = (token) => token && token.type === 'punctuation' && token.value === '(';
+const isClose = (token) => token && token.type === 'punctuation' && token.value === ')';
+const isComma = (token) => token && token.type === 'punctuation' && token.value === ',';
+const shortName = (table) => String(table).split('.').pop().toUpperCase();
+
+function matchParen(tokens, open) {
+  let depth = 0;
+  for (let k = open; k < tokens.length; k++) {
+    if (isOpen(tokens[k])) {
+      depth++;
+    } else if (isClose(tokens[k]) && --depth === 0) {
+      return k;
+    }
+  }
+  return tokens.length - 1;
+}
+
+// Index of the first depth-0 token (from `start`) matching the predicate, or -1
+function findTopLevel(tokens, start, predicate) {
+  let depth = 0;
+  for (let k = start; k < tokens.length; k++) {
+    if (depth === 0 && predicate(tokens[k], k)) {
+      return k;
+    }
+    if (isOpen(tokens[k])) {
+      depth++;
+    } else if (isClose(tokens[k])) {
+      depth = Math.max(0, depth - 1);
+    }
+  }
+  return -1;
+}
+
+function splitTopLevel(tokens, predicate) {
+  const parts = [];
+  let current = [];
+  let depth = 0;
+  tokens.forEach((token, k) => {
+    if (depth === 0 && predicate(token, k)) {
+      parts.push(current);
+      current = [];
+      return;
+    }
+    if (isOpen(token)) {
+      depth++;
+    } else if (isClose(token)) {
+      depth = Math.max(0, depth - 1);
+    }
+    current.push(token);
+  });
+  parts.push(current);
+  return parts.filter(part => part.length > 0);
+}
+
+function collectVariables(tokens) {
+  const variables = new Set();
+  for (let k = 0; k < tokens.length; k++) {
+    if (!isName(tokens[k])) {
+      continue;
+    }
+    if (word(tokens[k - 1]) === 'FOR' && word(tokens[k + 1]) === 'IN') {
+      variables.add(word(tokens[k]));
+      continue;
+    }
+    let j = k + 1;
+    while (PARAMETER_MODES.has(word(tokens[j]))) {
+      j++;
+    }
+    const type = readQualifiedName(tokens, j, 'oracle');
+    if (!type) {
+      continue;
+    }
+    const rowType = tokens[type.next] && tokens[type.next].value === '%';
+    if (TYPE_WORDS.has(type.parts[type.parts.length - 1]) && type.parts.length === 1 || rowType) {
+      variables.add(word(tokens[k]) || tokens[k].value.toUpperCase());
+    }
+  }
+  return variables;
+}
+
+/**
+ * Column-level lineage for INSERT ... SELECT, MERGE, CREATE TABLE AS and views. SQL comes from
+ * the same statement extraction the batch script summaries use, so SQL files, PL/SQL bodies and
+ * SQL embedded in shell/batch scripts are all covered. Each entry links one target column to one
+ * source column (constants have no source) through the expression that computes it.
+ */
+class LineageService {
+  /**
+   * @param {string} content - SQL file or script content
+   * @param {string} fileName
+   * @param {Object} [options] - { sourceType: 'oracle'|'redshift'|'tsql'|'teradata' }
+   * @returns {Promise<Array<Object>>} lineage entries
+   */
+  async extractLineage(content, fileName, options = {}) {
+    const dialect = batchScriptService.getDialect(options.sourceType);
+    const { statements } = await batchScriptService.extractSQLFromBatchScript(content, dialect);
+    const entries = [];
+    for (const statement of statements) {
+      try {
+        entries.push(...this.extractFromStatement(statement.statement, dialect, statement.lineNumber, fileName));
+      } catch (error) {
+        log.warn(`⚠️ ${fileName}: could not derive lineage for the statement at line ${statement.lineNumber}`, { error: error.message });
+      }
+    }
+    log.info(`🧬 ${fileName}: ${entries.length} lineage entries from ${statements.length} statements`);
+    return entries;
+  }
+
+  // Find every lineage-bearing statement in one extracted statement (PL/SQL bodies can hold several)
+  extractFromStatement(text, dialect, firstLine, fileName) {
+    const tokens = tokenize(text, { dialect }).filter(token => token.type !== 'comment');
+    const context = { text, dialect, firstLine, fileName, variables: collectVariables(tokens) };
+    const entries = [];
+
+    for (let k = 0; k < tokens.length; k++) {
+      const verb = word(tokens[k]);
+      if (!['INSERT', 'MERGE', 'CREATE'].includes(verb)) {
+        continue;
+      }
+      const end = findTopLevel(tokens, k, token => token.type === 'punctuation' && token.value === ';');
+      const statement = tokens.slice(k, end === -1 ? tokens.length : end);
+
+      if (verb === 'INSERT' && word(tokens[k + 1]) === 'INTO') {
+        entries.push(...this.insertSelect(statement, context));
+      } else if (verb === 'MERGE' && word(tokens[k + 1]) === 'INTO') {
+        entries.push(...this.merge(statement, context));
+      } else if (verb === 'CREATE') {
+        const kind = statement.slice(1, 8).map(word).find(w => w === 'TABLE' || w === 'VIEW');
+        if (kind) {
+          entries.push(...this.createAs(statement, kind, context));
+        }
+      }
+    }
+    // MERGE can assign the same column the same way in its UPDATE and INSERT branches
+    const seen = new Set();
+    return entries.filter(entry => {
+      const key = [entry.line, entry.targetTable, entry.targetColumn, entry.sourceTable, entry.sourceColumn, entry.expression].join('\u0000');
+      if (seen.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+
+  insertSelect(tokens, context) {
+    const target = readQualifiedName(tokens, 2, context.dialect);
+    if (!target) {
+      return [];
+    }
+    let k = target.next;
+    if (isName(tokens[k]) && !['SELECT', 'WITH', 'VALUES'].includes(word(tokens[k]))) {
+      k++;
+    }
+    let columns = null;
+    if (isOpen(tokens[k]) && !['SELECT', 'WITH'].includes(word(tokens[k + 1]))) {
+      const close = matchParen(tokens, k);
+      columns = this.nameList(tokens.slice(k + 1, close), context);
+      k = close + 1;
+    }
+    if (!['SELECT', 'WITH'].includes(word(tokens[k])) && !(isOpen(tokens[k]) && ['SELECT', 'WITH'].includes(word(tokens[k + 1])))) {
+      return [];
+    }
+    return this.mapQuery(tokens.slice(k), target.parts.join('.'), columns, 'INSERT_SELECT', tokens[0], context);
+  }
+
+  createAs(tokens, kind, context) {
+    const kindIndex = tokens.findIndex(token => word(token) === kind);
+    let k = kindIndex + 1;
+    if (word(tokens[k]) === 'IF') {
+      k += word(tokens[k + 1]) === 'NOT' ? 3 : 2;
+    }
+    const target = readQualifiedName(tokens, k, context.dialect);
+    if (!target) {
+      return [];
+    }
+    k = target.next;
+
+    const as = findTopLevel(tokens, k, (token, i) => word(token) === 'AS' &&
+      (['SELECT', 'WITH'].includes(word(tokens[i + 1])) || (isOpen(tokens[i + 1]) && ['SELECT', 'WITH'].includes(word(tokens[i + 2])))));
+    if (as === -1) {
+      return [];
+    }
+    // A column list right after the name: CREATE VIEW v (a, b) AS ... / CREATE TABLE t (a, b) AS ...
+    const columns = isOpen(tokens[k]) ? this.nameList(tokens.slice(k + 1, matchParen(tokens, k)), context) : null;
+    const type = kind === 'VIEW' ? 'VIEW' : 'CREATE_TABLE_AS';
+    return this.mapQuery(tokens.slice(as + 1), target.parts.join('.'), columns, type, tokens[0], context);
+  }
+
+  merge(tokens, context) {
+    const target = readQualifiedName(tokens, 2, context.dialect);
+    if (!target) {
+      return [];
+    }
+    const targetTable = target.parts.join('.');
+    let k = target.next;
+    const relations = [];
+    const targetAlias = isName(tokens[k]) && word(tokens[k]) !== 'USING' ? tokens[k++] : null;
+    relations.push({ table: targetTable, alias: targetAlias ? normalizeIdentifier(targetAlias, context.dialect) : null });
+    if (word(tokens[k]) !== 'USING') {
+      return [];
+    }
+    const source = this.readRelation(tokens, k + 1, {}, context);
+    if (!source) {
+      return [];
+    }
+    relations.push(source.relation);
+
+    const entries = [];
+    const on = findTopLevel(tokens, source.next, token => word(token) === 'ON');
+    const whens = splitTopLevel(tokens.slice(on === -1 ? source.next : on), token => word(token) === 'WHEN');
+    for (const clause of whens) {
+      const then = clause.findIndex(token => word(token) === 'THEN');
+      const action = word(clause[then + 1]);
+      if (action === 'UPDATE' && word(clause[then + 2]) === 'SET') {
+        let body = clause.slice(then + 3);
+        const stop = findTopLevel(body, 0, token => ['WHERE', 'DELETE'].includes(word(token)));
+        if (stop !== -1) {
+          body = body.slice(0, stop);
+        }
+        for (const assignment of splitTopLevel(body, isComma)) {
+          const equals = assignment.findIndex(token => token.value === '=');
+          if (equals < 1) {
+            continue;
+          }
+          const column = assignment[equals - 1];
+          entries.push(...this.entriesFor(targetTable, normalizeIdentifier(column, context.dialect),
+            this.describeExpression(assignment.slice(equals + 1), relations, context), 'MERGE', tokens[0], context));
+        }
+      } else if (action === 'INSERT' && isOpen(clause[then + 2])) {
+        const close = matchParen(clause, then + 2);
+        const columns = this.nameList(clause.slice(then + 3, close), context);
+        const values = clause.findIndex((token, i) => i > close && word(token) === 'VALUES');
+        if (values === -1 || !isOpen(clause[values + 1])) {
+          continue;
+        }
+        const expressions = splitTopLevel(clause.slice(values + 2, matchParen(clause, values + 1)), isComma);
+        columns.forEach((column, i) => {
+          if (!expressions[i]) {
+            return;
+          }
+          entries.push(...this.entriesFor(targetTable, column, this.describeExpression(expressions[i], relations, context), 'MERGE', tokens[0], context));
+        });
+      }
+    }
+    return entries;
+  }
+
+  // Output columns of a query, paired with the target columns by name list or position
+  mapQuery(queryTokens, targetTable, columns, statementType, anchor, context) {
+    const outputs = this.analyzeQuery(queryTokens, {}, context);
+    const entries = [];
+    outputs.forEach((output, i) => {
+      const targetColumn = columns ? columns[i] : output.name;
+      if (!targetColumn) {
+        return;
+      }
+      entries.push(...this.entriesFor(targetTable, targetColumn, output, statementType, anchor, context));
+    });
+    return entries;
+  }
+
+  entriesFor(targetTable, targetColumn, output, statementType, anchor, context) {
+    const base = {
+      fileName: context.fileName,
+      line: context.firstLine + anchor.line - 1,
+      statementType,
+      targetTable,
+      targetColumn,
+      expression: output.expression,
+      transformation: output.transformation,
+      origin: 'sql'
+    };
+    if (output.sources.length === 0) {
+      return [{ ...base, sourceTable: null, sourceColumn: null }];
+    }
+    return output.sources.map(source => ({ ...base, sourceTable: source.table, sourceColumn: source.column }));
+  }
+
+  /**
+   * @returns {Array<{ name: string|null, expression: string, transformation: string, sources: Array<{ table, column }> }>}
+   */
+  analyzeQuery(tokens, ctes, context) {
+    let body = tokens;
+    const scope = { ...ctes };
+
+    if (word(body[0]) === 'WITH') {
+      let k = word(body[1]) === 'RECURSIVE' ? 2 : 1;
+      while (isName(body[k])) {
+        const name = normalizeIdentifier(body[k], context.dialect).toUpperCase();
+        k++;
+        let columns = null;
+        if (isOpen(body[k])) {
+          const close = matchParen(body, k);
+          columns = this.nameList(body.slice(k + 1, close), context);
+          k = close + 1;
+        }
+        if (word(body[k]) !== 'AS' || !isOpen(body[k + 1])) {
+          break;
+        }
+        const close = matchParen(body, k + 1);
+        const outputs = this.analyzeQuery(body.slice(k + 2, close), scope, context);
+        scope[name] = columns ? outputs.map((output, i) => ({ ...output, name: columns[i] || output.name })) : outputs;
+        k = close + 1;
+        if (!isComma(body[k])) {
+          break;
+        }
+        k++;
+      }
+      body = body.slice(k);
+    }
+
+    while (isOpen(body[0]) && matchParen(body, 0) === body.length - 1) {
+      body = body.slice(1, -1);
+    }
+
+    // Set operations: columns line up by position; sources from every branch are kept
+    const branches = splitTopLevel(body, (token, k) => SET_OPERATORS.has(word(token)))
+      .map(branch => (['ALL', 'DISTINCT'].includes(word(branch[0])) ? branch.slice(1) : branch));
+    const results = branches.map(branch => this.analyzeSelect(branch, scope, context));
+    const [first, ...rest] = results;
+    for (const other of rest) {
+      first.forEach((output, i) => {
+        if (!other[i]) {
+          return;
+        }
+        for (const source of other[i].sources) {
+          if (!output.sources.some(s => s.table === source.table && s.column === source.column)) {
+            output.sources.push(source);
+          }
+        }
+        if (output.transformation === 'direct' && other[i].transformation !== 'direct') {
+          output.transformation = 'expression';
+        }
+      });
+    }
+    return first || [];
+  }
+
+  analyzeSelect(tokens, ctes, context) {
+    let body = tokens;
+    while (isOpen(body[0]) && matchParen(body, 0) === body.length - 1) {
+      body = body.slice(1, -1);
+    }
+    if (word(body[0]) !== 'SELECT') {
+      return [];
+    }
+
+    let k = 1;
+    while (['DISTINCT', 'ALL', 'UNIQUE'].includes(word(body[k]))) {
+      k++;
+    }
+    if (word(body[k]) === 'TOP' && body[k + 1] && body[k + 1].type === 'number') {
+      k += 2;
+    }
+
+    const fromIndex = findTopLevel(body, k, token => CLAUSE_WORDS.has(word(token)));
+    const selectList = body.slice(k, fromIndex === -1 ? body.length : fromIndex);
+    const relations = fromIndex !== -1 && word(body[fromIndex]) === 'FROM'
+      ? this.readFrom(body, fromIndex + 1, ctes, context)
+      : [];
+
+    const outputs = [];
+    splitTopLevel(selectList, isComma).forEach((item, i) => {
+      const last = item[item.length - 1];
+      // `t.*` / `*`: every column of the relation, known only for subqueries and CTEs
+      if (last.value === '*' && (item.length === 1 || (item.length === 3 && item[1].value === '.'))) {
+        const qualifier = item.length === 3 ? normalizeIdentifier(item[0], context.dialect).toUpperCase() : null;
+        for (const relation of relations.filter(r => !qualifier || this.relationMatches(r, qualifier))) {
+          if (relation.columns) {
+            outputs.push(...relation.columns.map(column => ({ ...column, sources: [...column.sources] })));
+          } else {
+            outputs.push({ name: '*', expression: this.textOf(item, context), transformation: 'direct', sources: [{ table: relation.table, column: '*' }] });
+          }
+        }
+        return;
+      }
+
+      let expression = item;
+      let alias = null;
+      const previous = item[item.length - 2];
+      if (item.length > 1 && isName(last) && !EXPRESSION_KEYWORDS.has(word(last)) &&
+          (word(previous) === 'AS' || isName(previous) || isClose(previous) || ['string', 'number'].includes(previous.type)) &&
+          previous.value !== '.') {
+        alias = normalizeIdentifier(last, context.dialect);
+        expression = item.slice(0, word(previous) === 'AS' ? -2 : -1);
+      }
+      const described = this.describeExpression(expression, relations, context);
+      const simple = readQualifiedName(expression, 0, context.dialect);
+      const name = alias || (simple && simple.next === expression.length ? simple.parts[simple.parts.length - 1] : `EXPR_${i + 1}`);
+      outputs.push({ name, ...described });
+    });
+    return outputs;
+  }
+
+  // FROM clause -> [{ table, alias, columns? }]; subqueries and CTEs carry their own output columns
+  readFrom(tokens, start, ctes, context) {
+    const relations = [];
+    let k = start;
+    while (k < tokens.length) {
+      const result = this.readRelation(tokens, k, ctes, context);
+      if (!result) {
+        break;
+      }
+      relations.push(result.relation);
+      k = result.next;
+      // Skip the join condition up to the next relation
+      let depth = 0;
+      let expectRelation = false;
+      while (k < tokens.length) {
+        const token = tokens[k];
+        if (depth === 0) {
+          if (isComma(token) || word(token) === 'JOIN' || word(token) === 'APPLY') {
+            k++;
+            expectRelation = true;
+            break;
+          }
+          if (CLAUSE_WORDS.has(word(token)) || SET_OPERATORS.has(word(token))) {
+            break;
+          }
+        }
+        if (isOpen(token)) {
+          depth++;
+        } else if (isClose(token)) {
+          if (depth === 0) {
+            break;
+          }
+          depth--;
+        }
+        k++;
+      }
+      if (!expectRelation) {
+        break;
+      }
+    }
+    return relations;
+  }
+
+  readRelation(tokens, k, ctes, context) {
+    if (['LATERAL', 'ONLY'].includes(word(tokens[k]))) {
+      k++;
+    }
+    let relation;
+    if (isOpen(tokens[k])) {
+      const close = matchParen(tokens, k);
+      relation = { table: null, alias: null, columns: this.analyzeQuery(tokens.slice(k + 1, close), ctes, context) };
+      k = close + 1;
+    } else {
+      const name = readQualifiedName(tokens, k, context.dialect);
+      if (!name || isOpen(tokens[name.next])) {
+        return null;
+      }
+      const table = name.parts.join('.');
+      const cte = name.parts.length === 1 && ctes[table.toUpperCase()];
+      relation = cte ? { table, alias: null, columns: cte } : { table, alias: null };
+      k = name.next;
+    }
+    if (word(tokens[k]) === 'AS') {
+      k++;
+    }
+    if (isName(tokens[k]) && !JOIN_WORDS.has(word(tokens[k])) && !CLAUSE_WORDS.has(word(tokens[k])) &&
+        !SET_OPERATORS.has(word(tokens[k])) && word(tokens[k]) !== 'SET') {
+      relation.alias = normalizeIdentifier(tokens[k], context.dialect);
+      k++;
+    }
+    return { relation, next: k };
+  }
+
+  relationMatches(relation, qualifier) {
+    if (relation.alias) {
+      return relation.alias.toUpperCase() === qualifier;
+    }
+    return relation.table && (relation.table.toUpperCase() === qualifier || shortName(relation.table) === qualifier);
+  }
+
+  describeExpression(tokens, relations, context) {
+    const sources = [];
+    const add = (source) => {
+      if (!sources.some(s => s.table === source.table && s.column === source.column)) {
+        sources.push(source);
+      }
+    };
+    // Columns read through a subquery/CTE output keep that output's transformation
+    let inherited = 'direct';
+    const inherit = (transformation) => {
+      const rank = ['direct', 'constant', 'expression', 'aggregate'];
+      if (rank.indexOf(transformation) > rank.indexOf(inherited)) {
+        inherited = transformation;
+      }
+    };
+
+    for (let k = 0; k < tokens.length; k++) {
+      const token = tokens[k];
+      // Subqueries inside expressions (scalar selects, EXISTS) contribute their own outputs
+      if (isOpen(token) && word(tokens[k + 1]) === 'SELECT') {
+        const close = matchParen(tokens, k);
+        this.analyzeQuery(tokens.slice(k + 1, close), {}, context).forEach(output => output.sources.forEach(add));
+        k = close;
+        continue;
+      }
+      if (!isName(token) || (tokens[k - 1] && tokens[k - 1].value === '.')) {
+        continue;
+      }
+      // CAST(x AS type): the type is not a column
+      if (word(tokens[k - 1]) === 'AS') {
+        continue;
+      }
+      const name = readQualifiedName(tokens, k, context.dialect);
+      k = name.next - 1;
+      if (isOpen(tokens[name.next])) {
+        continue; // function call
+      }
+      const parts = name.parts;
+      const column = parts[parts.length - 1];
+      if (parts.length === 1 && (EXPRESSION_KEYWORDS.has(column.toUpperCase()) || context.variables.has(column.toUpperCase()))) {
+        continue;
+      }
+      if (['NEXTVAL', 'CURRVAL'].includes(column.toUpperCase())) {
+        continue;
+      }
+      if (token.type === 'word' && /^:/.test(token.value)) {
+        continue;
+      }
+      const resolved = this.resolveColumn(parts, relations, context);
+      resolved.sources.forEach(add);
+      inherit(resolved.transformation);
+    }
+
+    const text = this.textOf(tokens, context);
+    const simple = readQualifiedName(tokens, 0, context.dialect);
+    const transformation = AGGREGATE_FUNCTIONS.test(text) || inherited === 'aggregate' ? 'aggregate'
+      : sources.length === 0 ? 'constant'
+        : simple && simple.next === tokens.length && inherited !== 'expression' ? 'direct' : 'expression';
+    return { expression: text, transformation, sources };
+  }
+
+  // @returns {{ sources: Array<{ table, column }>, transformation: string }}
+  resolveColumn(parts, relations, context) {
+    const column = parts[parts.length - 1];
+    const qualifier = parts.length > 1 ? parts.slice(0, -1).join('.').toUpperCase() : null;
+    const direct = (sources) => ({ sources, transformation: 'direct' });
+    const through = (relation) => {
+      if (!relation.columns) {
+        return direct([{ table: relation.table, column }]);
+      }
+      const output = relation.columns.find(c => c.name && c.name.toUpperCase() === column.toUpperCase());
+      return output ? { sources: output.sources, transformation: output.transformation } : direct([]);
+    };
+
+    if (qualifier) {
+      const relation = relations.find(r => this.relationMatches(r, qualifier)) ||
+        relations.find(r => r.table && shortName(r.table) === shortName(qualifier));
+      if (relation) {
+        return through(relation);
+      }
+      // Record fields (`rec.col`) of cursor loops are variables; anything else is an unaliased table
+      if (context.variables.has(parts[0].toUpperCase())) {
+        return direct([]);
+      }
+      return direct([{ table: parts.slice(0, -1).join('.'), column }]);
+    }
+    if (relations.length === 1) {
+      return through(relations[0]);
+    }
+    const derived = relations.filter(r => r.columns && r.columns.some(c => c.name && c.name.toUpperCase() === column.toUpperCase()));
+    if (derived.length === 1) {
+      return through(derived[0]);
+    }
+    // Ambiguous without a catalog: the column is recorded without its table
+    return direct(relations.length === 0 ? [] : [{ table: null, column }]);
+  }
+
+  nameList(tokens, context) {
+    return splitTopLevel(tokens, isComma)
+      .map(part => (isName(part[0]) ? normalizeIdentifier(part[part.length - 1].value === ')' ? part[0] : part.filter(isName).pop(), context.dialect) : null));
+  }
+
+  textOf(tokens, context) {
+    if (tokens.length === 0) {
+      return '';
+    }
+    return context.text.slice(tokens[0].start, tokens[tokens.length - 1].end).replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Lineage from the "Columns Mapped" table of an IDMC summary model (see idmcSummaryModelService).
+   * Source columns are resolved against the summary's source objects by qualifier or, when the
+   * summary has a single source, to that source.
+   */
+  fromSummaryModel(model) {
+    const relations = (model.sources || []).map(source => ({ table: source.name, alias: null }));
+    const context = { text: '', dialect: 'oracle', variables: new Set() };
+    const entries = [];
+    for (const target of model.targets || []) {
+      for (const mapping of target.columnMappings || []) {
+        context.text = mapping.source || mapping.target;
+        const tokens = tokenize(context.text).filter(token => token.type !== 'comment');
+        const described = this.describeExpression(tokens, relations, context);
+        const base = {
+          fileName: model.sourceFile,
+          line: null,
+          statementType: 'IDMC_SUMMARY',
+          targetTable: target.name,
+          targetColumn: mapping.target,
+          expression: described.expression,
+          transformation: described.transformation,
+          origin: 'summary'
+        };
+        if (described.sources.length === 0) {
+          entries.push({ ...base, sourceTable: null, sourceColumn: null });
+        }
+        described.sources.forEach(source => entries.push({
+          ...base,
+          sourceTable: source.table || this.sourceListing(model.sources, source.column),
+          sourceColumn: source.column
+        }));
+      }
+    }
+    return entries;
+  }
+
+  // The one summary source whose key columns include the column, if there is exactly one
+  sourceListing(sources, column) {
+    const matches = (sources || []).filter(source => (source.keyColumns || [])
+      .some(key => key.name.toUpperCase() === String(column).toUpperCase()));
+    return matches.length === 1 ? matches[0].name : null;
+  }
+
+  /**
+   * Merge SQL-derived lineage with summary lineage: summary rows only fill in target columns the
+   * SQL did not cover (the summary is the LLM's reading of the same SQL).
+   */
+  mergeLineage(sqlEntries, summaryEntries) {
+    const key = (entry) => `${shortName(entry.targetTable)}.${String(entry.targetColumn).toUpperCase()}`;
+    const covered = new Set(sqlEntries.map(key));
+    return [...sqlEntries, ...summaryEntries.filter(entry => !covered.has(key(entry)))];
+  }
+
+  /**
+   * @param {Array<{ fileName: string, sourceType: string, lineage: Array }>} files
+   * @returns {{ summary: Object, files: Array, lineage: Array }}
+   */
+  buildReport(files) {
+    const lineage = files.flatMap(file => file.lineage);
+    const targetColumns = new Set(lineage.map(entry => `${entry.targetTable}.${entry.targetColumn}`.toUpperCase()));
+    return {
+      summary: {
+        files: files.length,
+        entries: lineage.length,
+        targetTables: new Set(lineage.map(entry => entry.targetTable.toUpperCase())).size,
+        targetColumns: targetColumns.size,
+        unresolvedSources: lineage.filter(entry => entry.sourceColumn && !entry.sourceTable).length
+      },
+      files: files.map(file => ({ fileName: file.fileName, sourceType: file.sourceType, entries: file.lineage.length })),
+      lineage
+    };
+  }
+
+  /**
+   * @param {Array<Object>} lineage
+   * @returns {string} CSV with a header row
+   */
+  toCsv(lineage) {
+    const escape = (value) => {
+      const text = value === null || value === undefined ? '' : String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const rows = lineage.map(entry => CSV_COLUMNS.map(([, key]) => escape(entry[key])).join(','));
+    return [CSV_COLUMNS.map(([header]) => header).join(','), ...rows].join('\n') + '\n';
+  }
+
+  /**
+   * lineage.json / lineage.csv for an output zip.
+   * @returns {Array<{ name: string, content: string }>}
+   */
+  buildZipEntries(files) {
+    const report = this.buildReport(files);
+    return [
+      { name: 'lineage.json', content: JSON.stringify({ generatedAt: new Date().toISOString(), ...report }, null, 2) },
+      { name: 'lineage.csv', content: this.toCsv(report.lineage) }
+    ];
+  }
+}
+
+module.exports = new LineageService();
@@ -0,0 +1,198 @@
+const { OpenAI, AzureOpenAI } = require('openai');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config');
+const { createModuleLogger } = require('../utils/logger');
+const log = createModuleLogger('services/llmService');
+
+const SUPPORTED_PROVIDERS = ['openai', 'azure', 'openai-compatible', 'fixture'];
+
+/**
+ * Single entry point for every chat-completion call made by the services and workers.
+ * The backend is selected through `config.llm.provider`:
+ *   - openai:            api.openai.com (or LLM_BASE_URL if set)
+ *   - azure:             Azure OpenAI deployment
+ *   - openai-compatible: any local/self-hosted endpoint speaking the OpenAI API
+ *   - fixture:           replays recorded responses from `config.llm.fixtures.path`, no network
+ * Responses always follow the OpenAI chat-completion shape (`choices[0].message.content`).
+ */
+class LLMService {
+  constructor(llmConfig = config.llm) {
+    this.config = llmConfig;
+    this.provider = String(llmConfig.provider || 'openai').toLowerCase();
+    this.client = null;
+
+    if (!SUPPORTED_PROVIDERS.includes(this.provider)) {
+      log.error(`❌ Unsupported LLM provider "${this.provider}"`, { supported: SUPPORTED_PROVIDERS });
+      return;
+    }
+
+    try {
+      this.client = this.createClient();
+    } catch (error) {
+      log.error(`❌ Failed to initialise LLM provider "${this.provider}"`, { error: error.message });
+      this.client = null;
+    }
+  }
+
+  createClient() {
+    const { apiKey, baseURL, timeoutMs, maxRetries, azure } = this.config;
+
+    switch (this.provider) {
+      case 'openai':
+        if (!apiKey) {
+          return null;
+        }
+        return new OpenAI({ apiKey, baseURL: baseURL || undefined, timeout: timeoutMs, maxRetries });
+
+      case 'azure':
+        if (!azure.apiKey || !azure.endpoint) {
+          return null;
+        }
+        return new AzureOpenAI({
+          apiKey: azure.apiKey,
+          endpoint: azure.endpoint,
+          apiVersion: azure.apiVersion,
+          deployment: azure.deployment || undefined,
+          timeout: timeoutMs,
+          maxRetries
+        });
+
+      case 'openai-compatible':
+        if (!baseURL) {
+          return null;
+        }
+        // Local servers (Ollama, vLLM, LM Studio, ...) usually ignore the key but the SDK requires one
+        return new OpenAI({ apiKey: apiKey || 'not-needed', baseURL, timeout: timeoutMs, maxRetries });
+
+      case 'fixture':
+        return null;
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Model (or Azure deployment) name sent with each request
+   */
+  get model() {
+    if (this.provider === 'azure') {
+      return this.config.azure.deployment || this.config.model;
+    }
+    return this.config.model;
+  }
+
+  isConfigured() {
+    if (this.provider === 'fixture') {
+      return true;
+    }
+    return Boolean(this.client);
+  }
+
+  getProviderInfo() {
+    return {
+      provider: this.provider,
+      model: this.model,
+      configured: this.isConfigured(),
+      recordingFixtures: this.provider !== 'fixture' && Boolean(this.config.fixtures.record)
+    };
+  }
+
+  /**
+   * Create a chat completion. Accepts the same params as `openai.chat.completions.create`;
+   * `model` defaults to the configured model.
+   */
+  async createChatCompletion(params) {
+    if (!this.isConfigured()) {
+      throw new Error(`LLM provider "${this.provider}" is not configured`);
+    }
+
+    const request = { ...params, model: params.model || this.model };
+
+    if (this.provider === 'fixture') {
+      return this.replayFixture(request);
+    }
+
+    const response = await this.client.chat.completions.create(request);
+
+    if (this.config.fixtures.record) {
+      await this.recordFixture(request, response).catch(error => {
+        log.warn('⚠️ Failed to record LLM fixture', { error: error.message });
+      });
+    }
+
+    return response;
+  }
+
+  /**
+   * Fixture key only depends on the prompt, so fixtures recorded against one model
+   * replay unchanged when a deployment switches models.
+   */
+  getFixtureKey(request) {
+    const payload = JSON.stringify({
+      messages: (request.messages || []).map(m => ({ role: m.role, content: m.content })),
+      response_format: request.response_format || null
+    });
+    return crypto.createHash('sha256').update(payload).digest('hex');
+  }
+
+  getFixturePath(key) {
+    return path.join(this.config.fixtures.path, `${key}.json`);
+  }
+
+  async recordFixture(request, response) {
+    const key = this.getFixtureKey(request);
+    const choice = (response.choices && response.choices[0]) || {};
+    await fs.ensureDir(this.config.fixtures.path);
+    await fs.writeJson(this.getFixturePath(key), {
+      key,
+      recordedAt: new Date().toISOString(),
+      model: response.model || request.model,
+      request: {
+        messages: request.messages,
+        response_format: request.response_format || null
+      },
+      response: {
+        content: choice.message ? choice.message.content : '',
+        finish_reason: choice.finish_reason || 'stop'
+      }
+    }, { spaces: 2 });
+    log.debug(`📼 Recorded LLM fixture ${key}`);
+  }
+
+  async replayFixture(request) {
+    const key = this.getFixtureKey(request);
+    let fixturePath = this.getFixturePath(key);
+
+    if (!(await fs.pathExists(fixturePath))) {
+      const fallback = this.config.fixtures.fallbackFile;
+      if (!fallback || !(await fs.pathExists(fallback))) {
+        throw new Error(`No LLM fixture recorded for request ${key} in ${this.config.fixtures.path}`);
+      }
+      log.warn(`⚠️ No fixture for ${key}, replaying fallback ${fallback}`);
+      fixturePath = fallback;
+    }
+
+    const fixture = await fs.readJson(fixturePath);
+    const recorded = fixture.response || {};
+
+    return {
+      id: `fixture-${key.slice(0, 12)}`,
+      object: 'chat.completion',
+      created: 0,
+      model: fixture.model || request.model,
+      choices: [
+        {
+          index: 0,
+          message: { role: 'assistant', content: recorded.content || '' },
+          finish_reason: recorded.finish_reason || 'stop'
+        }
+      ],
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+    };
+  }
+}
+
+module.exports = new LLMService();
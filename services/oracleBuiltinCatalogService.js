@@ -0,0 +1,391 @@
+const { tokenize } = require('../utils/sqlParser');
+const oracleRuleConversionService = require('./oracleRuleConversionService');
+
+// Bump on every catalog change; it is part of each prompt, so cached conversions made with an older catalog are not reused
+const CATALOG_VERSION = '1.0.0';
+const SHIMS_NAME = 'shims.sql';
+
+/**
+ * How calls to Oracle-supplied packages become Snowflake code. `kind` is one of:
+ * - replacement: `sql` / `javascript` templates ({0} is the first argument, {args} all of them);
+ *   `remove: true` drops the call statement; a context without a template keeps the call and reports it
+ * - shim: calls the helper UDF `shim` (defined in SHIMS) with the same arguments
+ * - unsupported: no Snowflake equivalent; the call is kept and reported
+ * `PKG.*` entries cover the members without an entry of their own; `args` entries only match those literal arguments.
+ */
+const CATALOG = [
+  { call: 'DBMS_OUTPUT.PUT_LINE', kind: 'replacement', sql: 'SYSTEM$LOG_INFO({0})', javascript: "snowflake.log('info', {0})", note: 'Messages go to the account event table' },
+  { call: 'DBMS_OUTPUT.PUT', kind: 'replacement', sql: 'SYSTEM$LOG_INFO({0})', javascript: "snowflake.log('info', {0})", note: 'Each PUT is logged as its own message' },
+  { call: 'DBMS_OUTPUT.NEW_LINE', kind: 'replacement', remove: true, note: 'Not needed with SYSTEM$LOG_INFO' },
+  { call: 'DBMS_OUTPUT.ENABLE', kind: 'replacement', remove: true, note: 'Logging is configured with the LOG_LEVEL parameter' },
+  { call: 'DBMS_OUTPUT.DISABLE', kind: 'replacement', remove: true, note: 'Logging is configured with the LOG_LEVEL parameter' },
+  { call: 'DBMS_OUTPUT.*', kind: 'unsupported', note: 'Read logged messages from the event table instead' },
+
+  { call: 'DBMS_LOB.GETLENGTH', kind: 'replacement', sql: 'LENGTH({0})', javascript: '{0}.length', note: 'LOBs are VARCHAR or BINARY' },
+  { call: 'DBMS_LOB.SUBSTR', kind: 'shim', shim: 'DBMS_LOB_SUBSTR', note: 'Oracle argument order (lob, amount, offset)' },
+  { call: 'DBMS_LOB.INSTR', kind: 'shim', shim: 'DBMS_LOB_INSTR', note: 'Supports offset and nth occurrence' },
+  { call: 'DBMS_LOB.COMPARE', kind: 'shim', shim: 'DBMS_LOB_COMPARE', note: 'Returns 0, -1 or 1 like Oracle' },
+  { call: 'DBMS_LOB.APPEND', kind: 'replacement', sql: '{0} := {0} || {1}', javascript: '{0} += {1}', note: 'LOBs are VARCHAR' },
+  { call: 'DBMS_LOB.WRITEAPPEND', kind: 'replacement', sql: '{0} := {0} || SUBSTRING({2}, 1, {1})', javascript: '{0} += String({2}).substring(0, {1})', note: 'LOBs are VARCHAR' },
+  { call: 'DBMS_LOB.CREATETEMPORARY', kind: 'replacement', remove: true, note: 'VARCHAR values need no temporary LOB' },
+  { call: 'DBMS_LOB.FREETEMPORARY', kind: 'replacement', remove: true, note: 'VARCHAR values need no temporary LOB' },
+  { call: 'DBMS_LOB.OPEN', kind: 'replacement', remove: true, note: 'VARCHAR values are not opened' },
+  { call: 'DBMS_LOB.CLOSE', kind: 'replacement', remove: true, note: 'VARCHAR values are not opened' },
+  { call: 'DBMS_LOB.*', kind: 'unsupported', note: 'Rewrite with VARCHAR string functions' },
+
+  { call: 'DBMS_SQL.*', kind: 'unsupported', note: 'Rewrite the cursor API as EXECUTE IMMEDIATE (Snowflake Scripting) or snowflake.execute (JavaScript)' },
+
+  { call: 'UTL_FILE.*', kind: 'unsupported', note: 'Procedures cannot use the server file system; write rows to a table and unload them with COPY INTO @stage' },
+
+  { call: 'DBMS_SCHEDULER.*', kind: 'unsupported', note: 'Create a Snowflake TASK (CREATE TASK ... SCHEDULE) and run it with EXECUTE TASK' },
+
+  { call: 'DBMS_UTILITY.GET_TIME', kind: 'shim', shim: 'DBMS_UTILITY_GET_TIME', note: 'Hundredths of a second, for measuring elapsed time' },
+  { call: 'DBMS_UTILITY.FORMAT_ERROR_STACK', kind: 'replacement', sql: 'SQLERRM', note: 'Only valid inside an exception handler' },
+  { call: 'DBMS_UTILITY.*', kind: 'unsupported', note: 'FORMAT_ERROR_BACKTRACE and FORMAT_CALL_STACK have no equivalent; SQLERRM has the message only' },
+
+  { call: 'DBMS_STATS.*', kind: 'replacement', remove: true, note: 'Snowflake maintains statistics automatically' },
+
+  { call: 'SYS_CONTEXT', args: ["'USERENV'", "'SESSION_USER'"], kind: 'replacement', sql: 'CURRENT_USER()' },
+  { call: 'SYS_CONTEXT', args: ["'USERENV'", "'CURRENT_USER'"], kind: 'replacement', sql: 'CURRENT_USER()' },
+  { call: 'SYS_CONTEXT', args: ["'USERENV'", "'CURRENT_SCHEMA'"], kind: 'replacement', sql: 'CURRENT_SCHEMA()' },
+  { call: 'SYS_CONTEXT', args: ["'USERENV'", "'DB_NAME'"], kind: 'replacement', sql: 'CURRENT_DATABASE()' },
+  { call: 'SYS_CONTEXT', args: ["'USERENV'", "'SESSIONID'"], kind: 'replacement', sql: 'CURRENT_SESSION()' },
+  { call: 'SYS_CONTEXT', args: ["'USERENV'", "'IP_ADDRESS'"], kind: 'replacement', sql: 'CURRENT_IP_ADDRESS()' },
+  { call: 'SYS_CONTEXT', kind: 'unsupported', note: 'Only the USERENV attributes SESSION_USER, CURRENT_USER, CURRENT_SCHEMA, DB_NAME, SESSIONID and IP_ADDRESS map; application contexts need a session variable or table' }
+];
+
+const SHIMS = {
+  DBMS_LOB_SUBSTR: `CREATE OR REPLACE FUNCTION DBMS_LOB_SUBSTR(LOB VARCHAR, AMOUNT NUMBER, OFFSET NUMBER)
+RETURNS VARCHAR
+AS
+$$
+    SUBSTRING(LOB, OFFSET, AMOUNT)
+$$;
+
+CREATE OR REPLACE FUNCTION DBMS_LOB_SUBSTR(LOB VARCHAR, AMOUNT NUMBER)
+RETURNS VARCHAR
+AS
+$$
+    SUBSTRING(LOB, 1, AMOUNT)
+$$;
+
+CREATE OR REPLACE FUNCTION DBMS_LOB_SUBSTR(LOB VARCHAR)
+RETURNS VARCHAR
+AS
+$$
+    SUBSTRING(LOB, 1, 32767)
+$$;`,
+  DBMS_LOB_INSTR: `CREATE OR REPLACE FUNCTION DBMS_LOB_INSTR(LOB VARCHAR, PATTERN VARCHAR, OFFSET FLOAT, NTH FLOAT)
+RETURNS FLOAT
+LANGUAGE JAVASCRIPT
+AS
+$$
+    if (LOB === undefined || PATTERN === undefined || LOB === null || PATTERN === null) {
+        return null;
+    }
+    var position = OFFSET - 2;
+    for (var found = 0; found < NTH; found++) {
+        position = LOB.indexOf(PATTERN, position + 1);
+        if (position === -1) {
+            return 0;
+        }
+    }
+    return position + 1;
+$$;
+
+CREATE OR REPLACE FUNCTION DBMS_LOB_INSTR(LOB VARCHAR, PATTERN VARCHAR, OFFSET NUMBER)
+RETURNS NUMBER
+AS
+$$
+    DBMS_LOB_INSTR(LOB, PATTERN, OFFSET::FLOAT, 1::FLOAT)
+$$;
+
+CREATE OR REPLACE FUNCTION DBMS_LOB_INSTR(LOB VARCHAR, PATTERN VARCHAR)
+RETURNS NUMBER
+AS
+$$
+    DBMS_LOB_INSTR(LOB, PATTERN, 1::FLOAT, 1::FLOAT)
+$$;`,
+  DBMS_LOB_COMPARE: `CREATE OR REPLACE FUNCTION DBMS_LOB_COMPARE(LOB_1 VARCHAR, LOB_2 VARCHAR)
+RETURNS NUMBER
+AS
+$$
+    CASE WHEN LOB_1 IS NULL OR LOB_2 IS NULL THEN NULL WHEN LOB_1 = LOB_2 THEN 0 WHEN LOB_1 < LOB_2 THEN -1 ELSE 1 END
+$$;`,
+  DBMS_UTILITY_GET_TIME: `CREATE OR REPLACE FUNCTION DBMS_UTILITY_GET_TIME()
+RETURNS NUMBER
+AS
+$$
+    FLOOR(DATE_PART(EPOCH_MILLISECOND, CURRENT_TIMESTAMP()) / 10)
+$$;`
+};
+
+const PACKAGES = ['DBMS_OUTPUT', 'DBMS_LOB', 'DBMS_SQL', 'UTL_FILE', 'DBMS_SCHEDULER', 'DBMS_UTILITY', 'DBMS_STATS'];
+const CALL_PATTERN = new RegExp(`\\b(?:SYS\\s*\\.\\s*)?(${PACKAGES.join('|')})\\s*\\.\\s*([A-Za-z_][\\w$#]*)|\\b(SYS_CONTEXT)\\b(?=\\s*\\()`, 'gi');
+
+const JS_PLACEHOLDER = '\u0002';
+
+// String literals and comments of JavaScript code, as [start, end) ranges
+function javascriptLiterals(code) {
+  const ranges = [];
+  let i = 0;
+  while (i < code.length) {
+    const ch = code[i];
+    if (ch === '/' && (code[i + 1] === '/' || code[i + 1] === '*')) {
+      const close = code[i + 1] === '/' ? code.indexOf('\n', i) : code.indexOf('*/', i + 2);
+      const end = close === -1 ? code.length : (code[i + 1] === '/' ? close : close + 2);
+      ranges.push({ start: i, end, type: 'comment' });
+      i = end;
+    } else if (ch === "'" || ch === '"' || ch === '`') {
+      let end = i + 1;
+      while (end < code.length && code[end] !== ch) {
+        end += code[end] === '\\' ? 2 : 1;
+      }
+      ranges.push({ start: i, end: Math.min(end + 1, code.length), type: 'string' });
+      i = end + 1;
+    } else {
+      i++;
+    }
+  }
+  return ranges;
+}
+
+/**
+ * The Oracle built-in package catalog: which DBMS_OUTPUT, DBMS_LOB, DBMS_SQL, UTL_FILE, DBMS_SCHEDULER,
+ * DBMS_UTILITY, DBMS_STATS and SYS_CONTEXT calls map to what in Snowflake. The entries a file uses are
+ * given to the LLM with its prompt, the converted output is rewritten with the same entries, and the
+ * helper UDFs the output calls are collected into shims.sql.
+ */
+class OracleBuiltinCatalogService {
+  constructor() {
+    this.CATALOG_VERSION = CATALOG_VERSION;
+    this.SHIMS_NAME = SHIMS_NAME;
+  }
+
+  // Call arguments; a call without any has none, not one empty argument
+  splitArgs(text) {
+    return text.trim() ? oracleRuleConversionService.splitTopLevel(text) : [];
+  }
+
+  // The catalog entry for a call; args (unmasked, as written) select SYS_CONTEXT-style entries
+  findEntry(call, args) {
+    const normalizedArgs = (args || []).map(arg => arg.replace(/\s+/g, '').toUpperCase());
+    return CATALOG.find(entry => entry.call === call && entry.args &&
+        entry.args.every((arg, i) => normalizedArgs[i] === arg)) ||
+      CATALOG.find(entry => entry.call === call && !entry.args) ||
+      CATALOG.find(entry => entry.call === `${call.split('.')[0]}.*`) ||
+      null;
+  }
+
+  // Catalog entries referenced by Oracle code, in catalog order
+  findEntries(oracleCode) {
+    const { masked, literals } = oracleRuleConversionService.mask(oracleCode || '');
+    const found = new Set();
+    for (const match of masked.matchAll(CALL_PATTERN)) {
+      const call = match[3] ? 'SYS_CONTEXT' : `${match[1].toUpperCase()}.${match[2].toUpperCase()}`;
+      let args = null;
+      const open = /^\s*\(/.exec(masked.slice(match.index + match[0].length));
+      if (open) {
+        const start = match.index + match[0].length + open[0].length;
+        const close = oracleRuleConversionService.findClosingParen(masked, start - 1);
+        if (close !== -1) {
+          args = this.splitArgs(masked.slice(start, close)).map(arg => oracleRuleConversionService.unmask(arg, literals));
+        }
+      }
+      const entry = this.findEntry(call, args);
+      if (entry) {
+        found.add(entry);
+      }
+    }
+    return CATALOG.filter(entry => found.has(entry));
+  }
+
+  /**
+   * Prompt section telling the LLM how to convert the built-in calls in this code.
+   * @returns {string} '' when the code calls none
+   */
+  buildPromptContext(oracleCode) {
+    const entries = this.findEntries(oracleCode);
+    if (entries.length === 0) {
+      return '';
+    }
+    const example = template => template.replace(/\{(\d+)\}/g, (_, i) => `arg${Number(i) + 1}`).replace(/\{args\}/g, 'args');
+    const lines = entries.map(entry => {
+      const call = entry.args ? `${entry.call}(${entry.args.join(', ')})` : entry.call;
+      if (entry.kind === 'shim') {
+        return `- ${call}: call the helper UDF ${entry.shim} with the same arguments (${entry.note})`;
+      }
+      if (entry.kind === 'unsupported') {
+        return `- ${call}: no Snowflake equivalent; keep the call unchanged so it is reported (${entry.note})`;
+      }
+      if (entry.remove) {
+        return `- ${call}: remove the call (${entry.note})`;
+      }
+      const targets = [
+        entry.sql && `${example(entry.sql)} in SQL`,
+        entry.javascript && `${example(entry.javascript)} in JavaScript`
+      ].filter(Boolean).join('; ');
+      return `- ${call}: ${targets}${entry.note ? ` (${entry.note})` : ''}`;
+    });
+    return `Convert Oracle built-in package calls exactly as listed (built-in catalog v${CATALOG_VERSION}):\n${lines.join('\n')}`;
+  }
+
+  /**
+   * Rewrite the built-in calls left in converted Snowflake code. Procedure bodies are rewritten in their
+   * own language; in JavaScript bodies the string literals (the SQL text) are rewritten as SQL.
+   * @returns {{code: string, calls: Array<{call: string, status: string, count: number, note?: string}>}}
+   *   status is replaced, removed, shim or unsupported
+   */
+  apply(code) {
+    const calls = new Map();
+    const result = this.rewrite(code || '', 'sql', calls);
+    return { code: result, calls: [...calls.values()] };
+  }
+
+  /**
+   * apply() for a conversion unit: records the calls on conversionInfo (`builtinCalls`).
+   * @returns {string} rewritten code
+   */
+  postProcess(code, conversionInfo) {
+    const { code: rewritten, calls } = this.apply(code);
+    if (conversionInfo) {
+      conversionInfo.builtinCalls = calls.length > 0 ? calls : undefined;
+    }
+    return rewritten;
+  }
+
+  // builtinCalls of several conversion units as one list
+  mergeCalls(infos) {
+    const merged = new Map();
+    for (const entry of infos.flatMap(info => info.builtinCalls || [])) {
+      const key = `${entry.call}:${entry.status}`;
+      const existing = merged.get(key);
+      merged.set(key, existing ? { ...existing, count: existing.count + entry.count } : { ...entry });
+    }
+    return merged.size > 0 ? [...merged.values()] : undefined;
+  }
+
+  rewrite(code, language, calls) {
+    if (language === 'javascript') {
+      let masked = '';
+      const literals = [];
+      let last = 0;
+      for (const range of javascriptLiterals(code)) {
+        const literal = code.slice(range.start, range.end);
+        masked += `${code.slice(last, range.start)}${JS_PLACEHOLDER}${literals.length}${JS_PLACEHOLDER}`;
+        literals.push(range.type === 'string' && literal.length > 1
+          ? literal[0] + this.rewrite(literal.slice(1, -1), 'sql', calls) + literal.slice(-1)
+          : literal);
+        last = range.end;
+      }
+      masked += code.slice(last);
+      const unmask = text => text.replace(new RegExp(`${JS_PLACEHOLDER}(\\d+)${JS_PLACEHOLDER}`, 'g'), (_, index) => literals[Number(index)]);
+      return unmask(this.rewriteCalls(masked, 'javascript', calls, unmask));
+    }
+
+    // Procedure and function bodies first, each in its own language
+    let result = code;
+    const bodies = [];
+    let statementStart = 0;
+    for (const token of tokenize(code, { dialect: 'snowflake' })) {
+      if (token.value === ';') {
+        statementStart = token.end;
+      } else if (token.type === 'string' && /^\$\$[\s\S]*\$\$$/.test(token.value) && token.value.length >= 4) {
+        const javascript = /\bLANGUAGE\s+JAVASCRIPT\b/i.test(code.slice(statementStart, token.start));
+        bodies.push({ token, language: javascript ? 'javascript' : 'sql' });
+      }
+    }
+    for (const { token, language } of bodies.reverse()) {
+      const body = this.rewrite(token.value.slice(2, -2), language, calls);
+      result = `${result.slice(0, token.start + 2)}${body}${result.slice(token.end - 2)}`;
+    }
+    const { masked, literals } = oracleRuleConversionService.mask(result, 'snowflake');
+    const unmask = text => oracleRuleConversionService.unmask(text, literals);
+    return unmask(this.rewriteCalls(masked, 'sql', calls, unmask));
+  }
+
+  rewriteCalls(masked, language, calls, unmask) {
+    const pattern = new RegExp(CALL_PATTERN.source, 'gi');
+    let out = '';
+    let last = 0;
+    let match;
+    while ((match = pattern.exec(masked)) !== null) {
+      const call = match[3] ? 'SYS_CONTEXT' : `${match[1].toUpperCase()}.${match[2].toUpperCase()}`;
+      let start = match.index;
+      let end = match.index + match[0].length;
+      let args = [];
+      const open = /^\s*\(/.exec(masked.slice(end));
+      if (open) {
+        const close = oracleRuleConversionService.findClosingParen(masked, end + open[0].length - 1);
+        if (close !== -1) {
+          args = this.splitArgs(masked.slice(end + open[0].length, close));
+          end = close + 1;
+        }
+      }
+      const entry = this.findEntry(call, args.map(unmask));
+      if (!entry) {
+        continue;
+      }
+
+      const template = entry.kind === 'shim' ? (language === 'sql' ? `${entry.shim}({args})` : null) : entry[language];
+      const status = entry.kind === 'unsupported' ? 'unsupported'
+        : entry.remove ? 'removed'
+          : !template ? 'unsupported'
+            : entry.kind === 'shim' ? 'shim' : 'replaced';
+      // Only JavaScript bodies lack templates: shims and SQL functions must be called through snowflake.execute there
+      const note = entry.kind === 'unsupported' ? entry.note : 'No JavaScript mapping; run it through snowflake.execute';
+      const key = `${call}:${status}`;
+      const recorded = calls.get(key);
+      calls.set(key, recorded ? { ...recorded, count: recorded.count + 1 }
+        : { call, status, count: 1, ...(status === 'unsupported' ? { note } : {}) });
+      if (status === 'unsupported') {
+        continue;
+      }
+
+      let replacement = '';
+      if (entry.remove) {
+        // The whole call statement goes, including a CALL prefix and the line it was on
+        const lineStart = masked.lastIndexOf('\n', start - 1) + 1;
+        if (/^[ \t]*(?:CALL\s+)?$/i.test(masked.slice(lineStart, start))) {
+          start = lineStart;
+        }
+        const tail = /^\s*;[ \t]*\n?/.exec(masked.slice(end));
+        if (tail) {
+          end += tail[0].length;
+        }
+      } else {
+        // Nested built-in calls in the arguments are rewritten too
+        const renderedArgs = args.map(arg => this.rewriteCalls(arg, language, calls, unmask));
+        replacement = template
+          .replace(/\{args\}/g, renderedArgs.join(', '))
+          .replace(/\{(\d+)\}/g, (_, i) => renderedArgs[Number(i)] || 'NULL');
+      }
+      out += masked.slice(last, start) + replacement;
+      last = end;
+      pattern.lastIndex = end;
+    }
+    return out + masked.slice(last);
+  }
+
+  /**
+   * shims.sql with the helper UDFs that converted Snowflake code calls.
+   * @param {string[]} contents - converted Snowflake files
+   * @returns {{name: string, content: string, shims: string[]}|null} null when no file calls a shim
+   */
+  buildShimScript(contents) {
+    const used = Object.keys(SHIMS).filter(name =>
+      contents.some(content => new RegExp(`\\b${name}\\s*\\(`, 'i').test(content || '')));
+    if (used.length === 0) {
+      return null;
+    }
+    const header = `-- Helper UDFs for Oracle built-in package calls (built-in catalog v${CATALOG_VERSION}).\n` +
+      '-- Create them before the converted objects that call them.';
+    return {
+      name: SHIMS_NAME,
+      content: `${header}\n\n${used.map(name => SHIMS[name]).join('\n\n')}\n`,
+      shims: used
+    };
+  }
+}
+
+module.exports = new OracleBuiltinCatalogService();
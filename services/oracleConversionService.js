@@ -1,26 +1,79 @@
-const OpenAI = require('openai');
+const llmService = require('./llmService');
+const conversionCacheService = require('./conversionCacheService');
+const oracleRuleConversionService = require('./oracleRuleConversionService');
+const snowflakeScriptingService = require('./snowflakeScriptingService');
+const oraclePackageService = require('./oraclePackageService');
+const oracleTriggerService = require('./oracleTriggerService');
+const oracleSequenceService = require('./oracleSequenceService');
+const oracleBuiltinCatalogService = require('./oracleBuiltinCatalogService');
+const chunkedConversionService = require('./chunkedConversionService');
 const fs = require('fs-extra');
 const path = require('path');
+const { createModuleLogger } = require('../utils/logger');
+const log = createModuleLogger('services/oracleConversionService');
 
 class OracleConversionService {
   constructor() {
-    this.apiKey = process.env.OPENAI_API_KEY;
     this.convertedPath = process.env.CONVERTED_PATH || './converted';
-    
-    if (this.apiKey) {
-      this.openai = new OpenAI({
-        apiKey: this.apiKey
-      });
-    }
   }
 
-  async convertOracleToSnowflake(oracleCode, fileName, fileType = 'sql') {
+  async convertOracleToSnowflake(oracleCode, fileName, fileType = 'sql', options = {}) {
     try {
-      if (!this.apiKey || !this.openai) {
-        throw new Error('OpenAI API key not configured');
+      // Packages are converted member by member (PKG__MEMBER) so one large package is not a single LLM call
+      if (!options.packageUnit && oraclePackageService.hasPackages(oracleCode)) {
+        return await oraclePackageService.convertFile(oracleCode, fileName, (code, name, unitOptions) =>
+          this.convertOracleToSnowflake(code, name, fileType, { ...options, ...unitOptions, packageUnit: true }), options.conversionInfo);
       }
 
-      const systemPrompt = `You are a database migration specialist. Convert Oracle PL/SQL procedures, functions, and SQL statements into Snowflake-compatible SQL or JavaScript stored procedures.
+      // Triggers become streams and tasks; each trigger body is converted on its own as the task's handler
+      if (!options.triggerUnit && oracleTriggerService.hasTriggers(oracleCode)) {
+        return await oracleTriggerService.convertFile(oracleCode, fileName, (code, name, unitOptions) =>
+          this.convertOracleToSnowflake(code, name, fileType, { ...options, ...unitOptions, triggerUnit: true }), options.conversionInfo);
+      }
+
+      // Files over the chunk budget are converted in groups of whole statements and stitched back in order
+      const chunks = !options.chunk && chunkedConversionService.plan(oracleCode);
+      if (chunks) {
+        const outputs = await chunkedConversionService.convertChunks(oracleCode, fileName, chunks, (code, name, unitOptions) =>
+          this.convertOracleToSnowflake(code, name, fileType, { ...options, ...unitOptions, chunk: true }),
+          { promptContext: options.promptContext, conversionInfo: options.conversionInfo });
+        return outputs.filter(output => output && output.trim()).join('\n\n');
+      }
+
+      // CURRVAL has no Snowflake equivalent; routines keep the NEXTVAL they took in a variable instead
+      const sequenceRefs = oracleSequenceService.rewriteReferences(oracleCode);
+
+      // Deterministic rules run first; plain DDL/DML never reaches the LLM
+      const prePass = oracleRuleConversionService.convert(sequenceRefs.code);
+      if (options.conversionInfo) {
+        Object.assign(options.conversionInfo, {
+          method: prePass.complete ? 'rules' : 'llm',
+          rules: [...sequenceRefs.rules, ...prePass.rules],
+          unresolved: prePass.unresolved
+        });
+      }
+      if (prePass.complete) {
+        return oracleBuiltinCatalogService.postProcess(prePass.code, options.conversionInfo);
+      }
+
+      // procedureStyle 'sql' asks for Snowflake Scripting instead of JavaScript procedures
+      const scripting = options.procedureStyle === 'sql';
+      const { PROMPT_VERSIONS } = conversionCacheService;
+      const promptVersion = scripting ? PROMPT_VERSIONS.oracleToSnowflakeScripting : PROMPT_VERSIONS.oracleToSnowflake;
+      // Oracle built-in calls (DBMS_OUTPUT, UTL_FILE, ...) are converted as the catalog says
+      const promptContext = [options.promptContext, oracleBuiltinCatalogService.buildPromptContext(oracleCode)].filter(Boolean).join('\n');
+      // Package members are cached together with their package context, which is part of the prompt
+      const cacheSource = conversionCacheService.promptSource(fileName, promptContext, oracleCode);
+      const cached = await conversionCacheService.get('snowflake', promptVersion, cacheSource, options.cacheStats);
+      if (cached !== null) {
+        return oracleBuiltinCatalogService.postProcess(cached, options.conversionInfo);
+      }
+
+      if (!llmService.isConfigured()) {
+        throw new Error('LLM provider not configured');
+      }
+
+      const systemPrompt = scripting ? snowflakeScriptingService.SYSTEM_PROMPT : `You are a database migration specialist. Convert Oracle PL/SQL procedures, functions, and SQL statements into Snowflake-compatible SQL or JavaScript stored procedures.
 
 CRITICAL REQUIREMENTS - FOLLOW EXACTLY:
 1. Maintain logical flow and preserve all business logic
@@ -68,7 +121,8 @@ SNOWFLAKE CONVERSION GUIDELINES:
 - Oracle EXCEPTION handling → Snowflake TRY/CATCH in JavaScript
 - Oracle %TYPE → Snowflake explicit data types
 - Oracle packages → Snowflake JavaScript stored procedures
-- Oracle sequences → Snowflake sequences (with adjustments)
+- Oracle sequences → Snowflake sequences (keep START WITH, INCREMENT BY and the COMMENT recording the Oracle CACHE)
+- Oracle sequence.CURRVAL → no Snowflake equivalent; reuse the value taken from sequence.NEXTVAL, kept in a variable
 - Oracle triggers → Snowflake tasks/streams (with manual review needed)
 - Oracle ROWNUM → Snowflake ROW_NUMBER() window function
 - Oracle SYSDATE → Snowflake CURRENT_TIMESTAMP()
@@ -215,7 +269,8 @@ CREATE SEQUENCE customer_seq
 Convert to EXACTLY this Snowflake format:
 CREATE SEQUENCE customer_seq
     START WITH 1000
-    INCREMENT BY 1;
+    INCREMENT BY 1
+    COMMENT = 'Oracle NOCACHE';
 
 For Oracle views like:
 CREATE OR REPLACE VIEW v_customer_summary AS
@@ -371,12 +426,11 @@ FOR DDL STATEMENTS (CREATE TABLE, CREATE VIEW, CREATE SEQUENCE, etc.):
 
 Original File: ${fileName}
 File Type: ${fileType}
-
+${promptContext ? `\n${promptContext}\n` : ''}
 Oracle Code:
-${oracleCode}`;
+${prePass.code}`;
 
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await llmService.createChatCompletion({
         messages: [
           {
             role: 'system',
@@ -392,11 +446,31 @@ ${oracleCode}`;
       });
 
       const snowflakeCode = response.choices[0].message.content;
+      // An answer cut off at max_tokens is flagged on the file and never cached
+      const truncated = chunkedConversionService.isTruncated(response);
+      if (truncated) {
+        log.warn(`⚠️ LLM response for ${fileName} was truncated at max_tokens`);
+        if (options.conversionInfo) {
+          options.conversionInfo.truncated = [fileName];
+        }
+      }
       
       // Clean up the response - no headers, just clean working code
-      const cleanedCode = this.cleanSnowflakeCode(snowflakeCode, fileName);
+      let cleanedCode = this.cleanSnowflakeCode(snowflakeCode, fileName);
+      if (scripting) {
+        const { code, fixes, unresolved } = snowflakeScriptingService.postProcess(cleanedCode);
+        cleanedCode = code;
+        if (options.conversionInfo) {
+          options.conversionInfo.scriptingFixes = fixes;
+          options.conversionInfo.scriptingUnresolved = unresolved.length > 0 ? unresolved : undefined;
+        }
+      }
+      if (!truncated) {
+        await conversionCacheService.set('snowflake', promptVersion, cacheSource, cleanedCode, fileName);
+      }
       
-      return cleanedCode;
+      // Applied after caching, so cache hits report their built-in calls too
+      return oracleBuiltinCatalogService.postProcess(cleanedCode, options.conversionInfo);
     } catch (error) {
       console.error('Error converting Oracle to Snowflake:', error);
       throw error;
@@ -871,7 +945,7 @@ $$;
   }
 
   // Method to convert direct Oracle code input to Snowflake
-  async convertOracleCodeToSnowflake(sourceCode, fileName) {
+  async convertOracleCodeToSnowflake(sourceCode, fileName, options = {}) {
     try {
       console.log(`🔄 Converting direct Oracle code input to Snowflake for ${fileName}`);
       
@@ -879,7 +953,7 @@ $$;
       const fileType = path.extname(fileName).replace('.', '') || 'sql';
       
       // Use the existing conversion method
-      const convertedCode = await this.convertOracleToSnowflake(sourceCode, fileName, fileType);
+      const convertedCode = await this.convertOracleToSnowflake(sourceCode, fileName, fileType, options);
       
       return convertedCode;
     } catch (error) {
@@ -1,34 +1,26 @@
 const fs = require('fs-extra');
 const path = require('path');
+const { parseStatements, collectIdentifiers, isClientCommand } = require('../utils/sqlParser');
+const dependencyGraphService = require('./dependencyGraphService');
+const dialectConversionService = require('./dialectConversionService');
 
 class OracleFileAnalysisService {
   constructor() {
     this.oracleFileExtensions = ['.sql', '.pls', '.pkg', '.pkb', '.pks'];
+    this.redshiftFileExtensions = ['.sql', '.rs', '.redshift'];
   }
 
-  async analyzeOracleProjectFromDirectory(projectPath) {
+  // options.dialect: 'oracle' (default), 'redshift', 'tsql' or 'teradata'; selects the parser dialect and which files are scanned
+  async analyzeOracleProjectFromDirectory(projectPath, options = {}) {
     try {
-      console.log(`🔍 Analyzing Oracle project at: ${projectPath}`);
+      const dialect = options.dialect || 'oracle';
+      console.log(`🔍 Analyzing ${dialect} project at: ${projectPath}`);
       
-      const analysis = {
-        totalFiles: 0,
-        sqlFiles: 0,
-        plsqlFiles: 0,
-        totalLinesOfCode: 0,
-        fileSize: 0,
-        procedures: [],
-        functions: [],
-        packages: [],
-        tables: [],
-        views: [],
-        triggers: [],
-        sequences: [],
-        dependencies: [],
-        plsqlFilesList: []
-      };
+      const analysis = this.createAnalysis(dialect);
 
       // Recursively scan the directory
       await this.scanDirectory(projectPath, projectPath, analysis);
+      analysis.graph = dependencyGraphService.buildGraph(analysis.objects, analysis.analyzedFiles);
       
       console.log(`📊 Analysis complete:`);
       console.log(`  - Total files: ${analysis.totalFiles}`);
@@ -44,6 +36,41 @@ class OracleFileAnalysisService {
     }
   }
 
+  createAnalysis(dialect = 'oracle') {
+    return {
+      dialect,
+      totalFiles: 0,
+      sqlFiles: 0,
+      plsqlFiles: 0,
+      totalLinesOfCode: 0,
+      fileSize: 0,
+      procedures: [],
+      functions: [],
+      packages: [],
+      tables: [],
+      views: [],
+      triggers: [],
+      sequences: [],
+      dependencies: [],
+      plsqlFilesList: [],
+      // Per-statement objects and references feeding the dependency graph
+      objects: [],
+      analyzedFiles: []
+    };
+  }
+
+  // Same analysis for a single pasted file, without a project directory
+  async analyzeOracleContent(content, fileName, options = {}) {
+    const analysis = this.createAnalysis(options.dialect || 'oracle');
+    analysis.totalFiles = 1;
+    analysis.fileSize = Buffer.byteLength(content || '');
+    analysis.totalLinesOfCode = (content || '').split('\n').length;
+    analysis.analyzedFiles.push(fileName);
+    await this.analyzeOracleConstructs(content || '', analysis, fileName);
+    analysis.graph = dependencyGraphService.buildGraph(analysis.objects, analysis.analyzedFiles);
+    return analysis;
+  }
+
   async scanDirectory(currentPath, projectPath, analysis) {
     try {
       const items = await fs.readdir(currentPath);
@@ -58,7 +85,7 @@ class OracleFileAnalysisService {
         
         if (stats.isDirectory()) {
           await this.scanDirectory(itemPath, projectPath, analysis);
-        } else if (this.isOracleFile(item)) {
+        } else if (analysis.dialect === 'oracle' ? this.isOracleFile(item) : this.getFileExtensions(analysis.dialect).includes(path.extname(item).toLowerCase())) {
           await this.analyzeOracleFile(itemPath, projectPath, analysis);
         }
       }
@@ -80,6 +107,11 @@ class OracleFileAnalysisService {
            name.includes('.pks');
   }
 
+  // Extensions scanned for the non-Oracle source dialects
+  getFileExtensions(dialect) {
+    return dialect === 'redshift' ? this.redshiftFileExtensions : dialectConversionService.getFileExtensions(dialect);
+  }
+
   async analyzeOracleFile(filePath, projectPath, analysis) {
     try {
       const stats = await fs.stat(filePath);
@@ -88,6 +120,7 @@ class OracleFileAnalysisService {
       
       analysis.totalFiles++;
       analysis.fileSize += stats.size;
+      analysis.analyzedFiles.push(relativePath);
       
       const lines = content.split('\n');
       analysis.totalLinesOfCode += lines.length;
@@ -110,102 +143,50 @@ class OracleFileAnalysisService {
       }
       
       // Analyze content for Oracle constructs
-      await this.analyzeOracleConstructs(content, analysis, fileName);
+      await this.analyzeOracleConstructs(content, analysis, relativePath);
       
     } catch (error) {
       console.error(`Error analyzing file ${filePath}:`, error.message);
     }
   }
 
-  async analyzeOracleConstructs(content, analysis, fileName) {
-    const upperContent = content.toUpperCase();
-    
-    // Analyze procedures
-    const procedureMatches = upperContent.match(/CREATE\s+(?:OR\s+REPLACE\s+)?PROCEDURE\s+(\w+)/gi);
-    if (procedureMatches) {
-      procedureMatches.forEach(match => {
-        const procedureName = match.match(/PROCEDURE\s+(\w+)/i)[1];
-        if (!analysis.procedures.includes(procedureName)) {
-          analysis.procedures.push(procedureName);
-        }
-      });
-    }
-    
-    // Analyze functions
-    const functionMatches = upperContent.match(/CREATE\s+(?:OR\s+REPLACE\s+)?FUNCTION\s+(\w+)/gi);
-    if (functionMatches) {
-      functionMatches.forEach(match => {
-        const functionName = match.match(/FUNCTION\s+(\w+)/i)[1];
-        if (!analysis.functions.includes(functionName)) {
-          analysis.functions.push(functionName);
-        }
-      });
-    }
-    
-    // Analyze packages
-    const packageMatches = upperContent.match(/CREATE\s+(?:OR\s+REPLACE\s+)?PACKAGE\s+(\w+)/gi);
-    if (packageMatches) {
-      packageMatches.forEach(match => {
-        const packageName = match.match(/PACKAGE\s+(\w+)/i)[1];
-        if (!analysis.packages.includes(packageName)) {
-          analysis.packages.push(packageName);
-        }
-      });
-    }
-    
-    // Analyze tables
-    const tableMatches = upperContent.match(/CREATE\s+(?:OR\s+REPLACE\s+)?TABLE\s+(\w+)/gi);
-    if (tableMatches) {
-      tableMatches.forEach(match => {
-        const tableName = match.match(/TABLE\s+(\w+)/i)[1];
-        if (!analysis.tables.includes(tableName)) {
-          analysis.tables.push(tableName);
-        }
-      });
-    }
-    
-    // Analyze views
-    const viewMatches = upperContent.match(/CREATE\s+(?:OR\s+REPLACE\s+)?VIEW\s+(\w+)/gi);
-    if (viewMatches) {
-      viewMatches.forEach(match => {
-        const viewName = match.match(/VIEW\s+(\w+)/i)[1];
-        if (!analysis.views.includes(viewName)) {
-          analysis.views.push(viewName);
-        }
-      });
-    }
-    
-    // Analyze triggers
-    const triggerMatches = upperContent.match(/CREATE\s+(?:OR\s+REPLACE\s+)?TRIGGER\s+(\w+)/gi);
-    if (triggerMatches) {
-      triggerMatches.forEach(match => {
-        const triggerName = match.match(/TRIGGER\s+(\w+)/i)[1];
-        if (!analysis.triggers.includes(triggerName)) {
-          analysis.triggers.push(triggerName);
-        }
-      });
-    }
-    
-    // Analyze sequences
-    const sequenceMatches = upperContent.match(/CREATE\s+(?:OR\s+REPLACE\s+)?SEQUENCE\s+(\w+)/gi);
-    if (sequenceMatches) {
-      sequenceMatches.forEach(match => {
-        const sequenceName = match.match(/SEQUENCE\s+(\w+)/i)[1];
-        if (!analysis.sequences.includes(sequenceName)) {
-          analysis.sequences.push(sequenceName);
-        }
-      });
-    }
-    
-    // Analyze dependencies (simplified)
-    const dependencyMatches = upperContent.match(/(?:FROM|JOIN|UPDATE|INSERT\s+INTO|DELETE\s+FROM)\s+(\w+)/gi);
-    if (dependencyMatches) {
-      dependencyMatches.forEach(match => {
-        const dependency = match.match(/(?:FROM|JOIN|UPDATE|INSERT\s+INTO|DELETE\s+FROM)\s+(\w+)/i)[1];
-        if (!analysis.dependencies.includes(dependency) && 
-            !['DUAL', 'SYSDATE', 'USER', 'SYSTEM'].includes(dependency.toUpperCase())) {
-          analysis.dependencies.push(dependency);
-        }
+  async analyzeOracleConstructs(content, analysis, relativePath) {
+    const objectLists = {
+      PROCEDURE: analysis.procedures,
+      FUNCTION: analysis.functions,
+      PACKAGE: analysis.packages,
+      'PACKAGE BODY': analysis.packages,
+      TABLE: analysis.tables,
+      VIEW: analysis.views,
+      'MATERIALIZED VIEW': analysis.views,
+      TRIGGER: analysis.triggers,
+      SEQUENCE: analysis.sequences
+    };
+    const addUnique = (list, value) => {
+      if (value && !list.includes(value)) {
+        list.push(value);
+      }
+    };
+
+    const dialect = analysis.dialect || 'oracle';
+    for (const statement of parseStatements(content, { dialect })) {
+      if (statement.verb === 'CREATE' && objectLists[statement.objectType]) {
+        addUnique(objectLists[statement.objectType], statement.name);
+      }
+      statement.referencedTables.forEach(table => addUnique(analysis.dependencies, table));
+
+      if (isClientCommand(statement)) {
+        continue;
+      }
+      const createsObject = statement.verb === 'CREATE' && statement.qualifiedName;
+      analysis.objects.push({
+        name: createsObject ? statement.qualifiedName : null,
+        type: createsObject ? statement.objectType : null,
+        file: relativePath,
+        line: statement.startLine,
+        references: statement.referencedTables,
+        // Tables never call anything, so only other statements are scanned for routine/sequence usage
+        identifiers: statement.objectType === 'TABLE' ? [] : collectIdentifiers(statement.text, { dialect })
       });
     }
   }
@@ -0,0 +1,472 @@
+const { tokenize, parseStatements } = require('../utils/sqlParser');
+const oracleRuleConversionService = require('./oracleRuleConversionService');
+const { mergeConversionInfo } = require('../utils/conversionInfo');
+const { createModuleLogger } = require('../utils/logger');
+const log = createModuleLogger('services/oraclePackageService');
+
+const MANIFEST_NAME = 'package_manifest.json';
+
+const PACKAGE_KINDS = new Set(['CREATE_PACKAGE', 'CREATE_PACKAGE_BODY']);
+const ROUTINE_KINDS = new Set(['PROCEDURE', 'FUNCTION']);
+
+// `END IF`, `END LOOP`, ... close a control structure, not a BEGIN block
+const END_QUALIFIERS = new Set(['IF', 'LOOP', 'WHILE', 'FOR', 'REPEAT']);
+
+// Manifest status per member kind (routines are 'converted', or 'missing-body' without a body)
+const MEMBER_STATUS = {
+  variable: 'mapped',
+  constant: 'mapped',
+  type: 'manual',
+  cursor: 'inlined',
+  exception: 'inlined',
+  initialization: 'converted'
+};
+
+function upper(token) {
+  return token && token.type === 'word' ? token.value.toUpperCase() : null;
+}
+
+// Index of the `;` ending the declaration that starts at index, outside parentheses
+function findDeclarationEnd(tokens, index) {
+  let depth = 0;
+  for (let k = index; k < tokens.length; k++) {
+    if (tokens[k].value === '(') {
+      depth++;
+    }
+    if (tokens[k].value === ')') {
+      depth--;
+    }
+    if (tokens[k].value === ';' && depth === 0) {
+      return k;
+    }
+  }
+  return tokens.length - 1;
+}
+
+// PROCEDURE/FUNCTION at index: a definition has AS/IS before its first top-level `;`
+function isRoutineDefinition(tokens, index) {
+  let depth = 0;
+  for (let k = index + 1; k < tokens.length; k++) {
+    if (tokens[k].value === '(') {
+      depth++;
+    }
+    if (tokens[k].value === ')') {
+      depth--;
+    }
+    if (depth > 0) {
+      continue;
+    }
+    if (tokens[k].value === ';') {
+      return false;
+    }
+    if (['AS', 'IS'].includes(upper(tokens[k]))) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Index of the `;` ending a subprogram definition. BEGIN and CASE blocks are tracked from its
+ * AS/IS (a CASE expression may sit in the declaration section); nested subprograms in the
+ * declaration section close one BEGIN block each before the routine's own.
+ */
+function findRoutineEnd(tokens, index) {
+  const blocks = [];
+  let nested = 0;
+  for (let k = index + 1; k < tokens.length; k++) {
+    const word = upper(tokens[k]);
+    const next = upper(tokens[k + 1]);
+    if (blocks.length === 0 && ROUTINE_KINDS.has(word) && isRoutineDefinition(tokens, k)) {
+      nested++;
+    } else if (word === 'BEGIN' || (word === 'CASE' && upper(tokens[k - 1]) !== 'END')) {
+      blocks.push(word);
+    } else if (word === 'END' && END_QUALIFIERS.has(next)) {
+      k++;
+    } else if (word === 'END') {
+      const closed = blocks.pop();
+      if (next === 'CASE') {
+        k++;
+      }
+      if (closed === 'BEGIN' && blocks.length === 0) {
+        if (nested === 0) {
+          return findDeclarationEnd(tokens, k);
+        }
+        nested--;
+      }
+    }
+  }
+  return tokens.length - 1;
+}
+
+/**
+ * Package-aware conversion of Oracle packages. The spec and body are split into members; each
+ * procedure and function is converted on its own as `<PACKAGE>__<MEMBER>`, package variables
+ * move to a session-state table with UDF/procedure accessors, constants become UDFs, and a
+ * manifest records what every member became.
+ */
+class OraclePackageService {
+  constructor() {
+    this.MANIFEST_NAME = MANIFEST_NAME;
+  }
+
+  hasPackages(code) {
+    return /\bPACKAGE\b/i.test(code || '') &&
+      parseStatements(code, { dialect: 'oracle' }).some(statement => PACKAGE_KINDS.has(statement.kind));
+  }
+
+  getObjectName(pkg, member) {
+    return `${pkg.schema ? `${pkg.schema}.` : ''}${pkg.name}__${member.toUpperCase()}`;
+  }
+
+  /**
+   * Split the package specs and bodies of a file into members.
+   * @returns {Map<string, {name: string, schema: string|null, statements: Object[], members: Object[], initialization: Object|null}>}
+   *   keyed by qualified package name, in the order the packages appear
+   */
+  decompose(code) {
+    const packages = new Map();
+    for (const statement of parseStatements(code, { dialect: 'oracle' })) {
+      if (!PACKAGE_KINDS.has(statement.kind)) {
+        continue;
+      }
+      if (!packages.has(statement.qualifiedName)) {
+        packages.set(statement.qualifiedName, {
+          name: statement.name,
+          schema: statement.schema,
+          statements: [],
+          members: [],
+          initialization: null
+        });
+      }
+      const pkg = packages.get(statement.qualifiedName);
+      pkg.statements.push(statement);
+      this.collectMembers(pkg, statement);
+    }
+
+    for (const pkg of packages.values()) {
+      // Spec declarations are public; a routine declared in the spec is matched to its body by name and order
+      const specRoutines = pkg.members.filter(m => m.source === 'spec' && ROUTINE_KINDS.has(m.kind.toUpperCase()));
+      const bodyRoutines = pkg.members.filter(m => m.source === 'body' && m.text);
+      for (const declaration of specRoutines) {
+        const definition = bodyRoutines.find(m => m.name === declaration.name && m.kind === declaration.kind && !m.declaration);
+        if (definition) {
+          definition.declaration = declaration;
+          definition.visibility = 'public';
+        }
+      }
+      pkg.members = pkg.members.filter(m => !(m.source === 'spec' && ROUTINE_KINDS.has(m.kind.toUpperCase()) &&
+        bodyRoutines.some(b => b.declaration === m)));
+      // A body-level routine declared earlier in the body (forward declaration) is the same member
+      pkg.members = pkg.members.filter(m => !(m.forward && pkg.members.some(o => o !== m && o.name === m.name && o.text)));
+    }
+    return packages;
+  }
+
+  collectMembers(pkg, statement) {
+    const source = statement.kind === 'CREATE_PACKAGE' ? 'spec' : 'body';
+    const tokens = tokenize(statement.text, { dialect: 'oracle' }).filter(t => t.type !== 'comment');
+    const line = token => statement.startLine + token.line - 1;
+    const slice = (first, last) => statement.text.slice(tokens[first].start, tokens[last].end);
+
+    // Members start after the AS/IS that follows the package name
+    let k = tokens.findIndex(t => ['AS', 'IS'].includes(upper(t)));
+    if (k === -1) {
+      return;
+    }
+    // The package ends at its last top-level END
+    let packageEnd = tokens.length - 1;
+    while (packageEnd > k && upper(tokens[packageEnd]) !== 'END') {
+      packageEnd--;
+    }
+
+    k++;
+    while (k < packageEnd) {
+      const word = upper(tokens[k]);
+      if (word === 'BEGIN') {
+        // Package initialisation section, run once per session in Oracle
+        pkg.initialization = { text: slice(k, packageEnd - 1), line: line(tokens[k]) };
+        break;
+      }
+
+      let end;
+      const member = { source, visibility: source === 'spec' ? 'public' : 'private', line: line(tokens[k]) };
+      if (ROUTINE_KINDS.has(word)) {
+        member.kind = word.toLowerCase();
+        member.name = (upper(tokens[k + 1]) || '').replace(/"/g, '');
+        if (isRoutineDefinition(tokens, k)) {
+          end = findRoutineEnd(tokens, k);
+          member.text = slice(k, end);
+          member.nameToken = { start: tokens[k + 1].start - tokens[k].start, end: tokens[k + 1].end - tokens[k].start };
+        } else {
+          end = findDeclarationEnd(tokens, k);
+          member.forward = source === 'body';
+        }
+      } else {
+        end = findDeclarationEnd(tokens, k);
+        const words = tokens.slice(k, end).map(upper);
+        if (word === 'PRAGMA') {
+          member.kind = 'pragma';
+        } else if (word === 'TYPE' || word === 'SUBTYPE') {
+          member.kind = 'type';
+          member.name = words[1];
+        } else if (word === 'CURSOR') {
+          member.kind = 'cursor';
+          member.name = words[1];
+        } else if (words[1] === 'EXCEPTION') {
+          member.kind = 'exception';
+          member.name = word;
+        } else {
+          member.kind = words[1] === 'CONSTANT' ? 'constant' : 'variable';
+          member.name = word;
+          const declaration = slice(k + (member.kind === 'constant' ? 2 : 1), end).replace(/;\s*$/, '');
+          const [type, value] = declaration.split(/\s*(?::=|\bDEFAULT\b)\s*/i);
+          member.type = type.replace(/\s+NOT\s+NULL\s*$/i, '').trim();
+          member.value = value !== undefined ? value.trim() : null;
+        }
+        member.declarationText = slice(k, end);
+      }
+      pkg.members.push(member);
+      k = end + 1;
+    }
+  }
+
+  // Oracle type of a package variable or constant in Snowflake (anchored %TYPE becomes VARIANT)
+  toSnowflakeType(type) {
+    if (/%(?:ROW)?TYPE\b/i.test(type)) {
+      return 'VARIANT';
+    }
+    return oracleRuleConversionService.convert(type).code.trim();
+  }
+
+  toSnowflakeValue(value) {
+    return oracleRuleConversionService.convert(value).code.trim();
+  }
+
+  /**
+   * Convert a file that contains packages. Statements outside packages are converted together,
+   * as before; every package member goes through convertUnit on its own.
+   * @param {string} oracleCode
+   * @param {string} fileName
+   * @param {(code: string, name: string, unitOptions: {conversionInfo: Object, promptContext?: string}) => Promise<string>} convertUnit
+   * @param {Object} [conversionInfo] - receives the combined method, rules, built-in calls and truncated units and the package manifests (`packages`)
+   * @returns {Promise<string>} converted code
+   */
+  async convertFile(oracleCode, fileName, convertUnit, conversionInfo) {
+    const infos = [];
+    const convert = (code, name, promptContext) => {
+      const info = {};
+      infos.push(info);
+      return convertUnit(code, name, { conversionInfo: info, promptContext });
+    };
+    const packages = this.decompose(oracleCode);
+    const lastStatement = new Map();
+    for (const [qualifiedName, pkg] of packages) {
+      lastStatement.set(qualifiedName, pkg.statements[pkg.statements.length - 1]);
+    }
+
+    const outputs = [];
+    const manifests = [];
+    let pending = null;
+    const flush = async () => {
+      if (pending) {
+        outputs.push(await convert(oracleCode.slice(pending.start, pending.end), fileName));
+        pending = null;
+      }
+    };
+
+    for (const statement of parseStatements(oracleCode, { dialect: 'oracle' })) {
+      if (!PACKAGE_KINDS.has(statement.kind)) {
+        pending = pending ? { start: pending.start, end: statement.end } : { start: statement.start, end: statement.end };
+        continue;
+      }
+      await flush();
+      // A package is emitted where its last part (normally the body) was
+      if (lastStatement.get(statement.qualifiedName).start === statement.start) {
+        const { code, manifest } = await this.convertPackage(packages.get(statement.qualifiedName), fileName, convert);
+        outputs.push(code);
+        manifests.push(manifest);
+      }
+    }
+    await flush();
+
+    if (conversionInfo) {
+      Object.assign(conversionInfo, {
+        ...mergeConversionInfo(infos),
+        triggers: infos.some(info => info.triggers) ? infos.flatMap(info => info.triggers || []) : undefined,
+        packages: manifests
+      });
+    }
+    return outputs.filter(output => output && output.trim()).join('\n\n');
+  }
+
+  async convertPackage(pkg, fileName, convertUnit) {
+    const qualified = `${pkg.schema ? `${pkg.schema}.` : ''}${pkg.name}`;
+    log.info(`📦 Converting package ${qualified} member by member`, { fileName, members: pkg.members.length });
+
+    const variables = pkg.members.filter(m => m.kind === 'variable');
+    const stateTable = variables.length > 0 ? this.getObjectName(pkg, 'STATE') : null;
+    const outputs = [];
+    if (stateTable) {
+      outputs.push(this.renderState(pkg, variables));
+    }
+
+    const entries = [];
+    for (const member of pkg.members.filter(m => m.kind !== 'pragma')) {
+      const entry = { name: member.name, kind: member.kind, visibility: member.visibility, line: member.line };
+      if (ROUTINE_KINDS.has(member.kind.toUpperCase())) {
+        entry.convertedTo = this.getObjectName(pkg, member.name);
+        entry.objectType = member.kind.toUpperCase();
+        if (!member.text) {
+          entry.status = 'missing-body';
+          entries.push(entry);
+          continue;
+        }
+        const unitName = `${fileName} (${pkg.name}.${member.name})`;
+        outputs.push(await convertUnit(this.buildMemberCode(pkg, member), unitName, this.buildContext(pkg, member, member.text)));
+        entry.status = 'converted';
+      } else if (member.kind === 'variable') {
+        entry.type = member.type;
+        entry.convertedTo = `${stateTable}.${member.name}`;
+        entry.objectType = 'STATE';
+      } else if (member.kind === 'constant') {
+        entry.type = member.type;
+        entry.convertedTo = this.getObjectName(pkg, member.name);
+        entry.objectType = 'FUNCTION';
+        outputs.push(this.renderConstant(pkg, member));
+      } else if (member.kind === 'type') {
+        entry.note = 'No Snowflake equivalent; records map to OBJECT and collections to ARRAY';
+      } else {
+        entry.note = 'Declared inside each converted member that uses it';
+      }
+      entry.status = entry.status || MEMBER_STATUS[member.kind];
+      entries.push(entry);
+    }
+
+    if (pkg.initialization) {
+      const member = { name: 'INIT', kind: 'procedure', text: `PROCEDURE init AS\n${pkg.initialization.text}\nEND init;` };
+      const initName = this.getObjectName(pkg, 'INIT');
+      outputs.push(await convertUnit(this.buildMemberCode(pkg, member), `${fileName} (${pkg.name} initialization)`,
+        `${this.buildContext(pkg, member, member.text)}\nThis is the package initialization section; Oracle ran it once per session, so callers must CALL ${initName}() first.`));
+      entries.push({ name: null, kind: 'initialization', visibility: 'private', line: pkg.initialization.line,
+        convertedTo: initName, objectType: 'PROCEDURE', status: MEMBER_STATUS.initialization });
+    }
+
+    return {
+      code: outputs.filter(output => output && output.trim()).join('\n\n'),
+      manifest: { package: qualified, file: fileName, stateTable, members: entries }
+    };
+  }
+
+  // Standalone CREATE for a member, renamed to PKG__MEMBER; qualified calls to siblings are renamed too
+  buildMemberCode(pkg, member) {
+    const objectName = this.getObjectName(pkg, member.name);
+    let code = member.nameToken
+      ? member.text.slice(0, member.nameToken.start) + objectName + member.text.slice(member.nameToken.end)
+      : member.text.replace(/^(\s*(?:PROCEDURE|FUNCTION)\s+)\w+/i, `$1${objectName}`);
+    code = code.replace(/\bEND(\s+)("?\w+"?)(\s*;\s*)$/i, (match, space, name, end) => `END${space}${pkg.name}__${member.name.toUpperCase()}${end}`);
+
+    const { masked, literals } = oracleRuleConversionService.mask(code);
+    const routines = new Set(pkg.members.filter(m => ROUTINE_KINDS.has(m.kind.toUpperCase())).map(m => m.name));
+    const qualifiedCall = new RegExp(`\\b(?:${pkg.schema ? `${pkg.schema}\\s*\\.\\s*` : ''})?${pkg.name}\\s*\\.\\s*(\\w+)`, 'gi');
+    const renamed = masked.replace(qualifiedCall, (match, name) =>
+      (routines.has(name.toUpperCase()) ? this.getObjectName(pkg, name) : match));
+    return `CREATE OR REPLACE ${oracleRuleConversionService.unmask(renamed, literals)}`;
+  }
+
+  // Prompt context: the member's new name and how the package items it references were mapped
+  buildContext(pkg, member, text) {
+    const objectName = this.getObjectName(pkg, member.name);
+    const words = new Set(tokenize(text, { dialect: 'oracle' }).map(upper).filter(Boolean));
+    const lines = [];
+    for (const other of pkg.members) {
+      if (!other.name || other === member || !words.has(other.name)) {
+        continue;
+      }
+      const name = other.name.toLowerCase();
+      switch (other.kind) {
+        case 'procedure':
+        case 'function':
+          if (!lines.some(l => l.startsWith(`- ${other.kind} ${name}:`))) {
+            lines.push(`- ${other.kind} ${name}: converted separately as ${this.getObjectName(pkg, other.name)}; call it by that name`);
+          }
+          break;
+        case 'variable': {
+          const state = this.getObjectName(pkg, 'STATE');
+          lines.push(`- package variable ${name} (${this.toSnowflakeType(other.type)}): read ${state}_GET('${other.name}')::${this.toSnowflakeType(other.type)}, ` +
+            `assign with CALL ${state}_SET('${other.name}', TO_VARIANT(<value>))`);
+          break;
+        }
+        case 'constant':
+          lines.push(`- package constant ${name}: use ${this.getObjectName(pkg, other.name)}()`);
+          break;
+        case 'type':
+          lines.push(`- package type: ${other.declarationText} - use OBJECT for records and ARRAY for collections`);
+          break;
+        default: {
+          // Cursors and exceptions are declared where they are used, with their pragmas
+          const pragmas = pkg.members.filter(m => m.kind === 'pragma' && new RegExp(`\\b${other.name}\\b`, 'i').test(m.declarationText));
+          lines.push(`- package ${other.kind}: ${[other.declarationText, ...pragmas.map(p => p.declarationText)].join(' ')} - declare it in this routine`);
+        }
+      }
+    }
+    const header = `This is member ${member.name.toLowerCase()} of Oracle package ${pkg.name.toLowerCase()}, converted on its own as ${objectName}. Keep that name.`;
+    return lines.length > 0 ? `${header}\nPackage items it uses:\n${lines.join('\n')}` : header;
+  }
+
+  // Session-state table for package variables, with a getter UDF (falling back to the declared defaults) and a setter
+  renderState(pkg, variables) {
+    const state = this.getObjectName(pkg, 'STATE');
+    const defaults = variables.filter(v => v.value !== null);
+    const fallback = defaults.length > 0
+      ? `CASE UPPER(NAME)${defaults.map(v => ` WHEN '${v.name}' THEN TO_VARIANT(${this.toSnowflakeValue(v.value)})`).join('')} END`
+      : 'NULL';
+    return `CREATE TABLE IF NOT EXISTS ${state} (
+    session_id VARCHAR DEFAULT CURRENT_SESSION(),
+    variable_name VARCHAR,
+    variable_value VARIANT,
+    updated_at TIMESTAMP_NTZ DEFAULT CURRENT_TIMESTAMP()
+);
+
+CREATE OR REPLACE FUNCTION ${state}_GET(NAME VARCHAR)
+RETURNS VARIANT
+AS
+$$
+    COALESCE(
+        (SELECT variable_value FROM ${state} WHERE session_id = CURRENT_SESSION() AND variable_name = UPPER(NAME)),
+        ${fallback})
+$$;
+
+CREATE OR REPLACE PROCEDURE ${state}_SET(NAME VARCHAR, VALUE VARIANT)
+RETURNS VARCHAR
+LANGUAGE SQL
+AS
+$$
+BEGIN
+    MERGE INTO ${state} s
+    USING (SELECT CURRENT_SESSION() AS session_id, UPPER(:NAME) AS variable_name, :VALUE AS variable_value) v
+    ON s.session_id = v.session_id AND s.variable_name = v.variable_name
+    WHEN MATCHED THEN UPDATE SET variable_value = v.variable_value, updated_at = CURRENT_TIMESTAMP()
+    WHEN NOT MATCHED THEN INSERT (session_id, variable_name, variable_value) VALUES (v.session_id, v.variable_name, v.variable_value);
+    RETURN 'OK';
+END;
+$$;`;
+  }
+
+  renderConstant(pkg, member) {
+    return `CREATE OR REPLACE FUNCTION ${this.getObjectName(pkg, member.name)}()
+RETURNS ${this.toSnowflakeType(member.type)}
+AS
+$$
+    ${member.value !== null ? this.toSnowflakeValue(member.value) : 'NULL'}
+$$;`;
+  }
+
+  // package_manifest.json for a zip: every package converted in the job, by file
+  buildManifest(convertedFiles) {
+    const packages = convertedFiles.flatMap(f => f.packages || []);
+    return { name: MANIFEST_NAME, content: JSON.stringify({ generatedAt: new Date().toISOString(), packages }, null, 2) };
+  }
+}
+
+module.exports = new OraclePackageService();
@@ -0,0 +1,487 @@
+/**
+ * Deterministic Oracle → Snowflake translator for the mechanical cases (data types, NVL,
+ * SYSDATE, DECODE, DUAL, ROWNUM filters, sequence options, identity columns, physical storage clauses).
+ * It runs before the LLM: plain DDL/DML that needs nothing else is returned as-is, and
+ * PL/SQL (or anything the rules cannot resolve) is sent to the model already pre-translated.
+ *
+ * All rules run on a masked copy of the code in which string literals, quoted identifiers and
+ * comments are replaced by placeholders, so their contents are never rewritten.
+ */
+
+const { tokenize, parseStatements } = require('../utils/sqlParser');
+const oracleSequenceService = require('./oracleSequenceService');
+
+const PLACEHOLDER = '\u0001';
+const MASKED_TOKEN_TYPES = new Set(['comment', 'string', 'quoted_identifier']);
+
+// Oracle-only SQL the rules do not translate
+const UNSUPPORTED_PATTERNS = [
+  { name: 'CONNECT BY', pattern: /\bCONNECT\s+BY\b/i },
+  { name: '(+) outer join', pattern: /\(\s*\+\s*\)/ },
+  { name: 'ROWID', pattern: /\bROWID\b/i },
+  { name: 'ROWNUM', pattern: /\bROWNUM\b/i },
+  { name: 'CURRVAL', pattern: /\.\s*CURRVAL\b/i },
+  { name: 'CHECK constraint', pattern: /\bCHECK\s*\(/i },
+  { name: 'date arithmetic', pattern: /CURRENT_TIMESTAMP\(\)\s*[-+]/i },
+  { name: '%TYPE / %ROWTYPE', pattern: /%\s*(?:ROW)?TYPE\b/i },
+  { name: 'Oracle built-in packages', pattern: /\b(?:DBMS|UTL)_\w+\s*\./i },
+  { name: 'partitioning', pattern: /\bPARTITION\s+BY\s+(?:RANGE|LIST|HASH)\b/i },
+  { name: 'global temporary table', pattern: /\bGLOBAL\s+TEMPORARY\b/i },
+  { name: 'SQL*Plus command', pattern: /^\s*(?:PROMPT|SPOOL|WHENEVER|EXEC(?:UTE)?|SET\s+(?:SERVEROUTPUT|DEFINE|ECHO|FEEDBACK|VERIFY|TERM(?:OUT)?|LINESIZE|PAGESIZE))\b/im }
+];
+
+class OracleRuleConversionService {
+  constructor() {
+    // Delimits the index of a masked literal; exposed for services that match masked code
+    this.PLACEHOLDER = PLACEHOLDER;
+  }
+
+  /**
+   * Replace string literals, q-quoted strings, quoted identifiers and comments with placeholders.
+   * Also used by the Redshift rules with `dialect: 'redshift'`.
+   * @returns {{ masked: string, literals: string[] }}
+   */
+  mask(code, dialect = 'oracle') {
+    const literals = [];
+    let masked = '';
+    let last = 0;
+    for (const token of tokenize(code, { dialect })) {
+      if (!MASKED_TOKEN_TYPES.has(token.type)) {
+        continue;
+      }
+      masked += `${code.slice(last, token.start)}${PLACEHOLDER}${literals.length}${PLACEHOLDER}`;
+      literals.push(token.value);
+      last = token.end;
+    }
+    masked += code.slice(last);
+
+    return { masked, literals };
+  }
+
+  unmask(masked, literals) {
+    return masked.replace(new RegExp(`${PLACEHOLDER}(\\d+)${PLACEHOLDER}`, 'g'), (_, index) => literals[Number(index)]);
+  }
+
+  // Object types have no Snowflake equivalent, so they are routed with the PL/SQL units
+  isPlsql(code) {
+    return parseStatements(code, { dialect: 'oracle' })
+      .some(statement => statement.procedural || statement.kind === 'CREATE_TYPE');
+  }
+
+  /**
+   * Translate the mechanical Oracle constructs and decide whether the file still needs the LLM.
+   * @param {string} oracleCode
+   * @returns {{ code: string, complete: boolean, rules: string[], unresolved: string[] }}
+   *   complete is true when the result is ready to run and no LLM call is needed
+   */
+  convert(oracleCode) {
+    const { masked, literals } = this.mask(oracleCode || '');
+    const rules = new Set();
+    const unresolved = new Set();
+    const apply = (name, text, pattern, replacement) => {
+      const result = text.replace(pattern, replacement);
+      if (result !== text) {
+        rules.add(name);
+      }
+      return result;
+    };
+
+    let code = masked;
+
+    // SQL*Plus `/` terminators: dropped after `;`, otherwise they end the statement
+    code = apply('sqlplus-terminator', code, /(\S)(\s*)\n[ \t]*\/[ \t]*(?=\n|$)/g,
+      (_, last, whitespace) => (last === ';' ? `${last}${whitespace}` : `${last};${whitespace}`));
+
+    // Data types
+    code = apply('varchar2', code, /\bN?VARCHAR2\s*\(\s*(\d+)\s*(?:BYTE|CHAR)?\s*\)/gi, 'VARCHAR($1)');
+    code = apply('varchar2', code, /\bN?VARCHAR2\b/gi, 'VARCHAR');
+    code = apply('number', code, /\bNUMBER\s*\(\s*\*\s*\)/gi, 'NUMBER(38,0)');
+    code = apply('number', code, /\bNUMBER\s*\(\s*\*\s*,\s*(\d+)\s*\)/gi, 'NUMBER(38,$1)');
+    if (/\bNUMBER\s*\(\s*\d+\s*,\s*-\d+\s*\)/i.test(code)) {
+      unresolved.add('NUMBER with negative scale');
+    }
+    code = apply('date', code, /\bDATE\b/gi, 'TIMESTAMP_NTZ');
+    code = apply('lob-types', code, /\bLONG\s+RAW\b/gi, 'BINARY');
+    code = apply('lob-types', code, /\bRAW\s*\(\s*(\d+)\s*\)/gi, 'BINARY($1)');
+    code = apply('lob-types', code, /\bN?CLOB\b/gi, 'VARCHAR');
+    code = apply('lob-types', code, /\bBLOB\b/gi, 'BINARY');
+    code = apply('lob-types', code, /\bBINARY_(?:FLOAT|DOUBLE)\b/gi, 'FLOAT');
+
+    // Functions and pseudo-columns
+    code = apply('nvl', code, /\bNVL\s*\(/gi, 'COALESCE(');
+    code = apply('sysdate', code, /\bSYS(?:DATE|TIMESTAMP)\s*([-+])\s*(\d+(?:\.\d+)?)\b(?!\s*[*/])/gi,
+      (_, sign, days) => `DATEADD(day, ${sign === '-' ? '-' : ''}${days}, CURRENT_TIMESTAMP())`);
+    code = apply('sysdate', code, /\bSYS(?:DATE|TIMESTAMP)\b/gi, 'CURRENT_TIMESTAMP()');
+    code = this.convertDecode(code, rules);
+    code = this.convertTrunc(code, rules, unresolved);
+    code = this.convertInstr(code, rules, unresolved);
+    code = apply('dual', code, /\s+FROM\s+(?:SYS\s*\.\s*)?DUAL\b/gi, '');
+    code = this.convertRownum(code, rules, unresolved);
+
+    // Statement-level rules
+    code = this.convertStatements(code, rules, unresolved);
+
+    for (const { name, pattern } of UNSUPPORTED_PATTERNS) {
+      if (pattern.test(code)) {
+        unresolved.add(name);
+      }
+    }
+
+    const plsql = this.isPlsql(oracleCode || '');
+    return {
+      code: this.unmask(code, literals),
+      complete: !plsql && unresolved.size === 0,
+      rules: [...rules],
+      unresolved: plsql ? ['PL/SQL', ...unresolved] : [...unresolved]
+    };
+  }
+
+  // Index of the parenthesis closing the one at openIndex, or -1
+  findClosingParen(text, openIndex) {
+    let depth = 0;
+    for (let i = openIndex; i < text.length; i++) {
+      if (text[i] === '(') {
+        depth++;
+      }
+      if (text[i] === ')') {
+        depth--;
+        if (depth === 0) {
+          return i;
+        }
+      }
+    }
+    return -1;
+  }
+
+  splitTopLevel(text) {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === '(') {
+        depth++;
+      }
+      if (text[i] === ')') {
+        depth--;
+      }
+      if (text[i] === ',' && depth === 0) {
+        parts.push(text.slice(start, i).trim());
+        start = i + 1;
+      }
+    }
+    parts.push(text.slice(start).trim());
+    return parts;
+  }
+
+  // DECODE(expr, s1, r1, ..., default) → CASE; NULL search values use IS NULL like DECODE does
+  convertDecode(text, rules) {
+    const pattern = /\bDECODE\s*\(/gi;
+    let result = text;
+    let match;
+    while ((match = pattern.exec(result)) !== null) {
+      const open = match.index + match[0].length - 1;
+      const close = this.findClosingParen(result, open);
+      if (close === -1) {
+        break;
+      }
+
+      const args = this.splitTopLevel(result.slice(open + 1, close)).map(arg => this.convertDecode(arg, rules));
+      if (args.length < 3) {
+        pattern.lastIndex = close;
+        continue;
+      }
+
+      const [expr, ...rest] = args;
+      const fallback = rest.length % 2 === 1 ? rest.pop() : null;
+      const pairs = [];
+      for (let i = 0; i < rest.length; i += 2) {
+        pairs.push([rest[i], rest[i + 1]]);
+      }
+
+      let caseExpr;
+      if (pairs.some(([search]) => /^NULL$/i.test(search))) {
+        const whens = pairs.map(([search, value]) => (/^NULL$/i.test(search)
+          ? `WHEN ${expr} IS NULL THEN ${value}`
+          : `WHEN ${expr} = ${search} THEN ${value}`));
+        caseExpr = `CASE ${whens.join(' ')}`;
+      } else {
+        caseExpr = `CASE ${expr} ${pairs.map(([search, value]) => `WHEN ${search} THEN ${value}`).join(' ')}`;
+      }
+      caseExpr += fallback !== null ? ` ELSE ${fallback} END` : ' END';
+
+      result = result.slice(0, match.index) + caseExpr + result.slice(close + 1);
+      pattern.lastIndex = match.index + caseExpr.length;
+      rules.add('decode');
+    }
+    return result;
+  }
+
+  // Calls of a function as { start, open, close, args }, innermost first so rewrites keep outer offsets valid
+  findCalls(text, name) {
+    const calls = [];
+    const pattern = new RegExp(`\\b${name}\\s*\\(`, 'gi');
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+      const open = match.index + match[0].length - 1;
+      const close = this.findClosingParen(text, open);
+      if (close !== -1) {
+        calls.push({ start: match.index, open, close, args: this.splitTopLevel(text.slice(open + 1, close)) });
+      }
+    }
+    return calls.reverse();
+  }
+
+  /**
+   * TRUNC of SYSDATE/CURRENT_DATE (already CURRENT_TIMESTAMP() here) → DATE_TRUNC('DAY', ...).
+   * Snowflake's one-argument TRUNC is numeric, so TRUNC of anything else whose type is unknown,
+   * and TRUNC with an Oracle date format, are left for the LLM.
+   */
+  convertTrunc(text, rules, unresolved) {
+    let result = text;
+    for (const call of this.findCalls(text, 'TRUNC')) {
+      const [value, format] = call.args;
+      if (call.args.length === 1 && /^(?:CURRENT_TIMESTAMP\(\)|CURRENT_DATE(?:\s*\(\s*\))?)$/i.test(value)) {
+        result = `${result.slice(0, call.start)}DATE_TRUNC('DAY', ${value})${result.slice(call.close + 1)}`;
+        rules.add('trunc-date');
+      } else if (call.args.length === 1 ? !/^-?\d+(?:\.\d+)?$/.test(value) : !/^-?\d+$/.test(format)) {
+        unresolved.add('TRUNC on date/time');
+      }
+    }
+    return result;
+  }
+
+  /**
+   * INSTR(s, sub[, start]) → POSITION(sub, s[, start]) for a positive literal start. A negative start
+   * (searching backwards) or an occurrence argument has no POSITION equivalent and is left for the LLM.
+   */
+  convertInstr(text, rules, unresolved) {
+    let result = text;
+    for (const call of this.findCalls(text, 'INSTR')) {
+      const [string, substring, start] = call.args;
+      if (call.args.length === 2 || (call.args.length === 3 && /^[1-9]\d*$/.test(start))) {
+        const position = `POSITION(${[substring, string, start].filter(Boolean).join(', ')})`;
+        result = result.slice(0, call.start) + position + result.slice(call.close + 1);
+        rules.add('instr');
+      } else {
+        unresolved.add('INSTR');
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Rewrite `WHERE ROWNUM <= n` style filters as LIMIT on the same query block. Only plain SELECT
+   * blocks are rewritten: filters in UPDATE/DELETE, or whose meaning would change (aggregates,
+   * DISTINCT, analytic functions, ORDER BY / GROUP BY, OR conditions, set operators, an ordered
+   * inline view whose order Snowflake does not keep) are left in place for the LLM.
+   */
+  convertRownum(text, rules, unresolved) {
+    const pattern = /\bROWNUM\s*(<=|<|=)\s*(\d+)\b/gi;
+    let result = text;
+    let match;
+
+    while ((match = pattern.exec(result)) !== null) {
+      const filterEnd = match.index + match[0].length;
+      const limit = match[1] === '<' ? Number(match[2]) - 1 : Number(match[2]);
+      if (match[1] === '=' && limit !== 1) {
+        unresolved.add('ROWNUM equality filter');
+        continue;
+      }
+
+      // Block end: closing parenthesis of the enclosing subquery, statement terminator or end of text
+      let depth = 0;
+      let blockEnd = result.length;
+      for (let i = filterEnd; i < result.length && blockEnd === result.length; i++) {
+        const ch = result[i];
+        if (ch === '(') {
+          depth++;
+        } else if (ch === ')') {
+          if (depth === 0) {
+            blockEnd = i;
+          }
+          depth--;
+        } else if (ch === ';' && depth === 0) {
+          blockEnd = i;
+        }
+      }
+
+      // Block start: opening parenthesis of the enclosing subquery or previous statement terminator
+      depth = 0;
+      let blockStart = 0;
+      let whereIndex = -1;
+      for (let i = match.index - 1; i >= 0 && blockStart === 0; i--) {
+        const ch = result[i];
+        if (ch === ')') {
+          depth++;
+        } else if (ch === '(') {
+          if (depth === 0) {
+            blockStart = i + 1;
+          }
+          depth--;
+        } else if (ch === ';' && depth === 0) {
+          blockStart = i + 1;
+        } else if (depth === 0 && whereIndex === -1 && /^WHERE\b/i.test(result.slice(i, i + 6)) && !/\w/.test(result[i - 1] || '')) {
+          whereIndex = i;
+        }
+      }
+
+      const head = whereIndex === -1 ? '' : this.topLevelText(result.slice(blockStart, whereIndex));
+      const tail = this.topLevelText(result.slice(filterEnd, blockEnd));
+      const plainSelect = this.startsWithKeyword(head, 'SELECT')
+        && !/\b(?:DISTINCT|UNIQUE|OVER|COUNT|SUM|AVG|MIN|MAX|LISTAGG|MEDIAN|STDDEV|VARIANCE)\b/i.test(head)
+        && !/\b(?:ORDER\s+BY|GROUP\s+BY|HAVING|UNION|INTERSECT|MINUS|FOR\s+UPDATE|OR)\b/i.test(tail)
+        && !/\bOR\b/i.test(this.topLevelText(result.slice(whereIndex, match.index)))
+        && !this.hasOrderedSubquery(result.slice(blockStart, whereIndex));
+      if (!plainSelect) {
+        unresolved.add('ROWNUM filter');
+        continue;
+      }
+
+      const before = result.slice(0, match.index);
+      const after = result.slice(filterEnd, blockEnd);
+      let body;
+      if (/\bAND\s*$/i.test(before)) {
+        body = before.replace(/\s*\bAND\s*$/i, '') + after;
+      } else if (/^\s*AND\b/i.test(after)) {
+        body = before + after.replace(/^\s*AND\s*/i, '');
+      } else {
+        body = before.replace(/\s*\bWHERE\s*$/i, '') + after;
+      }
+
+      result = `${body.replace(/\s+$/, '')} LIMIT ${limit}${result.slice(blockEnd)}`;
+      pattern.lastIndex = whereIndex;
+      rules.add('rownum-limit');
+    }
+
+    return result;
+  }
+
+  // True when the text, after any masked comments, starts with the given pattern source
+  startsWithKeyword(text, keywordPattern) {
+    return new RegExp(`^\\s*(?:${PLACEHOLDER}\\d+${PLACEHOLDER}\\s*)*(?:${keywordPattern})\\b`, 'i').test(text);
+  }
+
+  // True when a parenthesised section at the top level of the text is ordered (an ordered inline view)
+  hasOrderedSubquery(text) {
+    let depth = 0;
+    let open = -1;
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === '(') {
+        if (depth === 0) {
+          open = i;
+        }
+        depth++;
+      } else if (text[i] === ')') {
+        depth--;
+        if (depth === 0 && /\bORDER\s+BY\b/i.test(this.topLevelText(text.slice(open + 1, i)))) {
+          return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  // Text with parenthesised sections removed, for keyword checks at the current nesting level
+  topLevelText(text) {
+    let depth = 0;
+    let out = '';
+    for (const ch of text) {
+      if (ch === '(') {
+        depth++;
+      } else if (ch === ')') {
+        depth--;
+      } else if (depth === 0) {
+        out += ch;
+      }
+    }
+    return out;
+  }
+
+  // GENERATED ... AS IDENTITY [(options)] → IDENTITY START n INCREMENT m; ALWAYS (no explicit values) is not enforced
+  convertIdentityColumns(statement, rules) {
+    const pattern = /\bGENERATED\s+(?:ALWAYS|BY\s+DEFAULT(?:\s+ON\s+NULL)?)\s+AS\s+IDENTITY\b(\s*\()?/gi;
+    let result = '';
+    let last = 0;
+    let match;
+    while ((match = pattern.exec(statement)) !== null) {
+      let end = match.index + match[0].length;
+      let options = '';
+      if (match[1]) {
+        const close = this.findClosingParen(statement, end - 1);
+        if (close === -1) {
+          continue;
+        }
+        options = statement.slice(end, close);
+        end = close + 1;
+      }
+      const { start, increment, order } = oracleSequenceService.parseOptions(options);
+      result += `${statement.slice(last, match.index)}IDENTITY START ${start || 1} INCREMENT ${increment || 1}${order ? ' ORDER' : ''}`;
+      last = end;
+      pattern.lastIndex = end;
+      rules.add('identity-columns');
+    }
+    return result + statement.slice(last);
+  }
+
+  // Rules that apply to whole statements: sequence options, indexes and physical storage clauses
+  convertStatements(text, rules, unresolved) {
+    return (text.match(/[^;]*;?/g) || []).map(piece => {
+      const terminator = piece.endsWith(';') ? ';' : '';
+      const statement = terminator ? piece.slice(0, -1) : piece;
+
+      if (this.startsWithKeyword(statement, 'CREATE\\s+(?:OR\\s+REPLACE\\s+)?SEQUENCE')) {
+        if (/\bCYCLE\b/i.test(statement.replace(/\bNOCYCLE\b/gi, ''))) {
+          unresolved.add('CYCLE sequence');
+        }
+        let converted = statement
+          .replace(/\b(?:MINVALUE|MAXVALUE|CACHE)\s+-?\d+/gi, '')
+          .replace(/\b(?:NOCACHE|NOCYCLE|CYCLE|NOMINVALUE|NOMAXVALUE|NOKEEP|KEEP|NOSCALE|NOPARTITION|GLOBAL|SESSION)\b/gi, '')
+          .replace(/(\S)[ \t]{2,}(?=\S)/g, '$1 ')
+          .replace(/^[ \t]+$\n?/gm, '')
+          .replace(/[ \t]+$/gm, '')
+          .replace(/\n+$/, '');
+        // Snowflake has no CACHE, bounds or CYCLE; the Oracle settings are kept in the sequence comment
+        const oracleOptions = oracleSequenceService.describeOracleOptions(oracleSequenceService.parseOptions(statement));
+        if (oracleOptions) {
+          const indent = /\n([ \t]+)\S/.exec(converted);
+          converted += `${indent ? `\n${indent[1]}` : ' '}COMMENT = '${oracleOptions}'`;
+        }
+        if (converted !== statement) {
+          rules.add('sequence-options');
+        }
+        return converted + terminator;
+      }
+
+      // Snowflake has no secondary indexes on standard tables
+      if (this.startsWithKeyword(statement, 'CREATE\\s+(?:UNIQUE\\s+|BITMAP\\s+)?INDEX')) {
+        rules.add('drop-index');
+        return statement.replace(/\s*CREATE\s+(?:UNIQUE\s+|BITMAP\s+)?INDEX\b[\s\S]*$/i, '');
+      }
+
+      if (this.startsWithKeyword(statement, '(?:CREATE|ALTER)\\s+[\\s\\S]*\\bTABLE')) {
+        const withIdentity = this.convertIdentityColumns(statement, rules);
+        let converted = withIdentity;
+        const storage = /\bSTORAGE\s*\(/i.exec(converted);
+        if (storage) {
+          const close = this.findClosingParen(converted, storage.index + storage[0].length - 1);
+          if (close !== -1) {
+            converted = converted.slice(0, storage.index) + converted.slice(close + 1);
+          }
+        }
+        converted = converted
+          .replace(/\b(?:TABLESPACE\s+\w+|(?:PCTFREE|PCTUSED|INITRANS|MAXTRANS)\s+\d+|NOLOGGING|LOGGING|COMPUTE\s+STATISTICS)\b/gi, '')
+          .replace(/\bUSING\s+INDEX\b(?!\s*\()/gi, '')
+          .replace(/[ \t]+$/gm, '')
+          .replace(/\)\s+$/, ')');
+        if (converted !== withIdentity) {
+          rules.add('storage-clauses');
+        }
+        return converted + terminator;
+      }
+
+      return piece;
+    }).join('');
+  }
+}
+
+module.exports = new OracleRuleConversionService();
@@ -0,0 +1,377 @@
+const { tokenize, parseStatements } = require('../utils/sqlParser');
+const { createModuleLogger } = require('../utils/logger');
+const log = createModuleLogger('services/oracleSequenceService');
+
+const SYNC_SCRIPT_NAME = 'sync_sequences.sql';
+
+// Words after which a new PL/SQL statement starts
+const STATEMENT_BOUNDARIES = new Set(['BEGIN', 'THEN', 'ELSE', 'LOOP', 'DECLARE', 'EXCEPTION']);
+
+// Statements that run once per execution, so NEXTVAL can be taken into a variable just before them
+const SINGLE_ROW_STATEMENTS = [
+  /^INSERT\s+INTO\b(?![\s\S]*\bSELECT\b)[\s\S]*\bVALUES\s*\(/i,
+  /^[\w$#.]+\s*:=/,
+  /^SELECT\b[\s\S]*\bINTO\b[\s\S]*\bFROM\s+(?:SYS\s*\.\s*)?DUAL\s*$/i
+];
+
+// Unquoted when the folded name needs no quotes
+function sqlName(name) {
+  return name.split('.').map(part => (/^[A-Z_][A-Z0-9_$#]*$/.test(part) ? part : `"${part.replace(/"/g, '""')}"`)).join('.');
+}
+
+// Statement text without its comments, so options mentioned in comments are not read
+function stripComments(text) {
+  let out = '';
+  let last = 0;
+  for (const token of tokenize(text, { dialect: 'oracle' })) {
+    if (token.type === 'comment') {
+      out += `${text.slice(last, token.start)} `;
+      last = token.end;
+    }
+  }
+  return out + text.slice(last);
+}
+
+/**
+ * Sequence-aware conversion for Oracle sources. CREATE SEQUENCE keeps START WITH, INCREMENT BY and
+ * ORDER (the rule pre-pass records CACHE, MINVALUE, MAXVALUE and CYCLE in the sequence COMMENT);
+ * `seq.CURRVAL`, which Snowflake lacks, is rewritten inside procedures and functions to a variable
+ * holding the NEXTVAL taken just before; sync_sequences.sql recreates every sequence from the
+ * current Oracle values supplied on the request (`sequenceValues`).
+ */
+class OracleSequenceService {
+  constructor() {
+    this.SYNC_SCRIPT_NAME = SYNC_SCRIPT_NAME;
+  }
+
+  /**
+   * Read sequence or identity options. Numbers stay strings so 28-digit MAXVALUEs keep their precision.
+   * @returns {{start, increment, minValue, maxValue, cache, noCache: boolean, cycle: boolean, order: boolean}}
+   */
+  parseOptions(text) {
+    const read = pattern => {
+      const match = pattern.exec(text);
+      return match ? match[1] : null;
+    };
+    return {
+      start: read(/\bSTART\s+WITH\s+(-?\d+)/i),
+      increment: read(/\bINCREMENT\s+BY\s+(-?\d+)/i),
+      minValue: read(/\bMINVALUE\s+(-?\d+)/i),
+      maxValue: read(/\bMAXVALUE\s+(-?\d+)/i),
+      cache: read(/\bCACHE\s+(\d+)/i),
+      noCache: /\bNOCACHE\b/i.test(text),
+      cycle: /\bCYCLE\b/i.test(text.replace(/\bNOCYCLE\b/gi, '')),
+      order: /\bORDER\b/i.test(text.replace(/\bNOORDER\b/gi, ''))
+    };
+  }
+
+  // Oracle options Snowflake sequences do not have, as recorded in the sequence COMMENT ('' when none)
+  describeOracleOptions(options) {
+    const parts = [
+      options.cache !== null ? `CACHE ${options.cache}` : (options.noCache ? 'NOCACHE' : null),
+      options.minValue !== null ? `MINVALUE ${options.minValue}` : null,
+      options.maxValue !== null ? `MAXVALUE ${options.maxValue}` : null,
+      options.cycle ? 'CYCLE' : null
+    ].filter(Boolean);
+    return parts.length > 0 ? `Oracle ${parts.join(' ')}` : '';
+  }
+
+  /**
+   * Sequences and identity columns created in a file.
+   * @returns {{sequences: Array<Object>, identities: Array<{table, column, line, options}>}}
+   */
+  collect(code) {
+    const sequences = [];
+    const identities = [];
+    for (const statement of parseStatements(code || '', { dialect: 'oracle' })) {
+      if (statement.kind === 'CREATE_SEQUENCE') {
+        sequences.push({
+          name: statement.name,
+          qualifiedName: statement.qualifiedName,
+          line: statement.startLine,
+          options: this.parseOptions(stripComments(statement.text))
+        });
+      } else if (statement.kind === 'CREATE_TABLE' && /\bIDENTITY\b/i.test(statement.text)) {
+        identities.push(...this.findIdentityColumns(statement));
+      }
+    }
+    return { sequences, identities };
+  }
+
+  // Columns declared GENERATED ... AS IDENTITY [(options)] in a CREATE TABLE statement
+  findIdentityColumns(statement) {
+    const text = statement.text;
+    const tokens = tokenize(text, { dialect: 'oracle' }).filter(t => t.type !== 'comment');
+    const columns = [];
+    let depth = 0;
+    let column = null;
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token.value === '(' || token.value === ')') {
+        depth += token.value === '(' ? 1 : -1;
+      }
+      if (depth === 1 && (token.value === '(' || token.value === ',')) {
+        column = tokens[i + 1];
+        continue;
+      }
+      if (depth !== 1 || !column || token.type !== 'word' || token.value.toUpperCase() !== 'IDENTITY' ||
+          !tokens[i - 1] || tokens[i - 1].value.toUpperCase() !== 'AS') {
+        continue;
+      }
+      let options = '';
+      if (tokens[i + 1] && tokens[i + 1].value === '(') {
+        let close = i + 1;
+        for (let nested = 0; close < tokens.length; close++) {
+          nested += tokens[close].value === '(' ? 1 : tokens[close].value === ')' ? -1 : 0;
+          if (nested === 0) {
+            break;
+          }
+        }
+        options = text.slice(tokens[i + 1].start, tokens[Math.min(close, tokens.length - 1)].end);
+      }
+      columns.push({
+        table: statement.qualifiedName,
+        column: column.type === 'quoted_identifier' ? column.value.slice(1, -1) : column.value.toUpperCase(),
+        line: statement.startLine + (text.slice(0, column.start).match(/\n/g) || []).length,
+        options: this.parseOptions(options)
+      });
+    }
+    return columns;
+  }
+
+  /**
+   * Rewrite sequence references the target cannot run as written: in every procedure and function,
+   * `x := seq.NEXTVAL` becomes a SELECT ... INTO, and `seq.CURRVAL` reads a variable set from the
+   * NEXTVAL before it. CURRVAL is only rewritten when every NEXTVAL of that sequence in the routine
+   * is in a single-row statement; otherwise it is left for the rule pre-pass to flag.
+   * @returns {{code: string, rules: string[]}} rewritten code and the names of the applied rewrites
+   */
+  rewriteReferences(code) {
+    const rules = new Set();
+    if (!/\.\s*(?:NEXTVAL|CURRVAL)\b/i.test(code || '')) {
+      return { code, rules: [] };
+    }
+    const routines = parseStatements(code, { dialect: 'oracle' })
+      .filter(statement => statement.verb === 'CREATE' && ['PROCEDURE', 'FUNCTION'].includes(statement.objectType));
+
+    let result = code;
+    // Splice from the end so earlier offsets stay valid
+    for (const statement of [...routines].reverse()) {
+      const rewritten = this.rewriteRoutine(result.slice(statement.start, statement.end), rules);
+      result = result.slice(0, statement.start) + rewritten + result.slice(statement.end);
+    }
+    return { code: result, rules: [...rules] };
+  }
+
+  rewriteRoutine(text, rules) {
+    const tokens = tokenize(text, { dialect: 'oracle' }).filter(t => t.type !== 'comment');
+
+    // The body starts after the first IS/AS outside the parameter list
+    let depth = 0;
+    let bodyIndex = -1;
+    for (let i = 0; i < tokens.length && bodyIndex === -1; i++) {
+      const value = tokens[i].value.toUpperCase();
+      if (value === '(') {
+        depth++;
+      } else if (value === ')') {
+        depth--;
+      } else if (depth === 0 && tokens[i].type === 'word' && (value === 'IS' || value === 'AS')) {
+        bodyIndex = i;
+      }
+    }
+    if (bodyIndex === -1) {
+      return text;
+    }
+
+    // PL/SQL statements of the body as token ranges, and the sequence references in each
+    const statements = [];
+    let current = null;
+    for (let i = bodyIndex + 1; i < tokens.length; i++) {
+      const token = tokens[i];
+      if (token.value === ';' || (token.type === 'word' && STATEMENT_BOUNDARIES.has(token.value.toUpperCase()))) {
+        if (current) {
+          current.end = token.value === ';' ? token.start : tokens[i - 1].end;
+          statements.push(current);
+          current = null;
+        }
+        continue;
+      }
+      if (!current) {
+        current = { start: token.start, end: token.end, refs: [] };
+      }
+      const pseudo = token.type === 'word' && token.value.toUpperCase();
+      if ((pseudo === 'NEXTVAL' || pseudo === 'CURRVAL') && tokens[i - 1].value === '.' && tokens[i - 2] && tokens[i - 2].type === 'word') {
+        const qualified = tokens[i - 3] && tokens[i - 3].value === '.' && tokens[i - 4] && tokens[i - 4].type === 'word';
+        const first = tokens[qualified ? i - 4 : i - 2];
+        if (first.start >= current.start) {
+          current.refs.push({
+            kind: pseudo,
+            sequence: text.slice(first.start, tokens[i - 2].end).replace(/\s+/g, '').toUpperCase(),
+            sequenceText: text.slice(first.start, tokens[i - 2].end),
+            start: first.start,
+            end: token.end
+          });
+        }
+      }
+    }
+    if (current) {
+      statements.push(current);
+    }
+
+    const edits = [];
+    const indentOf = index => {
+      const lineStart = text.lastIndexOf('\n', index - 1) + 1;
+      const prefix = text.slice(lineStart, index);
+      return /^[ \t]*$/.test(prefix) ? prefix : (/^[ \t]*/.exec(prefix)[0]);
+    };
+    const isSingleRow = statement => SINGLE_ROW_STATEMENTS.some(pattern => pattern.test(text.slice(statement.start, statement.end)));
+
+    const sequences = new Set(statements.flatMap(s => s.refs.filter(ref => ref.kind === 'CURRVAL').map(ref => ref.sequence)));
+    const hoisted = new Set();
+    for (const sequence of sequences) {
+      const nexts = statements.filter(s => s.refs.some(ref => ref.sequence === sequence && ref.kind === 'NEXTVAL'));
+      const hoistable = nexts.length > 0 && nexts.every(s =>
+        isSingleRow(s) && s.refs.filter(ref => ref.sequence === sequence && ref.kind === 'NEXTVAL').length === 1);
+      if (!hoistable) {
+        continue;
+      }
+      const variable = `v_${sequence.split('.').pop().toLowerCase().replace(/[^a-z0-9_]/g, '_')}_currval`;
+      const firstNext = nexts[0].refs.find(ref => ref.sequence === sequence && ref.kind === 'NEXTVAL').start;
+      for (const statement of nexts) {
+        const ref = statement.refs.find(r => r.sequence === sequence && r.kind === 'NEXTVAL');
+        edits.push({ start: statement.start, end: statement.start,
+          text: `SELECT ${ref.sequenceText}.NEXTVAL INTO ${variable} FROM dual;\n${indentOf(statement.start)}` });
+        edits.push({ start: ref.start, end: ref.end, text: variable });
+        hoisted.add(statement);
+      }
+      // CURRVAL before the first NEXTVAL reads the caller's session state and stays as it is
+      statements.flatMap(s => s.refs)
+        .filter(ref => ref.sequence === sequence && ref.kind === 'CURRVAL' && ref.start > firstNext)
+        .forEach(ref => edits.push({ start: ref.start, end: ref.end, text: variable }));
+      const next = tokens[bodyIndex + 1];
+      edits.push({ start: tokens[bodyIndex].end, end: tokens[bodyIndex].end,
+        text: `\n${next ? indentOf(next.start) || '  ' : '  '}${variable} NUMBER;` });
+      rules.add('sequence-currval');
+    }
+
+    // x := seq.NEXTVAL; as a SELECT ... INTO, which both JavaScript and Snowflake Scripting conversions keep
+    for (const statement of statements) {
+      const assignment = /^([\w$#.]+)\s*:=\s*((?:[\w$#]+\s*\.\s*)?[\w$#]+)\s*\.\s*NEXTVAL\s*$/i.exec(text.slice(statement.start, statement.end));
+      if (assignment && !hoisted.has(statement)) {
+        edits.push({ start: statement.start, end: statement.end, text: `SELECT ${assignment[2]}.NEXTVAL INTO ${assignment[1]} FROM dual` });
+        rules.add('sequence-nextval');
+      }
+    }
+
+    let result = text;
+    for (const edit of edits.sort((a, b) => b.start - a.start || b.end - a.end)) {
+      result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+    }
+    return result;
+  }
+
+  /**
+   * Parse the `sequenceValues` request option: sequence name (or TABLE.COLUMN for identity columns)
+   * to the current Oracle value, as an object or its JSON text.
+   * @returns {Map<string, string>} upper-cased names to integer strings
+   * @throws {Error} when the input is not such an object
+   */
+  parseValues(input) {
+    if (input === undefined || input === null || input === '') {
+      return new Map();
+    }
+    let values = input;
+    if (typeof input === 'string') {
+      try {
+        values = JSON.parse(input);
+      } catch (error) {
+        throw new Error(`sequenceValues is not valid JSON: ${error.message}`);
+      }
+    }
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      throw new Error('sequenceValues must be an object of sequence name to current Oracle value');
+    }
+    const parsed = new Map();
+    for (const [name, value] of Object.entries(values)) {
+      if (!(Number.isInteger(value) || (typeof value === 'string' && /^-?\d+$/.test(value.trim())))) {
+        throw new Error(`sequenceValues.${name} must be an integer`);
+      }
+      parsed.set(name.replace(/"/g, '').replace(/\s+/g, '').toUpperCase(), String(value).trim());
+    }
+    return parsed;
+  }
+
+  /**
+   * sync_sequences.sql for the Oracle sources of a job: each sequence recreated to start at its
+   * Oracle value, or a commented template line when no value was supplied.
+   * @param {Array<{file: string, code: string}>} sources
+   * @param {Map<string, string>} values - from parseValues()
+   * @returns {{name: string, content: string, summary: Object}|null} null when no source creates a sequence or identity column
+   */
+  buildSyncScript(sources, values = new Map()) {
+    const found = sources.map(source => ({ file: source.file, ...this.collect(source.code) }));
+    if (!found.some(f => f.sequences.length > 0 || f.identities.length > 0)) {
+      return null;
+    }
+    const used = new Set();
+    const lookup = (...names) => {
+      const key = names.map(name => name.toUpperCase()).find(name => values.has(name));
+      if (key) {
+        used.add(key);
+      }
+      return key ? values.get(key) : null;
+    };
+
+    const missingValues = [];
+    const blocks = [];
+    for (const { file, sequences, identities } of found) {
+      for (const sequence of sequences) {
+        const value = lookup(sequence.qualifiedName, sequence.name);
+        const { increment, order } = sequence.options;
+        const comment = this.describeOracleOptions(sequence.options);
+        const ddl = `CREATE OR REPLACE SEQUENCE ${sqlName(sequence.qualifiedName)} START WITH ${value !== null ? value : '<LAST_NUMBER>'}` +
+          ` INCREMENT BY ${increment || 1}${order ? ' ORDER' : ''}${comment ? ` COMMENT = '${comment}'` : ''};`;
+        if (value === null) {
+          missingValues.push(sequence.qualifiedName);
+          blocks.push(`-- ${sequence.qualifiedName} (${file}:${sequence.line}): no Oracle value supplied\n-- ${ddl}`);
+        } else {
+          blocks.push(`-- ${sequence.qualifiedName} (${file}:${sequence.line})\n${ddl}`);
+        }
+      }
+      for (const identity of identities) {
+        const key = `${identity.table}.${identity.column}`;
+        const value = lookup(key, `${identity.table.split('.').pop()}.${identity.column}`);
+        if (value === null) {
+          missingValues.push(key);
+        }
+        blocks.push(`-- ${key} (${file}:${identity.line}) is an identity column; Snowflake cannot restart one.\n` +
+          `-- Create ${sqlName(identity.table)} with ${sqlName(identity.column)} ... IDENTITY START ${value !== null ? value : '<LAST_NUMBER>'}` +
+          ` INCREMENT ${identity.options.increment || 1} before loading data.`);
+      }
+    }
+    const unmatchedValues = [...values.keys()].filter(key => !used.has(key));
+    if (unmatchedValues.length > 0) {
+      log.warn('sequenceValues names match no converted sequence', { unmatchedValues });
+    }
+
+    const header = [
+      '-- Continues each Snowflake sequence from its current Oracle value.',
+      '-- Values come from the sequenceValues request option (USER_SEQUENCES.LAST_NUMBER), e.g.',
+      '--   SELECT JSON_OBJECTAGG(KEY sequence_name VALUE last_number) FROM user_sequences;',
+      '-- Snowflake cannot restart a sequence, so each one is recreated: run this before loading data',
+      '-- and before creating tables whose column defaults use the sequences.'
+    ].join('\n');
+    return {
+      name: SYNC_SCRIPT_NAME,
+      content: `${header}\n\n${blocks.join('\n\n')}\n`,
+      summary: {
+        sequences: found.reduce((sum, f) => sum + f.sequences.length, 0),
+        identities: found.reduce((sum, f) => sum + f.identities.length, 0),
+        missingValues,
+        unmatchedValues
+      }
+    };
+  }
+}
+
+module.exports = new OracleSequenceService();
@@ -0,0 +1,492 @@
+const config = require('../config');
+const { tokenize, parseStatements } = require('../utils/sqlParser');
+const oracleRuleConversionService = require('./oracleRuleConversionService');
+const { mergeConversionInfo } = require('../utils/conversionInfo');
+const { createModuleLogger } = require('../utils/logger');
+const log = createModuleLogger('services/oracleTriggerService');
+
+const REPORT_NAME = 'trigger_report.json';
+
+const DML_EVENTS = new Set(['INSERT', 'UPDATE', 'DELETE']);
+
+// Statements in a trigger body that do nothing outside the row being written
+const NO_EFFECT_CALLS = new Set(['NULL', 'RETURN', 'RAISE', 'RAISE_APPLICATION_ERROR', 'END', 'EXIT', 'CONTINUE', 'COMMIT', 'ROLLBACK', 'PRAGMA']);
+
+function upper(token) {
+  return token && token.type === 'word' ? token.value.toUpperCase() : null;
+}
+
+// Index just past a parenthesised group opening at index
+function skipParens(tokens, index) {
+  let depth = 0;
+  for (let k = index; k < tokens.length; k++) {
+    if (tokens[k].value === '(') {
+      depth++;
+    }
+    if (tokens[k].value === ')') {
+      depth--;
+    }
+    if (depth === 0) {
+      return k + 1;
+    }
+  }
+  return tokens.length;
+}
+
+/**
+ * Trigger-aware conversion of Oracle DML triggers. Snowflake has no triggers, so each row or
+ * statement trigger becomes a stream on its table, a change table the stream is drained into,
+ * a handler procedure converted from the trigger body (`:NEW`/`:OLD` read from the stream rows),
+ * a driver procedure and a task that runs it while the stream has data. What a trigger loses on
+ * the way (BEFORE-row mutations, aborting the DML) is recorded per trigger in the report.
+ */
+class OracleTriggerService {
+  constructor() {
+    this.REPORT_NAME = REPORT_NAME;
+  }
+
+  hasTriggers(code) {
+    return /\bTRIGGER\b/i.test(code || '') &&
+      parseStatements(code, { dialect: 'oracle' }).some(statement => statement.kind === 'CREATE_TRIGGER');
+  }
+
+  getObjectName(trigger, suffix) {
+    return `${trigger.schema ? `${trigger.schema}.` : ''}${trigger.name}__${suffix}`;
+  }
+
+  /**
+   * Read the header and body of a CREATE TRIGGER statement.
+   * @returns {{name, schema, table, timing, events, updateColumns, rowLevel, when, aliases, kind, declarations, block, line}}
+   *   kind is dml, instead-of, compound or system
+   */
+  parse(statement) {
+    const text = statement.text;
+    const tokens = tokenize(text, { dialect: 'oracle' }).filter(t => t.type !== 'comment');
+    const trigger = {
+      name: statement.name,
+      schema: statement.schema,
+      table: statement.onTable || null,
+      timing: null,
+      events: [],
+      updateColumns: [],
+      rowLevel: false,
+      when: null,
+      aliases: { NEW: 'NEW', OLD: 'OLD' },
+      kind: 'dml',
+      declarations: '',
+      block: '',
+      line: statement.startLine
+    };
+
+    let k = tokens.findIndex(t => upper(t) === 'TRIGGER') + 2;
+    while (tokens[k] && tokens[k].value === '.') {
+      k += 2;
+    }
+    const timing = upper(tokens[k]);
+    trigger.timing = timing === 'INSTEAD' ? 'INSTEAD OF' : timing;
+    k += timing === 'INSTEAD' ? 2 : 1;
+
+    // Events up to ON: INSERT | UPDATE [OF col, ...] | DELETE, joined by OR; anything else is a system event
+    while (k < tokens.length && upper(tokens[k]) !== 'ON') {
+      const word = upper(tokens[k]);
+      if (DML_EVENTS.has(word)) {
+        trigger.events.push(word);
+      } else if (word === 'OF' && trigger.events[trigger.events.length - 1] === 'UPDATE') {
+        while (tokens[k + 1] && upper(tokens[k + 1]) !== 'ON' && upper(tokens[k + 1]) !== 'OR') {
+          k++;
+          if (tokens[k].type === 'word' || tokens[k].type === 'quoted_identifier') {
+            trigger.updateColumns.push(tokens[k].value.replace(/"/g, ''));
+          }
+        }
+      } else if (word && word !== 'OR') {
+        trigger.kind = 'system';
+      }
+      k++;
+    }
+    if (!trigger.table) {
+      trigger.kind = 'system';
+    }
+    if (trigger.timing === 'INSTEAD OF') {
+      trigger.kind = 'instead-of';
+    }
+
+    // Clauses between the table and the body
+    for (k++; k < tokens.length; k++) {
+      const word = upper(tokens[k]);
+      if (word === 'DECLARE' || word === 'BEGIN' || word === 'CALL') {
+        break;
+      }
+      if (word === 'COMPOUND') {
+        trigger.kind = 'compound';
+        break;
+      }
+      if (word === 'REFERENCING') {
+        while (['NEW', 'OLD', 'PARENT'].includes(upper(tokens[k + 1]))) {
+          const which = upper(tokens[k + 1]);
+          const hasAs = upper(tokens[k + 2]) === 'AS';
+          trigger.aliases[which] = (upper(tokens[k + (hasAs ? 3 : 2)]) || which).replace(/"/g, '');
+          k += hasAs ? 3 : 2;
+        }
+      } else if (word === 'EACH' && upper(tokens[k + 1]) === 'ROW') {
+        trigger.rowLevel = true;
+      } else if (word === 'WHEN' && tokens[k + 1] && tokens[k + 1].value === '(') {
+        const end = skipParens(tokens, k + 1);
+        trigger.when = text.slice(tokens[k + 2].start, tokens[end - 1].start).trim();
+        k = end - 1;
+      }
+    }
+
+    if (k >= tokens.length || trigger.kind !== 'dml') {
+      return trigger;
+    }
+    const body = text.slice(tokens[k].start).trim().replace(/\bEND\s*(?:"?\w+"?)?\s*;?\s*$/i, 'END;');
+    if (upper(tokens[k]) === 'DECLARE') {
+      const begin = tokens.findIndex((t, index) => index > k && upper(t) === 'BEGIN');
+      trigger.declarations = text.slice(tokens[k].end, tokens[begin].start).trim();
+      trigger.block = body.slice(tokens[begin].start - tokens[k].start);
+    } else if (upper(tokens[k]) === 'CALL') {
+      trigger.block = `BEGIN\n    ${body.replace(/^CALL\s+/i, '').replace(/;?\s*$/, ';')}\nEND;`;
+    } else {
+      trigger.block = body;
+    }
+    return trigger;
+  }
+
+  /**
+   * What the trigger body does, read from a masked copy (comments and strings cannot match)
+   * @returns {{mutatedColumns: string[], raisesErrors: boolean, autonomous: boolean, hasEffects: boolean}}
+   */
+  analyzeBody(trigger) {
+    const { masked } = oracleRuleConversionService.mask(trigger.block);
+    const { masked: maskedDeclarations } = oracleRuleConversionService.mask(trigger.declarations);
+    const mutation = new RegExp(`:${trigger.aliases.NEW}\\s*\\.\\s*(\\w+)\\s*:=`, 'gi');
+    const mutatedColumns = [...new Set([...masked.matchAll(mutation)].map(match => match[1].toUpperCase()))];
+
+    // A DML statement or a procedure call is a side effect a task can still carry out
+    const calls = [...masked.matchAll(/(?:^|;|\bTHEN\b|\bELSE\b|\bBEGIN\b|\bLOOP\b)\s*([A-Za-z_][\w$#.]*)\s*(?:\(|;)/gi)]
+      .map(match => match[1].toUpperCase())
+      .filter(name => !NO_EFFECT_CALLS.has(name));
+    const hasEffects = /\b(?:INSERT|UPDATE|DELETE|MERGE|EXECUTE)\b/i.test(masked) || calls.length > 0;
+
+    return {
+      mutatedColumns,
+      raisesErrors: /\bRAISE_APPLICATION_ERROR\b/i.test(masked),
+      autonomous: /\bAUTONOMOUS_TRANSACTION\b/i.test(maskedDeclarations),
+      hasEffects
+    };
+  }
+
+  /**
+   * Rewrite the trigger body as a standalone Oracle procedure the conversion prompt can take:
+   * `:NEW.col`/`:OLD.col` become NEW_ROW:COL/OLD_ROW:COL, INSERTING/UPDATING/DELETING test DML_EVENT
+   * and the WHEN condition is checked first.
+   */
+  buildHandlerCode(trigger) {
+    const handler = this.getObjectName(trigger, 'HANDLER');
+    const field = (row, column) => `${row}:${column.toUpperCase()}`;
+    const rewrite = (code, colon) => {
+      // UPDATING('col') carries a string literal, so it is rewritten before masking
+      const withColumns = code.replace(/\bUPDATING\s*\(\s*'(\w+)'\s*\)/gi, (match, column) =>
+        `(DML_EVENT = 'UPDATE' AND NOT EQUAL_NULL(${field('NEW_ROW', column)}, ${field('OLD_ROW', column)}))`);
+      const { masked, literals } = oracleRuleConversionService.mask(withColumns);
+      let rewritten = masked;
+      for (const [which, row] of [['NEW', 'NEW_ROW'], ['OLD', 'OLD_ROW']]) {
+        const reference = new RegExp(`${colon ? ':' : '\\b'}${trigger.aliases[which]}\\s*\\.\\s*(\\w+)`, 'gi');
+        rewritten = rewritten.replace(reference, (match, column) => field(row, column));
+      }
+      rewritten = rewritten
+        .replace(/\bINSERTING\b/gi, "(DML_EVENT = 'INSERT')")
+        .replace(/\bUPDATING\b/gi, "(DML_EVENT = 'UPDATE')")
+        .replace(/\bDELETING\b/gi, "(DML_EVENT = 'DELETE')");
+      return oracleRuleConversionService.unmask(rewritten, literals);
+    };
+
+    let block = rewrite(trigger.block, true);
+    if (trigger.when) {
+      // The WHEN clause references NEW/OLD without the colon
+      block = block.replace(/^BEGIN\b/i, `BEGIN\n    IF NOT (${rewrite(trigger.when, false)}) THEN\n        RETURN;\n    END IF;`);
+    }
+    const parameters = trigger.rowLevel
+      ? 'DML_EVENT IN VARCHAR2, NEW_ROW IN VARIANT, OLD_ROW IN VARIANT'
+      : 'DML_EVENT IN VARCHAR2';
+    const declarations = trigger.declarations ? `${rewrite(trigger.declarations, true)}\n` : '';
+    return `CREATE OR REPLACE PROCEDURE ${handler}(${parameters}) AS\n${declarations}${block}`;
+  }
+
+  // Prompt context for the handler: its fixed signature and how the trigger pseudo-records were mapped
+  buildContext(trigger) {
+    const handler = this.getObjectName(trigger, 'HANDLER');
+    const lines = [
+      `This procedure is the body of Oracle trigger ${trigger.name} on ${trigger.table}. In Snowflake it is called by a task for the changes read from a stream on that table.`,
+      `Keep the name ${handler} and its parameters: DML_EVENT VARCHAR ('INSERT', 'UPDATE' or 'DELETE')` +
+        (trigger.rowLevel ? ', NEW_ROW VARIANT and OLD_ROW VARIANT (the row after and before the change, as an OBJECT keyed by upper-case column name; NULL when there is none).' : '.')
+    ];
+    if (trigger.rowLevel) {
+      lines.push(':NEW and :OLD references were rewritten to NEW_ROW:COLUMN and OLD_ROW:COLUMN; cast them with ::<type> where a typed value is needed.',
+        'Assignments to NEW_ROW fields cannot change the stored row: drop them, and use a local variable where the new value is read later.');
+    }
+    lines.push('RAISE_APPLICATION_ERROR becomes a raised exception; it cannot undo the change that fired the trigger.');
+    return lines.join('\n');
+  }
+
+  /**
+   * Notes on behavior the Snowflake objects do not preserve
+   * @returns {{status: string, notes: string[]}} status is converted, partial or manual
+   */
+  assess(trigger, body) {
+    if (trigger.kind === 'system') {
+      return { status: 'manual', notes: ['System and DDL event triggers (ON SCHEMA / ON DATABASE) have no Snowflake equivalent.'] };
+    }
+    if (trigger.kind === 'instead-of') {
+      return { status: 'manual', notes: ['INSTEAD OF triggers on views have no Snowflake equivalent; write the DML against the base tables.'] };
+    }
+    if (trigger.kind === 'compound') {
+      return { status: 'manual', notes: ['Compound triggers are not converted; convert each timing section by hand.'] };
+    }
+
+    const notes = [];
+    if (body.mutatedColumns.length > 0) {
+      notes.push(`BEFORE-row changes to :NEW (${body.mutatedColumns.join(', ')}) cannot be preserved: the row is already stored when the task runs. ` +
+        'Set these columns in the DML or with column defaults.');
+    }
+    if (body.raisesErrors) {
+      notes.push('RAISE_APPLICATION_ERROR cannot abort the triggering DML, which has already committed. ' + (body.hasEffects
+        ? `A failing change stays in ${this.getObjectName(trigger, 'CHANGES')} with error_message set.`
+        : 'Enforce the check in the loading code or with a constraint.'));
+    }
+    if (!body.hasEffects) {
+      notes.push('The trigger only changes :NEW values or raises errors, so no stream or task was generated.');
+      return { status: 'manual', notes };
+    }
+
+    if (trigger.timing === 'BEFORE') {
+      notes.push('BEFORE timing cannot be preserved: the handler sees the change after it was written.');
+    }
+    notes.push(`Runs asynchronously when ${this.getObjectName(trigger, 'TASK')} next runs (schedule ${config.snowflake.taskSchedule}), ` +
+      'for all changes since the previous run, instead of inside the DML statement.');
+    if (!trigger.rowLevel) {
+      notes.push('Statement-level trigger: the handler runs once per task run for each DML event in the batch, not once per statement.');
+    }
+    if (trigger.updateColumns.length > 0) {
+      notes.push(`UPDATE OF ${trigger.updateColumns.join(', ')}: updates are passed on only when one of these columns changed value.`);
+    }
+    if (trigger.when) {
+      notes.push('The WHEN condition is checked at the start of the handler.');
+    }
+    if (body.autonomous) {
+      notes.push('PRAGMA AUTONOMOUS_TRANSACTION has no effect: the handler always runs in its own transaction.');
+    }
+    return { status: body.mutatedColumns.length > 0 || body.raisesErrors ? 'partial' : 'converted', notes };
+  }
+
+  /**
+   * Convert a file that contains triggers. Other statements are converted together, as before;
+   * each trigger body goes through convertUnit as its handler procedure.
+   * @param {string} oracleCode
+   * @param {string} fileName
+   * @param {(code: string, name: string, unitOptions: {conversionInfo: Object, promptContext?: string}) => Promise<string>} convertUnit
+   * @param {Object} [conversionInfo] - receives the combined method, rules, built-in calls and truncated units and the trigger report entries (`triggers`)
+   * @returns {Promise<string>} converted code
+   */
+  async convertFile(oracleCode, fileName, convertUnit, conversionInfo) {
+    const infos = [];
+    const convert = (code, name, promptContext) => {
+      const info = {};
+      infos.push(info);
+      return convertUnit(code, name, { conversionInfo: info, promptContext });
+    };
+
+    const outputs = [];
+    const entries = [];
+    let pending = null;
+    const flush = async () => {
+      if (pending) {
+        outputs.push(await convert(oracleCode.slice(pending.start, pending.end), fileName));
+        pending = null;
+      }
+    };
+
+    for (const statement of parseStatements(oracleCode, { dialect: 'oracle' })) {
+      if (statement.kind !== 'CREATE_TRIGGER') {
+        pending = pending ? { start: pending.start, end: statement.end } : { start: statement.start, end: statement.end };
+        continue;
+      }
+      await flush();
+      const { code, entry } = await this.convertTrigger(this.parse(statement), fileName, convert);
+      outputs.push(code);
+      entries.push(entry);
+    }
+    await flush();
+
+    if (conversionInfo) {
+      const merged = mergeConversionInfo(infos);
+      Object.assign(conversionInfo, {
+        ...merged,
+        // Manual triggers are written out without a conversion call
+        method: merged.method || 'rules',
+        triggers: entries
+      });
+    }
+    return outputs.filter(output => output && output.trim()).join('\n\n');
+  }
+
+  async convertTrigger(trigger, fileName, convertUnit) {
+    const qualified = `${trigger.schema ? `${trigger.schema}.` : ''}${trigger.name}`;
+    const body = trigger.kind === 'dml' ? this.analyzeBody(trigger) : null;
+    const { status, notes } = this.assess(trigger, body);
+    const entry = {
+      trigger: qualified,
+      table: trigger.table,
+      file: fileName,
+      line: trigger.line,
+      timing: trigger.timing,
+      events: trigger.events,
+      level: trigger.rowLevel ? 'row' : 'statement',
+      status,
+      convertedTo: null,
+      notes
+    };
+    const header = [
+      `-- Trigger ${qualified}: ${trigger.timing} ${trigger.events.join(' OR ') || 'event'} ON ${trigger.table || 'SCHEMA/DATABASE'}` +
+        `${trigger.rowLevel ? ' FOR EACH ROW' : ''} (${status})`,
+      ...notes.map(note => `-- ${note}`)
+    ].join('\n');
+
+    if (status === 'manual') {
+      log.info(`⏭️ Trigger ${qualified} not converted`, { fileName, reason: notes[notes.length - 1] });
+      return { code: header, entry };
+    }
+
+    log.info(`⚡ Converting trigger ${qualified} to a stream and task`, { fileName, table: trigger.table });
+    entry.convertedTo = {
+      stream: this.getObjectName(trigger, 'STREAM'),
+      changesTable: this.getObjectName(trigger, 'CHANGES'),
+      handler: this.getObjectName(trigger, 'HANDLER'),
+      procedure: this.getObjectName(trigger, 'PROC'),
+      task: this.getObjectName(trigger, 'TASK')
+    };
+    const handler = await convertUnit(this.buildHandlerCode(trigger), `${fileName} (trigger ${trigger.name})`, this.buildContext(trigger));
+    return {
+      code: [header, this.renderCapture(trigger), handler, this.renderProcedure(trigger), this.renderTask(trigger)]
+        .filter(part => part && part.trim()).join('\n\n'),
+      entry
+    };
+  }
+
+  // Stream on the base table and the change table it is drained into
+  renderCapture(trigger) {
+    return `CREATE OR REPLACE STREAM ${this.getObjectName(trigger, 'STREAM')} ON TABLE ${trigger.table};
+
+CREATE TABLE IF NOT EXISTS ${this.getObjectName(trigger, 'CHANGES')} (
+    change_id NUMBER AUTOINCREMENT,
+    dml_event VARCHAR,
+    new_row VARIANT,
+    old_row VARIANT,
+    captured_at TIMESTAMP_NTZ DEFAULT CURRENT_TIMESTAMP(),
+    error_message VARCHAR
+);`;
+  }
+
+  /**
+   * Driver procedure run by the task. It drains the stream into the change table (an UPDATE is a
+   * DELETE and an INSERT row with the same METADATA$ROW_ID, paired back into OLD/NEW) and calls the
+   * handler per change, or once per DML event for statement triggers. Failed changes are kept.
+   */
+  renderProcedure(trigger) {
+    const stream = this.getObjectName(trigger, 'STREAM');
+    const changes = this.getObjectName(trigger, 'CHANGES');
+    const handler = this.getObjectName(trigger, 'HANDLER');
+    const events = trigger.events.map(event => `'${event}'`).join(', ');
+    const columnFilter = trigger.updateColumns.length > 0
+      ? `\n      AND (dml_event <> 'UPDATE' OR ${trigger.updateColumns
+        .map(column => `NOT EQUAL_NULL(new_row:${column.toUpperCase()}, old_row:${column.toUpperCase()})`).join(' OR ')})`
+      : '';
+
+    const loop = trigger.rowLevel
+      ? `    FOR change IN pending DO
+        change_id := change.change_id;
+        dml_event := change.dml_event;
+        new_row := change.new_row;
+        old_row := change.old_row;
+        BEGIN
+            CALL ${handler}(:dml_event, :new_row, :old_row);
+            DELETE FROM ${changes} WHERE change_id = :change_id;
+            processed := processed + 1;
+        EXCEPTION
+            WHEN OTHER THEN
+                UPDATE ${changes} SET error_message = :SQLERRM WHERE change_id = :change_id;
+                failed := failed + 1;
+        END;
+    END FOR;`
+      : `    FOR change IN pending DO
+        dml_event := change.dml_event;
+        BEGIN
+            CALL ${handler}(:dml_event);
+            DELETE FROM ${changes} WHERE dml_event = :dml_event AND error_message IS NULL;
+            processed := processed + 1;
+        EXCEPTION
+            WHEN OTHER THEN
+                UPDATE ${changes} SET error_message = :SQLERRM WHERE dml_event = :dml_event AND error_message IS NULL;
+                failed := failed + 1;
+        END;
+    END FOR;`;
+    const cursor = trigger.rowLevel
+      ? `SELECT change_id, dml_event, new_row, old_row FROM ${changes} WHERE error_message IS NULL ORDER BY change_id`
+      : `SELECT DISTINCT dml_event FROM ${changes} WHERE error_message IS NULL`;
+
+    return `CREATE OR REPLACE PROCEDURE ${this.getObjectName(trigger, 'PROC')}()
+RETURNS VARCHAR
+LANGUAGE SQL
+AS
+$$
+DECLARE
+    processed INTEGER DEFAULT 0;
+    failed INTEGER DEFAULT 0;
+    change_id NUMBER;
+    dml_event VARCHAR;
+    new_row VARIANT;
+    old_row VARIANT;
+    pending CURSOR FOR ${cursor};
+BEGIN
+    INSERT INTO ${changes} (dml_event, new_row, old_row)
+    SELECT dml_event, new_row, old_row
+    FROM (
+        SELECT
+            CASE WHEN n.METADATA$ROW_ID IS NULL THEN 'DELETE' WHEN o.METADATA$ROW_ID IS NULL THEN 'INSERT' ELSE 'UPDATE' END AS dml_event,
+            IFF(n.METADATA$ROW_ID IS NULL, NULL, OBJECT_CONSTRUCT(n.*)) AS new_row,
+            IFF(o.METADATA$ROW_ID IS NULL, NULL, OBJECT_CONSTRUCT(o.*)) AS old_row
+        FROM (SELECT * FROM ${stream} WHERE METADATA$ACTION = 'INSERT') n
+        FULL OUTER JOIN (SELECT * FROM ${stream} WHERE METADATA$ACTION = 'DELETE') o
+            ON n.METADATA$ROW_ID = o.METADATA$ROW_ID
+    )
+    WHERE dml_event IN (${events})${columnFilter};
+${loop}
+    RETURN processed || ' processed, ' || failed || ' failed';
+END;
+$$;`;
+  }
+
+  renderTask(trigger) {
+    const task = this.getObjectName(trigger, 'TASK');
+    return `CREATE OR REPLACE TASK ${task}
+    WAREHOUSE = ${config.snowflake.taskWarehouse}
+    SCHEDULE = '${config.snowflake.taskSchedule}'
+WHEN SYSTEM$STREAM_HAS_DATA('${this.getObjectName(trigger, 'STREAM')}')
+AS
+    CALL ${this.getObjectName(trigger, 'PROC')}();
+
+ALTER TASK ${task} RESUME;`;
+  }
+
+  // trigger_report.json for a zip: every trigger converted in the job, by file
+  buildReport(convertedFiles) {
+    const triggers = convertedFiles.flatMap(f => f.triggers || []);
+    const summary = {};
+    for (const entry of triggers) {
+      summary[entry.status] = (summary[entry.status] || 0) + 1;
+    }
+    return { name: REPORT_NAME, content: JSON.stringify({ generatedAt: new Date().toISOString(), summary, triggers }, null, 2) };
+  }
+}
+
+module.exports = new OracleTriggerService();
@@ -1,6 +1,22 @@
+const crypto = require('crypto');
+const jobRepository = require('./jobRepository');
+const checkpointService = require('./checkpointService');
+const config = require('../config');
+const { createModuleLogger } = require('../utils/logger');
+const log = createModuleLogger('services/progressService');
+
 class ProgressService {
   constructor() {
+    // In-memory cache of active/recent jobs; jobRepository holds the durable copy
     this.jobs = new Map();
+    // jobId -> Set of callbacks registered by running worker pools
+    this.cancelHandlers = new Map();
+  }
+
+  persist(job) {
+    if (job) {
+      jobRepository.save(job);
+    }
   }
 
   // Emit progress update via WebSocket
@@ -16,7 +32,8 @@ class ProgressService {
         createdAt: job.createdAt,
         updatedAt: job.updatedAt,
         completedAt: job.completedAt,
-        failedAt: job.failedAt
+        failedAt: job.failedAt,
+        cancelledAt: job.cancelledAt
       });
       
       // Also emit to all connected clients without job ID requirement
@@ -36,7 +53,8 @@ class ProgressService {
             createdAt: job.createdAt,
             updatedAt: job.updatedAt,
             completedAt: job.completedAt,
-            failedAt: job.failedAt
+            failedAt: job.failedAt,
+            cancelledAt: job.cancelledAt
           });
         } else {
           console.log('⚠️ emitProgressUpdateToAll method not available, using emitToAll instead');
@@ -51,16 +69,32 @@ class ProgressService {
             createdAt: job.createdAt,
             updatedAt: job.updatedAt,
             completedAt: job.completedAt,
-            failedAt: job.failedAt
+            failedAt: job.failedAt,
+            cancelledAt: job.cancelledAt
           });
         }
       }
     }
   }
 
-  createJob(jobId) {
+  /**
+   * Unique job ID `<prefix>_<timestamp>_<random>`: converting the same zip again starts a new job
+   * instead of overwriting the history of the earlier one
+   */
+  createJobId(prefix) {
+    return `${prefix}_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  /**
+   * @param {string} jobId - from createJobId (retries reuse the ID of the job they resume)
+   * @param {Object} options - { type, user } where type is the job kind used by the history filter
+   *   (unified, batch, human-readable, idmc, idmc-summary-json, oracle-snowflake) and user is the decoded JWT payload (req.user)
+   */
+  createJob(jobId, options = {}) {
+    const user = options.user;
     const job = {
       id: jobId,
+      type: options.type,
       status: 'pending',
       progress: 0,
       currentStep: '',
@@ -69,12 +103,22 @@ class ProgressService {
         { name: 'Converting to target format (Snowflake/IDMC)', progress: 0 },
         { name: 'Packaging conversion results', progress: 0 }
       ],
+      files: [],
+      outputFiles: [],
       result: null,
+      // Oracle → Snowflake jobs: cross-file dependency graph from the analysis step
+      dependencyGraph: null,
       error: null,
+      submittedBy: user ? {
+        id: user.id ? String(user.id) : undefined,
+        email: user.email,
+        name: [user.firstName, user.lastName].filter(Boolean).join(' ') || undefined
+      } : null,
       createdAt: new Date()
     };
     
     this.jobs.set(jobId, job);
+    this.persist(job);
     this.emitProgressUpdate(jobId, job);
     return job;
   }
@@ -84,6 +128,7 @@ class ProgressService {
     if (job) {
       Object.assign(job, updates);
       job.updatedAt = new Date();
+      this.persist(job);
       this.emitProgressUpdate(jobId, job);
     }
     return job;
@@ -95,7 +140,11 @@ class ProgressService {
       job.steps[stepIndex].progress = progress;
       job.progress = this.calculateOverallProgress(job);
       job.currentStep = currentStep || job.steps[stepIndex].name;
+      if (job.status === 'pending') {
+        job.status = 'running';
+      }
       job.updatedAt = new Date();
+      this.persist(job);
       this.emitProgressUpdate(jobId, job);
     }
     return job;
@@ -110,11 +159,24 @@ class ProgressService {
   completeJob(jobId, result) {
     const job = this.jobs.get(jobId);
     if (job) {
-      job.status = 'completed';
-      job.progress = 100;
+      // A cancelled job still records its partial result but keeps the cancelled status
+      if (job.status !== 'cancelled') {
+        job.status = 'completed';
+        job.progress = 100;
+      } else if (result && typeof result === 'object') {
+        result.cancelled = true;
+      }
       job.result = result;
+      job.files = this.extractFileResults(result);
+      job.outputFiles = this.extractOutputFiles(result);
       job.completedAt = new Date();
+      job.updatedAt = job.completedAt;
+      this.persist(job);
       this.emitProgressUpdate(jobId, job);
+      // Nothing left to retry: drop the checkpointed file contents
+      if (job.status === 'completed' && !job.files.some(f => f.status === 'failed')) {
+        this.clearCheckpoints(jobId);
+      }
     }
     return job;
   }
@@ -122,32 +184,215 @@ class ProgressService {
   failJob(jobId, error) {
     const job = this.jobs.get(jobId);
     if (job) {
-      job.status = 'failed';
+      if (job.status !== 'cancelled') {
+        job.status = 'failed';
+        job.failedAt = new Date();
+      }
       job.error = error;
-      job.failedAt = new Date();
+      job.updatedAt = new Date();
+      this.persist(job);
       this.emitProgressUpdate(jobId, job);
     }
     return job;
   }
 
+  // Record the outcome of a single file while the job is running (replaces an earlier entry)
+  recordFileResult(jobId, fileResult) {
+    const job = this.jobs.get(jobId);
+    if (job) {
+      job.files = (job.files || []).filter(f => f.fileName !== fileResult.fileName);
+      job.files.push(fileResult);
+      job.updatedAt = new Date();
+      this.persist(job);
+    }
+    return job;
+  }
+
+  /**
+   * Record a finished file of a checkpointed zip job; successful outputs are checkpointed so a retry can skip them.
+   * @returns {Promise<void>} resolves once the checkpoint is written; checkpoint failures are logged, never thrown
+   */
+  checkpointFile(jobId, relativePath, result) {
+    const failed = result.success === false;
+    this.recordFileResult(jobId, {
+      fileName: relativePath,
+      status: failed ? 'failed' : 'completed',
+      error: failed ? result.error : undefined
+    });
+    if (failed) {
+      return Promise.resolve();
+    }
+    return checkpointService.saveFile(jobId, relativePath, result).catch(error => {
+      log.warn(`⚠️ Failed to checkpoint ${relativePath} for job ${jobId}`, { error: error.message });
+    });
+  }
+
+  clearCheckpoints(jobId) {
+    return checkpointService.clearJob(jobId).catch(error => {
+      log.warn(`⚠️ Failed to remove checkpoints of job ${jobId}`, { error: error.message });
+    });
+  }
+
+  // Per-file outcome from the standard zip result shape ({ results: [{ fileName, success }] })
+  extractFileResults(result) {
+    if (!result || !Array.isArray(result.results)) {
+      return [];
+    }
+    return result.results.map(r => ({
+      fileName: r.fileName || 'unknown',
+      status: r.success === false ? 'failed' : 'completed',
+      outputPath: r.outputPath,
+      error: r.error
+    }));
+  }
+
+  extractOutputFiles(result) {
+    if (!result) {
+      return [];
+    }
+    const files = [];
+    if (result.zipFilePath) {
+      files.push(result.zipFilePath);
+    }
+    if (Array.isArray(result.outputFiles)) {
+      files.push(...result.outputFiles.filter(f => typeof f === 'string'));
+    } else if (result.outputFiles && typeof result.outputFiles === 'object') {
+      files.push(...Object.values(result.outputFiles).filter(f => typeof f === 'string'));
+    }
+    return files;
+  }
+
+  /**
+   * Request cancellation of a running job. Registered handlers (worker pools) drain their
+   * queues and terminate workers; the owning handler then packages partial outputs.
+   * Returns the job, or null when it is not running in this process.
+   */
+  cancelJob(jobId, reason = 'Cancelled by user') {
+    const job = this.jobs.get(jobId);
+    if (!job || !['pending', 'running'].includes(job.status)) {
+      return null;
+    }
+
+    job.status = 'cancelled';
+    job.error = reason;
+    job.cancelledAt = new Date();
+    job.updatedAt = job.cancelledAt;
+    this.persist(job);
+    this.emitProgressUpdate(jobId, job);
+
+    const handlers = this.cancelHandlers.get(jobId);
+    if (handlers) {
+      for (const handler of handlers) {
+        try {
+          handler(reason);
+        } catch (error) {
+          log.error(`❌ Cancel handler failed for job ${jobId}`, { error: error.message });
+        }
+      }
+    }
+    return job;
+  }
+
+  isCancelled(jobId) {
+    const job = this.jobs.get(jobId);
+    return Boolean(job && job.status === 'cancelled');
+  }
+
+  /**
+   * Register a callback run when the job is cancelled (immediately if it already was).
+   * Returns a function that unregisters it.
+   */
+  onCancel(jobId, handler) {
+    if (this.isCancelled(jobId)) {
+      handler(this.jobs.get(jobId).error);
+      return () => {};
+    }
+    if (!this.cancelHandlers.has(jobId)) {
+      this.cancelHandlers.set(jobId, new Set());
+    }
+    const handlers = this.cancelHandlers.get(jobId);
+    handlers.add(handler);
+    return () => {
+      handlers.delete(handler);
+      if (handlers.size === 0) {
+        this.cancelHandlers.delete(jobId);
+      }
+    };
+  }
+
+  /**
+   * Admins can see and manage any job; other users the jobs they submitted and the jobs without
+   * an owner (submitted through routes that take no token, as any signed-in user could before)
+   */
+  canUserManageJob(job, user) {
+    if (!user) {
+      return false;
+    }
+    if (user.role === 'admin') {
+      return true;
+    }
+    if (!job.submittedBy || !job.submittedBy.id) {
+      return true;
+    }
+    return job.submittedBy.id === String(user.id);
+  }
+
   getJob(jobId) {
     return this.jobs.get(jobId);
   }
 
-  deleteJob(jobId) {
-    return this.jobs.delete(jobId);
+  /**
+   * Look up a job in memory first, then in the persistent store (e.g. after a restart)
+   */
+  async findJob(jobId) {
+    const cached = this.jobs.get(jobId);
+    if (cached) {
+      return cached;
+    }
+    return jobRepository.findById(jobId);
+  }
+
+  /**
+   * List jobs with filtering and pagination.
+   * @param {Object} filters - { status, type, userId, from, to }
+   * @param {Object} pagination - { page, limit }
+   */
+  async listJobs(filters = {}, pagination = {}) {
+    if (jobRepository.isEnabled()) {
+      return jobRepository.list(filters, pagination);
+    }
+
+    const page = pagination.page || 1;
+    const limit = pagination.limit || 20;
+    const from = filters.from ? new Date(filters.from) : null;
+    const to = filters.to ? new Date(filters.to) : null;
+
+    const matching = this.getAllJobs()
+      .filter(job => !filters.status || job.status === filters.status)
+      .filter(job => !filters.type || job.type === filters.type)
+      .filter(job => !filters.userId || (job.submittedBy && job.submittedBy.id === filters.userId))
+      .filter(job => !from || job.createdAt >= from)
+      .filter(job => !to || job.createdAt <= to)
+      .sort((a, b) => b.createdAt - a.createdAt);
+
+    const jobs = matching
+      .slice((page - 1) * limit, page * limit)
+      .map(({ result: _result, dependencyGraph: _dependencyGraph, ...summary }) => summary);
+
+    return { jobs, total: matching.length };
   }
 
   getAllJobs() {
     return Array.from(this.jobs.values());
   }
 
-  // Clean up old jobs (older than 1 hour)
+  // Evict finished jobs from the in-memory cache; persisted history is kept
   cleanup() {
-    const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
+    const cutoff = new Date(Date.now() - config.jobs.cacheTtlMinutes * 60 * 1000);
     
     for (const [jobId, job] of this.jobs.entries()) {
-      if (job.createdAt < oneHourAgo) {
+      const finished = ['completed', 'failed', 'cancelled'].includes(job.status);
+      if (finished && job.createdAt < cutoff) {
         this.jobs.delete(jobId);
       }
     }
@@ -0,0 +1,119 @@
+const llmService = require('./llmService');
+const conversionCacheService = require('./conversionCacheService');
+const redshiftRuleConversionService = require('./redshiftRuleConversionService');
+const oracleConversionService = require('./oracleConversionService');
+const chunkedConversionService = require('./chunkedConversionService');
+const { createModuleLogger } = require('../utils/logger');
+const log = createModuleLogger('services/redshiftConversionService');
+
+const SYSTEM_PROMPT = `You are a database migration specialist. Convert Amazon Redshift SQL and Redshift stored procedures (PL/pgSQL) into Snowflake SQL and Snowflake Scripting.
+
+CRITICAL REQUIREMENTS - FOLLOW EXACTLY:
+1. Maintain logical flow and preserve all business logic
+2. Keep schema object names consistent
+3. Output ONLY clean, executable Snowflake code - NO comments about the conversion, headers, explanations or markdown fences
+4. Every statement ends with a semicolon
+
+TABLE DDL:
+- Remove DISTSTYLE, DISTKEY, SORTKEY (COMPOUND/INTERLEAVED), ENCODE and BACKUP clauses
+- Keep IDENTITY(seed, step); GENERATED BY DEFAULT AS IDENTITY becomes IDENTITY
+- VARCHAR(MAX) becomes VARCHAR, SUPER becomes VARIANT, TIMESTAMPTZ becomes TIMESTAMP_TZ, TIMESTAMP WITHOUT TIME ZONE becomes TIMESTAMP_NTZ
+- Drop VACUUM and ANALYZE statements
+
+LOADING AND UNLOADING:
+- COPY <table> FROM 's3://bucket/path' becomes COPY INTO <table> FROM @<bucket>_stage/path with an inline FILE_FORMAT; assume an external stage named <bucket>_stage exists and do not create it
+- Drop IAM_ROLE, CREDENTIALS, ACCESS_KEY_ID and SECRET_ACCESS_KEY (the stage's storage integration provides access)
+- Map COPY options: FORMAT AS CSV/JSON/PARQUET/AVRO/ORC -> TYPE; DELIMITER -> FIELD_DELIMITER; IGNOREHEADER n -> SKIP_HEADER = n; GZIP/BZIP2/ZSTD -> COMPRESSION; NULL AS -> NULL_IF; EMPTYASNULL -> EMPTY_FIELD_AS_NULL = TRUE; DATEFORMAT/TIMEFORMAT -> DATE_FORMAT/TIMESTAMP_FORMAT; MAXERROR -> ON_ERROR = CONTINUE; REMOVEQUOTES/CSV QUOTE AS -> FIELD_OPTIONALLY_ENCLOSED_BY; MANIFEST -> FILES or PATTERN
+- UNLOAD ('<query>') TO 's3://bucket/prefix' becomes COPY INTO @<bucket>_stage/prefix FROM (<query>) with FILE_FORMAT; HEADER -> HEADER = TRUE; PARALLEL OFF -> SINGLE = TRUE; ALLOWOVERWRITE -> OVERWRITE = TRUE; MAXFILESIZE -> MAX_FILE_SIZE in bytes
+
+FUNCTIONS:
+- GETDATE() and SYSDATE become CURRENT_TIMESTAMP()
+- Keep functions Snowflake shares with Redshift (NVL, DATEADD, DATEDIFF, DATE_TRUNC, LISTAGG, CONVERT_TIMEZONE, LEN)
+- JSON_EXTRACT_PATH_TEXT(col, 'a', 'b') becomes col:a:b::VARCHAR (after PARSE_JSON when col is text); JSON_PARSE becomes PARSE_JSON
+- APPROXIMATE COUNT(DISTINCT x) becomes APPROX_COUNT_DISTINCT(x)
+
+SYSTEM TABLES:
+- Replace STL_/SVL_/STV_/SVV_ views with the closest SNOWFLAKE.ACCOUNT_USAGE or INFORMATION_SCHEMA view: STL_QUERY/SVL_QLOG -> QUERY_HISTORY, STL_LOAD_ERRORS/STL_LOAD_COMMITS -> COPY_HISTORY, SVV_TABLE_INFO -> INFORMATION_SCHEMA.TABLES, SVV_COLUMNS -> INFORMATION_SCHEMA.COLUMNS, STV_LOCKS/STL_TR_CONFLICT -> SHOW LOCKS
+- Rename selected columns to their Snowflake equivalents
+
+STORED PROCEDURES (LANGUAGE plpgsql):
+- Convert to Snowflake Scripting: CREATE OR REPLACE PROCEDURE name(arg TYPE, ...) RETURNS VARCHAR LANGUAGE SQL AS $$ DECLARE ... BEGIN ... END; $$;
+- ALWAYS include complete parameter declarations and a RETURNS clause; OUT/INOUT parameters become the return value (RETURNS TABLE or OBJECT for several)
+- Positional references ($1, $2) become the parameter names
+- Variables are referenced with a colon prefix (:var) inside SQL statements
+- EXECUTE '<sql>' becomes EXECUTE IMMEDIATE; FOR rec IN SELECT ... LOOP becomes a cursor FOR loop
+- GET DIAGNOSTICS n := ROW_COUNT and FOUND become SQLROWCOUNT / SQLFOUND
+- RAISE INFO/NOTICE becomes SYSTEM$LOG('info', ...); RAISE EXCEPTION becomes a declared EXCEPTION that is RAISEd
+- Keep COMMIT and ROLLBACK; drop SET search_path (qualify names instead)`;
+
+/**
+ * Redshift → Snowflake conversion: deterministic rules first, then the LLM for procedures,
+ * COPY/UNLOAD, system tables and anything else the rules cannot resolve.
+ */
+class RedshiftConversionService {
+  /**
+   * @param {string} redshiftCode
+   * @param {string} fileName
+   * @param {Object} [options]
+   * @param {Object} [options.cacheStats] - per-file cache counters, incremented in place
+   * @param {Object} [options.conversionInfo] - receives { method, rules, unresolved }
+   * @returns {Promise<string>} Snowflake code
+   */
+  async convertRedshiftToSnowflake(redshiftCode, fileName, options = {}) {
+    const prePass = redshiftRuleConversionService.convert(redshiftCode);
+    if (options.conversionInfo) {
+      Object.assign(options.conversionInfo, {
+        method: prePass.complete ? 'rules' : 'llm',
+        rules: prePass.rules,
+        unresolved: prePass.unresolved
+      });
+    }
+    if (prePass.complete) {
+      return prePass.code;
+    }
+
+    const { PROMPT_VERSIONS } = conversionCacheService;
+    const cacheSource = conversionCacheService.promptSource(fileName, redshiftCode);
+    const cached = await conversionCacheService.get('snowflake', PROMPT_VERSIONS.redshiftToSnowflake, cacheSource, options.cacheStats);
+    if (cached !== null) {
+      return cached;
+    }
+
+    if (!llmService.isConfigured()) {
+      throw new Error('LLM provider not configured');
+    }
+
+    log.info(`🔄 Converting Redshift → Snowflake: ${fileName}`, { unresolved: prePass.unresolved });
+    const response = await llmService.createChatCompletion({
+      messages: [
+        { role: 'system', content: SYSTEM_PROMPT },
+        {
+          role: 'user',
+          content: `Convert the following Redshift code to Snowflake. Keep schema object names consistent.
+
+Original File: ${fileName}
+
+Redshift Code:
+${prePass.code}`
+        }
+      ],
+      max_tokens: 4000,
+      temperature: 0.1
+    });
+
+    // Same clean-up as the Oracle output (markdown fences, explanatory lines)
+    const snowflakeCode = oracleConversionService.cleanSnowflakeCode(response.choices[0].message.content, fileName);
+    // An answer cut off at max_tokens is flagged on the file and never cached
+    if (chunkedConversionService.isTruncated(response)) {
+      log.warn(`⚠️ LLM response for ${fileName} was truncated at max_tokens`);
+      if (options.conversionInfo) {
+        options.conversionInfo.truncated = [fileName];
+      }
+      return snowflakeCode;
+    }
+    await conversionCacheService.set('snowflake', PROMPT_VERSIONS.redshiftToSnowflake, cacheSource, snowflakeCode, fileName);
+    return snowflakeCode;
+  }
+}
+
+module.exports = new RedshiftConversionService();
@@ -0,0 +1,107 @@
+/**
+ * Deterministic Redshift → Snowflake translator for the mechanical cases (distribution/sort
+ * keys, column encodings, GETDATE/SYSDATE, IDENTITY, Redshift-only type names, VACUUM/ANALYZE).
+ * Like the Oracle rules it runs before the LLM: plain DDL/DML that needs nothing else is
+ * returned as-is, and procedures, COPY/UNLOAD and system-table queries go to the model
+ * already pre-translated.
+ *
+ * Rules run on a masked copy of the code (string literals, `$$` bodies, quoted identifiers and
+ * comments replaced by placeholders), so their contents are never rewritten.
+ */
+
+const { parseStatements } = require('../utils/sqlParser');
+const oracleRuleConversionService = require('./oracleRuleConversionService');
+
+// Redshift SQL the rules do not translate
+const UNSUPPORTED_PATTERNS = [
+  { name: 'COPY', pattern: /^\s*COPY\s+[\w."]+(?:\s*\([^)]*\))?\s+FROM\b/im },
+  { name: 'UNLOAD', pattern: /^\s*UNLOAD\s*\(/im },
+  { name: 'system tables', pattern: /\b(?:STL|SVL|STV|SVV)_\w+/i },
+  { name: 'CREATE LIBRARY', pattern: /\bCREATE\s+(?:OR\s+REPLACE\s+)?LIBRARY\b/i },
+  { name: 'plpythonu', pattern: /\bLANGUAGE\s+plpythonu\b/i },
+  { name: 'external schema/table', pattern: /\bCREATE\s+EXTERNAL\s+(?:SCHEMA|TABLE)\b/i },
+  { name: 'GRANT to group', pattern: /\bTO\s+GROUP\b/i },
+  { name: 'SUPER navigation', pattern: /\bPARTIQL\b|\bJSON_PARSE\s*\(/i },
+  { name: 'HLLSKETCH', pattern: /\bHLLSKETCH\b|\bHLL_\w+\s*\(/i },
+  { name: 'APPROXIMATE', pattern: /\bAPPROXIMATE\s+(?:COUNT|PERCENTILE_DISC)\b/i },
+  { name: 'date arithmetic', pattern: /CURRENT_TIMESTAMP\(\)\s*[-+](?!\s*INTERVAL\b)/i },
+  { name: 'POSIX regex operator', pattern: /~/ },
+  { name: 'SIMILAR TO', pattern: /\bSIMILAR\s+TO\b/i },
+  { name: 'CREATE TABLE (LIKE ...)', pattern: /\(\s*LIKE\s+[\w."]+/i },
+  { name: 'SELECT INTO table', pattern: /^\s*SELECT\b[^;]*\bINTO\s+(?:TEMP(?:ORARY)?\s+|TABLE\s+)?[\w."]+\s+FROM\b/im },
+  { name: 'Redshift-only functions', pattern: /\b(?:ISNULL|STRTOL|CONVERT|BTRIM|TEXTLEN)\s*\(/i }
+];
+
+class RedshiftRuleConversionService {
+  isProcedural(code) {
+    return parseStatements(code, { dialect: 'redshift' }).some(statement => statement.procedural);
+  }
+
+  /**
+   * Translate the mechanical Redshift constructs and decide whether the file still needs the LLM.
+   * @param {string} redshiftCode
+   * @returns {{ code: string, complete: boolean, rules: string[], unresolved: string[] }}
+   *   complete is true when the result is ready to run and no LLM call is needed
+   */
+  convert(redshiftCode) {
+    const { masked, literals } = oracleRuleConversionService.mask(redshiftCode || '', 'redshift');
+    const rules = new Set();
+    const unresolved = new Set();
+    const apply = (name, text, pattern, replacement) => {
+      const result = text.replace(pattern, replacement);
+      if (result !== text) {
+        rules.add(name);
+      }
+      return result;
+    };
+
+    let code = masked;
+
+    // Physical design: Snowflake manages distribution, sort order and compression itself
+    code = apply('diststyle', code, /\s+DISTSTYLE\s+(?:EVEN|KEY|ALL|AUTO)\b/gi, '');
+    code = apply('distkey', code, /\s+DISTKEY\s*\(\s*[\w"]+\s*\)/gi, '');
+    code = apply('distkey', code, /\s+DISTKEY\b/gi, '');
+    code = apply('sortkey', code, /\s+(?:COMPOUND\s+|INTERLEAVED\s+)?SORTKEY\s*\([^)]*\)/gi, '');
+    code = apply('sortkey', code, /\s+SORTKEY(?:\s+AUTO)?\b/gi, '');
+    code = apply('encode', code, /\s+ENCODE\s+\w+/gi, '');
+    code = apply('backup', code, /\s+BACKUP\s+(?:YES|NO)\b/gi, '');
+    code = apply('vacuum-analyze', code, /^[ \t]*(?:VACUUM|ANALYZE)\b[^;]*;[ \t]*(?:\r?\n)?/gim, '');
+
+    // Data types
+    code = apply('varchar-max', code, /\b(VARCHAR|CHARACTER\s+VARYING|NVARCHAR)\s*\(\s*MAX\s*\)/gi, '$1');
+    code = apply('integer-aliases', code, /\bINT2\b/gi, 'SMALLINT');
+    code = apply('integer-aliases', code, /\bINT4\b/gi, 'INTEGER');
+    code = apply('integer-aliases', code, /\bINT8\b/gi, 'BIGINT');
+    code = apply('bpchar', code, /\bBPCHAR\b/gi, 'CHAR');
+    code = apply('timestamp-types', code, /\bTIMESTAMP\s+WITHOUT\s+TIME\s+ZONE\b/gi, 'TIMESTAMP_NTZ');
+    code = apply('timestamp-types', code, /\bTIMESTAMP\s+WITH\s+TIME\s+ZONE\b/gi, 'TIMESTAMP_TZ');
+    code = apply('timestamp-types', code, /\bTIMESTAMPTZ\b/gi, 'TIMESTAMP_TZ');
+    code = apply('super', code, /(\w\s+)SUPER\b(?=\s*(?:,|\)|NOT\b|NULL\b|DEFAULT\b|$))/gim, '$1VARIANT');
+
+    // IDENTITY(seed, step) is valid Snowflake; only the ANSI wrapper needs to go
+    code = apply('identity', code, /\bGENERATED\s+(?:BY\s+DEFAULT|ALWAYS)\s+AS\s+IDENTITY\b/gi, 'IDENTITY');
+
+    // Functions; `GETDATE() - n` counts days like the Oracle `SYSDATE - n`
+    code = apply('getdate', code, /\b(?:GETDATE\s*\(\s*\)|SYSDATE\b(?!\s*\())\s*([-+])\s*(\d+(?:\.\d+)?)\b(?!\s*[*/])/gi,
+      (_, sign, days) => `DATEADD(day, ${sign === '-' ? '-' : ''}${days}, CURRENT_TIMESTAMP())`);
+    code = apply('getdate', code, /\bGETDATE\s*\(\s*\)/gi, 'CURRENT_TIMESTAMP()');
+    code = apply('sysdate', code, /\bSYSDATE\b(?!\s*\()/gi, 'CURRENT_TIMESTAMP()');
+    code = apply('timeofday', code, /\bTIMEOFDAY\s*\(\s*\)/gi, 'CURRENT_TIMESTAMP()::VARCHAR');
+
+    for (const { name, pattern } of UNSUPPORTED_PATTERNS) {
+      if (pattern.test(code)) {
+        unresolved.add(name);
+      }
+    }
+
+    const procedural = this.isProcedural(redshiftCode || '');
+    return {
+      code: oracleRuleConversionService.unmask(code, literals),
+      complete: !procedural && unresolved.size === 0,
+      rules: [...rules],
+      unresolved: procedural ? ['stored procedure', ...unresolved] : [...unresolved]
+    };
+  }
+}
+
+module.exports = new RedshiftRuleConversionService();
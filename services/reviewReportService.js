@@ -0,0 +1,414 @@
+const { Marked } = require('marked');
+const { tokenize, parseStatements } = require('../utils/sqlParser');
+const { createModuleLogger } = require('../utils/logger');
+const log = createModuleLogger('services/reviewReportService');
+
+const REPORT_NAME = 'review_report.html';
+
+// Source dialects the parser knows, with their column headings
+const SOURCE_LABELS = { oracle: 'Oracle', redshift: 'Redshift', tsql: 'SQL Server', teradata: 'Teradata' };
+
+function escapeHtml(value) {
+  return String(value === null || value === undefined ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// IDMC summaries come from the LLM: raw HTML in them is shown as text, not rendered
+const summaryMarkdown = new Marked({ renderer: { html: html => escapeHtml(html) } });
+
+// Token offsets and line splitting must agree, so CRLF is normalized up front
+function normalizeNewlines(text) {
+  return (text || '').replace(/\r\n/g, '\n');
+}
+
+function splitLines(text) {
+  return text.split('\n');
+}
+
+// Statement identity used to pair source and converted statements: CREATE PROCEDURE X ↔ CREATE PROCEDURE X
+function statementKey(statement) {
+  if (!statement.name) {
+    return null;
+  }
+  const type = (statement.objectType || statement.verb || '').replace(/ BODY$/, '');
+  return `${type}:${String(statement.name).toUpperCase()}`;
+}
+
+// Upper-cased words outside strings and comments, per line
+function wordsByLine(text, dialect) {
+  const words = new Map();
+  for (const token of tokenize(text, { dialect })) {
+    if (token.type !== 'word') {
+      continue;
+    }
+    if (!words.has(token.line)) {
+      words.set(token.line, []);
+    }
+    words.get(token.line).push(token);
+  }
+  return words;
+}
+
+/**
+ * Static HTML report putting each source file next to its Snowflake code or IDMC summary,
+ * so conversions can be reviewed and signed off offline, file by file.
+ */
+class ReviewReportService {
+  /**
+   * Normalize the convertedFiles entries of the Snowflake and IDMC flows.
+   * @param {Array<Object>} convertedFiles
+   * @param {string} target - snowflake | idmc
+   */
+  fromConvertedFiles(convertedFiles, target) {
+    return (convertedFiles || []).map(f => ({
+      fileName: f.original || f.converted || 'unknown',
+      convertedName: f.converted || null,
+      target,
+      sourceType: [f.sourceType, f.detectedType, f.redshiftContent ? 'redshift' : null].find(type => SOURCE_LABELS[type]) || 'oracle',
+      source: normalizeNewlines(f.oracleContent || f.redshiftContent || f.originalContent),
+      converted: normalizeNewlines((target === 'idmc' ? f.idmcContent : f.snowflakeContent) || f.convertedContent),
+      success: f.success !== false,
+      error: f.error || null,
+      conversionMethod: f.conversionMethod || null,
+      rulesApplied: f.rulesApplied || [],
+      repaired: f.repaired === true,
+      diagnostics: f.validation ? f.validation.diagnostics : []
+    }));
+  }
+
+  /**
+   * Zip entry for createSnowflakeZipFile / createIDMCZipFile.
+   * @param {Array<Object>} reviewFiles - output of fromConvertedFiles
+   * @returns {{ name: string, content: string }}
+   */
+  buildZipEntry(reviewFiles) {
+    log.info(`🔎 Building review report for ${reviewFiles.length} files`);
+    return { name: REPORT_NAME, content: this.buildHtml(reviewFiles) };
+  }
+
+  /**
+   * Pair source and converted statements. Statements creating the same object are matched first
+   * (in order); the statements between two matches are paired by position.
+   * @returns {Array<{ source: Object|null, converted: Object|null }>}
+   */
+  alignStatements(sourceStatements, convertedStatements) {
+    const anchors = [];
+    let nextConverted = 0;
+    for (let i = 0; i < sourceStatements.length; i++) {
+      const key = statementKey(sourceStatements[i]);
+      if (!key) {
+        continue;
+      }
+      for (let j = nextConverted; j < convertedStatements.length; j++) {
+        if (statementKey(convertedStatements[j]) === key) {
+          anchors.push([i, j]);
+          nextConverted = j + 1;
+          break;
+        }
+      }
+    }
+    anchors.push([sourceStatements.length, convertedStatements.length]);
+
+    const pairs = [];
+    let si = 0;
+    let ci = 0;
+    for (const [sAnchor, cAnchor] of anchors) {
+      while (si < sAnchor || ci < cAnchor) {
+        pairs.push({
+          source: si < sAnchor ? sourceStatements[si++] : null,
+          converted: ci < cAnchor ? convertedStatements[ci++] : null
+        });
+      }
+      if (sAnchor < sourceStatements.length) {
+        pairs.push({ source: sourceStatements[si++], converted: convertedStatements[ci++] });
+      }
+    }
+    return pairs;
+  }
+
+  /**
+   * Split both files into aligned rows of line ranges. Lines between statements (comments,
+   * blank lines) stay with the statement that follows them, so every line is shown once.
+   */
+  buildRows(file) {
+    const sourceDialect = file.sourceType;
+    const sourceLines = splitLines(file.source);
+    const convertedLines = splitLines(file.converted);
+    const pairs = this.alignStatements(
+      parseStatements(file.source, { dialect: sourceDialect }),
+      parseStatements(file.converted, { dialect: 'snowflake' })
+    );
+
+    const rows = [];
+    let sourceNext = 1;
+    let convertedNext = 1;
+    for (const pair of pairs) {
+      const row = { label: this.describePair(pair), source: null, converted: null };
+      if (pair.source) {
+        row.source = { from: sourceNext, to: Math.max(sourceNext, pair.source.endLine) };
+        sourceNext = row.source.to + 1;
+      }
+      if (pair.converted) {
+        row.converted = { from: convertedNext, to: Math.max(convertedNext, pair.converted.endLine) };
+        convertedNext = row.converted.to + 1;
+      }
+      rows.push(row);
+    }
+
+    // Trailing comments / blank lines
+    const trailing = { label: '', source: null, converted: null };
+    if (sourceNext <= sourceLines.length && sourceLines.slice(sourceNext - 1).some(line => line.trim())) {
+      trailing.source = { from: sourceNext, to: sourceLines.length };
+    }
+    if (convertedNext <= convertedLines.length && convertedLines.slice(convertedNext - 1).some(line => line.trim())) {
+      trailing.converted = { from: convertedNext, to: convertedLines.length };
+    }
+    if (trailing.source || trailing.converted) {
+      rows.push(trailing);
+    }
+    return { rows, sourceLines, convertedLines, sourceDialect };
+  }
+
+  describePair(pair) {
+    const statement = pair.source || pair.converted;
+    const parts = [statement.verb, statement.objectType, statement.qualifiedName].filter(Boolean);
+    return parts.join(' ');
+  }
+
+  /**
+   * Words present on one side of a row but not on the other are what the conversion rewrote.
+   * @returns {{ source: Set<string>, converted: Set<string> }} token keys `line:start` to highlight
+   */
+  findRewrites(row, sourceWords, convertedWords) {
+    const collect = (range, words) => {
+      const tokens = [];
+      if (!range) {
+        return tokens;
+      }
+      for (let line = range.from; line <= range.to; line++) {
+        tokens.push(...(words.get(line) || []));
+      }
+      return tokens;
+    };
+    const sourceTokens = collect(row.source, sourceWords);
+    const convertedTokens = collect(row.converted, convertedWords);
+    const result = { source: new Set(), converted: new Set() };
+    // A statement with no counterpart is dropped or added as a whole, which the empty cell already shows
+    if (!row.source || !row.converted) {
+      return result;
+    }
+
+    const sourceSet = new Set(sourceTokens.map(token => token.value.toUpperCase()));
+    const convertedSet = new Set(convertedTokens.map(token => token.value.toUpperCase()));
+    for (const token of sourceTokens) {
+      if (!convertedSet.has(token.value.toUpperCase())) {
+        result.source.add(`${token.line}:${token.start}`);
+      }
+    }
+    for (const token of convertedTokens) {
+      if (!sourceSet.has(token.value.toUpperCase())) {
+        result.converted.add(`${token.line}:${token.start}`);
+      }
+    }
+    return result;
+  }
+
+  renderCode(lines, range, words, highlights, diagnosticsByLine) {
+    if (!range) {
+      return '<td class="code empty"></td>';
+    }
+    // Line start offsets, to map token offsets back to columns
+    const offsets = [0];
+    for (let i = 0; i < lines.length; i++) {
+      offsets.push(offsets[i] + lines[i].length + 1);
+    }
+
+    const rendered = [];
+    for (let line = range.from; line <= range.to && line <= lines.length; line++) {
+      const content = lines[line - 1];
+      const lineStart = offsets[line - 1];
+      let html = '';
+      let cursor = 0;
+      for (const token of words.get(line) || []) {
+        if (!highlights.has(`${token.line}:${token.start}`)) {
+          continue;
+        }
+        const from = token.start - lineStart;
+        html += escapeHtml(content.slice(cursor, from)) + `<mark>${escapeHtml(token.value)}</mark>`;
+        cursor = from + token.value.length;
+      }
+      html += escapeHtml(content.slice(cursor));
+
+      const diagnostics = diagnosticsByLine ? diagnosticsByLine.get(line) : null;
+      const severity = diagnostics ? (diagnostics.some(d => d.severity === 'error') ? 'error' : 'warning') : '';
+      const title = diagnostics ? ` title="${escapeHtml(diagnostics.map(d => `${d.severity}: ${d.message}`).join('\n'))}"` : '';
+      rendered.push(`<div class="line${severity ? ` ${severity}` : ''}"${title}><span class="ln">${line}</span>${html || ' '}</div>`);
+    }
+    return `<td class="code">${rendered.join('')}</td>`;
+  }
+
+  renderSnowflakeFile(file) {
+    const { rows, sourceLines, convertedLines, sourceDialect } = this.buildRows(file);
+    const sourceWords = wordsByLine(file.source, sourceDialect);
+    const convertedWords = wordsByLine(file.converted, 'snowflake');
+    const diagnosticsByLine = new Map();
+    for (const diagnostic of file.diagnostics) {
+      if (!diagnosticsByLine.has(diagnostic.line)) {
+        diagnosticsByLine.set(diagnostic.line, []);
+      }
+      diagnosticsByLine.get(diagnostic.line).push(diagnostic);
+    }
+
+    const body = rows.map(row => {
+      const rewrites = this.findRewrites(row, sourceWords, convertedWords);
+      return `<tr><td class="label" colspan="2">${escapeHtml(row.label)}</td></tr>
+<tr>${this.renderCode(sourceLines, row.source, sourceWords, rewrites.source)}${this.renderCode(convertedLines, row.converted, convertedWords, rewrites.converted, diagnosticsByLine)}</tr>`;
+    }).join('\n');
+
+    return `<table class="diff">
+<thead><tr><th>${escapeHtml(SOURCE_LABELS[file.sourceType])}: ${escapeHtml(file.fileName)}</th><th>Snowflake: ${escapeHtml(file.convertedName || '')}</th></tr></thead>
+<tbody>
+${body}
+</tbody>
+</table>`;
+  }
+
+  // IDMC summaries are prose, so the whole source sits next to the rendered summary
+  renderIdmcFile(file) {
+    const sourceLines = splitLines(file.source);
+    const sourceWords = new Map();
+    return `<table class="diff">
+<thead><tr><th>${escapeHtml(SOURCE_LABELS[file.sourceType])}: ${escapeHtml(file.fileName)}</th><th>IDMC summary: ${escapeHtml(file.convertedName || '')}</th></tr></thead>
+<tbody>
+<tr>${this.renderCode(sourceLines, { from: 1, to: sourceLines.length }, sourceWords, new Set())}<td class="summary">${summaryMarkdown.parse(file.converted || '')}</td></tr>
+</tbody>
+</table>`;
+  }
+
+  renderDiagnostics(file) {
+    if (file.diagnostics.length === 0) {
+      return '';
+    }
+    const items = file.diagnostics
+      .map(d => `<li class="${escapeHtml(d.severity)}">Line ${escapeHtml(d.line)}: <strong>${escapeHtml(d.severity)}</strong> ${escapeHtml(d.message)}</li>`)
+      .join('');
+    return `<h3>Validation</h3><ul class="diagnostics">${items}</ul>`;
+  }
+
+  fileStatus(file) {
+    if (!file.success) {
+      return { label: 'failed', css: 'error' };
+    }
+    const errors = file.diagnostics.filter(d => d.severity === 'error').length;
+    const warnings = file.diagnostics.length - errors;
+    if (errors > 0) {
+      return { label: `${errors} error(s)`, css: 'error' };
+    }
+    if (warnings > 0) {
+      return { label: `${warnings} warning(s)`, css: 'warning' };
+    }
+    return { label: 'ok', css: 'ok' };
+  }
+
+  /**
+   * @param {Array<Object>} reviewFiles - output of fromConvertedFiles
+   * @returns {string} self-contained HTML document
+   */
+  buildHtml(reviewFiles) {
+    const generatedAt = new Date().toISOString();
+    const toc = reviewFiles.map((file, index) => {
+      const status = this.fileStatus(file);
+      return `<tr><td><input type="checkbox" class="signoff" data-file="${escapeHtml(file.fileName)}" /></td><td><a href="#file-${index}">${escapeHtml(file.fileName)}</a></td><td>${escapeHtml(file.conversionMethod || '')}</td><td class="${status.css}">${escapeHtml(status.label)}</td></tr>`;
+    }).join('\n');
+
+    const sections = reviewFiles.map((file, index) => {
+      const status = this.fileStatus(file);
+      const meta = [
+        file.conversionMethod ? `Method: ${escapeHtml(file.conversionMethod)}` : '',
+        file.rulesApplied.length > 0 ? `Rules: ${escapeHtml(file.rulesApplied.join(', '))}` : '',
+        file.repaired ? 'Repaired after validation' : ''
+      ].filter(Boolean).join(' &middot; ');
+      let content;
+      if (!file.success) {
+        content = `<p class="error">Conversion failed: ${escapeHtml(file.error || 'unknown error')}</p>`;
+      } else {
+        content = (file.target === 'idmc' ? this.renderIdmcFile(file) : this.renderSnowflakeFile(file)) + this.renderDiagnostics(file);
+      }
+      return `<section id="file-${index}">
+<h2>${escapeHtml(file.fileName)} <span class="badge ${status.css}">${escapeHtml(status.label)}</span></h2>
+<p class="meta">${meta}</p>
+<label class="signoff-label"><input type="checkbox" class="signoff" data-file="${escapeHtml(file.fileName)}" /> Reviewed</label>
+${content}
+</section>`;
+    }).join('\n');
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8" />
+<title>Conversion review</title>
+<style>
+  body { font-family: Arial, Helvetica, sans-serif; font-size: 13px; color: #1a1a1a; margin: 24px; }
+  h1, h2, h3 { color: #0d47a1; }
+  table { border-collapse: collapse; width: 100%; }
+  th, td { border: 1px solid #ddd; padding: 4px 8px; vertical-align: top; text-align: left; }
+  th { background: #f5f5f5; }
+  table.diff { table-layout: fixed; }
+  td.code { font-family: Menlo, Monaco, Consolas, monospace; font-size: 12px; white-space: pre-wrap; word-break: break-word; width: 50%; padding: 0; }
+  td.code.empty { background: #fafafa; }
+  td.label { background: #eef3fb; color: #555; font-size: 11px; }
+  td.summary { width: 50%; }
+  .line { padding: 0 8px; }
+  .line.error { background: #fde7e9; }
+  .line.warning { background: #fff8e1; }
+  .ln { display: inline-block; width: 3em; color: #999; user-select: none; }
+  mark { background: #ffe082; }
+  .badge { font-size: 12px; padding: 2px 6px; border-radius: 4px; }
+  .ok { color: #2e7d32; }
+  .warning { color: #b26a00; }
+  .error { color: #c62828; }
+  .meta { color: #555; }
+  ul.diagnostics li { margin: 2px 0; }
+  section { margin-top: 32px; }
+</style>
+</head>
+<body>
+<h1>Conversion review</h1>
+<p class="meta">Generated ${escapeHtml(generatedAt)} &middot; ${reviewFiles.length} file(s). Highlighted words were rewritten: they appear on one side of a statement but not the other. Lines with validation findings are shaded; hover for details.</p>
+<table>
+<thead><tr><th>Reviewed</th><th>File</th><th>Method</th><th>Status</th></tr></thead>
+<tbody>
+${toc}
+</tbody>
+</table>
+${sections}
+<script>
+  // Sign-off state is kept in the browser, per report
+  (function () {
+    var key = 'review:' + ${JSON.stringify(generatedAt)};
+    var state = {};
+    try { state = JSON.parse(localStorage.getItem(key) || '{}'); } catch (e) {}
+    var boxes = document.querySelectorAll('input.signoff');
+    boxes.forEach(function (box) {
+      box.checked = Boolean(state[box.dataset.file]);
+      box.addEventListener('change', function () {
+        state[box.dataset.file] = box.checked;
+        boxes.forEach(function (other) { if (other.dataset.file === box.dataset.file) other.checked = box.checked; });
+        try { localStorage.setItem(key, JSON.stringify(state)); } catch (e) {}
+      });
+    });
+  })();
+</script>
+</body>
+</html>
+`;
+  }
+}
+
+const reviewReportService = new ReviewReportService();
+reviewReportService.REPORT_NAME = REPORT_NAME;
+
+module.exports = reviewReportService;
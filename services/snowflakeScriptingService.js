@@ -0,0 +1,582 @@
+const { tokenize, parseStatements } = require('../utils/sqlParser');
+const oracleRuleConversionService = require('./oracleRuleConversionService');
+
+const findClosingParen = (text, openIndex) => oracleRuleConversionService.findClosingParen(text, openIndex);
+
+// A masked string literal in the body
+const LITERAL = `${oracleRuleConversionService.PLACEHOLDER}\\d+${oracleRuleConversionService.PLACEHOLDER}`;
+
+const SYSTEM_PROMPT = `You are a database migration specialist. Convert Oracle PL/SQL procedures, functions and SQL statements into Snowflake SQL and Snowflake Scripting (LANGUAGE SQL) stored procedures. Never use LANGUAGE JAVASCRIPT.
+
+CRITICAL REQUIREMENTS - FOLLOW EXACTLY:
+1. Maintain logical flow and preserve all business logic
+2. Keep schema object names consistent
+3. Output ONLY clean, executable Snowflake code - NO comments about the conversion, headers, explanations or markdown fences
+4. Every statement ends with a semicolon
+
+PROCEDURE STRUCTURE:
+- CREATE OR REPLACE PROCEDURE name(arg TYPE, ...) RETURNS <type> LANGUAGE SQL AS $$ ... $$;
+- The body is one block: DECLARE <declarations> BEGIN <statements> [EXCEPTION <handlers>] END;
+- Drop the IN parameter mode; argument types have no length (VARCHAR, NUMBER)
+- OUT and IN OUT parameters become the procedure result: RETURNS OBJECT, OUT parameters are declared as local variables and every exit point returns OBJECT_CONSTRUCT('<param>', <param>, ...)
+- Procedures without out-parameters RETURNS VARCHAR and end with RETURN of a short status message
+- Functions with procedural logic become procedures; single-expression functions become SQL UDFs (CREATE FUNCTION ... RETURNS <type> AS $$ <expression> $$)
+
+VARIABLES AND STATEMENTS:
+- Declare variables as name TYPE [DEFAULT value]; assign with :=
+- Inside SQL statements, variables and arguments are bind references with a colon prefix (WHERE id = :p_id)
+- SELECT ... INTO :v1, :v2 FROM ... for single-row queries
+- SQL%ROWCOUNT/SQL%FOUND/SQL%NOTFOUND become SQLROWCOUNT/SQLFOUND/SQLNOTFOUND
+- DML ... RETURNING ... INTO becomes the DML followed (UPDATE) or preceded (DELETE) by a SELECT ... INTO on the same WHERE clause
+- EXECUTE IMMEDIATE keeps its dynamic SQL; USING binds become EXECUTE IMMEDIATE :sql USING (v1, v2)
+- COMMIT and ROLLBACK stay as statements
+
+CURSORS:
+- CURSOR c IS <query> becomes c CURSOR FOR <query> in DECLARE; cursor parameters become ? binds and OPEN c USING (args)
+- FOR r IN c LOOP ... END LOOP and FOR r IN (SELECT ...) LOOP become a declared cursor iterated with FOR r IN c DO ... END FOR
+- OPEN/FETCH/CLOSE keep their shape; exit a fetch loop with IF (NOT SQLFOUND) THEN BREAK; END IF
+- BULK COLLECT becomes a RESULTSET (res RESULTSET := (SELECT ...)) iterated with a cursor FOR res
+
+EXCEPTIONS:
+- WHEN OTHERS becomes WHEN OTHER
+- NO_DATA_FOUND, TOO_MANY_ROWS and DUP_VAL_ON_INDEX become STATEMENT_ERROR; ZERO_DIVIDE, VALUE_ERROR and INVALID_NUMBER become EXPRESSION_ERROR
+- User exceptions are declared as name EXCEPTION (-20001, 'message'); RAISE_APPLICATION_ERROR(-20001, 'message') becomes RAISE of such a declared exception
+- SQLERRM and SQLCODE stay available inside handlers
+
+DATA TYPES AND FUNCTIONS:
+- VARCHAR2 becomes VARCHAR, DATE becomes TIMESTAMP_NTZ, %TYPE and %ROWTYPE become explicit types (OBJECT for rows)
+- SYSDATE becomes CURRENT_TIMESTAMP(), NVL stays, DECODE becomes CASE, SUBSTR becomes SUBSTRING, TO_CHAR becomes TO_VARCHAR, TO_DATE becomes TO_TIMESTAMP
+- ROWNUM becomes ROW_NUMBER() or LIMIT, DUAL is dropped from SELECT without FROM
+- seq.NEXTVAL stays (SELECT seq.NEXTVAL INTO :v); seq.CURRVAL does not exist, so reuse the NEXTVAL value kept in a variable
+- DBMS_OUTPUT.PUT_LINE calls are removed
+
+EXAMPLE:
+CREATE OR REPLACE PROCEDURE get_customer_info(p_customer_id IN NUMBER, p_customer_name OUT VARCHAR2) AS
+BEGIN
+    SELECT customer_name INTO p_customer_name FROM customers WHERE customer_id = p_customer_id;
+EXCEPTION
+    WHEN NO_DATA_FOUND THEN
+        p_customer_name := NULL;
+END get_customer_info;
+
+Converts to:
+CREATE OR REPLACE PROCEDURE get_customer_info(p_customer_id NUMBER)
+RETURNS OBJECT
+LANGUAGE SQL
+AS
+$$
+DECLARE
+    p_customer_name VARCHAR;
+BEGIN
+    SELECT customer_name INTO :p_customer_name FROM customers WHERE customer_id = :p_customer_id;
+    RETURN OBJECT_CONSTRUCT('p_customer_name', p_customer_name);
+EXCEPTION
+    WHEN STATEMENT_ERROR THEN
+        RETURN OBJECT_CONSTRUCT('p_customer_name', NULL);
+END;
+$$;`;
+
+// Oracle predefined exceptions and the Snowflake Scripting built-in exception covering them
+const EXCEPTION_NAMES = {
+  OTHERS: 'OTHER',
+  NO_DATA_FOUND: 'STATEMENT_ERROR',
+  TOO_MANY_ROWS: 'STATEMENT_ERROR',
+  DUP_VAL_ON_INDEX: 'STATEMENT_ERROR',
+  ZERO_DIVIDE: 'EXPRESSION_ERROR',
+  VALUE_ERROR: 'EXPRESSION_ERROR',
+  INVALID_NUMBER: 'EXPRESSION_ERROR'
+};
+
+const CURSOR_ATTRIBUTES = {
+  ROWCOUNT: 'SQLROWCOUNT',
+  FOUND: 'SQLFOUND',
+  NOTFOUND: 'SQLNOTFOUND'
+};
+
+// Named cursors: FETCH sets SQLFOUND/SQLNOTFOUND; %ROWCOUNT (rows fetched so far) and %ISOPEN have no equivalent
+const NAMED_CURSOR_ATTRIBUTES = {
+  FOUND: 'SQLFOUND',
+  NOTFOUND: 'SQLNOTFOUND'
+};
+
+// Keywords after which a statement-level SELECT ... INTO may start
+const STATEMENT_LEADS = /(?:^|\b(?:BEGIN|THEN|ELSE|LOOP|DO|DECLARE)\b)\s*$/i;
+
+// Split on separator characters outside parentheses, keeping the pieces' whitespace
+function splitTopLevel(text, separator = ',') {
+  const parts = [];
+  let depth = 0;
+  let last = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '(') {
+      depth++;
+    } else if (text[i] === ')') {
+      depth--;
+    } else if (text[i] === separator && depth === 0) {
+      parts.push(text.slice(last, i));
+      last = i + 1;
+    }
+  }
+  parts.push(text.slice(last));
+  return parts;
+}
+
+// Position of a keyword outside parentheses, or -1
+function findTopLevelKeyword(text, keyword, from = 0) {
+  const pattern = new RegExp(`\\b${keyword}\\b`, 'gi');
+  pattern.lastIndex = from;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    const before = text.slice(0, match.index);
+    const depth = (before.match(/\(/g) || []).length - (before.match(/\)/g) || []).length;
+    if (depth === 0) {
+      return match.index;
+    }
+  }
+  return -1;
+}
+
+function replacePiece(piece, value) {
+  const trimmed = piece.trim();
+  return trimmed ? piece.replace(trimmed, value) : piece;
+}
+
+// Variables referenced inside SQL statements need the colon prefix
+function bind(name) {
+  return /^[A-Za-z_][\w$]*$/.test(name) ? `:${name}` : name;
+}
+
+/**
+ * Snowflake Scripting (LANGUAGE SQL) output for Oracle procedures: the system prompt used
+ * when procedureStyle is 'sql', and a deterministic post-processing pass that rewrites the
+ * PL/SQL constructs the LLM tends to carry over (cursor declarations, exception names,
+ * RAISE_APPLICATION_ERROR, RETURNING INTO, out-parameters, SELECT INTO binds). Statements it
+ * cannot rewrite safely are left as they are and reported as unresolved.
+ */
+class SnowflakeScriptingService {
+  constructor() {
+    this.SYSTEM_PROMPT = SYSTEM_PROMPT;
+  }
+
+  /**
+   * Rewrite the LANGUAGE SQL procedures in converted Snowflake code.
+   * @param {string} code - converted Snowflake code
+   * @returns {{code: string, fixes: string[], unresolved: string[]}} rewritten code, the names of
+   *   the applied fixes and the PL/SQL left for manual review
+   */
+  postProcess(code) {
+    const fixes = new Set();
+    const unresolved = new Set();
+    const procedures = parseStatements(code || '', { dialect: 'snowflake' })
+      .filter(statement => statement.verb === 'CREATE' && statement.objectType === 'PROCEDURE');
+
+    let result = code || '';
+    // Splice from the end so earlier offsets stay valid
+    for (const statement of [...procedures].reverse()) {
+      const rewritten = this.processProcedure(result.slice(statement.start, statement.end), fixes, unresolved);
+      result = result.slice(0, statement.start) + rewritten + result.slice(statement.end);
+    }
+    return { code: result, fixes: [...fixes], unresolved: [...unresolved] };
+  }
+
+  processProcedure(text, fixes, unresolved) {
+    const tokens = tokenize(text, { dialect: 'snowflake' }).filter(t => t.type !== 'comment');
+
+    // The body is the $$ string following AS outside the parameter list
+    let depth = 0;
+    let asIndex = -1;
+    let paramsOpen = -1;
+    let paramsClose = -1;
+    for (let k = 0; k < tokens.length; k++) {
+      const token = tokens[k];
+      if (token.value === '(') {
+        if (depth === 0 && paramsOpen === -1) {
+          paramsOpen = k;
+        }
+        depth++;
+      } else if (token.value === ')') {
+        depth--;
+        if (depth === 0 && paramsClose === -1) {
+          paramsClose = k;
+        }
+      } else if (depth === 0 && token.type === 'word' && token.value.toUpperCase() === 'AS' &&
+                 tokens[k + 1] && tokens[k + 1].type === 'string' && tokens[k + 1].value.startsWith('$$')) {
+        asIndex = k;
+        break;
+      }
+    }
+    if (asIndex === -1) {
+      return text;
+    }
+
+    const bodyToken = tokens[asIndex + 1];
+    if (bodyToken.value.length < 4 || !bodyToken.value.endsWith('$$')) {
+      return text;
+    }
+    const headerWords = tokens.slice(0, asIndex).filter(t => t.type === 'word').map(t => t.value.toUpperCase());
+    const languageIndex = headerWords.indexOf('LANGUAGE');
+    if (languageIndex !== -1 && headerWords[languageIndex + 1] !== 'SQL') {
+      return text;
+    }
+
+    let header = text.slice(0, bodyToken.start);
+    let outParams = [];
+    let returnsScalar = false;
+    if (paramsOpen !== -1 && paramsClose !== -1 && paramsClose < asIndex) {
+      const params = this.rewriteParameters(text.slice(tokens[paramsOpen].end, tokens[paramsClose].start), fixes);
+      outParams = params.outParams;
+      let rest = text.slice(tokens[paramsClose].start, bodyToken.start);
+      if (outParams.length > 0) {
+        returnsScalar = !/\bRETURNS\s+(?:OBJECT|VARIANT)\b/i.test(rest);
+        rest = /\bRETURNS\b/i.test(rest)
+          ? rest.replace(/\bRETURNS\s+(?!OBJECT\b|VARIANT\b)\w+(?:\s*\([^)]*\))?/i, 'RETURNS OBJECT')
+          : rest.replace(/^\)/, ')\nRETURNS OBJECT');
+      }
+      header = text.slice(0, tokens[paramsOpen].end) + params.text + rest;
+    }
+
+    const body = this.processBody(bodyToken.value.slice(2, -2), { outParams, returnsScalar }, fixes, unresolved);
+    return `${header}$$${body}$$${text.slice(bodyToken.end)}`;
+  }
+
+  /**
+   * Drop Oracle parameter modes. OUT parameters leave the signature (they are declared and
+   * returned by the body); IN OUT parameters stay as input and are returned as well.
+   */
+  rewriteParameters(params, fixes) {
+    const { masked, literals } = oracleRuleConversionService.mask(params, 'snowflake');
+    const outParams = [];
+    const kept = [];
+    for (const piece of splitTopLevel(masked)) {
+      const match = /^(\s*)(\S+)\s+(IN\s+OUT|OUT|IN)\s+(?:NOCOPY\s+)?([\s\S]*?)(\s*)$/i.exec(piece);
+      if (!match) {
+        kept.push(piece);
+        continue;
+      }
+      const [, lead, name, mode, rest, trail] = match;
+      const definition = rest.replace(/\bVARCHAR2\b/gi, 'VARCHAR').replace(/\s*:=\s*/, ' DEFAULT ');
+      const normalizedMode = mode.toUpperCase().replace(/\s+/g, ' ');
+      fixes.add('parameter-modes');
+      if (normalizedMode !== 'IN') {
+        outParams.push({
+          name: oracleRuleConversionService.unmask(name, literals),
+          type: oracleRuleConversionService.unmask(definition.replace(/\s+DEFAULT\b[\s\S]*$/i, ''), literals),
+          input: normalizedMode === 'IN OUT'
+        });
+        fixes.add('out-parameters');
+        if (normalizedMode === 'OUT') {
+          continue;
+        }
+      }
+      kept.push(`${lead}${name} ${definition}${trail}`);
+    }
+    if (kept.length > 0 && !/^\s*\n/.test(kept[0]) && kept[0] !== splitTopLevel(masked)[0]) {
+      // The first parameter was an OUT one; do not leave the space that followed its comma
+      kept[0] = kept[0].replace(/^\s+/, '');
+    }
+    return { text: oracleRuleConversionService.unmask(kept.join(','), literals), outParams };
+  }
+
+  processBody(body, { outParams, returnsScalar }, fixes, unresolved) {
+    const { masked, literals } = oracleRuleConversionService.mask(body, 'snowflake');
+    const declarations = [];
+    let code = masked;
+
+    code = code.replace(/\b(\w+)\s*%\s*(ROWCOUNT|FOUND|NOTFOUND|ISOPEN)\b/gi, (match, cursor, attribute) => {
+      const implicit = cursor.toUpperCase() === 'SQL';
+      const mapped = (implicit ? CURSOR_ATTRIBUTES : NAMED_CURSOR_ATTRIBUTES)[attribute.toUpperCase()];
+      if (!mapped) {
+        unresolved.add(`${cursor}%${attribute.toUpperCase()}`);
+        return match;
+      }
+      fixes.add('cursor-attributes');
+      return mapped;
+    });
+
+    const exceptionName = Object.keys(EXCEPTION_NAMES).join('|');
+    const handler = new RegExp(`\\bWHEN\\s+((?:${exceptionName})(?:\\s+OR\\s+(?:${exceptionName}))*)\\s+THEN\\b`, 'gi');
+    code = code.replace(handler, (match, names) => {
+      fixes.add('exception-handlers');
+      const mapped = [...new Set(names.split(/\s+OR\s+/i).map(name => EXCEPTION_NAMES[name.toUpperCase()]))];
+      return `WHEN ${mapped.includes('OTHER') ? 'OTHER' : mapped.join(' OR ')} THEN`;
+    });
+
+    const raised = new Map();
+    const raise = new RegExp(`\\bRAISE_APPLICATION_ERROR\\s*\\(\\s*(-\\s*\\d+)\\s*,\\s*(${LITERAL})\\s*(?:,\\s*\\w+\\s*)?\\)`, 'gi');
+    code = code.replace(raise, (match, number, message) => {
+      fixes.add('raise-application-error');
+      const errorNumber = number.replace(/\s+/g, '');
+      const key = `${errorNumber}|${message}`;
+      if (!raised.has(key)) {
+        const base = `app_error_${errorNumber.slice(1)}`;
+        const sameNumber = [...raised.keys()].filter(k => k.startsWith(`${errorNumber}|`)).length;
+        const name = sameNumber > 0 ? `${base}_${sameNumber + 1}` : base;
+        raised.set(key, name);
+        declarations.push(`${name} EXCEPTION (${errorNumber}, ${message});`);
+      }
+      return `RAISE ${raised.get(key)}`;
+    });
+
+    code = this.rewriteCursors(code, declarations, fixes);
+    code = splitTopLevel(code, ';').map(statement => this.rewriteStatement(statement, fixes, unresolved)).join(';');
+
+    if (outParams.length > 0) {
+      code = this.returnOutParameters(code, outParams, declarations, returnsScalar);
+    }
+    if (declarations.length > 0) {
+      code = this.insertDeclarations(code, declarations);
+    }
+    return oracleRuleConversionService.unmask(code, literals);
+  }
+
+
+  // Apply fn to each pattern match; fn returns { end, text } to replace code up to end, or null to keep the match
+  replaceMatches(code, pattern, fn) {
+    let result = '';
+    let last = 0;
+    let match;
+    while ((match = pattern.exec(code)) !== null) {
+      if (match.index < last) {
+        continue;
+      }
+      const replacement = fn(match);
+      if (!replacement) {
+        continue;
+      }
+      result += code.slice(last, match.index) + replacement.text;
+      last = replacement.end;
+      pattern.lastIndex = last;
+    }
+    return result + code.slice(last);
+  }
+
+  // Cursor declarations, parameterized OPEN and inline FOR ... IN (SELECT ...) loops
+  rewriteCursors(code, declarations, fixes) {
+    const binds = {};
+    code = this.replaceMatches(code, /\bCURSOR\s+(\w+)\s*(\()?/gi, match => {
+      const name = match[1];
+      let end = match.index + match[0].length;
+      let paramNames = [];
+      if (match[2]) {
+        const close = findClosingParen(code, end - 1);
+        if (close === -1) {
+          return null;
+        }
+        paramNames = splitTopLevel(code.slice(end, close)).map(param => param.trim().split(/\s+/)[0]).filter(Boolean);
+        end = close + 1;
+      }
+      const is = /^\s*IS\b/i.exec(code.slice(end));
+      if (!is) {
+        return null;
+      }
+      const queryStart = end + is[0].length;
+      const queryEnd = code.indexOf(';', queryStart) === -1 ? code.length : code.indexOf(';', queryStart);
+      let query = code.slice(queryStart, queryEnd);
+      if (paramNames.length > 0) {
+        // Cursor parameters become positional binds, supplied by OPEN ... USING in query order
+        const order = [];
+        const pattern = new RegExp(`:?\\b(${paramNames.join('|')})\\b`, 'gi');
+        query = query.replace(pattern, (ref, param) => {
+          order.push(paramNames.findIndex(p => p.toUpperCase() === param.toUpperCase()));
+          return '?';
+        });
+        binds[name.toUpperCase()] = order;
+      }
+      fixes.add('cursor-declarations');
+      return { end: queryEnd, text: `${name} CURSOR FOR${query}` };
+    });
+
+    code = this.replaceMatches(code, /\bOPEN\s+(\w+)\s*\(/gi, match => {
+      const order = binds[match[1].toUpperCase()];
+      const open = match.index + match[0].length - 1;
+      const close = order ? findClosingParen(code, open) : -1;
+      if (close === -1) {
+        return null;
+      }
+      const args = splitTopLevel(code.slice(open + 1, close)).map(arg => arg.trim());
+      return { end: close + 1, text: `OPEN ${match[1]} USING (${order.map(i => args[i] || 'NULL').join(', ')})` };
+    });
+
+    return this.replaceMatches(code, /\bFOR\s+(\w+)\s+IN\s*\(\s*(?=SELECT\b|WITH\b)/gi, match => {
+      const open = code.indexOf('(', match.index + match[1].length + 4);
+      const close = findClosingParen(code, open);
+      if (close === -1) {
+        return null;
+      }
+      const cursor = `${match[1]}_cur`;
+      declarations.push(`${cursor} CURSOR FOR ${code.slice(open + 1, close).trim()};`);
+      fixes.add('cursor-for-loops');
+      return { end: close + 1, text: `FOR ${match[1]} IN ${cursor}` };
+    });
+  }
+
+  // One statement of the body (the text between two semicolons)
+  rewriteStatement(statement, fixes, unresolved) {
+    const rewritten = this.rewriteReturning(statement, fixes, unresolved);
+    return rewritten !== statement ? rewritten : this.bindSelectInto(statement, fixes);
+  }
+
+  rewriteReturning(statement, fixes, unresolved) {
+    const returning = /\bRETURNING\s+([\s\S]+?)\s+INTO\s+([\s\S]+?)\s*$/i.exec(statement);
+    const dml = returning && /\b(INSERT|UPDATE|DELETE)\b/i.exec(statement);
+    if (!dml || dml.index > returning.index) {
+      return statement;
+    }
+    const lead = statement.slice(0, dml.index);
+    const indent = lead.match(/[ \t]*$/)[0];
+    const body = statement.slice(dml.index, returning.index).trimEnd();
+    const columns = splitTopLevel(returning[1]).map(column => column.trim());
+    const targets = splitTopLevel(returning[2]).map(target => target.trim().replace(/^:/, ''));
+    if (columns.length !== targets.length) {
+      return statement;
+    }
+
+    const selectInto = `SELECT ${columns.join(', ')} INTO ${targets.map(bind).join(', ')}`;
+    const where = findTopLevelKeyword(body, 'WHERE');
+    let rewritten = null;
+    switch (dml[1].toUpperCase()) {
+      case 'UPDATE': {
+        // Read the new values back with the same predicate
+        const table = /^UPDATE\s+(\S+)(\s+(?!SET\b)\w+)?\s+SET\b/i.exec(body);
+        if (table && where !== -1) {
+          rewritten = `${body};\n${indent}${selectInto} FROM ${table[1]}${table[2] || ''} ${body.slice(where)}`;
+        }
+        break;
+      }
+      case 'DELETE': {
+        // Read the old values before the rows are gone
+        const table = /^DELETE\s+(?:FROM\s+)?(\S+)(\s+(?!WHERE\b)\w+)?/i.exec(body);
+        if (table && where !== -1) {
+          rewritten = `${selectInto} FROM ${table[1]}${table[2] || ''} ${body.slice(where)};\n${indent}${body}`;
+        }
+        break;
+      }
+      default:
+        rewritten = this.rewriteInsertReturning(body, columns, targets, indent);
+    }
+    if (rewritten === null) {
+      unresolved.add(`${dml[1].toUpperCase()} ... RETURNING ${columns.join(', ')} INTO ${targets.join(', ')}`);
+      return statement;
+    }
+    fixes.add('returning-into');
+    return lead + rewritten;
+  }
+
+  // INSERT ... VALUES: assign the returned values to the variables first and insert the variables
+  rewriteInsertReturning(body, columns, targets, indent) {
+    const insert = /^INSERT\s+INTO\s+\S+(?:\s+\w+)?\s*\(/i.exec(body);
+    const columnsClose = insert ? findClosingParen(body, insert[0].length - 1) : -1;
+    const values = columnsClose !== -1 ? /^\s*VALUES\s*\(/i.exec(body.slice(columnsClose + 1)) : null;
+    if (!values) {
+      return null;
+    }
+    const valuesOpen = columnsClose + values[0].length;
+    const valuesClose = findClosingParen(body, valuesOpen);
+    if (valuesClose === -1) {
+      return null;
+    }
+
+    const insertColumns = splitTopLevel(body.slice(insert[0].length, columnsClose)).map(column => column.trim().toUpperCase());
+    const valueList = splitTopLevel(body.slice(valuesOpen + 1, valuesClose));
+    const assignments = [];
+    for (let i = 0; i < columns.length; i++) {
+      const index = insertColumns.indexOf(columns[i].toUpperCase());
+      if (index === -1 || valueList.length !== insertColumns.length) {
+        return null;
+      }
+      assignments.push(`${targets[i]} := ${valueList[index].trim()};`);
+      valueList[index] = replacePiece(valueList[index], bind(targets[i]));
+    }
+    return `${assignments.join(`\n${indent}`)}\n${indent}${body.slice(0, valuesOpen + 1)}${valueList.join(',')}${body.slice(valuesClose)}`;
+  }
+
+  // Statement-level SELECT ... INTO targets are variables and need the colon prefix
+  bindSelectInto(statement, fixes) {
+    const select = /\bSELECT\b/i.exec(statement);
+    if (!select || !STATEMENT_LEADS.test(statement.slice(0, select.index).replace(new RegExp(LITERAL, 'g'), ''))) {
+      return statement;
+    }
+    const into = findTopLevelKeyword(statement, 'INTO', select.index);
+    if (into === -1) {
+      return statement;
+    }
+    const from = findTopLevelKeyword(statement, 'FROM', into);
+    const listStart = into + 'INTO'.length;
+    const listEnd = from === -1 ? statement.length : from;
+    const targets = statement.slice(listStart, listEnd);
+    const rewritten = splitTopLevel(targets).map(target => replacePiece(target, bind(target.trim()))).join(',');
+    if (rewritten === targets) {
+      return statement;
+    }
+    fixes.add('select-into-binds');
+    return statement.slice(0, listStart) + rewritten + statement.slice(listEnd);
+  }
+
+  /**
+   * Out-parameters are returned as an OBJECT: OUT ones are declared as variables, bare RETURNs
+   * return the object and the main block returns it before its EXCEPTION section or END. When
+   * the procedure returned a scalar before, its RETURN <value> statements return the object too.
+   */
+  returnOutParameters(code, outParams, declarations, returnsScalar) {
+    for (const param of outParams.filter(p => !p.input)) {
+      declarations.push(`${param.name} ${param.type};`);
+    }
+    const result = `OBJECT_CONSTRUCT(${outParams.map(p => `'${p.name.replace(/"/g, '')}', ${p.name}`).join(', ')})`;
+    const returns = returnsScalar ? /\bRETURN\b(?!\s+OBJECT_CONSTRUCT\b)[^;]*;/gi : /\bRETURN\s*;/gi;
+    code = code.replace(returns, `RETURN ${result};`);
+
+    const position = this.findMainBlockExit(code);
+    if (position === -1) {
+      return code;
+    }
+    const lineStart = code.lastIndexOf('\n', position - 1) + 1;
+    const before = code.slice(lineStart, position);
+    if (/^\s*$/.test(before)) {
+      return `${code.slice(0, lineStart)}${before}    RETURN ${result};\n${code.slice(lineStart)}`;
+    }
+    return `${code.slice(0, position)}RETURN ${result}; ${code.slice(position)}`;
+  }
+
+  // Offset of the main block's EXCEPTION section, or of its END when it has none
+  findMainBlockExit(code) {
+    const words = tokenize(code, { dialect: 'snowflake' }).filter(t => t.type === 'word');
+    let depth = 0;
+    for (let k = 0; k < words.length; k++) {
+      const word = words[k].value.toUpperCase();
+      const next = words[k + 1] ? words[k + 1].value.toUpperCase() : '';
+      if ((word === 'BEGIN' && !['TRANSACTION', 'WORK'].includes(next)) || word === 'CASE') {
+        depth++;
+      } else if (word === 'END') {
+        if (['IF', 'LOOP', 'FOR', 'WHILE', 'REPEAT', 'CASE'].includes(next)) {
+          // END CASE closes a CASE statement; the other qualified ENDs close blocks that were never counted
+          depth -= next === 'CASE' ? 1 : 0;
+          k++;
+          continue;
+        }
+        depth--;
+        if (depth === 0) {
+          return words[k].start;
+        }
+      } else if (word === 'EXCEPTION' && depth === 1 && next === 'WHEN') {
+        return words[k].start;
+      }
+    }
+    return -1;
+  }
+
+  // New declarations go at the end of the DECLARE section, which is created when missing
+  insertDeclarations(code, declarations) {
+    const words = tokenize(code, { dialect: 'snowflake' }).filter(t => t.type === 'word');
+    const begin = words.find(t => t.value.toUpperCase() === 'BEGIN');
+    if (!begin) {
+      return code;
+    }
+    const lines = declarations.map(declaration => `    ${declaration}\n`).join('');
+    const hasDeclare = words[0] && words[0].value.toUpperCase() === 'DECLARE';
+    const lineStart = code.lastIndexOf('\n', begin.start - 1) + 1;
+    const position = /^\s*$/.test(code.slice(lineStart, begin.start)) ? lineStart : begin.start;
+    return `${code.slice(0, position)}${hasDeclare ? '' : 'DECLARE\n'}${lines}${code.slice(position)}`;
+  }
+}
+
+module.exports = new SnowflakeScriptingService();
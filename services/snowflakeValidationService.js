@@ -0,0 +1,462 @@
+const vm = require('vm');
+const llmService = require('./llmService');
+const conversionCacheService = require('./conversionCacheService');
+const { tokenize, parseStatements } = require('../utils/sqlParser');
+const { createModuleLogger } = require('../utils/logger');
+const log = createModuleLogger('services/snowflakeValidationService');
+
+// Statements Snowflake (and SnowSQL) accept; anything else is usually prose or a broken split
+const STATEMENT_VERBS = new Set([
+  'CREATE', 'ALTER', 'DROP', 'UNDROP', 'SELECT', 'WITH', 'INSERT', 'UPDATE', 'DELETE', 'MERGE',
+  'TRUNCATE', 'COPY', 'PUT', 'GET', 'LIST', 'LS', 'REMOVE', 'RM', 'GRANT', 'REVOKE', 'USE', 'SET',
+  'UNSET', 'CALL', 'EXECUTE', 'BEGIN', 'START', 'COMMIT', 'ROLLBACK', 'SHOW', 'DESCRIBE', 'DESC',
+  'COMMENT', 'EXPLAIN', 'DECLARE', 'VALUES'
+]);
+
+const LANGUAGES = new Set(['JAVASCRIPT', 'SQL', 'PYTHON', 'JAVA', 'SCALA']);
+
+// Words that start a new statement when they open a line inside another one (missing `;`)
+const MISSING_TERMINATOR_VERBS = new Set(['CREATE', 'ALTER', 'DROP', 'GRANT']);
+
+// `END IF`, `END LOOP`, ... close a control structure, not a BEGIN block (CASE is tracked like a block)
+const END_QUALIFIERS = new Set(['IF', 'FOR', 'LOOP', 'WHILE', 'REPEAT']);
+
+// Oracle cursor attributes; Snowflake Scripting has SQLROWCOUNT, SQLFOUND and SQLNOTFOUND for the last DML
+const CURSOR_ATTRIBUTES = new Set(['FOUND', 'NOTFOUND', 'ROWCOUNT', 'ISOPEN']);
+
+const REPAIR_MAX_DIAGNOSTICS = 20;
+
+/**
+ * Static validation of generated Snowflake code: statement structure, procedure headers
+ * (parameters, RETURNS, LANGUAGE, body), a JavaScript syntax check of `$$` bodies and
+ * leftover Oracle and Redshift constructs. Optionally runs a single LLM repair pass on invalid output.
+ */
+class SnowflakeValidationService {
+  /**
+   * @param {string} code - generated Snowflake SQL
+   * @returns {{ valid: boolean, errorCount: number, warningCount: number,
+   *   diagnostics: Array<{ line: number, severity: 'error'|'warning', message: string }> }}
+   */
+  validate(code) {
+    const diagnostics = [];
+    const report = (severity, line, message) => diagnostics.push({ line, severity, message });
+
+    if (!code || !code.trim()) {
+      report('error', 1, 'Output is empty');
+      return this.toResult(diagnostics);
+    }
+
+    const tokens = tokenize(code, { dialect: 'snowflake' });
+    this.checkTokens(tokens, report);
+
+    for (const statement of parseStatements(code, { dialect: 'snowflake' })) {
+      if (statement.kind === 'SNOWSQL_COMMAND') {
+        continue;
+      }
+      const statementTokens = tokens.filter(t => t.start >= statement.start && t.end <= statement.end && t.type !== 'comment');
+      this.checkStatement(statement, statementTokens, report);
+    }
+
+    diagnostics.sort((a, b) => a.line - b.line);
+    return this.toResult(diagnostics);
+  }
+
+  toResult(diagnostics) {
+    const errorCount = diagnostics.filter(d => d.severity === 'error').length;
+    return {
+      valid: errorCount === 0,
+      errorCount,
+      warningCount: diagnostics.length - errorCount,
+      diagnostics
+    };
+  }
+
+  // Unterminated literals and markdown left in the output
+  checkTokens(tokens, report) {
+    const backtickLines = new Set();
+    for (const token of tokens) {
+      const { value } = token;
+      if (token.type === 'string') {
+        const dollar = /^\$[A-Za-z_]*\$/.exec(value);
+        const closed = dollar
+          ? value.length >= dollar[0].length * 2 && value.endsWith(dollar[0])
+          : value.length > 1 && value.endsWith("'");
+        if (!closed) {
+          report('error', token.line, dollar ? `Unterminated ${dollar[0]} block` : 'Unterminated string literal');
+        }
+      } else if (token.type === 'quoted_identifier' && (value.length < 2 || !value.endsWith('"'))) {
+        report('error', token.line, 'Unterminated quoted identifier');
+      } else if (token.type === 'comment' && value.startsWith('/*') && !value.endsWith('*/')) {
+        report('error', token.line, 'Unterminated block comment');
+      } else if (token.type === 'operator' && value === '`' && !backtickLines.has(token.line)) {
+        backtickLines.add(token.line);
+        report('error', token.line, 'Stray backtick outside a procedure body (leftover markdown fence?)');
+      }
+    }
+  }
+
+  checkStatement(statement, tokens, report) {
+    const first = tokens[0];
+    const verb = first.type === 'word' ? first.value.toUpperCase() : first.value;
+    if (!STATEMENT_VERBS.has(verb)) {
+      const excerpt = statement.text.split('\n')[0].slice(0, 60);
+      report('error', statement.startLine, `Not a Snowflake statement: "${excerpt}"`);
+      return;
+    }
+
+    this.checkParentheses(tokens, report);
+    this.checkDmlLimit(tokens, report);
+    this.checkOracleLeftovers(tokens, report);
+    this.checkRedshiftLeftovers(tokens, report);
+
+    tokens.forEach((token, k) => {
+      const previous = tokens[k - 1];
+      if (k > 0 && token.type === 'word' && MISSING_TERMINATOR_VERBS.has(token.value.toUpperCase()) &&
+          previous.line < token.line && this.depthAt(tokens, k) === 0) {
+        report('error', token.line, `Missing ";" before ${token.value.toUpperCase()}`);
+      }
+    });
+
+    if (['PROCEDURE', 'FUNCTION'].includes(statement.objectType)) {
+      this.checkRoutine(statement, tokens, report);
+    }
+  }
+
+  depthAt(tokens, index) {
+    let depth = 0;
+    for (let k = 0; k < index; k++) {
+      if (tokens[k].value === '(' && tokens[k].type === 'punctuation') {
+        depth++;
+      } else if (tokens[k].value === ')' && tokens[k].type === 'punctuation') {
+        depth--;
+      }
+    }
+    return depth;
+  }
+
+  checkParentheses(tokens, report) {
+    const open = [];
+    for (const token of tokens) {
+      if (token.type !== 'punctuation') {
+        continue;
+      }
+      if (token.value === '(') {
+        open.push(token);
+      } else if (token.value === ')' && !open.pop()) {
+        report('error', token.line, 'Unmatched ")"');
+      }
+    }
+    open.forEach(token => report('error', token.line, 'Unclosed "("'));
+  }
+
+  // UPDATE and DELETE take no LIMIT in Snowflake (left over from a ROWNUM rewrite)
+  checkDmlLimit(tokens, report) {
+    tokens.forEach((token, k) => {
+      const word = token.type === 'word' ? token.value.toUpperCase() : null;
+      const previous = tokens[k - 1] ? tokens[k - 1].value.toUpperCase() : null;
+      // FOR UPDATE, ON DELETE CASCADE and trigger events are not DML
+      if (!['UPDATE', 'DELETE'].includes(word) || ['FOR', 'ON', 'OF', 'BEFORE', 'AFTER', 'OR'].includes(previous)) {
+        return;
+      }
+      let depth = 0;
+      for (let j = k + 1; j < tokens.length && tokens[j].value !== ';'; j++) {
+        const value = tokens[j].type === 'word' ? tokens[j].value.toUpperCase() : tokens[j].value;
+        if (value === '(') {
+          depth++;
+        } else if (value === ')') {
+          depth--;
+        } else if (value === 'LIMIT' && depth === 0) {
+          report('error', tokens[j].line, `${word} does not support LIMIT; filter the rows in a subquery instead`);
+          return;
+        }
+      }
+    });
+  }
+
+  // Oracle syntax the conversion should have replaced
+  checkOracleLeftovers(tokens, report) {
+    tokens.forEach((token, k) => {
+      const word = token.type === 'word' ? token.value.toUpperCase() : null;
+      const next = tokens[k + 1];
+      const previous = tokens[k - 1];
+      if (word === 'ROWNUM') {
+        report('warning', token.line, 'ROWNUM is not supported; use ROW_NUMBER() or LIMIT');
+      } else if (word === 'SYSDATE' && !(next && next.value === '(')) {
+        report('warning', token.line, 'SYSDATE without parentheses is Oracle syntax; use CURRENT_TIMESTAMP()');
+      } else if (word && /^(?:DBMS|UTL)_\w+$/.test(word) && next && next.value === '.') {
+        report('warning', token.line, `Oracle package call ${token.value}.${(tokens[k + 2] || {}).value || ''} has no Snowflake equivalent`);
+      } else if (word && ['TYPE', 'ROWTYPE'].includes(word) && previous && previous.value === '%') {
+        report('warning', token.line, `%${word} anchored declarations are not supported; use an explicit data type`);
+      } else if (word && CURSOR_ATTRIBUTES.has(word) && previous && previous.value === '%') {
+        report('warning', token.line, `Oracle cursor attribute %${word}; use SQLFOUND/SQLNOTFOUND/SQLROWCOUNT or a cursor FOR loop`);
+      } else if (word === 'RAISE_APPLICATION_ERROR') {
+        report('warning', token.line, 'RAISE_APPLICATION_ERROR is Oracle; declare an EXCEPTION (-20xxx, \'message\') and RAISE it');
+      } else if (token.value === '+' && previous && previous.value === '(' && next && next.value === ')') {
+        report('warning', token.line, 'Oracle (+) outer join; use ANSI LEFT/RIGHT JOIN');
+      }
+    });
+  }
+
+  // Redshift syntax the conversion should have replaced
+  checkRedshiftLeftovers(tokens, report) {
+    tokens.forEach((token, k) => {
+      const word = token.type === 'word' ? token.value.toUpperCase() : null;
+      const next = tokens[k + 1];
+      if (['DISTKEY', 'SORTKEY', 'DISTSTYLE'].includes(word) || (word === 'ENCODE' && next && next.type === 'word')) {
+        report('warning', token.line, `${word} is a Redshift table attribute; remove it (use CLUSTER BY if needed)`);
+      } else if (word === 'GETDATE' && next && next.value === '(') {
+        report('warning', token.line, 'GETDATE() is Redshift syntax; use CURRENT_TIMESTAMP()');
+      } else if (word && /^(?:STL|SVL|STV|SVV)_\w+$/.test(word)) {
+        report('warning', token.line, `Redshift system table ${token.value}; use SNOWFLAKE.ACCOUNT_USAGE or INFORMATION_SCHEMA`);
+      } else if (word === 'UNLOAD' && k === 0) {
+        report('warning', token.line, 'UNLOAD is Redshift syntax; use COPY INTO @stage');
+      }
+    });
+  }
+
+  // CREATE PROCEDURE / FUNCTION header and body
+  checkRoutine(statement, tokens, report) {
+    const name = statement.qualifiedName || statement.objectType.toLowerCase();
+    const paramsOpen = tokens.findIndex(t => t.value === '(' && t.type === 'punctuation');
+    const asIndex = tokens.findIndex((t, k) => t.type === 'word' && t.value.toUpperCase() === 'AS' &&
+      this.depthAt(tokens, k) === 0 && (paramsOpen === -1 || k > paramsOpen));
+    const headerEnd = asIndex === -1 ? tokens.length : asIndex;
+
+    if (paramsOpen === -1 || paramsOpen > headerEnd) {
+      report('error', statement.startLine, `${name}: missing parameter list (use "()" when there are none)`);
+    } else {
+      this.checkParameters(name, tokens, paramsOpen, report);
+    }
+
+    const header = tokens.slice(0, headerEnd).map(t => (t.type === 'word' ? t.value.toUpperCase() : t.value));
+    if (!header.includes('RETURNS')) {
+      report('error', statement.startLine, `${name}: missing RETURNS clause`);
+    }
+
+    const languageIndex = header.indexOf('LANGUAGE');
+    let language = 'SQL';
+    if (languageIndex !== -1) {
+      language = header[languageIndex + 1] || '';
+      if (!LANGUAGES.has(language)) {
+        report('error', tokens[languageIndex].line, `${name}: unsupported LANGUAGE ${language || '(missing)'}`);
+        return;
+      }
+    }
+
+    const body = asIndex !== -1 ? tokens[asIndex + 1] : null;
+    if (!body || body.type !== 'string') {
+      report('error', asIndex !== -1 ? tokens[asIndex].line : statement.startLine, `${name}: missing AS $$ ... $$ body`);
+      return;
+    }
+
+    const dollar = /^\$[A-Za-z_]*\$/.exec(body.value);
+    const source = dollar
+      ? body.value.slice(dollar[0].length, body.value.length - dollar[0].length)
+      : body.value.slice(1, -1).replace(/''/g, "'");
+    if (languageIndex === -1 && /\bsnowflake\.(?:createStatement|execute)\b/.test(source)) {
+      report('error', statement.startLine, `${name}: body uses the JavaScript API but LANGUAGE JAVASCRIPT is missing`);
+    }
+
+    if (language === 'JAVASCRIPT') {
+      this.checkJavaScriptBody(name, source, body.line, report);
+    } else if (language === 'SQL' && statement.objectType === 'PROCEDURE') {
+      this.checkScriptingBody(name, source, body.line, report);
+    }
+  }
+
+  checkParameters(name, tokens, paramsOpen, report) {
+    const params = [];
+    let current = [];
+    let depth = 0;
+    for (let k = paramsOpen + 1; k < tokens.length; k++) {
+      const token = tokens[k];
+      if (token.value === '(') {
+        depth++;
+      }
+      if (token.value === ')' && depth-- === 0) {
+        break;
+      }
+      if (token.value === ',' && depth === 0) {
+        params.push(current);
+        current = [];
+      } else {
+        current.push(token);
+      }
+    }
+    params.push(current);
+
+    params.forEach((param, position) => {
+      if (param.length === 0) {
+        if (params.length > 1) {
+          report('error', tokens[paramsOpen].line, `${name}: empty parameter at position ${position + 1}`);
+        }
+        return;
+      }
+      const words = param.map(t => t.value.toUpperCase());
+      if (['IN', 'OUT', 'INOUT'].includes(words[0]) && param.length > 2) {
+        report('warning', param[0].line, `${name}: parameter mode ${words[0]} ${param[1].value} - only Snowflake Scripting procedures accept OUT arguments`);
+        return;
+      }
+      if (param.length < 2) {
+        report('error', param[0].line, `${name}: parameter ${param[0].value} has no data type`);
+      } else if (['IN', 'OUT'].includes(words[1]) || words[1] === 'NOCOPY') {
+        report('error', param[1].line, `${name}: Oracle parameter mode "${param[1].value}" on ${param[0].value}`);
+      }
+    });
+  }
+
+  checkJavaScriptBody(name, source, line, report) {
+    try {
+      // The wrapper lets top-level `return` through; lineOffset maps errors back to the file
+      new vm.Script(`(function () {${source}\n})`, { filename: 'body.js', lineOffset: line - 1 });
+    } catch (error) {
+      const match = /body\.js:(\d+)/.exec(error.stack || '');
+      report('error', match ? Number(match[1]) : line, `${name}: JavaScript syntax error: ${error.message}`);
+    }
+  }
+
+  // Snowflake Scripting: BEGIN/END balance, parentheses and PL/SQL-only syntax inside the body
+  checkScriptingBody(name, source, line, report) {
+    const tokens = tokenize(source, { dialect: 'snowflake' })
+      .filter(t => t.type !== 'comment')
+      .map(t => ({ ...t, line: t.line + line - 1 }));
+    const blocks = [];
+    tokens.forEach((token, k) => {
+      const word = token.type === 'word' ? token.value.toUpperCase() : null;
+      const next = tokens[k + 1];
+      const previous = tokens[k - 1];
+      if (word === 'BEGIN' && !(next && ['TRANSACTION', 'WORK'].includes(next.value.toUpperCase()))) {
+        blocks.push(token);
+      } else if (word === 'CASE' && !(previous && previous.value.toUpperCase() === 'END')) {
+        blocks.push(token);
+      } else if (word === 'END' && !(next && next.type === 'word' && END_QUALIFIERS.has(next.value.toUpperCase()))) {
+        if (!blocks.pop()) {
+          report('error', token.line, `${name}: END without a matching BEGIN`);
+        }
+      } else if (word === 'WHEN' && next && next.value.toUpperCase() === 'OTHERS') {
+        report('warning', token.line, `${name}: WHEN OTHERS is PL/SQL; Snowflake Scripting uses WHEN OTHER`);
+      } else if (word === 'RETURNING') {
+        report('warning', token.line, `${name}: RETURNING ... INTO is not supported; read the values with SELECT ... INTO`);
+      } else if (word === 'CURSOR' && next && next.type === 'word' && (tokens[k + 2] || {}).value &&
+                 ['IS', '('].includes(tokens[k + 2].value.toUpperCase())) {
+        report('warning', token.line, `${name}: PL/SQL cursor declaration; use "${next.value} CURSOR FOR <query>"`);
+      }
+    });
+    blocks.forEach(token => report('error', token.line, `${name}: ${token.value.toUpperCase()} without a matching END`));
+    this.checkParentheses(tokens, report);
+    this.checkDmlLimit(tokens, report);
+    this.checkOracleLeftovers(tokens, report);
+    this.checkRedshiftLeftovers(tokens, report);
+  }
+
+  /**
+   * Ask the LLM to fix the reported problems. One attempt only; the result is re-validated
+   * and kept only when it has fewer errors than the input.
+   * @returns {Promise<{ code: string, validation: Object, repaired: boolean, repairAttempted: boolean }>}
+   */
+  async validateAndRepair(code, fileName, options = {}) {
+    const validation = this.validate(code);
+    if (validation.valid || options.repair !== true) {
+      return { code, validation, repaired: false, repairAttempted: false };
+    }
+
+    try {
+      const candidate = await this.repair(code, validation, fileName, options.cacheStats);
+      const candidateValidation = this.validate(candidate);
+      if (candidateValidation.errorCount < validation.errorCount) {
+        log.info(`🩹 Repaired ${fileName}: ${validation.errorCount} -> ${candidateValidation.errorCount} errors`);
+        return { code: candidate, validation: candidateValidation, repaired: true, repairAttempted: true };
+      }
+      log.warn(`⚠️ Repair did not improve ${fileName}; keeping original output`);
+    } catch (error) {
+      log.warn(`⚠️ Repair failed for ${fileName}`, { error: error.message });
+    }
+    return { code, validation, repaired: false, repairAttempted: true };
+  }
+
+  async repair(code, validation, fileName, cacheStats) {
+    const { PROMPT_VERSIONS } = conversionCacheService;
+    const problems = validation.diagnostics
+      .filter(d => d.severity === 'error')
+      .slice(0, REPAIR_MAX_DIAGNOSTICS)
+      .map(d => `- line ${d.line}: ${d.message}`)
+      .join('\n');
+    const cacheSource = conversionCacheService.promptSource(fileName, code, problems);
+
+    const cached = await conversionCacheService.get('snowflake', PROMPT_VERSIONS.snowflakeRepair, cacheSource, cacheStats);
+    if (cached !== null) {
+      return cached;
+    }
+    if (!llmService.isConfigured()) {
+      throw new Error('LLM provider not configured');
+    }
+
+    const response = await llmService.createChatCompletion({
+      messages: [
+        {
+          role: 'system',
+          content: `You fix syntax errors in Snowflake SQL and Snowflake stored procedures.
+Return the complete corrected file. Change only what is needed to fix the listed problems and keep all logic, names and statements.
+Output ONLY the code - no markdown fences, comments about the changes or explanations.`
+        },
+        {
+          role: 'user',
+          content: `File: ${fileName}
+
+Problems found by the validator:
+${problems}
+
+Code:
+${code}`
+        }
+      ],
+      max_tokens: 4000,
+      temperature: 0
+    });
+
+    const repaired = response.choices[0].message.content
+      .replace(/^\s*```[a-zA-Z]*\n?/, '')
+      .replace(/\n?```\s*$/, '')
+      .trim();
+    await conversionCacheService.set('snowflake', PROMPT_VERSIONS.snowflakeRepair, cacheSource, repaired, fileName);
+    return repaired;
+  }
+
+  /**
+   * Job-level counts from per-file results ({ validation, repaired }).
+   */
+  summarize(results) {
+    const validated = results.filter(r => r && r.validation);
+    return {
+      files: validated.length,
+      valid: validated.filter(r => r.validation.valid).length,
+      invalid: validated.filter(r => !r.validation.valid).length,
+      errors: validated.reduce((sum, r) => sum + r.validation.errorCount, 0),
+      warnings: validated.reduce((sum, r) => sum + r.validation.warningCount, 0),
+      repaired: validated.filter(r => r.repaired).length,
+      truncated: validated.filter(r => r.truncated && r.truncated.length > 0).length
+    };
+  }
+
+  /**
+   * validation_report.json for the output zip.
+   * @param {Array<Object>} convertedFiles - worker results
+   */
+  buildReport(convertedFiles) {
+    const report = {
+      generatedAt: new Date().toISOString(),
+      summary: this.summarize(convertedFiles),
+      files: convertedFiles.filter(f => f.validation).map(f => ({
+        file: f.converted,
+        original: f.original,
+        valid: f.validation.valid,
+        repaired: f.repaired === true,
+        truncated: f.truncated || [],
+        diagnostics: f.validation.diagnostics
+      }))
+    };
+    return { name: 'validation_report.json', content: JSON.stringify(report, null, 2) };
+  }
+}
+
+module.exports = new SnowflakeValidationService();
@@ -0,0 +1,71 @@
+process.env.CONVERSION_CACHE_ENABLED = 'false';
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const assessmentService = require('../services/assessmentService');
+
+const PACKAGE_BODY = `CREATE OR REPLACE PACKAGE BODY hr.payroll AS
+  PROCEDURE run(p_id NUMBER) IS
+    PRAGMA AUTONOMOUS_TRANSACTION;
+    CURSOR c_emp IS SELECT id FROM emp;
+    rc SYS_REFCURSOR;
+  BEGIN
+    EXECUTE IMMEDIATE 'TRUNCATE TABLE tmp';
+    UTL_FILE.FCLOSE(f);
+    DBMS_OUTPUT.PUT_LINE('x');
+    SELECT ROWID INTO r FROM emp WHERE id = p_id;
+  EXCEPTION WHEN OTHERS THEN RAISE;
+  END;
+END payroll;
+/
+`;
+
+test('PL/SQL features and unsupported constructs raise the complexity score', async () => {
+  const { metrics, complexity, unsupported, estimate } = await assessmentService.assessFile(PACKAGE_BODY, 'payroll.sql', { sourceType: 'oracle' });
+  assert.deepStrictEqual(
+    [metrics.plsqlUnits, metrics.cursors, metrics.refCursors, metrics.executeImmediate, metrics.autonomousTransactions, metrics.exceptionHandlers],
+    [1, 1, 1, 1, 1, 1]);
+  assert.deepStrictEqual(metrics.packagesUsed, [{ name: 'DBMS_OUTPUT', calls: 1 }, { name: 'UTL_FILE', calls: 1 }]);
+
+  // Sorted by severity, then id; each with the lines it occurs on
+  assert.deepStrictEqual(unsupported.map(u => [u.id, u.severity, u.lines]), [
+    ['AUTONOMOUS_TRANSACTION', 'high', [3]],
+    ['UTL_FILE', 'high', [8]],
+    ['PACKAGE', 'medium', [1]],
+    ['REF_CURSOR', 'medium', [5]],
+    ['ROWID', 'medium', [10]]
+  ]);
+  assert.strictEqual(complexity.factors.unsupported, 8 + 8 + 4 + 4 + 4);
+  assert.deepStrictEqual([complexity.score, complexity.level], [53, 'high']);
+  assert.strictEqual(estimate.method, 'llm');
+  assert.ok(estimate.inputTokens > estimate.sourceTokens);
+});
+
+test('plain DDL the rules convert is low complexity and needs no LLM call', async () => {
+  const { complexity, unsupported, estimate } = await assessmentService.assessFile('CREATE TABLE t (id NUMBER);', 't.sql', { sourceType: 'oracle' });
+  assert.deepStrictEqual([complexity.score, complexity.level, unsupported], [0, 'low', []]);
+  assert.deepStrictEqual(estimate, { method: 'rules', sourceTokens: 7, inputTokens: 0, outputTokens: 0, llmSeconds: 0, costUsd: 0, truncationRisk: false });
+});
+
+test('constructs are flagged for the source dialect only', async () => {
+  const redshift = await assessmentService.assessFile(
+    "UNLOAD ('SELECT * FROM t') TO 's3://b/p' IAM_ROLE 'x';\nCREATE TABLE t (id INT) DISTKEY(id);\nSELECT * FROM stv_recents;", 'r.sql', { sourceType: 'redshift' });
+  assert.deepStrictEqual(redshift.unsupported.map(u => [u.id, u.lines]).sort(),
+    [['DISTRIBUTION_KEYS', [2]], ['REDSHIFT_SYSTEM_TABLES', [3]], ['UNLOAD', [1]]]);
+
+  // Oracle rules do not apply to T-SQL
+  const tsql = await assessmentService.assessFile('SELECT ROWID FROM t;', 't.sql', { sourceType: 'tsql' });
+  assert.deepStrictEqual(tsql.unsupported, []);
+});
+
+test('the report totals files by complexity and conversion method', async () => {
+  const files = [
+    await assessmentService.assessFile(PACKAGE_BODY, 'payroll.sql', { sourceType: 'oracle' }),
+    await assessmentService.assessFile('CREATE TABLE t (id NUMBER);', 't.sql', { sourceType: 'oracle' })
+  ];
+  const { summary } = assessmentService.buildReport(files);
+  assert.deepStrictEqual(summary.complexity, { low: 1, medium: 0, high: 1, very_high: 0 });
+  assert.deepStrictEqual(summary.conversionMethods, { llm: 1, rules: 1, cache: 0 });
+  assert.strictEqual(summary.files, 2);
+});
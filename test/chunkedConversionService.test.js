@@ -0,0 +1,89 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const chunkedConversionService = require('../services/chunkedConversionService');
+const conversionCacheService = require('../services/conversionCacheService');
+const dialectConversionService = require('../services/dialectConversionService');
+const llmService = require('../services/llmService');
+const redshiftConversionService = require('../services/redshiftConversionService');
+
+const SOURCE = `-- Orders schema
+CREATE TABLE orders (id NUMBER, amount NUMBER);
+/
+-- Line items
+CREATE TABLE order_lines (order_id NUMBER, qty NUMBER);
+/
+CREATE OR REPLACE VIEW order_totals AS SELECT order_id, SUM(qty) total FROM order_lines GROUP BY order_id;
+-- end of file
+`;
+
+const chunker = maxChunkTokens => new chunkedConversionService.constructor({ enabled: true, maxChunkTokens });
+
+test('text between statements goes with the chunk that follows and nothing is dropped', () => {
+  const chunks = chunker(20).split(SOURCE);
+  assert.strictEqual(chunks.length, 3);
+  assert.strictEqual(chunks.map(chunk => chunk.text).join(''), SOURCE);
+  assert.match(chunks[0].text, /^-- Orders schema\nCREATE TABLE orders/);
+  assert.match(chunks[1].text, /^\n\/\n-- Line items\nCREATE TABLE order_lines/);
+  assert.match(chunks[2].text, /GROUP BY order_id;\n-- end of file\n$/);
+  assert.deepStrictEqual(chunks.map(chunk => [chunk.startLine, chunk.endLine]), [[2, 2], [5, 5], [7, 7]]);
+});
+
+test('a file is only planned in chunks when enabled and over the budget', () => {
+  assert.strictEqual(chunker(1000).plan(SOURCE), null);
+  assert.strictEqual(new chunkedConversionService.constructor({ enabled: false, maxChunkTokens: 20 }).plan(SOURCE), null);
+  assert.strictEqual(chunker(20).plan(SOURCE).length, 3);
+});
+
+test('the conversion info of the chunks is merged and lists the parts', async () => {
+  const service = chunker(20);
+  const chunks = service.plan(SOURCE);
+  const contexts = [];
+  const conversionInfo = {};
+  const outputs = await service.convertChunks(SOURCE, 'orders.sql', chunks, async (code, name, unitOptions) => {
+    contexts.push(unitOptions.promptContext);
+    Object.assign(unitOptions.conversionInfo, {
+      method: name.includes('part 3/3') ? 'llm' : 'rules',
+      rules: ['number-type'],
+      unresolved: name.includes('part 3/3') ? ['VIEW'] : [],
+      truncated: name.includes('part 3/3') ? [name] : undefined
+    });
+    return name;
+  }, { conversionInfo });
+
+  assert.deepStrictEqual(outputs, ['orders.sql (part 1/3)', 'orders.sql (part 2/3)', 'orders.sql (part 3/3)']);
+  assert.match(contexts[1], /This is part 2 of 3 of orders\.sql \(lines 5-5\)/);
+  assert.strictEqual(conversionInfo.method, 'llm');
+  assert.deepStrictEqual(conversionInfo.rules, ['number-type']);
+  assert.deepStrictEqual(conversionInfo.unresolved, ['VIEW']);
+  assert.deepStrictEqual(conversionInfo.truncated, ['orders.sql (part 3/3)']);
+  assert.deepStrictEqual(conversionInfo.chunks, [
+    { part: 1, startLine: 2, endLine: 2 },
+    { part: 2, startLine: 5, endLine: 5 },
+    { part: 3, startLine: 7, endLine: 7 }
+  ]);
+});
+
+test('truncated output gets a warning header', () => {
+  assert.strictEqual(chunkedConversionService.markTruncated('SELECT 1;', undefined), 'SELECT 1;');
+  assert.strictEqual(chunkedConversionService.markTruncated('SELECT 1;', ['a.sql (part 2/3)']),
+    '-- WARNING: INCOMPLETE OUTPUT: the LLM response hit its token limit for a.sql (part 2/3). Review and complete it before use.\nSELECT 1;');
+});
+
+test('Redshift and T-SQL answers cut off at max_tokens are flagged and not cached', async t => {
+  t.mock.method(llmService, 'isConfigured', () => true);
+  t.mock.method(llmService, 'createChatCompletion', async () => ({
+    choices: [{ message: { content: 'CREATE OR REPLACE VIEW V AS SELECT' }, finish_reason: 'length' }]
+  }));
+  const set = t.mock.method(conversionCacheService, 'set', async () => {});
+
+  const redshiftInfo = {};
+  await redshiftConversionService.convertRedshiftToSnowflake('SELECT a ~ b FROM t;', 'view.sql', { conversionInfo: redshiftInfo });
+  const tsqlInfo = {};
+  await dialectConversionService.convertToSnowflake('SELECT TOP 5 * FROM t;', 'top.sql', 'tsql', { conversionInfo: tsqlInfo });
+
+  assert.deepStrictEqual(redshiftInfo.truncated, ['view.sql']);
+  assert.deepStrictEqual(tsqlInfo.truncated, ['top.sql']);
+  assert.strictEqual(set.mock.callCount(), 0);
+});
@@ -0,0 +1,67 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+process.env.CONVERSION_CACHE_ENABLED = 'true';
+process.env.CONVERSION_CACHE_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'conversion-cache-'));
+process.env.LLM_PROVIDER = 'fixture';
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const conversionCacheService = require('../services/conversionCacheService');
+const dialectConversionService = require('../services/dialectConversionService');
+const llmService = require('../services/llmService');
+
+const { PROMPT_VERSIONS } = conversionCacheService;
+
+test.after(() => fs.remove(process.env.CONVERSION_CACHE_PATH));
+test.beforeEach(() => conversionCacheService.purge());
+
+test('a stored conversion is a hit for the same source and a miss otherwise', async () => {
+  const stats = {};
+  assert.strictEqual(await conversionCacheService.get('snowflake', PROMPT_VERSIONS.oracleToSnowflake, 'SELECT 1 FROM dual;', stats), null);
+  await conversionCacheService.set('snowflake', PROMPT_VERSIONS.oracleToSnowflake, 'SELECT 1 FROM dual;', 'SELECT 1;', 'a.sql');
+
+  assert.strictEqual(await conversionCacheService.get('snowflake', PROMPT_VERSIONS.oracleToSnowflake, 'SELECT 1 FROM dual;', stats), 'SELECT 1;');
+  assert.strictEqual(await conversionCacheService.get('snowflake', PROMPT_VERSIONS.oracleToSnowflake, 'SELECT 2 FROM dual;', stats), null);
+  assert.strictEqual(await conversionCacheService.get('idmc', PROMPT_VERSIONS.oracleToIdmc, 'SELECT 1 FROM dual;', stats), null);
+  assert.deepStrictEqual(stats, { misses: 3, hits: 1 });
+  assert.deepStrictEqual(conversionCacheService.summarize([stats, { hits: 1 }]), { enabled: true, hits: 2, misses: 3, hitRate: 0.4 });
+});
+
+test('a new prompt version invalidates earlier entries', async () => {
+  await conversionCacheService.set('snowflake', 'oracle-snowflake-v1', 'SELECT 1 FROM dual;', 'SELECT 1;', 'a.sql');
+  assert.strictEqual(await conversionCacheService.has('snowflake', 'oracle-snowflake-v1', 'SELECT 1 FROM dual;'), true);
+  assert.strictEqual(await conversionCacheService.has('snowflake', 'oracle-snowflake-v2', 'SELECT 1 FROM dual;'), false);
+});
+
+test('purge removes the entries of one target or of all', async () => {
+  await conversionCacheService.set('snowflake', PROMPT_VERSIONS.oracleToSnowflake, 'a', 'A', 'a.sql');
+  await conversionCacheService.set('snowflake', PROMPT_VERSIONS.oracleToSnowflake, 'b', 'B', 'b.sql');
+  await conversionCacheService.set('idmc', PROMPT_VERSIONS.oracleToIdmc, 'a', 'A', 'a.sql');
+  assert.deepStrictEqual((await conversionCacheService.getStats()).entries, { snowflake: 2, idmc: 1, 'summary-json': 0 });
+
+  assert.strictEqual(await conversionCacheService.purge('snowflake'), 2);
+  assert.strictEqual(await conversionCacheService.has('idmc', PROMPT_VERSIONS.oracleToIdmc, 'a'), true);
+  assert.strictEqual(await conversionCacheService.purge(), 1);
+  assert.deepStrictEqual((await conversionCacheService.getStats()).entries, { snowflake: 0, idmc: 0, 'summary-json': 0 });
+});
+
+test('the same code in two files is converted for each file', async t => {
+  const prompts = [];
+  t.mock.method(llmService, 'isConfigured', () => true);
+  t.mock.method(llmService, 'createChatCompletion', async request => {
+    prompts.push(request.messages[1].content);
+    return { choices: [{ message: { content: `-- ${prompts.length}\nSELECT 1;` }, finish_reason: 'stop' }] };
+  });
+
+  const first = await dialectConversionService.convertToSnowflake('SELECT TOP 1 1;', 'first.sql', 'tsql');
+  const again = await dialectConversionService.convertToSnowflake('SELECT TOP 1 1;', 'first.sql', 'tsql');
+  const second = await dialectConversionService.convertToSnowflake('SELECT TOP 1 1;', 'second.sql', 'tsql');
+
+  assert.strictEqual(prompts.length, 2);
+  assert.match(prompts[1], /Original File: second\.sql/);
+  assert.strictEqual(again, first);
+  assert.notStrictEqual(second, first);
+});
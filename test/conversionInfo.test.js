@@ -0,0 +1,27 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { mergeConversionInfo } = require('../utils/conversionInfo');
+
+test('unit infos merge into one; the method is llm when any unit used it', () => {
+  const merged = mergeConversionInfo([
+    { method: 'rules', rules: ['nvl', 'dual'], unresolved: [] },
+    { method: 'llm', rules: ['nvl'], unresolved: ['ROWNUM filter'], scriptingFixes: ['when-other'], truncated: ['a.sql (part 2/2)'] }
+  ]);
+  assert.deepStrictEqual(merged, {
+    method: 'llm',
+    rules: ['nvl', 'dual'],
+    unresolved: ['ROWNUM filter'],
+    scriptingFixes: ['when-other'],
+    scriptingUnresolved: undefined,
+    truncated: ['a.sql (part 2/2)'],
+    builtinCalls: undefined
+  });
+  assert.strictEqual(mergeConversionInfo([{ method: 'rules' }, { method: 'rules' }]).method, 'rules');
+});
+
+test('units that report no method (IDMC) leave the method unset', () => {
+  assert.strictEqual(mergeConversionInfo([{}, { truncated: ['x'] }]).method, undefined);
+  assert.strictEqual(mergeConversionInfo([]).method, undefined);
+});
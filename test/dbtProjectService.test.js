@@ -0,0 +1,69 @@
+process.env.CONVERSION_CACHE_ENABLED = 'false';
+process.env.LLM_PROVIDER = 'fixture';
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const dbtProjectService = require('../services/dbtProjectService');
+
+const FILES = [
+  {
+    path: 'views.sql',
+    content: `CREATE OR REPLACE VIEW v_open_orders AS SELECT o.id, o.cust_id, o.amount FROM hr.orders o WHERE o.status = 'OPEN';
+CREATE TABLE cust_totals AS SELECT c.id, SUM(v.amount) AS total FROM customers c JOIN v_open_orders v ON v.cust_id = c.id GROUP BY c.id;
+INSERT INTO cust_totals (id, total) SELECT id, 0 FROM customers c WHERE NOT EXISTS (SELECT 1 FROM cust_totals t WHERE t.id = c.id);
+`
+  },
+  {
+    path: 'proc.sql',
+    content: `CREATE OR REPLACE PROCEDURE purge IS
+BEGIN
+  DELETE FROM hr.orders WHERE status = 'X';
+END;
+/
+INSERT INTO audit_log VALUES (1, SYSDATE);
+UPDATE hr.orders SET status = 'Y';
+`
+  }
+];
+const ANALYSIS = { dependencies: ['HR.ORDERS', 'CUSTOMERS', 'V_OPEN_ORDERS', 'CUST_TOTALS'] };
+
+const build = () => dbtProjectService.buildProject(FILES, ANALYSIS, { projectName: 'shop' });
+const fileContent = (project, name) => project.files.find(file => file.name === name).content;
+
+test('tables read by models become ref() or source() and the own target becomes this', async () => {
+  const project = await build();
+  assert.deepStrictEqual(project.models.map(m => [m.name, m.materialized, m.conversionMethod, m.columns]), [
+    ['v_open_orders', 'view', 'rules', ['id', 'cust_id', 'amount']],
+    ['cust_totals', 'table', 'rules', ['id', 'total']]
+  ]);
+  assert.deepStrictEqual(project.sources, ['CUSTOMERS', 'HR.ORDERS']);
+
+  assert.match(fileContent(project, 'models/v_open_orders.sql'), /FROM \{\{ source\('hr', 'orders'\) \}\} o WHERE/);
+  const totals = fileContent(project, 'models/cust_totals.sql');
+  assert.match(totals, /FROM \{\{ source\('default', 'customers'\) \}\} c JOIN \{\{ ref\('v_open_orders'\) \}\} v ON/);
+  assert.match(totals, /NOT EXISTS \(SELECT 1 FROM \{\{ this \}\} t WHERE/);
+  // CREATE TABLE AS and the INSERT into the same table are one model
+  assert.match(totals, /select \* from part_1\nunion all\nselect \* from part_2/);
+  assert.match(fileContent(project, 'models/sources.yml'), /- name: 'hr'\n {4}schema: 'hr'\n {4}tables:\n {6}- name: 'orders'/);
+});
+
+test('PL/SQL and statements that are not models are listed in the report', async () => {
+  const project = await build();
+  const expected = [
+    ['PURGE', 'CREATE_PROCEDURE', 'PL/SQL procedure cannot be expressed as a dbt model'],
+    ['AUDIT_LOG', 'INSERT', 'INSERT ... VALUES is seed data, not a model'],
+    ['HR.ORDERS', 'UPDATE', 'UPDATE changes rows in place and cannot be expressed as a dbt model']
+  ];
+  assert.deepStrictEqual(project.unconverted.map(u => [u.object, u.kind, u.reason]), expected);
+
+  const report = JSON.parse(fileContent(project, dbtProjectService.REPORT_NAME));
+  assert.deepStrictEqual(report.summary, { models: 2, sources: 2, unconverted: 3 });
+  assert.deepStrictEqual(report.unconverted.map(u => [u.object, u.kind, u.reason]), expected);
+  assert.deepStrictEqual(report.models[1].origins.map(o => o.kind), ['CREATE_TABLE', 'INSERT']);
+});
+
+test('project names are sanitized for dbt', () => {
+  assert.strictEqual(dbtProjectService.getProjectName('My Shop-Export.zip'), 'my_shop_export');
+  assert.strictEqual(dbtProjectService.getProjectName('2024_dump.zip'), 'dbt_2024_dump');
+});
@@ -0,0 +1,83 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const dependencyGraphService = require('../services/dependencyGraphService');
+
+// Objects as the analysis step reports them: one per statement, with referenced tables and identifiers
+const OBJECTS = [
+  { name: 'HR.EMP_V', type: 'VIEW', file: 'views/emp_v.sql', line: 1, references: ['HR.EMP', 'HR.DEPT'], identifiers: [] },
+  { name: 'HR.EMP', type: 'TABLE', file: 'tables.sql', line: 1, references: [], identifiers: [] },
+  { name: 'HR.DEPT', type: 'TABLE', file: 'tables.sql', line: 5, references: [], identifiers: [] },
+  { name: 'HR.EMP_SEQ', type: 'SEQUENCE', file: 'seq.sql', line: 1, references: [], identifiers: [] },
+  { name: 'HR.ADD_EMP', type: 'PROCEDURE', file: 'add_emp.sql', line: 1, references: ['HR.EMP', 'SYS.DUAL'], identifiers: ['EMP_SEQ', 'AUDIT_PKG.LOG'] },
+  { name: 'HR.AUDIT_PKG', type: 'PACKAGE', file: 'audit_pkg.sql', line: 1, references: [], identifiers: [] },
+  { name: 'HR.AUDIT_PKG', type: 'PACKAGE BODY', file: 'audit_pkg_body.sql', line: 1, references: [], identifiers: ['EMP_SEQ'] },
+  { name: null, type: null, file: 'grants.sql', line: 1, references: ['HR.EMP_V'], identifiers: [] }
+];
+
+const buildGraph = () => dependencyGraphService.buildGraph(OBJECTS, ['notes.sql']);
+
+test('files are ordered so every object is created before the files that use it', () => {
+  const graph = buildGraph();
+  assert.deepStrictEqual(graph.deployOrder, [
+    'seq.sql', 'tables.sql', 'views/emp_v.sql', 'audit_pkg.sql', 'audit_pkg_body.sql', 'add_emp.sql', 'grants.sql', 'notes.sql'
+  ]);
+  const dependsOn = Object.fromEntries(graph.files.map(f => [f.file, f.dependsOn]));
+  assert.deepStrictEqual(dependsOn['add_emp.sql'], ['audit_pkg_body.sql', 'audit_pkg.sql', 'seq.sql', 'tables.sql']);
+  // The body depends on its specification and on what it uses
+  assert.deepStrictEqual(dependsOn['audit_pkg_body.sql'], ['audit_pkg.sql', 'seq.sql']);
+  assert.deepStrictEqual(dependsOn['grants.sql'], ['views/emp_v.sql']);
+  assert.deepStrictEqual(graph.cycles, []);
+
+  // Objects outside the project become external nodes
+  assert.deepStrictEqual(graph.nodes.filter(n => n.external).map(n => n.id), ['SYS.DUAL']);
+});
+
+test('files that depend on each other are reported as a cycle and still ordered', () => {
+  const fileDeps = new Map([
+    ['a.sql', new Set(['b.sql'])],
+    ['b.sql', new Set(['c.sql'])],
+    ['c.sql', new Set(['a.sql'])],
+    ['d.sql', new Set(['a.sql'])]
+  ]);
+  const files = [...fileDeps.keys()];
+  assert.deepStrictEqual(dependencyGraphService.findCycles(files, fileDeps), [['a.sql', 'b.sql', 'c.sql']]);
+
+  const { deployOrder, cycles } = dependencyGraphService.orderFiles(files, fileDeps, new Map());
+  assert.deepStrictEqual(deployOrder, ['a.sql', 'c.sql', 'b.sql', 'd.sql']);
+  assert.deepStrictEqual(cycles, [['a.sql', 'b.sql', 'c.sql']]);
+});
+
+test('the DOT graph has a node per object and an edge per dependency', () => {
+  const dot = dependencyGraphService.toDot(buildGraph());
+  assert.match(dot, /^digraph dependencies \{\n/);
+  assert.match(dot, /"HR\.EMP" \[label="HR\.EMP\\nTABLE", shape=box\];/);
+  assert.match(dot, /"SYS\.DUAL" \[label="SYS\.DUAL\\nEXTERNAL", shape=box, style=dashed\];/);
+  assert.match(dot, /"HR\.ADD_EMP" -> "HR\.EMP_SEQ";/);
+  assert.match(dot, /"HR\.EMP_V" -> "HR\.DEPT";/);
+  assert.match(dot, /\}\n$/);
+});
+
+test('deploy_order.sql sources the converted files in order and flags cycles and failures', () => {
+  const graph = {
+    deployOrder: ['b.sql', 'a.sql', 'c.sql'],
+    cycles: [['a.sql', 'b.sql']]
+  };
+  const script = dependencyGraphService.buildDeployOrderScript(graph, [
+    { original: 'a.sql', converted: 'a_snowflake.sql', success: true },
+    { original: 'b.sql', converted: 'b_snowflake.sql', success: true },
+    { original: 'c.sql', converted: null, success: false },
+    { original: 'extra.sql', converted: 'extra_snowflake.sql', success: true }
+  ], ['shims.sql']);
+
+  assert.deepStrictEqual(script.split('\n').filter(line => /^(!source|-- not|-- circular)/.test(line)), [
+    '!source shims.sql',
+    '-- circular dependency with: a.sql',
+    '!source b_snowflake.sql',
+    '-- circular dependency with: b.sql',
+    '!source a_snowflake.sql',
+    '-- not converted: c.sql',
+    '!source extra_snowflake.sql'
+  ]);
+});
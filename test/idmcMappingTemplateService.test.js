@@ -0,0 +1,104 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const idmcMappingTemplateService = require('../services/idmcMappingTemplateService');
+const { parseIdmcSummary, parseFlow } = require('../utils/idmcSummaryParser');
+
+const SUMMARY = `## IDMC Mapping Summary
+
+**Mapping Name:** m_order_history
+
+### 1. Objective
+
+Load order history with customer names.
+
+### 2. Source Objects
+
+| Source Name | Description | Key Columns Used |
+|---|---|---|
+| HR.CUSTOMERS | Customers | CUSTOMER_ID (NUMBER), NAME (VARCHAR) |
+| HR.ORDERS$HIST | Order history | ORDER_ID (NUMBER), CUSTOMER_ID (NUMBER), AMOUNT (NUMBER) |
+
+### 3. Transformations
+
+| Transformation Step | IDMC Component Type | Logic / Description |
+|---|---|---|
+| SQ_History | Source Qualifier | SELECT * FROM HR.ORDERS$HIST WHERE AMOUNT > 0 |
+| JNR_Cust_Orders | Joiner | Left join on CUSTOMER_ID |
+| RTR_Existing | Router | Split on whether the order is already loaded |
+| SEQ_Key | Sequence Generator | Next surrogate key |
+| UPD_Existing | Update Strategy | DD_UPDATE |
+
+### 4. Target Object
+
+| Target Table | Description | Columns Mapped |
+|---|---|---|
+| DW_ORDERS | Orders | ORDER_ID (NUMBER) ← ORDER_ID, NAME (VARCHAR) ← NAME |
+
+### 5. Mapping Flow Diagram (Text Summary)
+
+\`\`\`
+Source1 --> Joiner
+SQ_History --> Joiner --> Router
+Branch 1: Router --> SEQ_Key --> Target
+Branch 2: Router --> UPD_Existing --> Target
+\`\`\`
+`;
+
+test('flow lines become edges; labels are dropped and JNR_x(a, b) adds an edge per input', () => {
+  assert.deepStrictEqual(parseFlow(['Branch 1: Source1 --> Joiner → EXP_Clean', '- JNR_All(SQ_A, SQ_B) => Target']).edges, [
+    ['Source1', 'Joiner'],
+    ['Joiner', 'EXP_Clean'],
+    ['SQ_A', 'JNR_All'],
+    ['SQ_B', 'JNR_All'],
+    ['JNR_All', 'Target']
+  ]);
+  assert.strictEqual(parseIdmcSummary('## Notes\n\nFree-form text'), null);
+});
+
+test('summary tables are parsed into sources, transformations and targets', () => {
+  const summary = parseIdmcSummary(SUMMARY);
+  assert.strictEqual(summary.mappingName, 'm_order_history');
+  assert.deepStrictEqual(summary.sources.map(s => s.name), ['HR.CUSTOMERS', 'HR.ORDERS$HIST']);
+  assert.deepStrictEqual(summary.sources[1].columns.map(c => c.name), ['ORDER_ID', 'CUSTOMER_ID', 'AMOUNT']);
+  assert.deepStrictEqual(summary.transformations.map(t => [t.name, t.type]), [
+    ['SQ_History', 'Source Qualifier'],
+    ['JNR_Cust_Orders', 'Joiner'],
+    ['RTR_Existing', 'Router'],
+    ['SEQ_Key', 'Sequence Generator'],
+    ['UPD_Existing', 'Update Strategy']
+  ]);
+});
+
+test('generic flow names resolve to the numbered source and the only node of their type', () => {
+  const { mapping } = idmcMappingTemplateService.generate(SUMMARY, 'order_history.json');
+  assert.deepStrictEqual(mapping.nodes.map(n => [n.name, n.$$class]), [
+    ['src_customers', 'TmplSource'],
+    ['src_orders$hist', 'TmplSource'],
+    ['tgt_dw_orders', 'TmplTarget'],
+    ['JNR_Cust_Orders', 'TmplJoiner'],
+    ['RTR_Existing', 'TmplRouter'],
+    ['SEQ_Key', 'TmplSequence'],
+    ['UPD_Existing', 'TmplUpdateStrategy']
+  ]);
+  // Source1 is the first source; the Source Qualifier reads the table its SQL names
+  assert.deepStrictEqual(mapping.links.slice(0, 3).map(l => [l.fromNode, l.toNode]), [
+    ['src_customers', 'JNR_Cust_Orders'],
+    ['src_orders$hist', 'JNR_Cust_Orders'],
+    ['JNR_Cust_Orders', 'RTR_Existing']
+  ]);
+});
+
+test('joiners get their join type and router branches their groups', () => {
+  const { mapping } = idmcMappingTemplateService.generate(SUMMARY, 'order_history.json');
+  const byName = name => mapping.nodes.find(n => n.name === name);
+  assert.strictEqual(byName('JNR_Cust_Orders').metadata.joinType, 'Left Outer');
+  assert.deepStrictEqual(byName('JNR_Cust_Orders').fields.map(f => f.name), ['CUSTOMER_ID', 'NAME', 'ORDER_ID', 'AMOUNT']);
+  assert.deepStrictEqual(byName('RTR_Existing').groups, [
+    { name: 'INSERT_GROUP', condition: 'COUNT_RECORDS = 0' },
+    { name: 'UPDATE_GROUP', condition: 'COUNT_RECORDS > 0' }
+  ]);
+  assert.deepStrictEqual(mapping.links.filter(l => l.fromGroup).map(l => [l.toNode, l.fromGroup]),
+    [['SEQ_Key', 'INSERT_GROUP'], ['UPD_Existing', 'UPDATE_GROUP']]);
+});
@@ -0,0 +1,107 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const idmcMappingValidationService = require('../services/idmcMappingValidationService');
+
+const node = ($$class, name, $$ID, x, y, fields = []) => ({
+  $$class, name, $$ID, '##SID': $$ID, x, y, fields, metadata: { $$classInfo: {} }
+});
+
+const mapping = () => ({
+  documentType: 'MAPPING',
+  nodes: [
+    node('TmplSource', 'src_orders', 1, 100, 100, [{ name: 'ORDER_ID' }, { name: 'STATUS' }]),
+    node('TmplFilter', 'flt_open', 2, 300, 100),
+    node('TmplTarget', 'tgt_orders', 3, 500, 100, [{ name: 'ORDER_ID' }])
+  ],
+  links: [
+    { fromNode: 'src_orders', toNode: 'flt_open' },
+    { fromNode: 'flt_open', toNode: 'tgt_orders', fromField: 'ORDER_ID', toField: 'ORDER_ID' }
+  ],
+  groups: []
+});
+
+const codes = violations => violations.map(v => `${v.code} ${v.path}`);
+
+test('a well-formed mapping is import-ready and left as is', () => {
+  const json = JSON.stringify(mapping());
+  const { content, report } = idmcMappingValidationService.check(json, 'm.json');
+  assert.strictEqual(content, json);
+  assert.deepStrictEqual(report, { importReady: true, repaired: false, violations: [], repairs: [], remainingViolations: [] });
+});
+
+test('JSON that is not an object is reported without a repair', () => {
+  for (const json of ['null', '"x"', '[]', '42']) {
+    const { content, report } = idmcMappingValidationService.check(json, 'm.json');
+    assert.strictEqual(content, json);
+    assert.strictEqual(report.importReady, false, json);
+    assert.strictEqual(report.repaired, false, json);
+    assert.deepStrictEqual(codes(report.remainingViolations), ['STRUCTURE '], json);
+  }
+  assert.deepStrictEqual(codes(idmcMappingValidationService.check('{"nodes":', 'm.json').report.violations), ['PARSE ']);
+});
+
+test('duplicate IDs and names are renumbered', () => {
+  const broken = mapping();
+  broken.nodes[2].$$ID = 1;
+  broken.nodes[2]['##SID'] = 1;
+  broken.nodes[1].name = 'src_orders';
+  broken.links[1].fromNode = 2;
+  const before = idmcMappingValidationService.validate(broken);
+  assert.deepStrictEqual(codes(before.violations.filter(v => v.code.startsWith('DUPLICATE'))),
+    ['DUPLICATE_NAME nodes[1].name', 'DUPLICATE_ID nodes[2].$$ID', 'DUPLICATE_ID nodes[2].##SID']);
+
+  const { mapping: fixed, repairs } = idmcMappingValidationService.repair(broken);
+  assert.deepStrictEqual(fixed.nodes.map(n => [n.name, n.$$ID, n['##SID']]),
+    [['src_orders', 1, 1], ['src_orders_2', 2, 2], ['tgt_orders', 3, 3]]);
+  assert.ok(repairs.includes('Renamed duplicate $$ID 1 to 3'));
+  // The original is not modified
+  assert.strictEqual(broken.nodes[2].$$ID, 1);
+});
+
+test('links to missing nodes, missing fields or into a source are dropped', () => {
+  const broken = mapping();
+  broken.links.push(
+    { fromNode: 'flt_open', toNode: 'tgt_missing' },
+    { fromNode: 'src_orders', toNode: 'tgt_orders', fromField: 'AMOUNT' },
+    { fromNode: 'flt_open', toNode: 'src_orders' }
+  );
+  const { content, report } = idmcMappingValidationService.check(JSON.stringify(broken), 'm.json');
+  assert.deepStrictEqual(codes(report.violations.filter(v => v.severity === 'error')),
+    ['LINK_NODE links[2].toNode', 'LINK_FIELD links[3].fromField', 'SOURCE_INCOMING links[4]']);
+  assert.deepStrictEqual(report.repairs, [
+    'Dropped link "flt_open" -> "tgt_missing"',
+    'Dropped link "src_orders" -> "tgt_orders"',
+    'Dropped link "flt_open" -> "src_orders"'
+  ]);
+  assert.strictEqual(report.importReady, true);
+  assert.deepStrictEqual(JSON.parse(content).links, mapping().links);
+});
+
+test('overlapping or missing coordinates are laid out by flow', () => {
+  const broken = mapping();
+  broken.nodes.forEach(n => {
+    n.x = 0;
+    n.y = 0;
+  });
+  delete broken.nodes[2].y;
+  const { mapping: fixed, repairs } = idmcMappingValidationService.repair(broken);
+  assert.deepStrictEqual(repairs, ['Re-laid out node coordinates']);
+  assert.deepStrictEqual(fixed.nodes.map(n => [n.x, n.y]), [[100, 100], [300, 100], [500, 100]]);
+});
+
+test('orphans and a missing target are reported and not repaired', () => {
+  const broken = mapping();
+  broken.nodes.splice(2, 1, node('TmplExpression', 'exp_unused', 3, 500, 100));
+  broken.links.pop();
+  const { report } = idmcMappingValidationService.check(JSON.stringify(broken), 'm.json');
+  assert.deepStrictEqual(codes(report.violations), [
+    'NO_TARGET nodes',
+    'ORPHAN nodes[1]',
+    'ORPHAN nodes[2]'
+  ]);
+  assert.match(report.violations[1].message, /Transformation "flt_open" has no outgoing links/);
+  assert.match(report.violations[2].message, /Transformation "exp_unused" has no incoming links/);
+  assert.deepStrictEqual([report.repaired, report.importReady], [false, false]);
+});
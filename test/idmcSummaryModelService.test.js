@@ -0,0 +1,60 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const idmcSummaryModelService = require('../services/idmcSummaryModelService');
+const idmcMappingTemplateService = require('../services/idmcMappingTemplateService');
+
+const SUMMARY = `## 🧩 IDMC Mapping Summary
+
+**Mapping Name:** m_load_orders
+
+### 1. Objective
+
+Load open orders into the warehouse.
+
+### 2. Source Objects
+
+| Source Name | Description | Key Columns Used |
+|---|---|---|
+| ORDERS | Order headers | ORDER_ID (NUMBER), STATUS (VARCHAR) |
+
+### 3. Transformations
+
+| Transformation Step | IDMC Component Type | Logic / Description |
+|---|---|---|
+| FLT_OPEN | Filter | STATUS = 'OPEN' |
+
+### 4. Target Object
+
+| Target Table | Description | Columns Mapped |
+|---|---|---|
+| DW_ORDERS | Open orders | ORDER_ID (NUMBER) ← ORDER_ID, STATUS (VARCHAR) ← STATUS |
+
+### 5. Mapping Flow Diagram (Text Summary)
+
+\`\`\`
+ORDERS → FLT_OPEN → DW_ORDERS
+\`\`\`
+`;
+
+test('markdown summaries round-trip through the model', () => {
+  const model = idmcSummaryModelService.fromMarkdown(SUMMARY, { fileName: 'load_orders.sql', sourceType: 'oracle' });
+  assert.strictEqual(model.mappingName, 'm_load_orders');
+  assert.deepStrictEqual(model.flow, [{ from: 'ORDERS', to: 'FLT_OPEN' }, { from: 'FLT_OPEN', to: 'DW_ORDERS' }]);
+  assert.deepStrictEqual(idmcSummaryModelService.fromMarkdown(idmcSummaryModelService.toMarkdown(model)).targets, model.targets);
+});
+
+test('summary model JSON is templated like the markdown summary', () => {
+  const model = idmcSummaryModelService.fromMarkdown(SUMMARY, { fileName: 'load_orders.sql' });
+  const summary = idmcSummaryModelService.toSummaryMarkdown(idmcSummaryModelService.toJson(model));
+  const templated = idmcMappingTemplateService.generate(summary, 'load_orders_IDMC_Summary.json');
+  assert.ok(templated);
+  assert.deepStrictEqual(templated.mapping, idmcMappingTemplateService.generate(SUMMARY, 'load_orders_IDMC_Summary.json').mapping);
+});
+
+test('other text is passed through unchanged', () => {
+  assert.strictEqual(idmcSummaryModelService.toSummaryMarkdown(SUMMARY), SUMMARY);
+  assert.strictEqual(idmcSummaryModelService.toSummaryMarkdown('{"nodes": []}'), '{"nodes": []}');
+  assert.strictEqual(idmcSummaryModelService.toSummaryMarkdown('{ not json'), '{ not json');
+});
@@ -0,0 +1,54 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const lineageService = require('../services/lineageService');
+
+const lineage = async (sql) => (await lineageService.extractLineage(sql, 'etl.sql', { sourceType: 'oracle' }))
+  .map(e => [e.statementType, `${e.targetTable}.${e.targetColumn}`, e.sourceTable && `${e.sourceTable}.${e.sourceColumn}`, e.transformation]);
+
+test('INSERT ... SELECT maps each target column through its expression', async () => {
+  assert.deepStrictEqual(await lineage(`INSERT INTO dw.sales (id, total, region)
+SELECT o.id, o.qty * o.price, UPPER(c.region) FROM orders o JOIN customers c ON c.id = o.cust_id;`), [
+    ['INSERT_SELECT', 'DW.SALES.ID', 'ORDERS.ID', 'direct'],
+    ['INSERT_SELECT', 'DW.SALES.TOTAL', 'ORDERS.QTY', 'expression'],
+    ['INSERT_SELECT', 'DW.SALES.TOTAL', 'ORDERS.PRICE', 'expression'],
+    ['INSERT_SELECT', 'DW.SALES.REGION', 'CUSTOMERS.REGION', 'expression']
+  ]);
+});
+
+test('CREATE TABLE AS takes the column names from the select aliases', async () => {
+  assert.deepStrictEqual(await lineage(`CREATE TABLE top_customers AS
+SELECT c.id AS customer_id, SUM(o.amount) AS spent FROM customers c JOIN orders o ON o.cust_id = c.id GROUP BY c.id;`), [
+    ['CREATE_TABLE_AS', 'TOP_CUSTOMERS.CUSTOMER_ID', 'CUSTOMERS.ID', 'direct'],
+    ['CREATE_TABLE_AS', 'TOP_CUSTOMERS.SPENT', 'ORDERS.AMOUNT', 'aggregate']
+  ]);
+});
+
+test('view columns read through a CTE resolve to the base table', async () => {
+  assert.deepStrictEqual(await lineage(`CREATE OR REPLACE VIEW v_recent AS
+WITH recent AS (SELECT id, created FROM orders WHERE created > SYSDATE - 7)
+SELECT r.id, r.created AS order_date, 'web' AS channel FROM recent r;`), [
+    ['VIEW', 'V_RECENT.ID', 'ORDERS.ID', 'direct'],
+    ['VIEW', 'V_RECENT.ORDER_DATE', 'ORDERS.CREATED', 'direct'],
+    ['VIEW', 'V_RECENT.CHANNEL', null, 'constant']
+  ]);
+});
+
+test('MERGE maps the UPDATE SET and INSERT VALUES columns from the USING source', async () => {
+  assert.deepStrictEqual(await lineage(`MERGE INTO dim_customer d USING stg_customer s ON (d.id = s.id)
+WHEN MATCHED THEN UPDATE SET d.name = s.name
+WHEN NOT MATCHED THEN INSERT (id, name) VALUES (s.id, s.name);`), [
+    ['MERGE', 'DIM_CUSTOMER.NAME', 'STG_CUSTOMER.NAME', 'direct'],
+    ['MERGE', 'DIM_CUSTOMER.ID', 'STG_CUSTOMER.ID', 'direct']
+  ]);
+});
+
+test('the CSV has one row per entry and quotes expressions with commas', () => {
+  const csv = lineageService.toCsv([{ fileName: 'a.sql', line: 1, targetTable: 'T', targetColumn: 'C', expression: 'NVL(a, 0)', origin: 'sql' }]);
+  assert.deepStrictEqual(csv.split('\n'), [
+    'file,line,statement_type,target_table,target_column,source_table,source_column,transformation,expression,origin',
+    'a.sql,1,,T,C,,,,"NVL(a, 0)",sql',
+    ''
+  ]);
+});
@@ -0,0 +1,37 @@
+const path = require('path');
+
+// Offline LLM: recorded responses from test/fixtures/llm, unmatched prompts replay the fallback
+process.env.LLM_PROVIDER = 'fixture';
+process.env.LLM_FIXTURES_PATH = path.join(__dirname, 'fixtures', 'llm');
+process.env.LLM_FIXTURE_FALLBACK = path.join(__dirname, 'fixtures', 'snowflake_procedure.json');
+process.env.LLM_FIXTURES_RECORD = 'false';
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const llmService = require('../services/llmService');
+
+test('fixture provider replays the response recorded for a prompt', async () => {
+  const response = await llmService.createChatCompletion({
+    messages: [
+      { role: 'system', content: 'You are a test.' },
+      { role: 'user', content: 'Reply with OK.' }
+    ]
+  });
+  assert.strictEqual(response.choices[0].message.content, 'OK');
+  assert.strictEqual(response.choices[0].finish_reason, 'stop');
+});
+
+test('fixture provider replays the fallback when no recording matches', async () => {
+  const response = await llmService.createChatCompletion({ messages: [{ role: 'user', content: 'unrecorded prompt' }] });
+  assert.match(response.choices[0].message.content, /CREATE OR REPLACE PROCEDURE RAISE_SALARY/);
+});
+
+test('fixture key depends on the prompt only, not on the model', () => {
+  const messages = [{ role: 'user', content: 'Reply with OK.' }];
+  assert.strictEqual(
+    llmService.getFixtureKey({ model: 'gpt-4o', messages }),
+    llmService.getFixtureKey({ model: 'gpt-4o-mini', messages })
+  );
+  assert.notStrictEqual(llmService.getFixtureKey({ messages }), llmService.getFixtureKey({ messages: [{ role: 'user', content: 'Reply.' }] }));
+});
@@ -0,0 +1,91 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const oracleBuiltinCatalogService = require('../services/oracleBuiltinCatalogService');
+
+const CONVERTED = `CREATE OR REPLACE PROCEDURE P()
+RETURNS VARCHAR
+LANGUAGE SQL
+AS
+$$
+BEGIN
+    DBMS_OUTPUT.ENABLE(1000);
+    DBMS_OUTPUT.PUT_LINE('user ' || SYS_CONTEXT('USERENV', 'SESSION_USER'));
+    v := DBMS_LOB.SUBSTR(v_lob, 10, 1);
+    UTL_FILE.FCLOSE(f);
+    RETURN 'DBMS_OUTPUT.PUT_LINE';
+END;
+$$;
+CREATE OR REPLACE PROCEDURE J()
+RETURNS VARCHAR
+LANGUAGE JAVASCRIPT
+AS
+$$
+    DBMS_OUTPUT.PUT_LINE('x');
+    var n = DBMS_LOB.SUBSTR(a, 1);
+    snowflake.execute({ sqlText: "SELECT DBMS_LOB.GETLENGTH(c) FROM t" });
+$$;`;
+
+const byCall = calls => Object.fromEntries(calls.map(c => [`${c.call}:${c.status}`, c.count]));
+
+test('SQL bodies get replacements, removals and shims; unsupported calls are kept', () => {
+  const conversionInfo = {};
+  const code = oracleBuiltinCatalogService.postProcess(CONVERTED, conversionInfo);
+  const sql = code.slice(0, code.indexOf('PROCEDURE J'));
+  assert.doesNotMatch(sql, /DBMS_OUTPUT\.ENABLE/);
+  assert.match(sql, /BEGIN\n {4}SYSTEM\$LOG_INFO\('user ' \|\| CURRENT_USER\(\)\);/);
+  assert.match(sql, /v := DBMS_LOB_SUBSTR\(v_lob, 10, 1\);/);
+  assert.match(sql, /UTL_FILE\.FCLOSE\(f\);/);
+  // String literals are not calls
+  assert.match(sql, /RETURN 'DBMS_OUTPUT\.PUT_LINE';/);
+
+  const calls = byCall(conversionInfo.builtinCalls);
+  assert.strictEqual(calls['DBMS_OUTPUT.ENABLE:removed'], 1);
+  assert.strictEqual(calls['SYS_CONTEXT:replaced'], 1);
+  assert.strictEqual(calls['DBMS_LOB.SUBSTR:shim'], 1);
+  assert.strictEqual(calls['UTL_FILE.FCLOSE:unsupported'], 1);
+});
+
+test('JavaScript bodies use the JavaScript templates and rewrite SQL text as SQL', () => {
+  const { code, calls } = oracleBuiltinCatalogService.apply(CONVERTED);
+  const javascript = code.slice(code.indexOf('PROCEDURE J'));
+  assert.match(javascript, /snowflake\.log\('info', 'x'\);/);
+  assert.match(javascript, /sqlText: "SELECT LENGTH\(c\) FROM t"/);
+  // Shims have no JavaScript template
+  assert.match(javascript, /var n = DBMS_LOB\.SUBSTR\(a, 1\);/);
+  const substr = calls.find(c => c.call === 'DBMS_LOB.SUBSTR' && c.status === 'unsupported');
+  assert.match(substr.note, /snowflake\.execute/);
+  assert.strictEqual(byCall(calls)['DBMS_OUTPUT.PUT_LINE:replaced'], 2);
+});
+
+test('the prompt lists only the catalog entries the source calls', () => {
+  const context = oracleBuiltinCatalogService.buildPromptContext(
+    "BEGIN DBMS_OUTPUT.PUT_LINE('a'); x := SYS_CONTEXT('USERENV', 'DB_NAME'); DBMS_STATS.GATHER_TABLE_STATS('a', 'b'); END;");
+  assert.deepStrictEqual(context.split('\n'), [
+    'Convert Oracle built-in package calls exactly as listed (built-in catalog v1.0.0):',
+    "- DBMS_OUTPUT.PUT_LINE: SYSTEM$LOG_INFO(arg1) in SQL; snowflake.log('info', arg1) in JavaScript (Messages go to the account event table)",
+    '- DBMS_STATS.*: remove the call (Snowflake maintains statistics automatically)',
+    "- SYS_CONTEXT('USERENV', 'DB_NAME'): CURRENT_DATABASE() in SQL"
+  ]);
+  assert.strictEqual(oracleBuiltinCatalogService.buildPromptContext('SELECT 1 FROM dual'), '');
+});
+
+test('shims.sql holds the helper UDFs the converted files call', () => {
+  const { code } = oracleBuiltinCatalogService.apply(CONVERTED);
+  const script = oracleBuiltinCatalogService.buildShimScript([code, 'SELECT 1;']);
+  assert.strictEqual(script.name, 'shims.sql');
+  assert.deepStrictEqual(script.shims, ['DBMS_LOB_SUBSTR']);
+  assert.match(script.content, /CREATE OR REPLACE FUNCTION DBMS_LOB_SUBSTR\(LOB VARCHAR, AMOUNT NUMBER, OFFSET NUMBER\)/);
+  assert.strictEqual(oracleBuiltinCatalogService.buildShimScript(['SELECT 1;']), null);
+});
+
+test('builtinCalls of several units are merged by call and status', () => {
+  const merged = oracleBuiltinCatalogService.mergeCalls([
+    { builtinCalls: [{ call: 'DBMS_OUTPUT.PUT_LINE', status: 'replaced', count: 1 }] },
+    { builtinCalls: [{ call: 'DBMS_OUTPUT.PUT_LINE', status: 'replaced', count: 2 }] },
+    {}
+  ]);
+  assert.deepStrictEqual(merged, [{ call: 'DBMS_OUTPUT.PUT_LINE', status: 'replaced', count: 3 }]);
+  assert.strictEqual(oracleBuiltinCatalogService.mergeCalls([{}]), undefined);
+});
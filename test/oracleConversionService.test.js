@@ -0,0 +1,45 @@
+const path = require('path');
+
+// Offline LLM: unmatched prompts replay the recorded procedure
+process.env.LLM_PROVIDER = 'fixture';
+process.env.LLM_FIXTURES_PATH = path.join(__dirname, 'fixtures', 'llm');
+process.env.LLM_FIXTURE_FALLBACK = path.join(__dirname, 'fixtures', 'snowflake_procedure.json');
+process.env.LLM_FIXTURES_RECORD = 'false';
+process.env.CONVERSION_CACHE_ENABLED = 'false';
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const oracleConversionService = require('../services/oracleConversionService');
+
+const PROCEDURE = `CREATE OR REPLACE PROCEDURE raise_salary(p_emp_id NUMBER, p_pct NUMBER) IS
+BEGIN
+  UPDATE employees SET salary = salary * (1 + p_pct / 100) WHERE employee_id = p_emp_id;
+  DBMS_OUTPUT.PUT_LINE('Salary raised');
+END;
+/
+`;
+
+test('plain DDL is converted by the rules alone', async () => {
+  const conversionInfo = {};
+  const code = await oracleConversionService.convertOracleCodeToSnowflake(
+    'CREATE TABLE emp (id NUMBER(10), name VARCHAR2(50));\n', 'emp.sql', { conversionInfo });
+
+  assert.strictEqual(conversionInfo.method, 'rules');
+  assert.match(code, /CREATE TABLE emp \(id NUMBER\(10\), name VARCHAR\(50\)\);/);
+});
+
+test('PL/SQL and partly translated files go to the LLM', async () => {
+  const conversionInfo = {};
+  const code = await oracleConversionService.convertOracleCodeToSnowflake(PROCEDURE, 'raise_salary.sql', { conversionInfo });
+  assert.strictEqual(conversionInfo.method, 'llm');
+  assert.match(code, /^CREATE OR REPLACE PROCEDURE RAISE_SALARY/);
+  assert.doesNotMatch(code, /```/);
+  // The built-in catalog rewrites the DBMS_OUTPUT call the LLM left in the JavaScript body
+  assert.match(code, /snowflake\.log\('info', 'Salary raised'\)/);
+  assert.deepStrictEqual(conversionInfo.builtinCalls, [{ call: 'DBMS_OUTPUT.PUT_LINE', status: 'replaced', count: 1 }]);
+
+  const instrInfo = {};
+  await oracleConversionService.convertOracleCodeToSnowflake("SELECT INSTR(name, 'a', -1) FROM emp;\n", 'instr.sql', { conversionInfo: instrInfo });
+  assert.strictEqual(instrInfo.method, 'llm');
+});
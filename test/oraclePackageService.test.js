@@ -0,0 +1,100 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const oraclePackageService = require('../services/oraclePackageService');
+
+const PACKAGE = `CREATE OR REPLACE PACKAGE hr.emp_pkg AS
+  g_count NUMBER := 0;
+  c_max CONSTANT NUMBER := 10;
+  PROCEDURE add_emp(p_name VARCHAR2);
+  FUNCTION get_count RETURN NUMBER;
+END emp_pkg;
+/
+CREATE OR REPLACE PACKAGE BODY hr.emp_pkg AS
+  e_full EXCEPTION;
+  PRAGMA EXCEPTION_INIT(e_full, -20001);
+  PROCEDURE log_it(p_msg VARCHAR2);
+  FUNCTION get_count RETURN NUMBER IS
+  BEGIN
+    RETURN g_count;
+  END get_count;
+  PROCEDURE add_emp(p_name VARCHAR2) IS
+  BEGIN
+    IF emp_pkg.get_count >= c_max THEN
+      RAISE e_full;
+    END IF;
+    CASE WHEN p_name IS NULL THEN log_it('x'); ELSE NULL; END CASE;
+    g_count := g_count + 1;
+  END add_emp;
+  PROCEDURE log_it(p_msg VARCHAR2) IS
+  BEGIN
+    NULL;
+  END log_it;
+BEGIN
+  g_count := 0;
+END emp_pkg;
+/`;
+
+test('spec and body decompose into one member each', () => {
+  const packages = oraclePackageService.decompose(PACKAGE);
+  assert.deepStrictEqual([...packages.keys()], ['HR.EMP_PKG']);
+  const pkg = packages.get('HR.EMP_PKG');
+  assert.deepStrictEqual(pkg.members.map(m => [m.kind, m.name, m.visibility].filter(Boolean).join(' ')), [
+    'variable G_COUNT public',
+    'constant C_MAX public',
+    'exception E_FULL private',
+    'pragma private',
+    'function GET_COUNT public',
+    'procedure ADD_EMP public',
+    'procedure LOG_IT private'
+  ]);
+  assert.deepStrictEqual([pkg.members[0].type, pkg.members[0].value], ['NUMBER', '0']);
+  assert.match(pkg.initialization.text, /^BEGIN\n\s+g_count := 0;$/);
+});
+
+test('routines end at their own END past nested CASE blocks', () => {
+  const pkg = oraclePackageService.decompose(PACKAGE).get('HR.EMP_PKG');
+  const addEmp = pkg.members.find(m => m.name === 'ADD_EMP');
+  assert.match(addEmp.text, /^PROCEDURE add_emp[\s\S]*END add_emp;$/);
+  assert.match(addEmp.text, /END CASE;/);
+});
+
+test('members are renamed to PKG__MEMBER with qualified sibling calls', () => {
+  const pkg = oraclePackageService.decompose(PACKAGE).get('HR.EMP_PKG');
+  const code = oraclePackageService.buildMemberCode(pkg, pkg.members.find(m => m.name === 'ADD_EMP'));
+  assert.match(code, /^CREATE OR REPLACE PROCEDURE HR\.EMP_PKG__ADD_EMP\(p_name VARCHAR2\) IS/);
+  assert.match(code, /IF HR\.EMP_PKG__GET_COUNT >= c_max THEN/);
+  assert.match(code, /END EMP_PKG__ADD_EMP;$/);
+});
+
+test('the prompt context maps the package items a member uses', () => {
+  const pkg = oraclePackageService.decompose(PACKAGE).get('HR.EMP_PKG');
+  const addEmp = pkg.members.find(m => m.name === 'ADD_EMP');
+  const context = oraclePackageService.buildContext(pkg, addEmp, addEmp.text);
+  assert.match(context, /converted on its own as HR\.EMP_PKG__ADD_EMP/);
+  assert.match(context, /package variable g_count \(NUMBER\): read HR\.EMP_PKG__STATE_GET\('G_COUNT'\)/);
+  assert.match(context, /package constant c_max: use HR\.EMP_PKG__C_MAX\(\)/);
+  assert.match(context, /package exception: e_full EXCEPTION; PRAGMA EXCEPTION_INIT\(e_full, -20001\);/);
+  assert.match(context, /procedure log_it: converted separately as HR\.EMP_PKG__LOG_IT/);
+});
+
+test('the units of a package file report one combined conversionInfo', async () => {
+  const conversionInfo = {};
+  await oraclePackageService.convertFile(`${PACKAGE}\nCREATE TABLE t (id NUMBER);\n`, 'pkg.sql', async (code, name, unitOptions) => {
+    const llm = name.includes('ADD_EMP');
+    Object.assign(unitOptions.conversionInfo, {
+      method: llm ? 'llm' : 'rules',
+      rules: ['varchar2'],
+      truncated: llm ? [name] : undefined,
+      builtinCalls: llm ? [{ call: 'DBMS_OUTPUT.PUT_LINE', status: 'replaced', count: 1 }] : undefined
+    });
+    return `-- ${name}`;
+  }, conversionInfo);
+
+  assert.strictEqual(conversionInfo.method, 'llm');
+  assert.deepStrictEqual(conversionInfo.rules, ['varchar2']);
+  assert.deepStrictEqual(conversionInfo.truncated, ['pkg.sql (EMP_PKG.ADD_EMP)']);
+  assert.deepStrictEqual(conversionInfo.builtinCalls, [{ call: 'DBMS_OUTPUT.PUT_LINE', status: 'replaced', count: 1 }]);
+  assert.deepStrictEqual(conversionInfo.packages.map(p => p.package), ['HR.EMP_PKG']);
+});
@@ -0,0 +1,95 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const oracleRuleConversionService = require('../services/oracleRuleConversionService');
+
+test('plain DDL is converted by the rules alone', () => {
+  const result = oracleRuleConversionService.convert(`CREATE TABLE emp (
+  id NUMBER(10),
+  name VARCHAR2(100 CHAR),
+  hired DATE DEFAULT SYSDATE
+) TABLESPACE users;`);
+  assert.strictEqual(result.complete, true);
+  assert.match(result.code, /name VARCHAR\(100\)/);
+  assert.match(result.code, /hired TIMESTAMP_NTZ DEFAULT CURRENT_TIMESTAMP\(\)/);
+  assert.doesNotMatch(result.code, /TABLESPACE/);
+});
+
+test('string literals and comments are never rewritten', () => {
+  const result = oracleRuleConversionService.convert("SELECT NVL(a, 'NVL(x) FROM DUAL') FROM t; -- SYSDATE\n");
+  assert.strictEqual(result.code, "SELECT COALESCE(a, 'NVL(x) FROM DUAL') FROM t; -- SYSDATE\n");
+});
+
+test('SYSDATE arithmetic becomes DATEADD and DECODE becomes CASE', () => {
+  const result = oracleRuleConversionService.convert('SELECT DECODE(status, 1, \'A\', NULL, \'N\', \'X\') FROM t WHERE d > SYSDATE - 30;');
+  assert.strictEqual(result.code,
+    'SELECT CASE WHEN status = 1 THEN \'A\' WHEN status IS NULL THEN \'N\' ELSE \'X\' END FROM t WHERE d > DATEADD(day, -30, CURRENT_TIMESTAMP());');
+  assert.strictEqual(result.complete, true);
+});
+
+test('ROWNUM filters on plain SELECT blocks become LIMIT', () => {
+  assert.strictEqual(oracleRuleConversionService.convert('SELECT * FROM t WHERE ROWNUM <= 3;').code, 'SELECT * FROM t LIMIT 3;');
+  assert.strictEqual(oracleRuleConversionService.convert('SELECT * FROM t WHERE a = 1 AND ROWNUM < 10;').code,
+    'SELECT * FROM t WHERE a = 1 LIMIT 9;');
+  assert.strictEqual(oracleRuleConversionService.convert('SELECT * FROM (SELECT id FROM t WHERE ROWNUM = 1) x;').code,
+    'SELECT * FROM (SELECT id FROM t LIMIT 1) x;');
+});
+
+test('ROWNUM filters in UPDATE, DELETE and aggregate queries are left for the LLM', () => {
+  for (const sql of [
+    'UPDATE t SET x = 1 WHERE ROWNUM <= 3;',
+    'DELETE FROM t WHERE ROWNUM < 10;',
+    'SELECT COUNT(*) FROM t WHERE ROWNUM = 1;',
+    'SELECT dept, MAX(sal) FROM t WHERE ROWNUM <= 5 GROUP BY dept;',
+    'SELECT * FROM t WHERE ROWNUM <= 5 ORDER BY id;',
+    'SELECT * FROM (SELECT ename, sal FROM emp ORDER BY sal DESC) WHERE ROWNUM <= 5;'
+  ]) {
+    const result = oracleRuleConversionService.convert(sql);
+    assert.doesNotMatch(result.code, /LIMIT/, sql);
+    assert.strictEqual(result.complete, false, sql);
+    assert.ok(result.unresolved.includes('ROWNUM filter'), sql);
+  }
+});
+
+test('TRUNC of the current date becomes DATE_TRUNC; other date TRUNCs are left for the LLM', () => {
+  const today = oracleRuleConversionService.convert('SELECT TRUNC(SYSDATE) FROM dual;');
+  assert.strictEqual(today.code, "SELECT DATE_TRUNC('DAY', CURRENT_TIMESTAMP());");
+  assert.strictEqual(today.complete, true);
+
+  const numeric = oracleRuleConversionService.convert('SELECT TRUNC(sal, 2), TRUNC(3.7) FROM emp;');
+  assert.strictEqual(numeric.code, 'SELECT TRUNC(sal, 2), TRUNC(3.7) FROM emp;');
+  assert.strictEqual(numeric.complete, true);
+
+  for (const sql of ["SELECT TRUNC(hired, 'MM') FROM emp;", 'SELECT TRUNC(hired) FROM emp;', 'SELECT TRUNC(SYSDATE - 1) FROM dual;']) {
+    const result = oracleRuleConversionService.convert(sql);
+    assert.strictEqual(result.complete, false, sql);
+    assert.ok(result.unresolved.includes('TRUNC on date/time'), sql);
+  }
+});
+
+test('INSTR becomes POSITION unless it searches backwards or for a later occurrence', () => {
+  const result = oracleRuleConversionService.convert("SELECT INSTR(name, 'a'), INSTR(UPPER(name), 'B', 2) FROM emp;");
+  assert.strictEqual(result.code, "SELECT POSITION('a', name), POSITION('B', UPPER(name), 2) FROM emp;");
+  assert.strictEqual(result.complete, true);
+
+  for (const sql of ["SELECT INSTR(name, 'a', -1) FROM emp;", "SELECT INSTR(name, 'a', 1, 2) FROM emp;"]) {
+    const unresolved = oracleRuleConversionService.convert(sql);
+    assert.strictEqual(unresolved.code, sql);
+    assert.strictEqual(unresolved.complete, false, sql);
+    assert.ok(unresolved.unresolved.includes('INSTR'), sql);
+  }
+});
+
+test('sequence options are dropped and kept in the comment', () => {
+  const result = oracleRuleConversionService.convert('CREATE SEQUENCE s START WITH 5 INCREMENT BY 1 MAXVALUE 999 CACHE 20 NOCYCLE;');
+  assert.strictEqual(result.code, "CREATE SEQUENCE s START WITH 5 INCREMENT BY 1 COMMENT = 'Oracle CACHE 20 MAXVALUE 999';");
+  assert.strictEqual(result.complete, true);
+});
+
+test('PL/SQL is never reported complete', () => {
+  const result = oracleRuleConversionService.convert('BEGIN\n  UPDATE t SET d = SYSDATE;\nEND;\n/\n');
+  assert.strictEqual(result.complete, false);
+  assert.strictEqual(result.unresolved[0], 'PL/SQL');
+  assert.match(result.code, /CURRENT_TIMESTAMP\(\)/);
+});
@@ -0,0 +1,51 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const oracleSequenceService = require('../services/oracleSequenceService');
+
+const SOURCE = `CREATE SEQUENCE hr.emp_seq START WITH 100 INCREMENT BY 1 MAXVALUE 9999999999999999999999999999 NOCACHE CYCLE;
+CREATE TABLE hr.orders (
+  id NUMBER GENERATED BY DEFAULT AS IDENTITY (START WITH 10 INCREMENT BY 5),
+  name VARCHAR2(10)
+);
+CREATE OR REPLACE PROCEDURE add_emp(p_name VARCHAR2) IS
+  v_id NUMBER;
+BEGIN
+  v_id := emp_seq.NEXTVAL;
+  INSERT INTO emp (id, name) VALUES (emp_seq.NEXTVAL, p_name);
+  INSERT INTO emp_log (id) VALUES (emp_seq.CURRVAL);
+END;
+/`;
+
+test('sequences and identity columns are collected with their options', () => {
+  const { sequences, identities } = oracleSequenceService.collect(SOURCE);
+  assert.deepStrictEqual(sequences.map(s => [s.qualifiedName, s.line]), [['HR.EMP_SEQ', 1]]);
+  const { start, increment, maxValue, noCache, cycle } = sequences[0].options;
+  assert.deepStrictEqual([start, increment, maxValue, noCache, cycle], ['100', '1', '9999999999999999999999999999', true, true]);
+  assert.deepStrictEqual(identities.map(i => [i.table, i.column, i.line, i.options.start, i.options.increment]), [['HR.ORDERS', 'ID', 3, '10', '5']]);
+});
+
+test('NEXTVAL is read into a variable that CURRVAL then uses', () => {
+  const { code, rules } = oracleSequenceService.rewriteReferences(SOURCE);
+  assert.deepStrictEqual(rules, ['sequence-currval']);
+  assert.match(code, /IS\n {2}v_emp_seq_currval NUMBER;\n {2}v_id NUMBER;/);
+  assert.strictEqual(code.match(/SELECT emp_seq\.NEXTVAL INTO v_emp_seq_currval FROM dual;/g).length, 2);
+  assert.match(code, /VALUES \(v_emp_seq_currval, p_name\)/);
+  assert.match(code, /INSERT INTO emp_log \(id\) VALUES \(v_emp_seq_currval\);/);
+  assert.doesNotMatch(code, /CURRVAL\b(?!\s+NUMBER)/);
+});
+
+test('the sync script restarts sequences from the supplied values', () => {
+  const values = oracleSequenceService.parseValues({ 'hr.emp_seq': 500 });
+  const script = oracleSequenceService.buildSyncScript([{ file: 'a.sql', code: SOURCE }], values);
+  assert.strictEqual(script.name, 'sync_sequences.sql');
+  assert.match(script.content, /CREATE OR REPLACE SEQUENCE HR\.EMP_SEQ START WITH 500 INCREMENT BY 1 /);
+  assert.match(script.content, /-- Create HR\.ORDERS with ID \.\.\. IDENTITY START <LAST_NUMBER> INCREMENT 5/);
+  assert.deepStrictEqual(script.summary, { sequences: 1, identities: 1, missingValues: ['HR.ORDERS.ID'], unmatchedValues: [] });
+});
+
+test('sequenceValues must map names to integers', () => {
+  assert.throws(() => oracleSequenceService.parseValues({ emp_seq: 'abc' }), /sequenceValues\.emp_seq must be an integer/);
+  assert.strictEqual(oracleSequenceService.buildSyncScript([{ file: 'b.sql', code: 'SELECT 1 FROM dual;' }]), null);
+});
@@ -0,0 +1,89 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const oracleTriggerService = require('../services/oracleTriggerService');
+const { parseStatements } = require('../utils/sqlParser');
+
+const TRIGGERS = `CREATE OR REPLACE TRIGGER hr.emp_audit
+AFTER INSERT OR UPDATE OF salary ON hr.emp
+REFERENCING NEW AS n
+FOR EACH ROW
+WHEN (n.salary > 0)
+DECLARE
+  v_user VARCHAR2(30) := USER;
+BEGIN
+  IF INSERTING THEN
+    INSERT INTO emp_log VALUES (:n.id, 'I', v_user);
+  ELSIF UPDATING('salary') THEN
+    INSERT INTO emp_log VALUES (:n.id, 'U', v_user);
+  END IF;
+END emp_audit;
+/
+CREATE OR REPLACE TRIGGER emp_bi BEFORE INSERT ON emp FOR EACH ROW
+BEGIN
+  :NEW.created := SYSDATE;
+  IF :NEW.salary < 0 THEN RAISE_APPLICATION_ERROR(-20001, 'neg'); END IF;
+END;
+/
+CREATE OR REPLACE TRIGGER ddl_log AFTER CREATE ON SCHEMA
+BEGIN NULL; END;
+/`;
+
+const triggers = () => parseStatements(TRIGGERS, { dialect: 'oracle' })
+  .filter(statement => statement.kind === 'CREATE_TRIGGER')
+  .map(statement => oracleTriggerService.parse(statement));
+
+test('the trigger header is decomposed into timing, events and clauses', () => {
+  const [audit, , ddl] = triggers();
+  assert.deepStrictEqual(
+    [audit.schema, audit.name, audit.table, audit.timing, audit.events, audit.updateColumns, audit.rowLevel, audit.when, audit.aliases.NEW, audit.kind],
+    ['HR', 'EMP_AUDIT', 'HR.EMP', 'AFTER', ['INSERT', 'UPDATE'], ['salary'], true, 'n.salary > 0', 'N', 'dml']
+  );
+  assert.strictEqual(audit.declarations, 'v_user VARCHAR2(30) := USER;');
+  assert.match(audit.block, /^BEGIN[\s\S]*END;$/);
+  assert.strictEqual(ddl.kind, 'system');
+});
+
+test('the handler reads :NEW/:OLD from the stream rows and checks WHEN first', () => {
+  const code = oracleTriggerService.buildHandlerCode(triggers()[0]);
+  assert.match(code, /^CREATE OR REPLACE PROCEDURE HR\.EMP_AUDIT__HANDLER\(DML_EVENT IN VARCHAR2, NEW_ROW IN VARIANT, OLD_ROW IN VARIANT\) AS\n/);
+  assert.match(code, /IF NOT \(NEW_ROW:SALARY > 0\) THEN\n\s+RETURN;/);
+  assert.match(code, /IF \(DML_EVENT = 'INSERT'\) THEN/);
+  assert.match(code, /ELSIF \(DML_EVENT = 'UPDATE' AND NOT EQUAL_NULL\(NEW_ROW:SALARY, OLD_ROW:SALARY\)\) THEN/);
+  assert.match(code, /VALUES \(NEW_ROW:ID, 'I', v_user\)/);
+});
+
+test('BEFORE-row mutations and raised errors are reported as manual', () => {
+  const [audit, before, ddl] = triggers();
+  assert.strictEqual(oracleTriggerService.assess(audit, oracleTriggerService.analyzeBody(audit)).status, 'converted');
+
+  const body = oracleTriggerService.analyzeBody(before);
+  assert.deepStrictEqual(body, { mutatedColumns: ['CREATED'], raisesErrors: true, autonomous: false, hasEffects: false });
+  const { status, notes } = oracleTriggerService.assess(before, body);
+  assert.strictEqual(status, 'manual');
+  assert.match(notes.join('\n'), /no stream or task was generated/);
+
+  assert.strictEqual(oracleTriggerService.assess(ddl, null).status, 'manual');
+});
+
+test('the conversion info of the statements and handlers is merged with the trigger entries', async () => {
+  const source = `CREATE TABLE emp_log (id NUMBER);\n${TRIGGERS}`;
+  const names = [];
+  const conversionInfo = {};
+  await oracleTriggerService.convertFile(source, 'emp.sql', async (code, name, unitOptions) => {
+    names.push(name);
+    Object.assign(unitOptions.conversionInfo, name === 'emp.sql'
+      ? { method: 'rules', rules: ['number-type'], unresolved: [] }
+      : { method: 'llm', rules: [], unresolved: ['USER'], builtinCalls: [{ call: 'DBMS_OUTPUT.PUT_LINE', status: 'replaced', count: 1 }] });
+    return `-- ${name}`;
+  }, conversionInfo);
+
+  assert.deepStrictEqual(names, ['emp.sql', 'emp.sql (trigger EMP_AUDIT)']);
+  assert.strictEqual(conversionInfo.method, 'llm');
+  assert.deepStrictEqual(conversionInfo.rules, ['number-type']);
+  assert.deepStrictEqual(conversionInfo.unresolved, ['USER']);
+  assert.deepStrictEqual(conversionInfo.builtinCalls, [{ call: 'DBMS_OUTPUT.PUT_LINE', status: 'replaced', count: 1 }]);
+  assert.deepStrictEqual(conversionInfo.triggers.map(entry => [entry.trigger, entry.status]),
+    [['HR.EMP_AUDIT', 'converted'], ['EMP_BI', 'manual'], ['DDL_LOG', 'manual']]);
+});
@@ -0,0 +1,83 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+process.env.CHECKPOINT_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'checkpoints-'));
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const progressService = require('../services/progressService');
+const checkpointService = require('../services/checkpointService');
+
+test.after(() => fs.remove(process.env.CHECKPOINT_PATH));
+
+const owner = { id: 7, email: 'owner@example.com', role: 'user' };
+const other = { id: 8, email: 'other@example.com', role: 'user' };
+const admin = { id: 1, email: 'admin@example.com', role: 'admin' };
+
+test('owned jobs are managed by their owner and admins only', () => {
+  const job = progressService.createJob(progressService.createJobId('owned'), { type: 'unified', user: owner });
+  assert.strictEqual(job.submittedBy.id, '7');
+  assert.strictEqual(progressService.canUserManageJob(job, owner), true);
+  assert.strictEqual(progressService.canUserManageJob(job, admin), true);
+  assert.strictEqual(progressService.canUserManageJob(job, other), false);
+  assert.strictEqual(progressService.canUserManageJob(job, null), false);
+});
+
+test('jobs submitted without a token are managed by any signed-in user', () => {
+  const job = progressService.createJob(progressService.createJobId('anonymous'), { type: 'idmc', user: undefined });
+  assert.strictEqual(job.submittedBy, null);
+  assert.strictEqual(progressService.canUserManageJob(job, other), true);
+  assert.strictEqual(progressService.canUserManageJob(job, admin), true);
+  assert.strictEqual(progressService.canUserManageJob(job, null), false);
+});
+
+test('cancelJob runs the registered handlers once and only for running jobs', () => {
+  const jobId = progressService.createJobId('cancel');
+  progressService.createJob(jobId, { type: 'unified', user: owner });
+  const reasons = [];
+  const unregister = progressService.onCancel(jobId, reason => reasons.push(reason));
+  const removed = progressService.onCancel(jobId, () => reasons.push('unregistered'));
+  removed();
+
+  const job = progressService.cancelJob(jobId, 'Stopped');
+  assert.strictEqual(job.status, 'cancelled');
+  assert.strictEqual(progressService.isCancelled(jobId), true);
+  assert.deepStrictEqual(reasons, ['Stopped']);
+  // Already cancelled: nothing to cancel again, late handlers run at once
+  assert.strictEqual(progressService.cancelJob(jobId), null);
+  progressService.onCancel(jobId, reason => reasons.push(`late ${reason}`));
+  assert.deepStrictEqual(reasons, ['Stopped', 'late Stopped']);
+  unregister();
+
+  // A partial result keeps the cancelled status
+  const completed = progressService.completeJob(jobId, { results: [] });
+  assert.strictEqual(completed.status, 'cancelled');
+  assert.strictEqual(completed.result.cancelled, true);
+});
+
+test('successful files are checkpointed for a retry and cleared once the job completes', async () => {
+  const jobId = progressService.createJobId('checkpoint');
+  progressService.createJob(jobId, { type: 'oracle-snowflake', user: owner });
+  await checkpointService.startJob(jobId, { type: 'oracle-snowflake', zipFilePath: 'uploads/a.zip' });
+
+  await progressService.checkpointFile(jobId, 'a/one.sql', { success: true, snowflakeContent: 'SELECT 1;' });
+  await progressService.checkpointFile(jobId, 'a/two.sql', { success: false, error: 'LLM timeout' });
+
+  const checkpoints = await checkpointService.loadFiles(jobId);
+  assert.deepStrictEqual([...checkpoints.keys()], ['a/one.sql']);
+  assert.deepStrictEqual(checkpoints.get('a/one.sql'), { success: true, snowflakeContent: 'SELECT 1;' });
+  assert.strictEqual((await checkpointService.loadManifest(jobId)).zipFilePath, 'uploads/a.zip');
+  assert.deepStrictEqual(progressService.getJob(jobId).files.map(f => [f.fileName, f.status]),
+    [['a/one.sql', 'completed'], ['a/two.sql', 'failed']]);
+
+  // A failed file keeps the checkpoints; a clean run removes them
+  progressService.completeJob(jobId, { results: [{ fileName: 'a/one.sql' }, { fileName: 'a/two.sql', success: false }] });
+  assert.strictEqual(await fs.pathExists(checkpointService.getJobDir(jobId)), true);
+  progressService.completeJob(jobId, { results: [{ fileName: 'a/one.sql' }, { fileName: 'a/two.sql' }] });
+  for (let i = 0; i < 50 && await fs.pathExists(checkpointService.getJobDir(jobId)); i++) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  assert.strictEqual(await fs.pathExists(checkpointService.getJobDir(jobId)), false);
+});
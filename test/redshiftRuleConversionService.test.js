@@ -0,0 +1,57 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const redshiftRuleConversionService = require('../services/redshiftRuleConversionService');
+
+test('physical design clauses are removed from plain DDL', () => {
+  const result = redshiftRuleConversionService.convert(`CREATE TABLE sales (
+  id INT8 ENCODE az64,
+  note VARCHAR(MAX)
+) DISTSTYLE KEY DISTKEY(id) SORTKEY(id);`);
+  assert.strictEqual(result.code, `CREATE TABLE sales (
+  id BIGINT,
+  note VARCHAR
+);`);
+  assert.strictEqual(result.complete, true);
+});
+
+test('GETDATE and SYSDATE day arithmetic becomes DATEADD', () => {
+  const result = redshiftRuleConversionService.convert('SELECT * FROM t WHERE d > GETDATE() - 30 AND e < SYSDATE + 1;');
+  assert.strictEqual(result.code,
+    'SELECT * FROM t WHERE d > DATEADD(day, -30, CURRENT_TIMESTAMP()) AND e < DATEADD(day, 1, CURRENT_TIMESTAMP());');
+  assert.strictEqual(result.complete, true);
+  assert.strictEqual(redshiftRuleConversionService.convert("SELECT GETDATE() - INTERVAL '1 day';").complete, true);
+});
+
+test('constructs the rules do not translate send the file to the LLM', () => {
+  for (const sql of [
+    'SELECT * FROM t WHERE d > GETDATE() - n;',
+    "SELECT * FROM t WHERE x ~ 'abc';",
+    'CREATE TABLE t2 (LIKE t);',
+    'SELECT ISNULL(a, 0) FROM t;',
+    "SELECT STRTOL('ff', 16);",
+    'SELECT CONVERT(VARCHAR, 5);',
+    'SELECT * INTO new_t FROM t;'
+  ]) {
+    const result = redshiftRuleConversionService.convert(sql);
+    assert.strictEqual(result.complete, false, sql);
+    assert.ok(result.unresolved.length > 0, sql);
+  }
+});
+
+test('string literals are never rewritten or flagged', () => {
+  const result = redshiftRuleConversionService.convert("SELECT 'GETDATE() ~ ISNULL(' AS s, CONVERT_TIMEZONE('UTC', ts) FROM t;");
+  assert.strictEqual(result.code, "SELECT 'GETDATE() ~ ISNULL(' AS s, CONVERT_TIMEZONE('UTC', ts) FROM t;");
+  assert.strictEqual(result.complete, true);
+});
+
+test('stored procedures are never reported complete', () => {
+  const result = redshiftRuleConversionService.convert(`CREATE OR REPLACE PROCEDURE p() AS $$
+BEGIN
+  DELETE FROM t WHERE d < GETDATE() - 7;
+END;
+$$ LANGUAGE plpgsql;`);
+  assert.strictEqual(result.complete, false);
+  assert.strictEqual(result.unresolved[0], 'stored procedure');
+});
@@ -0,0 +1,63 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const reviewReportService = require('../services/reviewReportService');
+
+const snowflakeFiles = () => reviewReportService.fromConvertedFiles([{
+  original: '<img src=x onerror=alert(1)>.sql',
+  converted: 'a"b_snowflake.sql',
+  oracleContent: "CREATE TABLE t (id NUMBER);\r\nSELECT '<b>x</b>' FROM dual;\r\n",
+  snowflakeContent: "CREATE TABLE t (id NUMBER);\nSELECT '<b>x</b>';\n",
+  conversionMethod: 'rules',
+  rulesApplied: ['dual'],
+  validation: { diagnostics: [{ line: 2, severity: 'warning', message: 'Check <script> usage' }] }
+}], 'snowflake');
+
+test('file names, code and diagnostics are escaped', () => {
+  const html = reviewReportService.buildHtml(snowflakeFiles());
+  assert.doesNotMatch(html, /<img/);
+  assert.match(html, /&lt;img src=x onerror=alert\(1\)&gt;\.sql/);
+  assert.match(html, /data-file="&lt;img src=x onerror=alert\(1\)&gt;\.sql"/);
+  assert.match(html, /Snowflake: a&quot;b_snowflake\.sql/);
+  assert.doesNotMatch(html, /<b>x<\/b>/);
+  assert.match(html, /&lt;b&gt;x&lt;\/b&gt;/);
+  assert.match(html, /Check &lt;script&gt; usage/);
+  // The report's own sign-off script is the only script
+  assert.strictEqual(html.match(/<script>/g).length, 1);
+});
+
+test('raw HTML in an IDMC summary is shown as text', () => {
+  const html = reviewReportService.buildHtml(reviewReportService.fromConvertedFiles([{
+    original: 'a.sql',
+    converted: 'a_summary.md',
+    oracleContent: 'SELECT 1 FROM dual;',
+    idmcContent: '## Summary\n\n<script>alert(1)</script>\n\nKeep **open** orders <b>only</b>\n'
+  }], 'idmc'));
+  assert.match(html, /<h2>Summary<\/h2>/);
+  assert.match(html, /<strong>open<\/strong>/);
+  assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+  assert.match(html, /&lt;b&gt;only&lt;\/b&gt;/);
+  assert.strictEqual(html.match(/<script>/g).length, 1);
+});
+
+test('statements are paired by the object they create, then by position', () => {
+  const [file] = reviewReportService.fromConvertedFiles([{
+    original: 'a.sql',
+    oracleContent: 'CREATE TABLE a (id NUMBER);\nCREATE INDEX a_i ON a (id);\nCREATE TABLE b (id NUMBER);\n',
+    snowflakeContent: 'CREATE TABLE a (id NUMBER);\nCREATE TABLE b (id NUMBER);\n'
+  }], 'snowflake');
+  const { rows } = reviewReportService.buildRows(file);
+  assert.deepStrictEqual(rows.map(row => [row.label, row.source, row.converted]), [
+    ['CREATE TABLE A', { from: 1, to: 1 }, { from: 1, to: 1 }],
+    ['CREATE INDEX A_I', { from: 2, to: 2 }, null],
+    ['CREATE TABLE B', { from: 3, to: 3 }, { from: 2, to: 2 }]
+  ]);
+});
+
+test('the status reflects failures, errors and warnings', () => {
+  const [file] = snowflakeFiles();
+  assert.deepStrictEqual(reviewReportService.fileStatus(file), { label: '1 warning(s)', css: 'warning' });
+  assert.deepStrictEqual(reviewReportService.fileStatus({ ...file, success: false }), { label: 'failed', css: 'error' });
+  assert.deepStrictEqual(reviewReportService.fileStatus({ ...file, diagnostics: [] }), { label: 'ok', css: 'ok' });
+});
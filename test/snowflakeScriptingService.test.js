@@ -0,0 +1,76 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const snowflakeScriptingService = require('../services/snowflakeScriptingService');
+
+const procedure = (signature, returns, body) =>
+  `CREATE OR REPLACE PROCEDURE p(${signature})\nRETURNS ${returns}\nLANGUAGE SQL\nAS\n$$\nBEGIN\n${body}\nEND;\n$$;`;
+
+test('OUT parameters turn scalar RETURNs into the OBJECT', () => {
+  const { code, fixes } = snowflakeScriptingService.postProcess(procedure(
+    'p_name IN VARCHAR2, p_count OUT NUMBER',
+    'VARCHAR',
+    "  p_count := 1;\n  IF p_name IS NULL THEN\n    RETURN 'none';\n  END IF;\nEXCEPTION\n  WHEN OTHERS THEN\n    RETURN 'error';"
+  ));
+  assert.match(code, /^CREATE OR REPLACE PROCEDURE p\(p_name VARCHAR\)\nRETURNS OBJECT\n/);
+  assert.doesNotMatch(code, /RETURN '/);
+  assert.strictEqual(code.match(/RETURN OBJECT_CONSTRUCT\('p_count', p_count\);/g).length, 3);
+  assert.ok(fixes.includes('out-parameters'));
+});
+
+test('RETURN values are kept when the procedure already returned an OBJECT', () => {
+  const { code } = snowflakeScriptingService.postProcess(procedure(
+    'p_count OUT NUMBER',
+    'OBJECT',
+    "  IF p_count IS NULL THEN\n    RETURN OBJECT_CONSTRUCT('p_count', 0);\n  END IF;\n  RETURN v_result;"
+  ));
+  assert.match(code, /RETURN OBJECT_CONSTRUCT\('p_count', 0\);/);
+  assert.match(code, /RETURN v_result;/);
+});
+
+test('cursor attributes map for SQL and FETCHed named cursors', () => {
+  const { code, fixes, unresolved } = snowflakeScriptingService.postProcess(procedure(
+    '',
+    'VARCHAR',
+    '  UPDATE t SET x = 1 WHERE id = 2;\n  v_rows := SQL%ROWCOUNT;\n  FETCH c1 INTO v_id;\n  IF c1%NOTFOUND OR NOT c1%FOUND THEN\n    v_rows := c1%ROWCOUNT;\n  END IF;'
+  ));
+  assert.match(code, /v_rows := SQLROWCOUNT;/);
+  assert.match(code, /IF SQLNOTFOUND OR NOT SQLFOUND THEN/);
+  assert.match(code, /v_rows := c1%ROWCOUNT;/);
+  assert.ok(fixes.includes('cursor-attributes'));
+  assert.deepStrictEqual(unresolved, ['c1%ROWCOUNT']);
+});
+
+test('INSERT RETURNING assigns the inserted values first', () => {
+  const { code, fixes, unresolved } = snowflakeScriptingService.postProcess(procedure(
+    '',
+    'VARCHAR',
+    "  INSERT INTO emp (id, name) VALUES (emp_seq.NEXTVAL, 'x') RETURNING id INTO v_id;"
+  ));
+  assert.doesNotMatch(code, /RETURNING/);
+  assert.match(code, /INSERT INTO emp \(id, name\) VALUES \(:?v_id, 'x'\)/);
+  assert.ok(fixes.includes('returning-into'));
+  assert.deepStrictEqual(unresolved, []);
+});
+
+test('INSERT RETURNING a generated key is left for review', () => {
+  const { code, fixes, unresolved } = snowflakeScriptingService.postProcess(procedure(
+    '',
+    'VARCHAR',
+    '  INSERT INTO emp (name) VALUES (p_name) RETURNING id INTO p_id;'
+  ));
+  assert.match(code, /INSERT INTO emp \(name\) VALUES \(p_name\) RETURNING id INTO p_id;/);
+  assert.ok(!fixes.includes('returning-into'));
+  assert.deepStrictEqual(unresolved, ['INSERT ... RETURNING id INTO p_id']);
+});
+
+test('RAISE_APPLICATION_ERROR raises a declared exception', () => {
+  const { code } = snowflakeScriptingService.postProcess(procedure(
+    '',
+    'VARCHAR',
+    "  RAISE_APPLICATION_ERROR(-20001, 'bad; value');"
+  ));
+  assert.match(code, /app_error_20001 EXCEPTION \(-20001, 'bad; value'\);/);
+  assert.match(code, /RAISE app_error_20001;/);
+});
@@ -0,0 +1,109 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const snowflakeValidationService = require('../services/snowflakeValidationService');
+
+test('UPDATE and DELETE with LIMIT are errors', () => {
+  for (const sql of ['UPDATE t SET x = 1 LIMIT 3;', 'DELETE FROM t LIMIT 9;']) {
+    const result = snowflakeValidationService.validate(sql);
+    assert.strictEqual(result.valid, false, sql);
+    assert.match(result.diagnostics[0].message, /does not support LIMIT/);
+  }
+});
+
+test('LIMIT in SELECT and in DELETE subqueries is valid', () => {
+  const result = snowflakeValidationService.validate('SELECT * FROM t LIMIT 3;\nDELETE FROM t WHERE id IN (SELECT id FROM t LIMIT 9);');
+  assert.deepStrictEqual(result.diagnostics, []);
+});
+
+const messages = result => result.diagnostics.map(d => `${d.severity} ${d.line}: ${d.message}`);
+
+test('procedure headers need a parameter list, RETURNS, a known LANGUAGE and a $$ body', () => {
+  const result = snowflakeValidationService.validate(`CREATE OR REPLACE PROCEDURE p
+AS
+$$ BEGIN RETURN 1; END; $$;
+CREATE OR REPLACE PROCEDURE q(a IN NUMBER, b) RETURNS VARCHAR LANGUAGE PLSQL AS $$ BEGIN NULL; END; $$;
+CREATE OR REPLACE FUNCTION f(x NUMBER) RETURNS NUMBER AS SELECT 1;`);
+  assert.deepStrictEqual(messages(result), [
+    'error 1: P: missing parameter list (use "()" when there are none)',
+    'error 1: P: missing RETURNS clause',
+    'error 4: Q: Oracle parameter mode "IN" on a',
+    'error 4: Q: parameter b has no data type',
+    'error 4: Q: unsupported LANGUAGE PLSQL',
+    'error 5: F: missing AS $$ ... $$ body'
+  ]);
+});
+
+test('procedure bodies are checked for their language', () => {
+  const result = snowflakeValidationService.validate(`CREATE OR REPLACE PROCEDURE js()
+RETURNS VARCHAR
+LANGUAGE JAVASCRIPT
+AS
+$$
+  var rs = snowflake.execute({ sqlText: "SELECT 1" };
+  return 'ok';
+$$;
+CREATE OR REPLACE PROCEDURE implicit_js()
+RETURNS VARCHAR
+AS
+$$
+  snowflake.execute({ sqlText: "SELECT 1" });
+$$;
+CREATE OR REPLACE PROCEDURE sql_body()
+RETURNS VARCHAR
+LANGUAGE SQL
+AS
+$$
+BEGIN
+  RETURN 'x';
+EXCEPTION
+  WHEN OTHERS THEN RETURN 'y';
+END;
+END;
+$$;`);
+  const errors = result.diagnostics.filter(d => d.severity === 'error').map(d => d.message);
+  assert.match(errors[0], /^JS: JavaScript syntax error: /);
+  assert.ok(errors.includes('IMPLICIT_JS: body uses the JavaScript API but LANGUAGE JAVASCRIPT is missing'));
+  assert.ok(messages(result).includes('error 25: SQL_BODY: END without a matching BEGIN'));
+  assert.ok(messages(result).includes('warning 23: SQL_BODY: WHEN OTHERS is PL/SQL; Snowflake Scripting uses WHEN OTHER'));
+});
+
+test('Oracle and Redshift leftovers are warnings', () => {
+  const result = snowflakeValidationService.validate(`SELECT * FROM emp WHERE ROWNUM <= 5 AND hired < SYSDATE;
+SELECT e.name FROM emp e, dept d WHERE e.dept_id = d.id(+);
+CREATE TABLE t (id INT) DISTKEY(id) SORTKEY(id);
+SELECT GETDATE() FROM stv_recents;`);
+  assert.strictEqual(result.valid, true);
+  assert.deepStrictEqual(result.diagnostics.map(d => [d.line, d.message.split(';')[0]]), [
+    [1, 'ROWNUM is not supported'],
+    [1, 'SYSDATE without parentheses is Oracle syntax'],
+    [2, 'Oracle (+) outer join'],
+    [3, 'DISTKEY is a Redshift table attribute'],
+    [3, 'SORTKEY is a Redshift table attribute'],
+    [4, 'GETDATE() is Redshift syntax'],
+    [4, 'Redshift system table stv_recents']
+  ]);
+});
+
+test('a repair is kept only when it has fewer errors', async t => {
+  const broken = 'UPDATE t SET x = 1 LIMIT 3;';
+  const repair = t.mock.method(snowflakeValidationService, 'repair', async () => 'UPDATE t SET x = 1;');
+
+  const skipped = await snowflakeValidationService.validateAndRepair(broken, 'a.sql', { repair: false });
+  assert.deepStrictEqual([skipped.code, skipped.repaired, skipped.repairAttempted], [broken, false, false]);
+  assert.strictEqual(repair.mock.callCount(), 0);
+
+  const kept = await snowflakeValidationService.validateAndRepair(broken, 'a.sql', { repair: true });
+  assert.deepStrictEqual([kept.code, kept.repaired, kept.validation.valid], ['UPDATE t SET x = 1;', true, true]);
+
+  repair.mock.mockImplementation(async () => 'UPDATE t SET x = 1 LIMIT 3; (');
+  const discarded = await snowflakeValidationService.validateAndRepair(broken, 'a.sql', { repair: true });
+  assert.deepStrictEqual([discarded.code, discarded.repaired, discarded.repairAttempted], [broken, false, true]);
+
+  repair.mock.mockImplementation(async () => {
+    throw new Error('LLM provider not configured');
+  });
+  const failed = await snowflakeValidationService.validateAndRepair(broken, 'a.sql', { repair: true });
+  assert.deepStrictEqual([failed.code, failed.repaired, failed.repairAttempted], [broken, false, true]);
+});
@@ -0,0 +1,21 @@
+process.env.LOG_LEVEL = 'error';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { resolveSourceType, readSourceInput } = require('../utils/sourceInput');
+
+test('an explicit sourceType wins over detection', () => {
+  assert.strictEqual(resolveSourceType('redshift', 'a.sql', 'SELECT SYSDATE FROM dual'), 'redshift');
+});
+
+test('auto detects every supported dialect', () => {
+  assert.strictEqual(resolveSourceType('auto', 'load.sql', 'SET NOCOUNT ON\nSELECT TOP 5 * FROM dbo.orders\nGO\n'), 'tsql');
+  assert.strictEqual(resolveSourceType(undefined, 'load.sql', 'CREATE TABLE t (id INT) DISTKEY(id) SORTKEY(id);'), 'redshift');
+  assert.strictEqual(resolveSourceType('auto', 'load.sql', 'SELECT NVL(a, 0) FROM dual;'), 'oracle');
+  assert.strictEqual(resolveSourceType('auto', 'report.bteq', 'SELECT 1;'), 'teradata');
+});
+
+test('paths outside the upload and output roots are rejected with 400', async () => {
+  await assert.rejects(readSourceInput({ inputType: 'single', filePath: '/etc/passwd' }, { tempPrefix: 't', findFiles: async () => [] }),
+    error => error.statusCode === 400);
+});
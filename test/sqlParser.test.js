@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { tokenize, parseStatements, collectIdentifiers } = require('../utils/sqlParser');
+
+const ORACLE_SCRIPT = `-- load script
+SET SERVEROUTPUT ON
+CREATE TABLE hr.emp (id NUMBER, note VARCHAR2(20) DEFAULT 'a;b');
+CREATE OR REPLACE PROCEDURE hr.bump(p_id NUMBER) IS
+BEGIN
+  IF p_id > 0 THEN
+    UPDATE hr.emp SET id = id + 1 WHERE id = p_id;
+  END IF;
+END;
+/
+INSERT INTO hr.emp_log SELECT e.id FROM hr.emp e, hr.dept d WHERE e.id = d.id;
+`;
+
+test('tokenize keeps strings, comments and quoted identifiers whole', () => {
+  const tokens = tokenize(`SELECT "My Col", 'it''s' FROM t -- done\n`);
+  assert.deepStrictEqual(tokens.map(token => token.type),
+    ['word', 'quoted_identifier', 'punctuation', 'string', 'word', 'word', 'comment']);
+  assert.strictEqual(tokens[3].value, `'it''s'`);
+  assert.strictEqual(tokens[6].line, 1);
+});
+
+test('tokenize reads Oracle q-quoted strings', () => {
+  const tokens = tokenize(`SELECT q'[it's; here]' FROM dual`);
+  assert.strictEqual(tokens[1].type, 'string');
+  assert.strictEqual(tokens[1].value, `q'[it's; here]'`);
+});
+
+test('parseStatements splits Oracle scripts on terminators and PL/SQL units', () => {
+  const statements = parseStatements(ORACLE_SCRIPT);
+  const sql = statements.filter(statement => statement.kind !== 'SQLPLUS_COMMAND' && statement.kind !== 'COMMENT');
+  assert.deepStrictEqual(sql.map(statement => statement.kind), ['CREATE_TABLE', 'CREATE_PROCEDURE', 'INSERT']);
+
+  const [table, procedure, insert] = sql;
+  assert.strictEqual(table.qualifiedName, 'HR.EMP');
+  assert.strictEqual(procedure.procedural, true);
+  assert.strictEqual(procedure.name, 'BUMP');
+  assert.match(procedure.text, /END IF;\s*END;/);
+  assert.deepStrictEqual(insert.referencedTables, ['HR.EMP_LOG', 'HR.EMP', 'HR.DEPT']);
+  assert.strictEqual(insert.qualifiedName, 'HR.EMP_LOG');
+});
+
+test('Redshift identifiers fold to lower case', () => {
+  const [statement] = parseStatements('SELECT * FROM Sales.Orders o JOIN "Mixed" m ON o.id = m.id;', { dialect: 'redshift' });
+  assert.strictEqual(statement.kind, 'SELECT');
+  assert.deepStrictEqual(statement.referencedTables, ['sales.orders', 'Mixed']);
+});
+
+test('T-SQL GO separates batches', () => {
+  const statements = parseStatements('CREATE TABLE dbo.t (id INT)\nGO\nSELECT 1\nGO\n', { dialect: 'tsql' });
+  assert.deepStrictEqual(statements.filter(statement => statement.kind !== 'TERMINATOR').map(statement => statement.kind),
+    ['CREATE_TABLE', 'SELECT']);
+});
+
+test('collectIdentifiers lists qualified references once', () => {
+  assert.deepStrictEqual(collectIdentifiers('x := pkg.f(a) + seq.NEXTVAL + pkg.f(b);'),
+    ['X', 'PKG.F', 'A', 'SEQ.NEXTVAL', 'B']);
+});
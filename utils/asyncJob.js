@@ -0,0 +1,66 @@
+const { createModuleLogger } = require('./logger');
+const log = createModuleLogger('utils/asyncJob');
+
+function isAsyncRequested(req) {
+  const flag = req.body && req.body.async;
+  return flag === true || flag === 'true';
+}
+
+/**
+ * Response stand-in used once a job has been accepted asynchronously. The handler keeps
+ * running in the background; its final res.status(...).json(...) is only logged because
+ * clients read the outcome from /api/progress/:jobId and websocket `progress-update` events.
+ */
+function createDetachedResponse(jobId) {
+  const detached = {
+    headersSent: true,
+    locals: {},
+    statusCode: 200,
+    status(code) {
+      detached.statusCode = code;
+      return detached;
+    },
+    json(body) {
+      const level = detached.statusCode >= 400 ? 'warn' : 'info';
+      log[level](`📭 Background job ${jobId} finished with status ${detached.statusCode}`, {
+        error: body && body.error
+      });
+      return detached;
+    },
+    set() {
+      return detached;
+    },
+    setHeader() {
+      return detached;
+    }
+  };
+  detached.send = detached.json;
+  detached.end = detached.json;
+  return detached;
+}
+
+/**
+ * If the request asked for `async: true`, reply 202 Accepted with the jobId right away and
+ * return a detached response for the rest of the handler. Otherwise return `res` unchanged.
+ *
+ * Usage (after the job has been created):
+ *   res = acceptAsyncJob(req, res, jobId);
+ */
+function acceptAsyncJob(req, res, jobId) {
+  if (!isAsyncRequested(req) || res.headersSent) {
+    return res;
+  }
+
+  res.status(202).json({
+    success: true,
+    message: 'Job accepted for background processing',
+    jobId: jobId,
+    status: 'pending',
+    progressUrl: `/api/progress/${jobId}`
+  });
+  log.info(`📥 Accepted async job: ${jobId}`);
+
+  return createDetachedResponse(jobId);
+}
+
+module.exports = { isAsyncRequested, acceptAsyncJob };
@@ -0,0 +1,29 @@
+const oracleBuiltinCatalogService = require('../services/oracleBuiltinCatalogService');
+
+const unique = (infos, key) => [...new Set(infos.flatMap(info => info[key] || []))];
+const orUndefined = list => (list.length > 0 ? list : undefined);
+
+/**
+ * Combine the conversionInfo of the units a file was converted in (package members, triggers,
+ * chunks) into the file's conversionInfo. The method is 'llm' when any unit needed the LLM and
+ * undefined when no unit reports one (IDMC conversions).
+ * @param {Array<Object>} infos - conversionInfo of each unit, in order
+ * @returns {{ method: string|undefined, rules: string[], unresolved: string[], scriptingFixes: string[]|undefined,
+ *   scriptingUnresolved: string[]|undefined, truncated: string[]|undefined, builtinCalls: Array|undefined }}
+ */
+function mergeConversionInfo(infos) {
+  const methods = infos.map(info => info.method).filter(Boolean);
+  return {
+    method: methods.length > 0 ? (methods.includes('llm') ? 'llm' : 'rules') : undefined,
+    rules: unique(infos, 'rules'),
+    unresolved: unique(infos, 'unresolved'),
+    scriptingFixes: orUndefined(unique(infos, 'scriptingFixes')),
+    scriptingUnresolved: orUndefined(unique(infos, 'scriptingUnresolved')),
+    truncated: orUndefined(infos.flatMap(info => info.truncated || [])),
+    builtinCalls: oracleBuiltinCatalogService.mergeCalls(infos)
+  };
+}
+
+module.exports = {
+  mergeConversionInfo
+};
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+const { createModuleLogger } = require('./logger');
+const log = createModuleLogger('utils/database');
+
+function isDatabaseConnected() {
+  return mongoose.connection.readyState === 1;
+}
+
+/**
+ * Connect to MongoDB when MONGODB_URI is configured. Without a URI (or when the
+ * connection fails) the server keeps running with in-memory job tracking only.
+ */
+async function connectDatabase() {
+  const { mongoUri, serverSelectionTimeoutMs } = config.database;
+
+  if (!mongoUri) {
+    log.warn('⚠️ MONGODB_URI not set - job history will not survive restarts');
+    return false;
+  }
+
+  try {
+    await mongoose.connect(mongoUri, { serverSelectionTimeoutMS: serverSelectionTimeoutMs });
+    log.info('🗄️ Connected to MongoDB');
+    return true;
+  } catch (error) {
+    log.error('❌ MongoDB connection failed - falling back to in-memory job tracking', { error: error.message });
+    return false;
+  }
+}
+
+module.exports = { connectDatabase, isDatabaseConnected };
@@ -0,0 +1,251 @@
+/**
+ * Parser for the markdown IDMC Mapping Summary layout produced by the Oracle/Redshift → IDMC
+ * prompts: "Source Objects", "Transformations" and "Target Object" tables plus a
+ * "Mapping Flow Diagram" with lines like `Source1 --> Joiner --> Expression --> Target`.
+ */
+
+const ARROW = /\s*(?:-+>|→|⟶|=>)\s*/;
+
+// Section headings vary slightly between prompts ("Target Object" / "Target Objects", ...)
+const SECTIONS = [
+  ['sources', /\bsource(?:s| objects?| tables?)\b/i],
+  ['targets', /\btarget(?:s| objects?| tables?)\b/i],
+  ['transformations', /\btransformations?\b/i],
+  ['flow', /\bflow\b/i],
+  ['objective', /\bobjective\b/i],
+  ['notes', /\bnotes?\b/i]
+];
+
+function stripMarkdown(text) {
+  return String(text || '')
+    .replace(/<br\s*\/?>/gi, ', ')
+    .replace(/\*\*|__|`/g, '')
+    .trim();
+}
+
+// Split on `###`/`##` headings; the title text decides which section a block belongs to.
+// Blocks under any other heading (and text before the first heading) are kept in `other`.
+function splitSections(markdown) {
+  const sections = {};
+  const other = [{ title: '', lines: [] }];
+  let current = other[0].lines;
+  for (const line of markdown.split(/\r?\n/)) {
+    const heading = /^#{1,4}\s+(.*)$/.exec(line);
+    if (heading) {
+      const title = heading[1].replace(/^\d+[.)]\s*/, '').trim();
+      const match = SECTIONS.find(([, pattern]) => pattern.test(title));
+      if (match && !sections[match[0]]) {
+        sections[match[0]] = current = [];
+      } else {
+        other.push({ title, lines: current = [] });
+      }
+      continue;
+    }
+    current.push(line);
+  }
+  sections.other = other;
+  return sections;
+}
+
+/**
+ * Rows of the first markdown table in a block, as arrays of cell text (header and separator removed).
+ */
+function parseTable(lines) {
+  const rows = [];
+  let started = false;
+  for (const line of lines || []) {
+    const trimmed = line.trim();
+    if (!trimmed.startsWith('|')) {
+      if (started) {
+        break;
+      }
+      continue;
+    }
+    started = true;
+    const cells = trimmed.replace(/^\||\|$/g, '').split('|').map(stripMarkdown);
+    if (cells.every(cell => /^:?-{2,}:?$/.test(cell) || cell === '')) {
+      continue;
+    }
+    rows.push(cells);
+  }
+  return rows.slice(1);
+}
+
+// First identifier-like word of a cell: "HR.EMPLOYEES (alias e)" -> "HR.EMPLOYEES"
+function objectName(cell) {
+  const match = /[A-Za-z_][\w$#]*(?:\.[A-Za-z_][\w$#]*)*/.exec(stripMarkdown(cell));
+  return match ? match[0] : null;
+}
+
+/**
+ * "customer_id (INTEGER), customer_name" -> [{ name: 'customer_id', type: 'INTEGER' }, { name: 'customer_name' }]
+ */
+function parseColumns(cell) {
+  const columns = [];
+  // Commas inside a type's parentheses ("DECIMAL(12,2)") do not separate columns
+  for (const part of stripMarkdown(cell).split(/[,;]\s*(?![^()]*\))/)) {
+    const match = /^([A-Za-z_][\w$#]*(?:\.[A-Za-z_][\w$#]*)?)(?:\s*\(([A-Za-z]+[\w ]*(?:\(\d+(?:,\s*\d+)?\))?)\))?/.exec(part.trim());
+    if (!match) {
+      continue;
+    }
+    const name = match[1].split('.').pop();
+    if (!columns.some(column => column.name.toLowerCase() === name.toLowerCase())) {
+      columns.push(match[2] ? { name, type: match[2].trim().toUpperCase() } : { name });
+    }
+  }
+  return columns;
+}
+
+/**
+ * Flow lines -> edges. "Branch 1:" style labels are dropped; `JNR_All(a, b)` adds edges from a and b.
+ * @returns {{ steps: string[], edges: Array<[string, string]> }}
+ */
+function parseFlow(lines) {
+  const steps = [];
+  const edges = [];
+  const addStep = (step) => {
+    if (!steps.includes(step)) {
+      steps.push(step);
+    }
+  };
+  for (const raw of lines || []) {
+    const line = stripMarkdown(raw).replace(/^[-*]\s+/, '').replace(/^[\w ]{1,30}:\s+/, '');
+    if (!ARROW.test(line)) {
+      continue;
+    }
+
+    let previous = null;
+    for (const part of line.split(ARROW)) {
+      const inputs = /^([^()]+)\(([^)]*)\)\s*$/.exec(part.trim());
+      const step = objectName(inputs ? inputs[1] : part);
+      if (!step) {
+        continue;
+      }
+      addStep(step);
+      if (inputs) {
+        for (const input of inputs[2].split(',').map(objectName).filter(Boolean)) {
+          addStep(input);
+          edges.push([input, step]);
+        }
+      }
+      if (previous) {
+        edges.push([previous, step]);
+      }
+      previous = step;
+    }
+  }
+  return { steps, edges };
+}
+
+/**
+ * "Columns Mapped" cell -> column mappings. Accepts `target <- expr`, `target = expr`, `source -> target`
+ * and bare names (mapped from the same-named upstream column).
+ * @returns {Array<{ target: string, type?: string, source: string }>}
+ */
+function parseColumnMappings(cell) {
+  const mappings = [];
+  for (const part of stripMarkdown(cell).split(/[,;]\s*(?![^()]*\))/)) {
+    const text = part.trim();
+    if (!text) {
+      continue;
+    }
+    let targetText = text;
+    let source = null;
+    const backward = /^(.+?)\s*(?:←|<-|(?<![<>!])=(?!=))\s*(.+)$/.exec(text);
+    const forward = /^(.+?)\s*(?:→|-+>)\s*(.+)$/.exec(text);
+    if (backward) {
+      targetText = backward[1];
+      source = backward[2].trim();
+    } else if (forward) {
+      targetText = forward[2];
+      source = forward[1].trim();
+    }
+    const [column] = parseColumns(targetText);
+    if (!column || mappings.some(mapping => mapping.target.toLowerCase() === column.name.toLowerCase())) {
+      continue;
+    }
+    mappings.push({ target: column.name, ...(column.type ? { type: column.type } : {}), source: source || column.name });
+  }
+  return mappings;
+}
+
+// Bullet/numbered lines of a block, markdown removed; a lone "None." means no entries
+function parseNotes(lines) {
+  return (lines || [])
+    .map(line => stripMarkdown(line.replace(/^\s*(?:[-*+]|\d+[.)])\s+/, '')))
+    .filter(line => line && !/^(?:none|n\/a)\.?$/i.test(line) && !/^-{3,}$/.test(line));
+}
+
+function parseMappingName(markdown) {
+  const explicit = /mapping\s+name\s*[:|]\s*\**\s*`?([A-Za-z_][\w$#]*)/i.exec(markdown);
+  return explicit ? explicit[1] : null;
+}
+
+/**
+ * Parse whatever parts of the standard layout a summary has, without requiring all of them.
+ * @param {string} markdown
+ * @returns {{ mappingName: string|null, objective: string, sources: Array, transformations: Array,
+ *   targets: Array, flow: { steps: string[], edges: Array<[string, string]> }, notes: string[],
+ *   otherSections: Array<{ title: string, content: string }> }}
+ */
+function parseSummaryParts(markdown) {
+  const sections = splitSections(String(markdown || ''));
+
+  const sources = parseTable(sections.sources)
+    .map(cells => ({ name: objectName(cells[0]), description: cells[1] || '', columns: parseColumns(cells[2] || '') }))
+    .filter(source => source.name);
+  const targets = parseTable(sections.targets)
+    .map(cells => ({
+      name: objectName(cells[0]),
+      description: cells[1] || '',
+      columns: parseColumns(cells[2] || ''),
+      columnMappings: parseColumnMappings(cells[2] || '')
+    }))
+    .filter(target => target.name);
+  const transformations = parseTable(sections.transformations)
+    .map(cells => ({ name: objectName(cells[0]), type: cells[1] || '', logic: cells[2] || '' }))
+    .filter(transformation => transformation.name);
+
+  return {
+    mappingName: parseMappingName(markdown || ''),
+    objective: stripMarkdown((sections.objective || []).join(' ')),
+    sources,
+    transformations,
+    targets,
+    flow: parseFlow(sections.flow),
+    notes: parseNotes(sections.notes),
+    otherSections: sections.other
+      // The mapping name line and `---` rules are layout, not content
+      .map(section => ({
+        title: section.title,
+        content: section.lines.join('\n').replace(/^\s*(?:-{3,}|\W*mapping\s+name\s*[:|].*)$/gim, '').trim()
+      }))
+      .filter(section => section.content)
+  };
+}
+
+/**
+ * Parse a summary in the standard layout.
+ * @param {string} markdown
+ * @returns {Object|null} the parts from parseSummaryParts; null when the summary does not follow
+ *   the layout (no source/target tables or no flow diagram)
+ */
+function parseIdmcSummary(markdown) {
+  if (!markdown || typeof markdown !== 'string') {
+    return null;
+  }
+  const parts = parseSummaryParts(markdown);
+  if (parts.sources.length === 0 || parts.targets.length === 0 || parts.flow.edges.length === 0) {
+    return null;
+  }
+  return parts;
+}
+
+module.exports = {
+  parseIdmcSummary,
+  parseSummaryParts,
+  parseTable,
+  parseColumns,
+  parseColumnMappings,
+  parseFlow
+};
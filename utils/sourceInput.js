@@ -0,0 +1,83 @@
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../config');
+const dialectConversionService = require('../services/dialectConversionService');
+const idmcConversionService = require('../services/idmcConversionService');
+const { AppError, NotFoundError } = require('../middleware/errorHandler');
+const { assertPathUnder } = require('./pathUtils');
+const { extractZip } = require('./zipUtils');
+
+/**
+ * Explicit sourceType wins; otherwise T-SQL/Teradata file name or content cues, then the
+ * Oracle/Redshift content analysis (Oracle when inconclusive).
+ * @returns {'oracle'|'redshift'|'tsql'|'teradata'}
+ */
+function resolveSourceType(sourceType, fileName, content) {
+  if (sourceType && sourceType !== 'auto') {
+    return sourceType;
+  }
+  const dialect = dialectConversionService.detectSourceType(fileName, content);
+  if (dialect) {
+    return dialect;
+  }
+  return idmcConversionService.analyzeSqlContent(content) === 'redshift' ? 'redshift' : 'oracle';
+}
+
+async function assertInputFile(filePath) {
+  try {
+    assertPathUnder([config.paths.uploads, config.paths.output], filePath, 'File path outside allowed roots');
+  } catch (e) {
+    throw new AppError(e.message, 400);
+  }
+  if (!await fs.pathExists(filePath)) {
+    const error = new NotFoundError('File not found');
+    error.providedPath = filePath;
+    throw error;
+  }
+}
+
+/**
+ * Read the source files of a request with the /api/convert-unified inputs: `inputType: 'single'`
+ * with sourceCode or filePath, otherwise a zip (zipFilePath or filePath). Bad or missing paths
+ * throw an AppError carrying the response status; the caller removes `extractedPath`.
+ * @param {Object} body - request body
+ * @param {Object} options
+ * @param {string} options.tempPrefix - name prefix of the extraction directory
+ * @param {(extractedPath: string) => Promise<string[]>} options.findFiles - source files of an extracted zip
+ * @returns {Promise<{ files: Array<{ name: string, content: string }>, baseName: string, extractedPath: string|null }>}
+ */
+async function readSourceInput(body, { tempPrefix, findFiles }) {
+  const { inputType, sourceCode, filePath, zipFilePath, fileName } = body;
+
+  if (inputType === 'single') {
+    let content = sourceCode;
+    let name = fileName;
+    if (!content && filePath) {
+      await assertInputFile(filePath);
+      content = await fs.readFile(filePath, 'utf8');
+      name = name || path.basename(filePath);
+    }
+    name = name || 'input.sql';
+    return { files: [{ name, content }], baseName: name.replace(/\s+/g, '_').replace(/\.[^.]+$/, ''), extractedPath: null };
+  }
+
+  const zipPath = zipFilePath || filePath;
+  await assertInputFile(zipPath);
+  const extractedPath = path.join(config.paths.uploads, 'temp', `${tempPrefix}_${Date.now()}`);
+  try {
+    await extractZip(zipPath, extractedPath);
+    const files = [];
+    for (const file of await findFiles(extractedPath)) {
+      files.push({ name: path.relative(extractedPath, file), content: await fs.readFile(file, 'utf8') });
+    }
+    return { files, baseName: path.basename(zipPath).replace(/\.zip$/i, ''), extractedPath };
+  } catch (error) {
+    await fs.remove(extractedPath);
+    throw error;
+  }
+}
+
+module.exports = {
+  resolveSourceType,
+  readSourceInput
+};
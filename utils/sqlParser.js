@@ -0,0 +1,849 @@
+/**
+ * Shared SQL tokenizer and statement parser for Oracle (SQL + PL/SQL + SQL*Plus), Redshift,
+ * SQL Server T-SQL (sqlcmd), Teradata (BTEQ) and Snowflake (used to check converted output).
+ *
+ * tokenize()        → tokens with type, value, offsets and line numbers
+ * parseStatements() → one AST-lite node per statement:
+ *   { kind, verb, objectType, name, schema, qualifiedName, referencedTables,
+ *     procedural, startLine, endLine, start, end, text }
+ *
+ * Statement boundaries follow the dialect: `;` at parenthesis depth 0, SQL*Plus `/` lines, T-SQL
+ * `GO` batch separators, nested BEGIN/END blocks inside PL/SQL units and Teradata procedures,
+ * SQL*Plus, psql, sqlcmd and BTEQ line commands.
+ * Unquoted identifiers are folded the way the database folds them (Redshift lower, all others upper).
+ */
+
+const SQLPLUS_LINE_COMMANDS = new Set([
+  'ACCEPT', 'BREAK', 'BTITLE', 'CLEAR', 'COL', 'COLUMN', 'COMPUTE', 'CONN', 'CONNECT', 'DEFINE', 'DESC',
+  'DESCRIBE', 'EXEC', 'EXECUTE', 'EXIT', 'HOST', 'PAUSE', 'PRINT', 'PROMPT', 'QUIT', 'REM', 'REMARK',
+  'SET', 'SHOW', 'SPOOL', 'START', 'TIMING', 'TTITLE', 'UNDEFINE', 'VAR', 'VARIABLE', 'WHENEVER'
+]);
+
+// SET followed by these is SQL, not a SQL*Plus setting
+const SQL_SET_TARGETS = new Set(['TRANSACTION', 'ROLE', 'CONSTRAINT', 'CONSTRAINTS']);
+
+const CREATE_MODIFIERS = new Set([
+  'OR', 'REPLACE', 'EDITIONABLE', 'NONEDITIONABLE', 'EDITIONING', 'FORCE', 'NOFORCE', 'NO', 'GLOBAL',
+  'LOCAL', 'TEMPORARY', 'TEMP', 'PRIVATE', 'UNIQUE', 'BITMAP', 'PUBLIC', 'EXTERNAL', 'SECURE', 'TRANSIENT',
+  'VOLATILE', 'SHARDED', 'DUPLICATED', 'BLOCKCHAIN', 'IMMUTABLE',
+  // T-SQL CREATE OR ALTER, Teradata SET/MULTISET tables
+  'ALTER', 'SET', 'MULTISET'
+]);
+
+const OBJECT_TYPES = [
+  'MATERIALIZED VIEW', 'PACKAGE BODY', 'TYPE BODY', 'TABLE', 'VIEW', 'PROCEDURE', 'FUNCTION', 'PACKAGE',
+  'TRIGGER', 'SEQUENCE', 'INDEX', 'TYPE', 'SYNONYM', 'SCHEMA', 'DATABASE', 'USER', 'ROLE', 'DIRECTORY',
+  'LIBRARY', 'EXTERNAL TABLE', 'MACRO'
+];
+
+// Words that can begin a top-level statement; used to recover from unbalanced END in PL/SQL source
+const STATEMENT_STARTS = new Set([
+  'CREATE', 'ALTER', 'DROP', 'TRUNCATE', 'GRANT', 'REVOKE', 'COMMENT', 'RENAME', 'INSERT', 'UPDATE', 'DELETE',
+  'MERGE', 'SELECT', 'WITH', 'DECLARE', 'BEGIN', 'COMMIT', 'ROLLBACK', 'SAVEPOINT', 'LOCK', 'ANALYZE', 'AUDIT',
+  'NOAUDIT', 'PURGE', 'FLASHBACK', 'CALL', 'REPLACE', ...SQLPLUS_LINE_COMMANDS
+]);
+
+const PLSQL_UNIT_TYPES = new Set(['PROCEDURE', 'FUNCTION', 'PACKAGE', 'PACKAGE BODY', 'TRIGGER', 'TYPE BODY']);
+
+// T-SQL objects that must be alone in their batch, so they run up to the next GO
+const TSQL_BATCH_OBJECTS = new Set(['PROCEDURE', 'PROC', 'FUNCTION', 'TRIGGER', 'VIEW']);
+
+// Teradata short forms of the DML verbs
+const TERADATA_ABBREVIATIONS = { SEL: 'SELECT', INS: 'INSERT', UPD: 'UPDATE', DEL: 'DELETE' };
+
+// Statement kinds of client (not database) commands, per dialect
+const CLIENT_COMMAND_KINDS = {
+  oracle: 'SQLPLUS_COMMAND',
+  redshift: 'PSQL_COMMAND',
+  snowflake: 'SNOWSQL_COMMAND',
+  tsql: 'SQLCMD_COMMAND',
+  teradata: 'BTEQ_COMMAND'
+};
+
+// Functions whose arguments use FROM without naming a table
+const FROM_FUNCTIONS = new Set(['EXTRACT', 'TRIM', 'SUBSTRING', 'OVERLAY', 'POSITION']);
+
+// Words that can follow a table reference but are never its alias
+const NON_ALIAS_WORDS = new Set([
+  'WHERE', 'GROUP', 'ORDER', 'HAVING', 'UNION', 'INTERSECT', 'MINUS', 'EXCEPT', 'JOIN', 'INNER', 'LEFT',
+  'RIGHT', 'FULL', 'OUTER', 'CROSS', 'NATURAL', 'ON', 'USING', 'SET', 'VALUES', 'SELECT', 'CONNECT', 'START',
+  'LIMIT', 'OFFSET', 'FETCH', 'FOR', 'WINDOW', 'QUALIFY', 'PIVOT', 'UNPIVOT', 'MODEL', 'PARTITION', 'SAMPLE',
+  'AS', 'WITH', 'RETURNING', 'RETURN', 'LOG', 'WHEN', 'THEN', 'INTO', 'BULK', 'LOOP', 'AND', 'OR', 'IS', 'END'
+]);
+
+const IGNORED_TABLES = new Set(['DUAL', 'SYS.DUAL']);
+
+/**
+ * Split SQL source into tokens.
+ * Token types: word, quoted_identifier, string, number, bind, operator, punctuation,
+ * comment, terminator (SQL*Plus `/` or T-SQL `GO` line), sqlplus (REM/PROMPT/@ line),
+ * meta (psql `\`, SnowSQL `!`, sqlcmd `:` or BTEQ `.` line).
+ * @param {string} source
+ * @param {{ dialect?: 'oracle'|'redshift'|'snowflake'|'tsql'|'teradata' }} [options]
+ * @returns {Array<{ type: string, value: string, start: number, end: number, line: number }>}
+ */
+function tokenize(source, { dialect = 'oracle' } = {}) {
+  const text = source || '';
+  const tokens = [];
+  const oracle = dialect === 'oracle';
+  const tsql = dialect === 'tsql';
+  // Only the PostgreSQL family has dollar quoting and backslash escapes in plain strings
+  const postgresStyle = dialect === 'redshift' || dialect === 'snowflake';
+  let i = 0;
+  let line = 1;
+
+  const lineStartBefore = (index) => {
+    const start = text.lastIndexOf('\n', index - 1) + 1;
+    return /^[ \t]*$/.test(text.slice(start, index));
+  };
+  const lineEnd = (index) => {
+    const end = text.indexOf('\n', index);
+    return end === -1 ? text.length : end;
+  };
+  const push = (type, end) => {
+    const value = text.slice(i, end);
+    tokens.push({ type, value, start: i, end, line });
+    line += (value.match(/\n/g) || []).length;
+    i = end;
+  };
+
+  while (i < text.length) {
+    const ch = text[i];
+    const next = text[i + 1];
+
+    if (ch === '\n') {
+      line++;
+      i++;
+      continue;
+    }
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // Line-oriented client commands
+    if (lineStartBefore(i)) {
+      if (oracle && (ch === '@' || /^(?:REM|REMARK|PROMPT)(?:[ \t]|$)/i.test(text.slice(i, lineEnd(i)) || ''))) {
+        push('sqlplus', lineEnd(i));
+        continue;
+      }
+      if (oracle && ch === '/' && /^\/[ \t]*$/.test(text.slice(i, lineEnd(i)))) {
+        push('terminator', i + 1);
+        continue;
+      }
+      if (tsql && /^GO(?:[ \t]+\d+)?[ \t]*;?\s*$/i.test(text.slice(i, lineEnd(i)))) {
+        push('terminator', lineEnd(i));
+        continue;
+      }
+      // psql meta-commands (\i, \set), SnowSQL commands (!source, !set), sqlcmd (:r, :setvar), BTEQ (.LOGON, .IF)
+      if ((dialect === 'redshift' && ch === '\\') || (dialect === 'snowflake' && ch === '!') ||
+          (tsql && ch === ':' && /[A-Za-z]/.test(next || '')) ||
+          (dialect === 'teradata' && ch === '.' && /[A-Za-z]/.test(next || ''))) {
+        push('meta', lineEnd(i));
+        continue;
+      }
+    }
+
+    if ((ch === '-' && next === '-') || (dialect === 'snowflake' && ch === '/' && next === '/')) {
+      push('comment', lineEnd(i));
+      continue;
+    }
+    if (ch === '/' && next === '*') {
+      const close = text.indexOf('*/', i + 2);
+      push('comment', close === -1 ? text.length : close + 2);
+      continue;
+    }
+
+    // Oracle q-quoted strings: q'[...]', nq'{...}'
+    const qMatch = oracle && /^(?:n|N)?[qQ]'/.exec(text.slice(i, i + 3));
+    if (qMatch && !/[\w$#]/.test(text[i - 1] || '')) {
+      const openIndex = i + qMatch[0].length;
+      const open = text[openIndex];
+      const close = { '[': ']', '{': '}', '(': ')', '<': '>' }[open] || open;
+      const closeIndex = text.indexOf(`${close}'`, openIndex + 1);
+      push('string', closeIndex === -1 ? text.length : closeIndex + 2);
+      continue;
+    }
+
+    // Plain, national (N'') and escape (E'') strings
+    const prefixed = /^[nNeE]'/.test(text.slice(i, i + 2)) && !/[\w$#]/.test(text[i - 1] || '');
+    if (ch === "'" || prefixed) {
+      const backslashEscapes = postgresStyle || /^[eE]/.test(ch);
+      let end = i + (prefixed ? 2 : 1);
+      while (end < text.length) {
+        if (backslashEscapes && text[end] === '\\') {
+          end += 2;
+        } else if (text[end] === "'" && text[end + 1] === "'") {
+          end += 2;
+        } else if (text[end] === "'") {
+          end++;
+          break;
+        } else {
+          end++;
+        }
+      }
+      push('string', Math.min(end, text.length));
+      continue;
+    }
+
+    if (ch === '"') {
+      let end = i + 1;
+      while (end < text.length) {
+        if (text[end] === '"' && text[end + 1] === '"') {
+          end += 2;
+        } else if (text[end] === '"') {
+          end++;
+          break;
+        } else {
+          end++;
+        }
+      }
+      push('quoted_identifier', Math.min(end, text.length));
+      continue;
+    }
+
+    // T-SQL [bracketed] identifiers, #temp tables and @variables / @@globals
+    if (tsql && ch === '[') {
+      let end = i + 1;
+      while (end < text.length && !(text[end] === ']' && text[end + 1] !== ']')) {
+        end += text[end] === ']' ? 2 : 1;
+      }
+      push('quoted_identifier', Math.min(end + 1, text.length));
+      continue;
+    }
+    if (tsql && ch === '#' && /[#A-Za-z_]/.test(next || '')) {
+      push('word', i + /^##?[\w$#@]*/.exec(text.slice(i, i + 256))[0].length);
+      continue;
+    }
+    if (tsql && ch === '@' && /[@A-Za-z_]/.test(next || '')) {
+      push('bind', i + /^@@?[\w$#@]*/.exec(text.slice(i, i + 256))[0].length);
+      continue;
+    }
+
+    // Redshift/PostgreSQL dollar-quoted bodies: $$...$$ or $tag$...$tag$
+    if (postgresStyle && ch === '$') {
+      const tag = /^\$[A-Za-z_]*\$/.exec(text.slice(i));
+      if (tag) {
+        const close = text.indexOf(tag[0], i + tag[0].length);
+        push('string', close === -1 ? text.length : close + tag[0].length);
+        continue;
+      }
+    }
+
+    const word = /^[A-Za-z_\u0080-￿][\w$#\u0080-￿]*/.exec(text.slice(i, i + 256));
+    if (word) {
+      push('word', i + word[0].length);
+      continue;
+    }
+
+    const number = /^(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][+-]?\d+)?/.exec(text.slice(i, i + 64));
+    if (number) {
+      push('number', i + number[0].length);
+      continue;
+    }
+
+    if (ch === ':' && /[A-Za-z_\d]/.test(next || '')) {
+      const bind = /^:[\w$#]+/.exec(text.slice(i, i + 256));
+      push('bind', i + bind[0].length);
+      continue;
+    }
+    if (postgresStyle && ch === '$' && /\d/.test(next || '')) {
+      const param = /^\$\d+/.exec(text.slice(i));
+      push('bind', i + param[0].length);
+      continue;
+    }
+
+    if ('(),;.'.includes(ch)) {
+      push('punctuation', i + 1);
+      continue;
+    }
+
+    const operator = /^(?::=|=>|\|\||<=|>=|<>|!=|\^=|~=|::|\*\*|\.\.)/.exec(text.slice(i, i + 2));
+    push('operator', i + (operator ? operator[0].length : 1));
+  }
+
+  return tokens;
+}
+
+function upper(token) {
+  return token && token.type === 'word' ? token.value.toUpperCase() : null;
+}
+
+// Like upper(), but reads Teradata SEL/INS/UPD/DEL as the full verb
+function verbOf(token, dialect) {
+  const word = upper(token);
+  return (dialect === 'teradata' && TERADATA_ABBREVIATIONS[word]) || word;
+}
+
+function normalizeIdentifier(token, dialect) {
+  if (token.type === 'quoted_identifier') {
+    // T-SQL brackets only delimit; SQL Server compares names case-insensitively
+    return token.value.startsWith('[')
+      ? token.value.slice(1, -1).replace(/\]\]/g, ']').toUpperCase()
+      : token.value.slice(1, -1).replace(/""/g, '"');
+  }
+  return dialect === 'redshift' ? token.value.toLowerCase() : token.value.toUpperCase();
+}
+
+/**
+ * Read a (possibly schema-qualified) object name starting at tokens[index].
+ * @returns {{ parts: string[], next: number }|null}
+ */
+function readQualifiedName(tokens, index, dialect) {
+  const parts = [];
+  let k = index;
+  while (k < tokens.length && (tokens[k].type === 'word' || tokens[k].type === 'quoted_identifier')) {
+    parts.push(normalizeIdentifier(tokens[k], dialect));
+    k++;
+    if (tokens[k] && tokens[k].value === '.' && tokens[k + 1] &&
+        (tokens[k + 1].type === 'word' || tokens[k + 1].type === 'quoted_identifier')) {
+      k++;
+      continue;
+    }
+    break;
+  }
+  if (parts.length === 0) {
+    return null;
+  }
+  // Oracle database links (table@link) belong to the reference, not to the next token
+  if (tokens[k] && tokens[k].value === '@' && tokens[k + 1] && tokens[k + 1].type === 'word') {
+    k += 2;
+    while (tokens[k] && tokens[k].value === '.' && tokens[k + 1] && tokens[k + 1].type === 'word') {
+      k += 2;
+    }
+  }
+  return { parts, next: k };
+}
+
+// Type of the object a CREATE (or T-SQL CREATE OR ALTER / Teradata REPLACE) statement defines
+function createdObjectType(tokens, index) {
+  let k = index + 1;
+  while (k < tokens.length && CREATE_MODIFIERS.has(upper(tokens[k]))) {
+    k++;
+  }
+  return upper(tokens[k]);
+}
+
+// Decide how the statement starting at tokens[index] ends: sql, plsql, batch (up to GO), or line
+function detectMode(tokens, index, dialect) {
+  const first = upper(tokens[index]);
+  if (dialect === 'tsql' && (first === 'CREATE' || first === 'ALTER') &&
+      TSQL_BATCH_OBJECTS.has(createdObjectType(tokens, index))) {
+    return { mode: 'batch' };
+  }
+  if (dialect === 'teradata' && (first === 'CREATE' || first === 'REPLACE') &&
+      createdObjectType(tokens, index) === 'PROCEDURE') {
+    return { mode: 'plsql', unit: 'compound' };
+  }
+  if (dialect !== 'oracle') {
+    return { mode: 'sql' };
+  }
+  if (first === 'DECLARE' || first === 'BEGIN') {
+    return { mode: 'plsql', unit: 'anonymous' };
+  }
+  if (first && SQLPLUS_LINE_COMMANDS.has(first)) {
+    const second = upper(tokens[index + 1]);
+    if (!(first === 'SET' && SQL_SET_TARGETS.has(second))) {
+      return { mode: 'line' };
+    }
+  }
+  if (first === 'CREATE') {
+    let k = index + 1;
+    while (k < tokens.length && CREATE_MODIFIERS.has(upper(tokens[k]))) {
+      k++;
+    }
+    const type = upper(tokens[k]);
+    const typeWithBody = upper(tokens[k + 1]) === 'BODY' ? `${type} BODY` : type;
+    if (typeWithBody === 'PACKAGE' || typeWithBody === 'PACKAGE BODY' || typeWithBody === 'TYPE BODY') {
+      return { mode: 'plsql', unit: 'package' };
+    }
+    if (type === 'PROCEDURE' || type === 'FUNCTION') {
+      return { mode: 'plsql', unit: 'routine' };
+    }
+    if (type === 'TRIGGER') {
+      return { mode: 'plsql', unit: 'trigger' };
+    }
+  }
+  return { mode: 'sql' };
+}
+
+/**
+ * Find the index of the last token of a PL/SQL unit or Teradata procedure (unit 'compound', whose
+ * body is a BEGIN ... END compound statement). BEGIN/END pairs (including nested subprograms,
+ * package initialisation sections and CASE ... END) are tracked so semicolons inside the unit do not end it.
+ * @returns {{ end: number, terminated: boolean }} index of the last token, whether a `/` ended it
+ */
+function findPlsqlEnd(tokens, index, unit) {
+  const stack = [];
+  let headerDone = unit === 'anonymous';
+  let compound = false;
+  let pendingDecl = false;
+  let pendingBodies = 0;
+  let unitClosed = false;
+  let external = false;
+  let paren = 0;
+
+  for (let k = index; k < tokens.length; k++) {
+    const token = tokens[k];
+    if (token.type === 'terminator') {
+      return { end: k - 1, terminated: true };
+    }
+    if (token.value === '(' && token.type === 'punctuation') {
+      paren++;
+      continue;
+    }
+    if (token.value === ')' && token.type === 'punctuation') {
+      paren = Math.max(0, paren - 1);
+      continue;
+    }
+    if (paren > 0) {
+      continue;
+    }
+
+    if (token.value === ';' && token.type === 'punctuation') {
+      pendingDecl = false;
+      if (external) {
+        return { end: k, terminated: false };
+      }
+      if (unitClosed) {
+        // An unbalanced END can close the unit early; only stop where a new statement plausibly starts
+        const following = tokens[k + 1];
+        if (!following || following.type !== 'word' || STATEMENT_STARTS.has(upper(following))) {
+          return { end: k, terminated: false };
+        }
+        unitClosed = false;
+      }
+      continue;
+    }
+
+    const word = upper(token);
+    if (!word) {
+      continue;
+    }
+
+    if (!headerDone) {
+      if ((unit === 'routine' || unit === 'package') && (word === 'IS' || word === 'AS')) {
+        headerDone = true;
+        if (unit === 'package') {
+          stack.push('unit');
+        }
+        const following = upper(tokens[k + 1]);
+        if (unit === 'routine' && (following === 'LANGUAGE' || following === 'EXTERNAL')) {
+          external = true;
+        }
+      } else if (unit === 'trigger' && word === 'COMPOUND' && upper(tokens[k + 1]) === 'TRIGGER') {
+        headerDone = true;
+        compound = true;
+        stack.push('unit');
+        k++;
+      } else if ((unit === 'trigger' || unit === 'compound') && (word === 'DECLARE' || word === 'BEGIN')) {
+        headerDone = true;
+        if (word === 'BEGIN') {
+          stack.push('unit');
+        }
+      }
+      continue;
+    }
+
+    if (word === 'PROCEDURE' || word === 'FUNCTION' ||
+        (compound && stack.length === 1 && (word === 'BEFORE' || word === 'AFTER' || word === 'INSTEAD'))) {
+      pendingDecl = true;
+    } else if ((word === 'IS' || word === 'AS') && pendingDecl) {
+      pendingDecl = false;
+      pendingBodies++;
+    } else if (word === 'BEGIN') {
+      if (pendingBodies > 0) {
+        pendingBodies--;
+        stack.push('subprogram');
+      } else if (stack.length === 0) {
+        stack.push('unit');
+      } else if (!(stack.length === 1 && (unit === 'package' || compound))) {
+        // A BEGIN directly inside a package body is its initialisation section, closed by the package END
+        stack.push('block');
+      }
+    } else if (word === 'CASE') {
+      stack.push('case');
+    } else if (word === 'END') {
+      const following = upper(tokens[k + 1]);
+      if (following === 'IF' || following === 'LOOP' || following === 'WHILE' || following === 'FOR' || following === 'REPEAT') {
+        k++;
+        continue;
+      }
+      if (following === 'CASE') {
+        k++;
+      }
+      const closed = stack.pop();
+      if (stack.length === 0 && (closed === 'unit' || closed === undefined)) {
+        unitClosed = true;
+      }
+    }
+  }
+
+  return { end: tokens.length - 1, terminated: false };
+}
+
+// Collect the tables a statement reads from or writes to
+function collectReferencedTables(tokens, dialect, info) {
+  const references = [];
+  const seen = new Set();
+  const cteNames = new Set();
+  const parenOwners = [];
+  let dmlVerb = null;
+
+  const add = (parts) => {
+    const qualified = parts.join('.');
+    const key = qualified.toUpperCase();
+    if (IGNORED_TABLES.has(key) || cteNames.has(key) || seen.has(key)) {
+      return;
+    }
+    if (info.qualifiedName && key === info.qualifiedName.toUpperCase() &&
+        ['TABLE', 'VIEW', 'MATERIALIZED VIEW'].includes(info.objectType)) {
+      return;
+    }
+    seen.add(key);
+    references.push(qualified);
+  };
+
+  // Read one table reference (skipping subqueries and table functions); returns the next index
+  const readTable = (k) => {
+    if (upper(tokens[k]) === 'ONLY' || upper(tokens[k]) === 'LATERAL') {
+      k++;
+    }
+    const name = readQualifiedName(tokens, k, dialect);
+    if (!name || (tokens[name.next] && tokens[name.next].value === '(')) {
+      return { next: k, found: false };
+    }
+    add(name.parts);
+    return { next: name.next, found: true };
+  };
+
+  const skipAlias = (k) => {
+    if (upper(tokens[k]) === 'AS') {
+      k++;
+    }
+    if (tokens[k] && (tokens[k].type === 'quoted_identifier' ||
+        (tokens[k].type === 'word' && !NON_ALIAS_WORDS.has(upper(tokens[k]))))) {
+      k++;
+    }
+    return k;
+  };
+
+  for (let k = 0; k < tokens.length; k++) {
+    const token = tokens[k];
+    if (token.type === 'punctuation') {
+      if (token.value === '(') {
+        parenOwners.push(upper(tokens[k - 1]));
+      } else if (token.value === ')') {
+        parenOwners.pop();
+      } else if (token.value === ';') {
+        dmlVerb = null;
+      }
+      continue;
+    }
+
+    const word = verbOf(token, dialect);
+    if (!word) {
+      continue;
+    }
+    if (['SELECT', 'INSERT', 'UPDATE', 'DELETE', 'MERGE'].includes(word)) {
+      dmlVerb = word;
+    }
+
+    const previous = upper(tokens[k - 1]);
+    if (word === 'WITH' || (cteNames.size > 0 && tokens[k - 1] && tokens[k - 1].value === ',')) {
+      const nameToken = word === 'WITH' ? tokens[k + 1] : token;
+      const asIndex = word === 'WITH' ? k + 2 : k + 1;
+      if (nameToken && nameToken.type === 'word' && upper(tokens[asIndex]) === 'AS' &&
+          tokens[asIndex + 1] && tokens[asIndex + 1].value === '(') {
+        cteNames.add(normalizeIdentifier(nameToken, dialect).toUpperCase());
+      }
+    }
+
+    if (word === 'FROM') {
+      if (FROM_FUNCTIONS.has(parenOwners[parenOwners.length - 1])) {
+        continue;
+      }
+      // Comma-separated table list
+      let result = readTable(k + 1);
+      while (result.found) {
+        const next = skipAlias(result.next);
+        if (!tokens[next] || tokens[next].value !== ',') {
+          break;
+        }
+        result = readTable(next + 1);
+      }
+    } else if (word === 'JOIN') {
+      readTable(k + 1);
+    } else if (word === 'INTO' && ['INSERT', 'MERGE', 'ALL', 'FIRST', 'INS'].includes(previous)) {
+      readTable(k + 1);
+    } else if (word === 'INTO' && previous === null && tokens[k - 1] && tokens[k - 1].value === ')' && dmlVerb === 'INSERT') {
+      // Multi-table INSERT ALL ... VALUES (...) INTO t2
+      readTable(k + 1);
+    } else if (word === 'UPDATE' && previous !== 'FOR' && previous !== 'OR' && previous !== 'BEFORE' &&
+               previous !== 'AFTER' && previous !== 'OF' && previous !== 'ON') {
+      const name = readQualifiedName(tokens, k + 1, dialect);
+      if (name && upper(tokens[skipAlias(name.next)]) === 'SET') {
+        add(name.parts);
+      }
+    } else if (word === 'USING' && (dmlVerb === 'MERGE' || dmlVerb === 'DELETE') && previous !== 'IMMEDIATE') {
+      readTable(k + 1);
+    } else if (word === 'REFERENCES') {
+      const name = readQualifiedName(tokens, k + 1, dialect);
+      if (name) {
+        add(name.parts);
+      }
+    } else if (word === 'TABLE' && previous === 'TRUNCATE') {
+      readTable(k + 1);
+    } else if (word === 'COPY' && k === 0) {
+      readTable(k + 1);
+    }
+  }
+
+  return references;
+}
+
+// Build the AST-lite description of one statement from its significant tokens
+function describeStatement(tokens, dialect, mode) {
+  const info = {
+    kind: 'OTHER',
+    verb: verbOf(tokens[0], dialect) || tokens[0].type.toUpperCase(),
+    objectType: null,
+    name: null,
+    schema: null,
+    qualifiedName: null,
+    referencedTables: [],
+    procedural: false
+  };
+
+  if (tokens[0].type === 'sqlplus' || mode === 'line') {
+    info.kind = 'SQLPLUS_COMMAND';
+    return info;
+  }
+  if (tokens[0].type === 'meta') {
+    info.kind = CLIENT_COMMAND_KINDS[dialect];
+    return info;
+  }
+  // Teradata REPLACE VIEW/PROCEDURE/MACRO creates the object when it does not exist
+  if (dialect === 'teradata' && info.verb === 'REPLACE') {
+    info.verb = 'CREATE';
+  }
+
+  const verb = info.verb;
+  const setName = (name) => {
+    if (!name) {
+      return;
+    }
+    info.name = name.parts[name.parts.length - 1];
+    info.schema = name.parts.length > 1 ? name.parts[name.parts.length - 2] : null;
+    info.qualifiedName = name.parts.join('.');
+  };
+
+  if (['CREATE', 'ALTER', 'DROP', 'TRUNCATE'].includes(verb)) {
+    let k = 1;
+    while (k < tokens.length && CREATE_MODIFIERS.has(upper(tokens[k]))) {
+      k++;
+    }
+    const objectType = dialect === 'tsql' && upper(tokens[k]) === 'PROC'
+      ? 'PROCEDURE'
+      : OBJECT_TYPES.find(type => {
+        const words = type.split(' ');
+        return words.every((w, offset) => upper(tokens[k + offset]) === w);
+      });
+    if (objectType) {
+      info.objectType = objectType;
+      k += upper(tokens[k]) === 'PROC' ? 1 : objectType.split(' ').length;
+      if (upper(tokens[k]) === 'IF') {
+        k += upper(tokens[k + 1]) === 'NOT' ? 3 : 2;
+      }
+      setName(readQualifiedName(tokens, k, dialect));
+      info.kind = `${verb}_${objectType.replace(/ /g, '_')}`;
+    } else {
+      info.kind = verb;
+    }
+    info.procedural = verb === 'CREATE' && (PLSQL_UNIT_TYPES.has(objectType) ||
+      (dialect !== 'oracle' && (objectType === 'PROCEDURE' || objectType === 'FUNCTION')));
+
+    // Triggers and indexes name the table they are defined on
+    if (verb === 'CREATE' && (objectType === 'TRIGGER' || objectType === 'INDEX')) {
+      for (let j = k; j < tokens.length; j++) {
+        const word = upper(tokens[j]);
+        if (word === 'BEGIN' || word === 'DECLARE') {
+          break;
+        }
+        if (word === 'ON' && !['DATABASE', 'SCHEMA'].includes(upper(tokens[j + 1]))) {
+          const table = readQualifiedName(tokens, j + 1, dialect);
+          if (table) {
+            info.onTable = table.parts.join('.');
+          }
+          break;
+        }
+      }
+    }
+  } else if (dialect === 'oracle' && (verb === 'DECLARE' || verb === 'BEGIN')) {
+    info.kind = 'PLSQL_BLOCK';
+    info.procedural = true;
+  } else if (verb === 'WITH' || verb === 'SELECT') {
+    info.kind = 'SELECT';
+  } else if (verb === 'INSERT' || verb === 'MERGE') {
+    info.kind = verb;
+    const into = tokens.findIndex(t => upper(t) === 'INTO');
+    if (into !== -1) {
+      setName(readQualifiedName(tokens, into + 1, dialect));
+    }
+  } else if (verb === 'UPDATE' || verb === 'COPY' || verb === 'USE') {
+    info.kind = verb;
+    setName(readQualifiedName(tokens, 1, dialect));
+  } else if (verb === 'DELETE') {
+    info.kind = verb;
+    setName(readQualifiedName(tokens, upper(tokens[1]) === 'FROM' ? 2 : 1, dialect));
+  } else if (tokens[0].type === 'word') {
+    info.kind = verb;
+  }
+
+  info.referencedTables = collectReferencedTables(tokens, dialect, info);
+
+  // Redshift and Snowflake routines keep their body in a dollar-quoted string; read references from inside it
+  const body = info.procedural && (dialect === 'redshift' || dialect === 'snowflake') && tokens.find(t => t.type === 'string' && t.value.startsWith('$'));
+  if (body) {
+    const tag = /^\$[A-Za-z_]*\$/.exec(body.value)[0];
+    const bodyTokens = tokenize(body.value.slice(tag.length, -tag.length), { dialect })
+      .filter(token => token.type !== 'comment');
+    collectReferencedTables(bodyTokens, dialect, info).forEach(table => {
+      if (!info.referencedTables.some(t => t.toUpperCase() === table.toUpperCase())) {
+        info.referencedTables.push(table);
+      }
+    });
+  }
+  if (info.onTable && !info.referencedTables.some(t => t.toUpperCase() === info.onTable.toUpperCase())) {
+    info.referencedTables.unshift(info.onTable);
+  }
+  return info;
+}
+
+/**
+ * Split SQL source into statements and describe each one.
+ * @param {string} source
+ * @param {{ dialect?: 'oracle'|'redshift'|'snowflake'|'tsql'|'teradata' }} [options]
+ * @returns {Array<Object>} AST-lite statement nodes in source order
+ */
+function parseStatements(source, { dialect = 'oracle' } = {}) {
+  const text = source || '';
+  const tokens = tokenize(text, { dialect }).filter(token => token.type !== 'comment');
+  const statements = [];
+  let index = 0;
+
+  while (index < tokens.length) {
+    const first = tokens[index];
+    if (first.type === 'terminator' || (first.type === 'punctuation' && first.value === ';')) {
+      index++;
+      continue;
+    }
+
+    let end;
+    const { mode, unit } = (first.type === 'sqlplus' || first.type === 'meta')
+      ? { mode: 'single' }
+      : detectMode(tokens, index, dialect);
+
+    if (mode === 'single') {
+      end = index;
+    } else if (mode === 'line') {
+      end = index;
+      while (end + 1 < tokens.length && tokens[end + 1].line === first.line && tokens[end + 1].type !== 'terminator') {
+        end++;
+      }
+    } else if (mode === 'plsql') {
+      end = findPlsqlEnd(tokens, index, unit).end;
+    } else if (mode === 'batch') {
+      const terminator = tokens.findIndex((token, k) => k > index && token.type === 'terminator');
+      end = terminator === -1 ? tokens.length - 1 : terminator - 1;
+    } else {
+      let paren = 0;
+      // T-SQL control flow (IF ... BEGIN ...; ... END) has no terminator of its own
+      let blocks = 0;
+      end = tokens.length - 1;
+      for (let k = index; k < tokens.length; k++) {
+        const token = tokens[k];
+        if (token.type === 'terminator') {
+          end = k - 1;
+          break;
+        }
+        if (dialect === 'tsql' && token.type === 'word') {
+          const word = upper(token);
+          if ((word === 'BEGIN' && !['TRAN', 'TRANSACTION', 'DISTRIBUTED'].includes(upper(tokens[k + 1]))) || word === 'CASE') {
+            blocks++;
+          } else if (word === 'END') {
+            blocks = Math.max(0, blocks - 1);
+          }
+          continue;
+        }
+        if (token.type !== 'punctuation') {
+          continue;
+        }
+        if (token.value === '(') {
+          paren++;
+        } else if (token.value === ')') {
+          paren = Math.max(0, paren - 1);
+        } else if (token.value === ';' && paren === 0 && blocks === 0) {
+          end = k;
+          break;
+        }
+      }
+    }
+
+    const statementTokens = tokens.slice(index, end + 1);
+    if (statementTokens.length > 0) {
+      const last = statementTokens[statementTokens.length - 1];
+      const significant = statementTokens.filter(t => !(t.type === 'punctuation' && t.value === ';'));
+      if (significant.length > 0) {
+        statements.push({
+          ...describeStatement(significant, dialect, mode),
+          dialect,
+          startLine: first.line,
+          endLine: last.line + (last.value.match(/\n/g) || []).length,
+          start: first.start,
+          end: last.end,
+          text: text.slice(first.start, last.end)
+        });
+      }
+    }
+    index = end + 1;
+  }
+
+  return statements;
+}
+
+/**
+ * List every (possibly qualified) identifier used in a piece of SQL, e.g. routine calls,
+ * `pkg.member` references and `seq.NEXTVAL`. Names are normalized like object names.
+ * @returns {string[]} unique qualified names in first-seen order
+ */
+function collectIdentifiers(source, { dialect = 'oracle' } = {}) {
+  const tokens = tokenize(source, { dialect }).filter(token => token.type !== 'comment');
+  const identifiers = new Set();
+  for (let k = 0; k < tokens.length; k++) {
+    const previous = tokens[k - 1];
+    if (previous && previous.value === '.') {
+      continue;
+    }
+    const name = readQualifiedName(tokens, k, dialect);
+    if (name) {
+      identifiers.add(name.parts.join('.'));
+      k = name.next - 1;
+    }
+  }
+  return [...identifiers];
+}
+
+// SQL*Plus, psql, SnowSQL, sqlcmd and BTEQ commands are not database statements
+function isClientCommand(statement) {
+  return Object.values(CLIENT_COMMAND_KINDS).includes(statement.kind);
+}
+
+module.exports = {
+  tokenize,
+  parseStatements,
+  collectIdentifiers,
+  readQualifiedName,
+  normalizeIdentifier,
+  isClientCommand
+};
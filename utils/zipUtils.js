@@ -0,0 +1,56 @@
+const fs = require('fs-extra');
+const path = require('path');
+const unzipper = require('unzipper');
+const { exec } = require('child_process');
+const { promisify } = require('util');
+const execAsync = promisify(exec);
+const { createModuleLogger } = require('./logger');
+const log = createModuleLogger('utils/zipUtils');
+
+/**
+ * Extract a zip with the system `unzip`, falling back to the unzipper library.
+ * @param {string} zipPath
+ * @param {string} destination - created when missing
+ */
+async function extractZip(zipPath, destination) {
+  await fs.ensureDir(destination);
+  try {
+    await execAsync(`unzip -q "${zipPath}" -d "${destination}"`);
+  } catch (error) {
+    log.warn('⚠️ System unzip failed, falling back to unzipper library', { message: error.message });
+    await new Promise((resolve, reject) => {
+      const extract = unzipper.Extract({ path: destination });
+      extract.on('error', reject);
+      extract.on('close', () => setTimeout(resolve, 100));
+      fs.createReadStream(zipPath).pipe(extract);
+    });
+  }
+}
+
+/**
+ * Files under a directory with one of the given extensions, sorted by path (numeric-aware).
+ * @param {string} directory
+ * @param {string[]} extensions - lower-case, with the dot
+ * @returns {Promise<string[]>}
+ */
+async function findFilesByExtension(directory, extensions) {
+  const files = [];
+  async function scanDir(dir) {
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        await scanDir(fullPath);
+      } else if (entry.isFile() && extensions.includes(path.extname(entry.name).toLowerCase())) {
+        files.push(fullPath);
+      }
+    }
+  }
+  await scanDir(directory);
+  return files.sort((a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' }));
+}
+
+module.exports = {
+  extractZip,
+  findFilesByExtension
+};
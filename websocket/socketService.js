@@ -1,4 +1,5 @@
 const { Server } = require('socket.io');
+const jwt = require('jsonwebtoken');
 const config = require('../config');
 const { createModuleLogger } = require('../utils/logger');
 const log = createModuleLogger('websocket/socketService');
@@ -71,6 +72,11 @@ class SocketService {
         this.connectedClients.delete(socket.id);
       });
       
+      // Handle job cancellation: payload { jobId, token } where token is the JWT used for the REST API
+      socket.on('cancel-job', (payload) => {
+        this.handleCancelJob(socket, payload || {});
+      });
+      
       // Handle job completion cleanup
       socket.on('job-completed', (jobId) => {
         log.info(`📋 Job completed, cleaning up room: ${jobId}`);
@@ -83,6 +89,35 @@ class SocketService {
     });
   }
 
+  handleCancelJob(socket, { jobId, token }) {
+    const reply = (data) => socket.emit('cancel-job-result', { jobId, timestamp: new Date().toISOString(), ...data });
+    // Required lazily: progressService reaches back into the websocket layer for its emits
+    const progressService = require('../services/progressService');
+
+    let user;
+    try {
+      user = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+      return reply({ success: false, error: 'Unauthorized: invalid or missing token' });
+    }
+
+    const job = progressService.getJob(jobId);
+    if (!job) {
+      return reply({ success: false, error: 'Job not found' });
+    }
+    if (!progressService.canUserManageJob(job, user)) {
+      return reply({ success: false, error: 'Not allowed to cancel this job' });
+    }
+
+    const cancelled = progressService.cancelJob(jobId, `Cancelled by ${user.email || 'user'}`);
+    if (!cancelled) {
+      return reply({ success: false, error: 'Job is not running', status: job.status });
+    }
+
+    log.info(`🛑 Client ${socket.id} cancelled job: ${jobId}`);
+    return reply({ success: true, status: cancelled.status });
+  }
+
   // Emit progress update to all connected clients (no room join required)
   emitProgressUpdate(jobId, data) {
     if (this.io) {
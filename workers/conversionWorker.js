@@ -1,26 +1,15 @@
 const { parentPort, workerData } = require('worker_threads');
 const fs = require('fs-extra');
 const path = require('path');
-const OpenAI = require('openai');
+const llmService = require('../services/llmService');
 const packageExtractionService = require('../services/packageExtractionService');
 const classNameExtractionService = require('../services/classNameExtractionService');
 
 class ConversionWorker {
-  constructor() {
-    this.apiKey = process.env.OPENAI_API_KEY;
-    this.openai = null;
-    
-    if (this.apiKey) {
-      this.openai = new OpenAI({
-        apiKey: this.apiKey
-      });
-    }
-  }
-
   async convertCSharpToJava(csharpCode, fileName, targetFolder, existingClasses = [], basePackage = 'com.example.application') {
     try {
-      if (!this.apiKey || !this.openai) {
-        throw new Error('OpenAI API key not configured');
+      if (!llmService.isConfigured()) {
+        throw new Error('LLM provider not configured');
       }
 
       // Create a list of existing classes to avoid duplicates
@@ -51,8 +40,7 @@ Original File: ${fileName}${existingClassesList}
 C# Code:
 ${csharpCode}`;
 
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await llmService.createChatCompletion({
         messages: [
           {
             role: 'system',
@@ -296,8 +284,8 @@ CRITICAL INSTRUCTIONS:
 
   async addFunctionalitySummary(csharpCode, javaCode, className) {
     try {
-      if (!this.apiKey || !this.openai) {
-        console.warn('⚠️ OpenAI API key not configured, skipping functionality summary');
+      if (!llmService.isConfigured()) {
+        console.warn('⚠️ LLM provider not configured, skipping functionality summary');
         return javaCode;
       }
 
@@ -309,8 +297,7 @@ CRITICAL INSTRUCTIONS:
       
       Provide only the summary, no additional text.`;
 
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await llmService.createChatCompletion({
         messages: [
           {
             role: 'system',
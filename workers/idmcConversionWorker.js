@@ -6,11 +6,20 @@ const log = createModuleLogger('workers/idmcConversionWorker');
 
 // Lazy load to avoid heavy init before first task
 let idmcService = null;
+let idmcSummaryModelService = null;
+let dialectConversionService = null;
+let chunkedConversionService = null;
 
 function detectSourceTypeFromNameAndContent(fileName, content, fallback = 'sql') {
   try {
     const upper = (content || '').toUpperCase();
 
+    // SQL Server / Teradata first: their name hints and content cues are the most distinctive
+    const dialect = dialectConversionService.detectSourceType(fileName, content);
+    if (dialect) {
+      return dialect;
+    }
+
     // Filename hints
     if (/(redshift|rs_\b|\brs_|_rs\b|\bredshift\b)/i.test(fileName || '')) return 'redshift';
     if (/(oracle|plsql|pkg|pks|pkb)/i.test(fileName || '')) return 'oracle';
@@ -51,6 +60,9 @@ async function handleWork(message) {
     const { filePath, extractedPath } = message;
     if (!idmcService) {
       idmcService = require('../services/idmcConversionService');
+      idmcSummaryModelService = require('../services/idmcSummaryModelService');
+      dialectConversionService = require('../services/dialectConversionService');
+      chunkedConversionService = require('../services/chunkedConversionService');
     }
 
     const code = await fs.readFile(filePath, 'utf8');
@@ -64,18 +76,26 @@ async function handleWork(message) {
     }
 
     const outName = idmcService.getIDMCFileName(rel, 'sql');
-    const idmcSummary = detected === 'redshift'
-      ? await idmcService.convertRedshiftToIDMC(code, base, 'sql')
-      : await idmcService.convertOracleToIDMC(code, base, 'sql');
+    const cacheStats = { hits: 0, misses: 0 };
+    const conversionInfo = {};
+    const idmcSummary = await idmcService.convertSourceToIDMC(code, base, detected, 'sql', { cacheStats, conversionInfo });
+    const summaryModel = idmcSummaryModelService.fromMarkdown(idmcSummary, { fileName: base, sourceType: detected });
+    if (conversionInfo.truncated) {
+      summaryModel.notes.unshift(chunkedConversionService.truncationNote(conversionInfo.truncated));
+    }
 
     parentPort.postMessage({
       success: true,
       result: {
         original: rel,
         converted: outName,
-        idmcContent: idmcSummary,
+        idmcContent: idmcSummaryModelService.toMarkdown(summaryModel),
+        summaryModel,
         detectedType: detected,
-        originalContent: code
+        originalContent: code,
+        chunks: conversionInfo.chunks,
+        truncated: conversionInfo.truncated,
+        cache: cacheStats
       }
     });
   } catch (error) {
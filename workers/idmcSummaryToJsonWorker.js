@@ -6,24 +6,37 @@ const log = createModuleLogger('workers/idmcSummaryToJsonWorker');
 
 // Lazy load to avoid heavy init before first task
 let idmcService = null;
+let idmcMappingValidationService = null;
+let idmcMappingTemplateService = null;
+let idmcSummaryModelService = null;
 
 async function handleWork(message) {
   try {
     const { filePath, extractedPath } = message;
     if (!idmcService) {
       idmcService = require('../services/idmcConversionService');
+      idmcMappingValidationService = require('../services/idmcMappingValidationService');
+      idmcMappingTemplateService = require('../services/idmcMappingTemplateService');
+      idmcSummaryModelService = require('../services/idmcSummaryModelService');
     }
 
     log.info(`Worker processing IDMC summary file: ${path.basename(filePath)}`);
     
-    // Read the IDMC summary content
+    // Read the IDMC summary content; summary model JSON is converted from its markdown rendering
     const summaryContent = await fs.readFile(filePath, 'utf8');
+    const summary = idmcSummaryModelService.toSummaryMarkdown(summaryContent);
     const rel = path.relative(extractedPath, filePath);
     const base = path.basename(filePath);
     
     // Convert IDMC summary to JSON
     log.info(`Worker converting IDMC summary to JSON: ${base}`);
-    const jsonContent = await idmcService.convertIdmcSummaryToJson(summaryContent, base);
+    const cacheStats = { hits: 0, misses: 0 };
+    // Summaries in the standard layout are converted by template; free-form text goes to the LLM
+    const templated = idmcMappingTemplateService.generate(summary, base);
+    const generated = templated
+      ? templated.content
+      : await idmcService.convertIdmcSummaryToJson(summary, base, { cacheStats });
+    const { content: jsonContent, report } = idmcMappingValidationService.check(generated, base);
     
     // Generate output filename (replace extension with .bin - changed from .bat)
     const ext = path.extname(rel);
@@ -38,7 +51,10 @@ async function handleWork(message) {
         original: rel,
         converted: outName,
         jsonContent: jsonContent,
-        originalContent: summaryContent
+        originalContent: summaryContent,
+        validation: report,
+        conversionMethod: templated ? 'template' : 'llm',
+        cache: cacheStats
       }
     });
   } catch (error) {
@@ -1,29 +1,79 @@
 const { parentPort, workerData } = require('worker_threads');
 const fs = require('fs-extra');
 const path = require('path');
-const OpenAI = require('openai');
+const llmService = require('../services/llmService');
+const conversionCacheService = require('../services/conversionCacheService');
+const oracleRuleConversionService = require('../services/oracleRuleConversionService');
+const snowflakeScriptingService = require('../services/snowflakeScriptingService');
+const oraclePackageService = require('../services/oraclePackageService');
+const oracleTriggerService = require('../services/oracleTriggerService');
+const oracleSequenceService = require('../services/oracleSequenceService');
+const oracleBuiltinCatalogService = require('../services/oracleBuiltinCatalogService');
+const chunkedConversionService = require('../services/chunkedConversionService');
+const redshiftConversionService = require('../services/redshiftConversionService');
+const dialectConversionService = require('../services/dialectConversionService');
+const snowflakeValidationService = require('../services/snowflakeValidationService');
 const { createModuleLogger } = require('../utils/logger');
 const log = createModuleLogger('workers/oracleConversionWorker');
 
 class OracleConversionWorker {
-  constructor() {
-    this.apiKey = process.env.OPENAI_API_KEY;
-    this.openai = null;
-    
-    if (this.apiKey) {
-      this.openai = new OpenAI({
-        apiKey: this.apiKey
-      });
-    }
-  }
-
-  async convertOracleToSnowflake(oracleCode, fileName, fileType = 'sql') {
+  async convertOracleToSnowflake(oracleCode, fileName, fileType = 'sql', options = {}) {
     try {
-      if (!this.apiKey || !this.openai) {
-        throw new Error('OpenAI API key not configured');
+      // Packages are converted member by member (PKG__MEMBER) so one large package is not a single LLM call
+      if (!options.packageUnit && oraclePackageService.hasPackages(oracleCode)) {
+        return await oraclePackageService.convertFile(oracleCode, fileName, (code, name, unitOptions) =>
+          this.convertOracleToSnowflake(code, name, fileType, { ...options, ...unitOptions, packageUnit: true }), options.conversionInfo);
+      }
+
+      // Triggers become streams and tasks; each trigger body is converted on its own as the task's handler
+      if (!options.triggerUnit && oracleTriggerService.hasTriggers(oracleCode)) {
+        return await oracleTriggerService.convertFile(oracleCode, fileName, (code, name, unitOptions) =>
+          this.convertOracleToSnowflake(code, name, fileType, { ...options, ...unitOptions, triggerUnit: true }), options.conversionInfo);
+      }
+
+      // Files over the chunk budget are converted in groups of whole statements and stitched back in order
+      const chunks = !options.chunk && chunkedConversionService.plan(oracleCode);
+      if (chunks) {
+        const outputs = await chunkedConversionService.convertChunks(oracleCode, fileName, chunks, (code, name, unitOptions) =>
+          this.convertOracleToSnowflake(code, name, fileType, { ...options, ...unitOptions, chunk: true }),
+          { promptContext: options.promptContext, conversionInfo: options.conversionInfo });
+        return outputs.filter(output => output && output.trim()).join('\n\n');
+      }
+
+      // CURRVAL has no Snowflake equivalent; routines keep the NEXTVAL they took in a variable instead
+      const sequenceRefs = oracleSequenceService.rewriteReferences(oracleCode);
+
+      // Deterministic rules run first; plain DDL/DML never reaches the LLM
+      const prePass = oracleRuleConversionService.convert(sequenceRefs.code);
+      if (options.conversionInfo) {
+        Object.assign(options.conversionInfo, {
+          method: prePass.complete ? 'rules' : 'llm',
+          rules: [...sequenceRefs.rules, ...prePass.rules],
+          unresolved: prePass.unresolved
+        });
+      }
+      if (prePass.complete) {
+        return oracleBuiltinCatalogService.postProcess(prePass.code, options.conversionInfo);
       }
 
-      const systemPrompt = `You are a database migration specialist. Convert Oracle PL/SQL procedures, functions, and SQL statements into Snowflake-compatible SQL or JavaScript stored procedures.
+      // procedureStyle 'sql' asks for Snowflake Scripting instead of JavaScript procedures
+      const scripting = options.procedureStyle === 'sql';
+      const { PROMPT_VERSIONS } = conversionCacheService;
+      const promptVersion = scripting ? PROMPT_VERSIONS.oracleToSnowflakeScripting : PROMPT_VERSIONS.oracleToSnowflake;
+      // Oracle built-in calls (DBMS_OUTPUT, UTL_FILE, ...) are converted as the catalog says
+      const promptContext = [options.promptContext, oracleBuiltinCatalogService.buildPromptContext(oracleCode)].filter(Boolean).join('\n');
+      // Package members are cached together with their package context, which is part of the prompt
+      const cacheSource = conversionCacheService.promptSource(fileName, promptContext, oracleCode);
+      const cached = await conversionCacheService.get('snowflake', promptVersion, cacheSource, options.cacheStats);
+      if (cached !== null) {
+        return oracleBuiltinCatalogService.postProcess(cached, options.conversionInfo);
+      }
+
+      if (!llmService.isConfigured()) {
+        throw new Error('LLM provider not configured');
+      }
+
+      const systemPrompt = scripting ? snowflakeScriptingService.SYSTEM_PROMPT : `You are a database migration specialist. Convert Oracle PL/SQL procedures, functions, and SQL statements into Snowflake-compatible SQL or JavaScript stored procedures.
 
 CRITICAL REQUIREMENTS - FOLLOW EXACTLY:
 1. Maintain logical flow and preserve all business logic
@@ -71,7 +121,8 @@ SNOWFLAKE CONVERSION GUIDELINES:
 - Oracle EXCEPTION handling → Snowflake TRY/CATCH in JavaScript
 - Oracle %TYPE → Snowflake explicit data types
 - Oracle packages → Snowflake JavaScript stored procedures
-- Oracle sequences → Snowflake sequences (with adjustments)
+- Oracle sequences → Snowflake sequences (keep START WITH, INCREMENT BY and the COMMENT recording the Oracle CACHE)
+- Oracle sequence.CURRVAL → no Snowflake equivalent; reuse the value taken from sequence.NEXTVAL, kept in a variable
 - Oracle triggers → Snowflake tasks/streams (with manual review needed)
 - Oracle ROWNUM → Snowflake ROW_NUMBER() window function
 - Oracle SYSDATE → Snowflake CURRENT_TIMESTAMP()
@@ -218,7 +269,8 @@ CREATE SEQUENCE customer_seq
 Convert to EXACTLY this Snowflake format:
 CREATE SEQUENCE customer_seq
     START WITH 1000
-    INCREMENT BY 1;
+    INCREMENT BY 1
+    COMMENT = 'Oracle NOCACHE';
 
 For Oracle views like:
 CREATE OR REPLACE VIEW v_customer_summary AS
@@ -374,12 +426,11 @@ FOR DDL STATEMENTS (CREATE TABLE, CREATE VIEW, CREATE SEQUENCE, etc.):
 
 Original File: ${fileName}
 File Type: ${fileType}
-
+${promptContext ? `\n${promptContext}\n` : ''}
 Oracle Code:
-${oracleCode}`;
+${prePass.code}`;
 
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o-mini',
+      const response = await llmService.createChatCompletion({
         messages: [
           {
             role: 'system',
@@ -395,11 +446,31 @@ ${oracleCode}`;
       });
 
       const snowflakeCode = response.choices[0].message.content;
+      // An answer cut off at max_tokens is flagged on the file and never cached
+      const truncated = chunkedConversionService.isTruncated(response);
+      if (truncated) {
+        log.warn(`⚠️ LLM response for ${fileName} was truncated at max_tokens`);
+        if (options.conversionInfo) {
+          options.conversionInfo.truncated = [fileName];
+        }
+      }
       
       // Clean up the response - no headers, just clean working code
-      const cleanedCode = this.cleanSnowflakeCode(snowflakeCode, fileName);
+      let cleanedCode = this.cleanSnowflakeCode(snowflakeCode, fileName);
+      if (scripting) {
+        const { code, fixes, unresolved } = snowflakeScriptingService.postProcess(cleanedCode);
+        cleanedCode = code;
+        if (options.conversionInfo) {
+          options.conversionInfo.scriptingFixes = fixes;
+          options.conversionInfo.scriptingUnresolved = unresolved.length > 0 ? unresolved : undefined;
+        }
+      }
+      if (!truncated) {
+        await conversionCacheService.set('snowflake', promptVersion, cacheSource, cleanedCode, fileName);
+      }
       
-      return cleanedCode;
+      // Applied after caching, so cache hits report their built-in calls too
+      return oracleBuiltinCatalogService.postProcess(cleanedCode, options.conversionInfo);
     } catch (error) {
       log.error('Error converting Oracle to Snowflake', { error: error.message, stack: error.stack });
       throw error;
@@ -734,7 +805,7 @@ $$;
   }
 
   async processFile(fileData) {
-    const { filePath, extractedPath, convertedPath } = fileData;
+    const { filePath, extractedPath, convertedPath, repair, procedureStyle, sourceType = 'oracle' } = fileData;
     
     try {
       log.info(`Worker processing Oracle file: ${path.basename(filePath)}`);
@@ -746,8 +817,20 @@ $$;
       
       log.info(`Worker converting: ${path.basename(filePath)} -> ${snowflakeFileName} (type: ${fileType})`);
       
-      // Convert Oracle to Snowflake
-      const snowflakeCode = await this.convertOracleToSnowflake(oracleCode, path.basename(filePath), fileType);
+      // Convert Oracle (or Redshift, T-SQL, Teradata) to Snowflake
+      const cacheStats = { hits: 0, misses: 0 };
+      const conversionInfo = {};
+      let convertedCode;
+      if (sourceType === 'redshift') {
+        convertedCode = await redshiftConversionService.convertRedshiftToSnowflake(oracleCode, path.basename(filePath), { cacheStats, conversionInfo });
+      } else if (dialectConversionService.isSupported(sourceType)) {
+        convertedCode = await dialectConversionService.convertToSnowflake(oracleCode, path.basename(filePath), sourceType, { cacheStats, conversionInfo });
+      } else {
+        convertedCode = await this.convertOracleToSnowflake(oracleCode, path.basename(filePath), fileType, { cacheStats, conversionInfo, procedureStyle });
+      }
+      const { code: validatedCode, validation, repaired } = await snowflakeValidationService.validateAndRepair(
+        convertedCode, snowflakeFileName, { repair, cacheStats });
+      const snowflakeCode = chunkedConversionService.markTruncated(validatedCode, conversionInfo.truncated);
       
       // Create the converted directory structure and save files
       const snowflakeFilePath = path.join(convertedPath, snowflakeFileName);
@@ -761,9 +844,22 @@ $$;
         converted: snowflakeFileName,
         snowflakeContent: snowflakeCode,
         oracleContent: oracleCode,
+        sourceType,
         fileType: fileType,
         success: true,
-        path: snowflakeFilePath
+        path: snowflakeFilePath,
+        cache: cacheStats,
+        conversionMethod: conversionInfo.method,
+        rulesApplied: conversionInfo.rules,
+        scriptingFixes: conversionInfo.scriptingFixes,
+        scriptingUnresolved: conversionInfo.scriptingUnresolved,
+        packages: conversionInfo.packages,
+        triggers: conversionInfo.triggers,
+        chunks: conversionInfo.chunks,
+        truncated: conversionInfo.truncated,
+        builtinCalls: conversionInfo.builtinCalls,
+        validation,
+        repaired
       };
       
     } catch (error) {
@@ -774,6 +870,7 @@ $$;
         converted: null,
         snowflakeContent: null,
         oracleContent: null,
+        sourceType,
         fileType: null,
         success: false,
         error: error.message